@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const log = require("../observability").log.child({ component: "admin" });
+
+const ADMIN_HEADERS = {
+  signature: "x-admin-signature",
+  timestamp: "x-admin-timestamp",
+  nonce: "x-admin-nonce",
+};
+
+const hashBody = (rawBody) =>
+  crypto
+    .createHash("sha256")
+    .update(rawBody || "")
+    .digest("hex");
+
+/**
+ * The exact text an admin signs (EIP-191 personal_sign). It covers the
+ * method, the full path including the query string and the raw body, so a
+ * signature can't be replayed against a different request.
+ */
+function buildAdminMessage({ method, path, bodyHash, timestamp, nonce }) {
+  return [
+    "DAO identity issuer admin request",
+    `Method: ${method.toUpperCase()}`,
+    `Path: ${path}`,
+    `Body SHA-256: ${bodyHash}`,
+    `Timestamp: ${timestamp}`,
+    `Nonce: ${nonce}`,
+  ].join("\n");
+}
+
+/**
+ * Accepts requests signed by the current DIDRegistry owner. The owner is
+ * read from the contract (cached briefly), so transferring ownership moves
+ * admin access with it. Each nonce is accepted once within the skew window.
+ *
+ * @param {object} options
+ * @param {import("ethers").Contract} options.registry DIDRegistry with `owner()`
+ * @param {object} options.storage Issuer storage, see ../storage
+ * @param {number} [options.maxSkewMs] Allowed clock difference for timestamps
+ * @param {number} [options.ownerCacheMs]
+ */
+function createAdminAuth({
+  registry,
+  storage,
+  maxSkewMs = 5 * 60 * 1000,
+  ownerCacheMs = 60000,
+}) {
+  let ownerCache = null;
+  async function getOwner() {
+    if (!ownerCache || Date.now() - ownerCache.at > ownerCacheMs) {
+      const owner = (await registry.owner()).toLowerCase();
+      ownerCache = { owner, at: Date.now() };
+    }
+    return ownerCache.owner;
+  }
+
+  /** @returns {Promise<{ success: boolean, admin?: string, error?: string }>} */
+  async function authenticate(req) {
+    const signature = req.headers[ADMIN_HEADERS.signature];
+    const timestamp = req.headers[ADMIN_HEADERS.timestamp];
+    const nonce = req.headers[ADMIN_HEADERS.nonce];
+    if (!signature || !timestamp || !nonce) {
+      return { success: false, error: "Missing admin signature headers" };
+    }
+    if (!/^[A-Za-z0-9-]{8,64}$/.test(nonce)) {
+      return { success: false, error: "Invalid admin nonce" };
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > maxSkewMs) {
+      return { success: false, error: "Admin request expired" };
+    }
+
+    const message = buildAdminMessage({
+      method: req.method,
+      path: req.originalUrl,
+      bodyHash: hashBody(req.rawBody),
+      timestamp,
+      nonce,
+    });
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature).toLowerCase();
+    } catch {
+      return { success: false, error: "Invalid admin signature" };
+    }
+    if (signer !== (await getOwner())) {
+      return { success: false, error: "Signer is not the DIDRegistry owner" };
+    }
+
+    const fresh = await storage.set(`admin:nonce:${nonce}`, signer, {
+      onlyIfAbsent: true,
+      ttlMs: 2 * maxSkewMs,
+    });
+    if (!fresh) {
+      return { success: false, error: "Admin request already used" };
+    }
+
+    return { success: true, admin: signer };
+  }
+
+  async function middleware(req, res, next) {
+    try {
+      const result = await authenticate(req);
+      if (!result.success) {
+        log.warn("Admin request rejected", {
+          method: req.method,
+          path: req.path,
+          reason: result.error,
+        });
+        return res.status(401).json({ success: false, error: result.error });
+      }
+      req.admin = result.admin;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  return { authenticate, middleware };
+}
+
+module.exports = {
+  ADMIN_HEADERS,
+  hashBody,
+  buildAdminMessage,
+  createAdminAuth,
+};
@@ -0,0 +1,89 @@
+const crypto = require("crypto");
+
+const BUNDLE_FORMAT = "dao-issuer-identities";
+const BUNDLE_VERSION = 1;
+
+// scrypt cost for new bundles; imports accept up to MAX_SCRYPT_N
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const MAX_SCRYPT_N = 2 ** 17;
+
+const deriveKey = (passphrase, salt, { N, r, p }) =>
+  crypto.scryptSync(passphrase, salt, 32, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+
+/**
+ * Encrypts an identity export with AES-256-GCM under a key derived from the
+ * operator's passphrase. The result is plain JSON and safe to store offline.
+ */
+function encryptBundle(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, salt, SCRYPT),
+    iv,
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kdf: { name: "scrypt", salt: salt.toString("base64"), ...SCRYPT },
+    cipher: {
+      name: "aes-256-gcm",
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+    },
+    ciphertext: ciphertext.toString("base64"),
+  };
+}
+
+/** @throws {Error} When the bundle is malformed or the passphrase is wrong */
+function decryptBundle(bundle, passphrase) {
+  if (
+    bundle?.format !== BUNDLE_FORMAT ||
+    bundle.version !== BUNDLE_VERSION ||
+    bundle.kdf?.name !== "scrypt" ||
+    bundle.cipher?.name !== "aes-256-gcm"
+  ) {
+    throw new Error("Unsupported export bundle");
+  }
+  const { N, r, p } = bundle.kdf;
+  if (
+    ![N, r, p].every(Number.isInteger) ||
+    N > MAX_SCRYPT_N ||
+    r > 16 ||
+    p > 4
+  ) {
+    throw new Error("Unsupported export bundle");
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(bundle.kdf.salt, "base64"), {
+        N,
+        r,
+        p,
+      }),
+      Buffer.from(bundle.cipher.iv, "base64"),
+    );
+    decipher.setAuthTag(Buffer.from(bundle.cipher.tag, "base64"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(bundle.ciphertext, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString("utf8"));
+  } catch {
+    throw new Error("Export bundle could not be decrypted");
+  }
+}
+
+module.exports = { BUNDLE_FORMAT, encryptBundle, decryptBundle };
@@ -0,0 +1,20 @@
+const {
+  ADMIN_HEADERS,
+  hashBody,
+  buildAdminMessage,
+  createAdminAuth,
+} = require("./auth");
+const { encryptBundle, decryptBundle } = require("./bundle");
+const { createIdentityAdmin } = require("./service");
+const { createAdminRouter } = require("./routes");
+
+module.exports = {
+  ADMIN_HEADERS,
+  hashBody,
+  buildAdminMessage,
+  createAdminAuth,
+  encryptBundle,
+  decryptBundle,
+  createIdentityAdmin,
+  createAdminRouter,
+};
@@ -0,0 +1,151 @@
+const express = require("express");
+
+const isNullifier = (value) => /^0x[a-fA-F0-9]{1,64}$/.test(value);
+const isAddress = (value) =>
+  typeof value === "string" && /^0x[a-fA-F0-9]{40}$/.test(value);
+const optionalReason = (value) =>
+  value === undefined || (typeof value === "string" && value.length <= 500);
+
+/**
+ * Identity admin endpoints, all under /admin and all requiring a request
+ * signed by the DIDRegistry owner (see ./auth.js):
+ *
+ *   GET  /admin/identities?q=&status=&offset=&limit=
+ *   GET  /admin/identities/:nullifier           record and history
+ *   POST /admin/identities/:nullifier/revoke    `{ reason? }`
+ *   POST /admin/identities/:nullifier/rebind    `{ wallet, reason? }`
+ *   GET  /admin/export                          encrypted bundle
+ *   POST /admin/import                          `{ bundle }`
+ *
+ * Mount it before the app-wide JSON parser: it parses admin bodies itself
+ * to keep the raw bytes the signature covers, with a limit large enough
+ * for import bundles. For the same reason an app-wide request validator
+ * can't see admin bodies; pass it as `validate` to run it once they are
+ * parsed and authenticated.
+ *
+ * @param {object} admin See ./service.js
+ * @param {{ middleware: Function }} auth See ./auth.js
+ * @param {object} [options]
+ * @param {Function} [options.validate] Request validation middleware
+ */
+function createAdminRouter(
+  admin,
+  auth,
+  { bodyLimit = "5mb", validate = (req, res, next) => next() } = {},
+) {
+  const router = express.Router();
+
+  router.use(
+    "/admin",
+    express.json({
+      limit: bodyLimit,
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }),
+    auth.middleware,
+    validate,
+  );
+
+  const send = (res, { status = 200, ...result }) =>
+    res.status(result.success ? 200 : status).json(result);
+
+  const badRequest = (res, error) =>
+    res.status(400).json({ success: false, error });
+
+  router.get("/admin/identities", async (req, res, next) => {
+    try {
+      const offset = Number(req.query.offset ?? 0);
+      const limit = Number(req.query.limit ?? 50);
+      if (!Number.isInteger(offset) || offset < 0) {
+        return badRequest(res, "Invalid offset");
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+        return badRequest(res, "Limit must be between 1 and 500");
+      }
+      send(
+        res,
+        await admin.list({
+          query: req.query.q,
+          status: req.query.status,
+          offset,
+          limit,
+        }),
+      );
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/admin/identities/:nullifier", async (req, res, next) => {
+    try {
+      if (!isNullifier(req.params.nullifier)) {
+        return badRequest(res, "Invalid nullifier hash");
+      }
+      send(res, await admin.get(req.params.nullifier));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/admin/identities/:nullifier/revoke", async (req, res, next) => {
+    try {
+      const { reason } = req.body || {};
+      if (!isNullifier(req.params.nullifier)) {
+        return badRequest(res, "Invalid nullifier hash");
+      }
+      if (!optionalReason(reason)) return badRequest(res, "Invalid reason");
+      send(
+        res,
+        await admin.revoke(req.params.nullifier, { reason, admin: req.admin }),
+      );
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/admin/identities/:nullifier/rebind", async (req, res, next) => {
+    try {
+      const { wallet, reason } = req.body || {};
+      if (!isNullifier(req.params.nullifier)) {
+        return badRequest(res, "Invalid nullifier hash");
+      }
+      if (!isAddress(wallet)) return badRequest(res, "Invalid wallet address");
+      if (!optionalReason(reason)) return badRequest(res, "Invalid reason");
+      send(
+        res,
+        await admin.rebind(req.params.nullifier, {
+          wallet: wallet.toLowerCase(),
+          reason,
+          admin: req.admin,
+        }),
+      );
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/admin/export", async (req, res, next) => {
+    try {
+      send(res, await admin.exportIdentities({ admin: req.admin }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/admin/import", async (req, res, next) => {
+    try {
+      const { bundle } = req.body || {};
+      if (!bundle || typeof bundle !== "object") {
+        return badRequest(res, "Missing export bundle");
+      }
+      send(res, await admin.importIdentities(bundle, { admin: req.admin }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,271 @@
+const { encryptBundle, decryptBundle } = require("./bundle");
+const log = require("../observability").log.child({ component: "admin" });
+
+const isAddress = (value) =>
+  typeof value === "string" && /^0x[a-f0-9]{40}$/.test(value);
+
+const now = () => new Date().toISOString();
+
+/**
+ * Operator actions on the nullifier <-> wallet bindings the issuer keeps.
+ * Changes to one identity hold its registration lock, so they can't
+ * interleave with a credential being issued for the same nullifier, and
+ * every change is appended to that identity's history.
+ *
+ * Results follow the relayer's shape: `{ success, ... }` or
+ * `{ success: false, status, error }`.
+ *
+ * @param {object} options
+ * @param {object} options.storage Issuer storage, see ../storage
+ * @param {{ acquire: Function, release: Function }} options.locks Registration locks
+ * @param {string} [options.exportKey] Passphrase for export bundles
+ * @param {object} [options.audit] Issuance audit log, see ../audit
+ */
+function createIdentityAdmin({ storage, locks, exportKey, audit }) {
+  async function list({ query, status, offset = 0, limit = 50 } = {}) {
+    const needle = query?.toLowerCase();
+    const matches = (await storage.listIdentities())
+      .filter(
+        (identity) =>
+          (!status || identity.status === status) &&
+          (!needle ||
+            identity.nullifier.toLowerCase().includes(needle) ||
+            identity.wallet?.includes(needle)),
+      )
+      .sort((a, b) => a.nullifier.localeCompare(b.nullifier));
+    return {
+      success: true,
+      total: matches.length,
+      identities: matches.slice(offset, offset + limit),
+    };
+  }
+
+  async function get(nullifier) {
+    const [identity, history] = await Promise.all([
+      storage.getIdentity(nullifier),
+      storage.getHistory(nullifier),
+    ]);
+    if (!identity) {
+      return { success: false, status: 404, error: "Unknown identity" };
+    }
+    return { success: true, identity: { nullifier, ...identity }, history };
+  }
+
+  async function withLock(nullifier, action) {
+    const token = await locks.acquire(nullifier);
+    if (!token) {
+      return {
+        success: false,
+        status: 409,
+        error: "Registration already in progress for this identity",
+      };
+    }
+    try {
+      return await action();
+    } finally {
+      await locks.release(nullifier, token).catch(() => {});
+    }
+  }
+
+  /**
+   * Blocks the nullifier from ever receiving a credential again. Unknown
+   * nullifiers can be revoked too, ahead of their first registration.
+   */
+  function revoke(nullifier, { reason, admin }) {
+    return withLock(nullifier, async () => {
+      const existing = await storage.getIdentity(nullifier);
+      if (existing?.status === "revoked") {
+        return {
+          success: false,
+          status: 409,
+          error: "Identity already revoked",
+        };
+      }
+
+      const record = {
+        ...existing,
+        wallet: existing?.wallet ?? null,
+        status: "revoked",
+        revokedAt: now(),
+      };
+      await storage.bindIdentity(nullifier, record, {
+        history: [
+          {
+            action: "revoked",
+            wallet: record.wallet,
+            reason,
+            by: admin,
+            at: now(),
+          },
+        ],
+      });
+      await audit?.record("admin_revoked", { nullifier, reason, by: admin });
+      log.info("Identity revoked", { admin, nullifier });
+      return { success: true, identity: { nullifier, ...record } };
+    });
+  }
+
+  /**
+   * Points an identity at a different wallet without the on-chain checks
+   * the issuance flow applies. The wallet must not belong to another
+   * identity.
+   */
+  function rebind(nullifier, { wallet, reason, admin }) {
+    return withLock(nullifier, async () => {
+      const existing = await storage.getIdentity(nullifier);
+      if (!existing) {
+        return { success: false, status: 404, error: "Unknown identity" };
+      }
+      if (existing.status === "revoked") {
+        return {
+          success: false,
+          status: 409,
+          error: "Revoked identities can't be rebound",
+        };
+      }
+      if (existing.wallet === wallet) {
+        return {
+          success: false,
+          status: 409,
+          error: "Identity is already bound to this wallet",
+        };
+      }
+
+      const record = { ...existing, wallet };
+      const bound = await storage.bindIdentity(nullifier, record, {
+        history: [
+          {
+            action: "force_rebound",
+            from: existing.wallet,
+            wallet,
+            reason,
+            by: admin,
+            at: now(),
+          },
+        ],
+      });
+      if (!bound) {
+        return {
+          success: false,
+          status: 409,
+          error: "Wallet is bound to another identity",
+        };
+      }
+      await audit?.record("admin_rebound", {
+        nullifier,
+        from: existing.wallet,
+        wallet,
+        reason,
+        by: admin,
+      });
+      log.info("Identity rebound", {
+        admin,
+        nullifier,
+        from: existing.wallet,
+        wallet,
+      });
+      return { success: true, identity: { nullifier, ...record } };
+    });
+  }
+
+  const exportDisabled = {
+    success: false,
+    status: 503,
+    error: "Export is disabled: ADMIN_EXPORT_KEY is not set",
+  };
+
+  async function exportIdentities({ admin }) {
+    if (!exportKey) return exportDisabled;
+
+    const identities = await Promise.all(
+      (
+        await storage.listIdentities()
+      ).map(async ({ nullifier, ...record }) => ({
+        nullifier,
+        record,
+        history: await storage.getHistory(nullifier),
+      })),
+    );
+    log.info("Identities exported", { admin, count: identities.length });
+    return {
+      success: true,
+      count: identities.length,
+      bundle: encryptBundle(
+        { exportedAt: now(), exportedBy: admin, identities },
+        exportKey,
+      ),
+    };
+  }
+
+  /**
+   * Restores an export into this storage. Identities that already exist,
+   * or whose wallet is bound to a different identity here, are left alone.
+   */
+  async function importIdentities(bundle, { admin }) {
+    if (!exportKey) return exportDisabled;
+
+    let payload;
+    try {
+      payload = decryptBundle(bundle, exportKey);
+    } catch (err) {
+      return { success: false, status: 400, error: err.message };
+    }
+    if (!Array.isArray(payload.identities)) {
+      return { success: false, status: 400, error: "Export bundle is empty" };
+    }
+
+    const result = { imported: 0, skipped: [], conflicts: [], invalid: 0 };
+    for (const { nullifier, record, history } of payload.identities) {
+      if (
+        typeof nullifier !== "string" ||
+        typeof record?.status !== "string" ||
+        !(record.wallet === null || isAddress(record.wallet))
+      ) {
+        result.invalid += 1;
+        continue;
+      }
+
+      const outcome = await withLock(nullifier, async () => {
+        if (await storage.getIdentity(nullifier)) return "skipped";
+        const bound = await storage.bindIdentity(nullifier, record, {
+          history: [
+            ...(Array.isArray(history) ? history : []),
+            { action: "imported", by: admin, at: now() },
+          ],
+        });
+        if (!bound) return "conflicts";
+        await audit?.record("admin_imported", {
+          nullifier,
+          wallet: record.wallet,
+          status: record.status,
+          by: admin,
+        });
+        return "imported";
+      });
+
+      // A held lock means that identity is being registered right now
+      const bucket = typeof outcome === "string" ? outcome : "conflicts";
+      if (bucket === "imported") result.imported += 1;
+      else result[bucket].push(nullifier);
+    }
+
+    log.info("Identities imported", {
+      admin,
+      imported: result.imported,
+      skipped: result.skipped.length,
+      conflicts: result.conflicts.length,
+    });
+    return { success: true, ...result };
+  }
+
+  return {
+    list,
+    get,
+    revoke,
+    rebind,
+    exportIdentities,
+    importIdentities,
+  };
+}
+
+module.exports = { createIdentityAdmin };
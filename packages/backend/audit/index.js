@@ -0,0 +1,17 @@
+const {
+  GENESIS_HASH,
+  canonicalJson,
+  hashEntry,
+  verifyAuditEntries,
+  createAuditLog,
+} = require("./log");
+const { createAuditRouter } = require("./routes");
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  hashEntry,
+  verifyAuditEntries,
+  createAuditLog,
+  createAuditRouter,
+};
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+
+const GENESIS_HASH = `0x${"00".repeat(32)}`;
+const MAX_APPEND_ATTEMPTS = 25;
+
+// JSON with object keys sorted, so a hash doesn't depend on insertion order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** sha256 over every field except `hash` itself. */
+function hashEntry({ hash, ...entry }) {
+  return `0x${crypto
+    .createHash("sha256")
+    .update(canonicalJson(entry))
+    .digest("hex")}`;
+}
+
+/**
+ * Checks that `entries` form an unbroken chain starting after `previous`
+ * (genesis when omitted). Needs nothing but the exported entries, so
+ * reviewers can run it offline.
+ *
+ * @returns {{ valid: boolean, length: number, head: string, brokenAt?: number, error?: string }}
+ */
+function verifyAuditEntries(
+  entries,
+  previous = { seq: 0, hash: GENESIS_HASH },
+) {
+  let { seq, hash } = previous;
+  for (const entry of entries) {
+    const fail = (error) => ({
+      valid: false,
+      length: entries.length,
+      head: hash,
+      brokenAt: entry.seq,
+      error,
+    });
+    if (entry.seq !== seq + 1) return fail(`Expected entry ${seq + 1}`);
+    if (entry.prevHash !== hash) return fail("prevHash does not match");
+    if (hashEntry(entry) !== entry.hash) return fail("Entry hash mismatch");
+    ({ seq, hash } = entry);
+  }
+  return { valid: true, length: entries.length, head: hash };
+}
+
+/**
+ * Append-only, hash-chained record of issuance decisions. Every entry
+ * carries the hash of the one before it, so editing, dropping or reordering
+ * entries breaks the chain from that point on.
+ *
+ * Nullifiers are never written in the clear: entries carry
+ * HMAC-SHA256(salt, nullifier), which still links decisions about the same
+ * person without revealing their World ID nullifier to log readers.
+ *
+ * @param {object} options
+ * @param {object} options.storage Issuer storage, see ../storage
+ * @param {string} [options.salt] Secret nullifier salt; when omitted one is
+ *   generated once and kept in storage so every instance shares it
+ * @param {string} [options.name] Log name in storage
+ */
+function createAuditLog({ storage, salt, name = "audit" }) {
+  let saltPromise = null;
+  function getSalt() {
+    if (salt) return Promise.resolve(salt);
+    if (!saltPromise) {
+      saltPromise = (async () => {
+        await storage.set(
+          `${name}:salt`,
+          crypto.randomBytes(32).toString("hex"),
+          { onlyIfAbsent: true },
+        );
+        return storage.get(`${name}:salt`);
+      })();
+      saltPromise.catch(() => {
+        saltPromise = null;
+      });
+    }
+    return saltPromise;
+  }
+
+  async function hashNullifier(nullifier) {
+    return `0x${crypto
+      .createHmac("sha256", await getSalt())
+      .update(String(nullifier).toLowerCase())
+      .digest("hex")}`;
+  }
+
+  /**
+   * Appends one decision. `fields.nullifier` is replaced by its salted hash.
+   * Throws if the entry can't be written, so callers fail closed.
+   */
+  async function record(type, { nullifier, ...fields } = {}) {
+    const details = {
+      ...fields,
+      ...(nullifier ? { nullifierHash: await hashNullifier(nullifier) } : {}),
+    };
+
+    for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+      const head = await storage.getLogHead(name);
+      const entry = {
+        seq: (head?.seq ?? 0) + 1,
+        type,
+        at: new Date().toISOString(),
+        ...details,
+        prevHash: head?.hash ?? GENESIS_HASH,
+      };
+      entry.hash = hashEntry(entry);
+
+      // Another writer moved the head: rebuild on top of its entry
+      if (await storage.appendLog(name, entry, head?.hash ?? null)) {
+        return entry;
+      }
+    }
+    throw new Error("Audit log is too contended to append");
+  }
+
+  function read({ afterSeq = 0, limit } = {}) {
+    return storage.readLog(name, { afterSeq, limit });
+  }
+
+  /** Walks the whole stored chain. */
+  async function verify() {
+    return verifyAuditEntries(await storage.readLog(name));
+  }
+
+  return { hashNullifier, record, read, verify };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  hashEntry,
+  verifyAuditEntries,
+  createAuditLog,
+};
@@ -0,0 +1,76 @@
+const express = require("express");
+const { verifyAuditEntries } = require("./log");
+
+/**
+ * Read-only audit endpoints for reviewers:
+ *
+ *   GET /audit/log?after=&limit=   one page of entries, oldest first
+ *   GET /audit/verify              recomputes the whole hash chain
+ *   GET /audit/export              every entry plus the verification result
+ *
+ * @param {object} audit See ./log.js
+ */
+function createAuditRouter(audit, { maxPageSize = 1000 } = {}) {
+  const router = express.Router();
+
+  router.get("/audit/log", async (req, res, next) => {
+    try {
+      const afterSeq = Number(req.query.after ?? 0);
+      const limit = Number(req.query.limit ?? 100);
+      if (!Number.isInteger(afterSeq) || afterSeq < 0) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid cursor" });
+      }
+      if (!Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+        return res.status(400).json({
+          success: false,
+          error: `Limit must be between 1 and ${maxPageSize}`,
+        });
+      }
+
+      const entries = await audit.read({ afterSeq, limit });
+      res.json({
+        success: true,
+        entries,
+        next: entries.length === limit ? entries[entries.length - 1].seq : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/audit/verify", async (req, res, next) => {
+    try {
+      res.json({ success: true, ...(await audit.verify()) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/audit/export", async (req, res, next) => {
+    try {
+      const entries = await audit.read();
+      const verification = verifyAuditEntries(entries);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="issuer-audit-${verification.head.slice(
+          2,
+          10,
+        )}.json"`,
+      );
+      res.json({
+        success: true,
+        exportedAt: new Date().toISOString(),
+        verification,
+        entries,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAuditRouter };
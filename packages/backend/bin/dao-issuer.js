@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+/**
+ * Operator CLI for the credential issuer. Works on the same storage as the
+ * running server, configured through the same environment (see config.js).
+ *
+ * Usage: dao-issuer <command> [options]   (dao-issuer --help for the list)
+ * Env: STORAGE_BACKEND, REDIS_URL / SQLITE_PATH, RPC_URL,
+ *      DID_REGISTRY_ADDRESS, ISSUER_PRIVATE_KEY (resign),
+ *      ADMIN_PRIVATE_KEY (rotate-key), AUDIT_SALT
+ */
+
+require("dotenv").config({ quiet: true });
+const os = require("os");
+const { loadConfig } = require("../config");
+const { openIssuerContext, runCli } = require("../cli");
+
+runCli(process.argv.slice(2), {
+  open: async () =>
+    openIssuerContext(loadConfig(), {
+      operator: `cli:${os.userInfo().username}`,
+      adminPrivateKey: process.env.ADMIN_PRIVATE_KEY,
+    }),
+})
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+// Options that never take a value
+const FLAGS = new Set(["json", "help"]);
+
+/**
+ * Splits argv into the command, its positional arguments and `--options`.
+ * Accepts `--name value` and `--name=value`; anything in FLAGS is a boolean.
+ *
+ * @param {string[]} argv Arguments after the script name
+ * @returns {{ command?: string, args: string[], options: object }}
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.has(name)) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      throw new Error(`Option --${name} needs a value`);
+    }
+  }
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+module.exports = { parseArgs };
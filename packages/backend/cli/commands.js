@@ -0,0 +1,230 @@
+const { ethers } = require("ethers");
+const { isValidCommitment } = require("../credentials");
+const { rotateIssuer, nextIssuerKeys } = require("../issuers");
+
+const isAddress = (value) =>
+  typeof value === "string" && /^0x[a-fA-F0-9]{40}$/.test(value);
+
+const fail = (status, error) => ({ success: false, status, error });
+
+/**
+ * The operator CLI's commands. Each resolves to a plain result in the
+ * service shape, `{ success, ... }` or `{ success: false, status, error }`,
+ * which cli/format.js renders for people and `--json` prints as is.
+ *
+ * Chain access is only set up for the commands that need it, so inspecting
+ * storage works without a reachable RPC.
+ *
+ * @param {object} options
+ * @param {object} options.storage Issuer storage, see ../storage
+ * @param {object} options.identities Identity admin, see ../admin/service.js
+ * @param {object} options.audit Issuance audit log, see ../audit
+ * @param {{ acquire: Function, release: Function }} options.locks Registration locks
+ * @param {string} options.operator Recorded as `by` in history and audit entries
+ * @param {string} [options.issuerKeys] Current ISSUER_KEYS, to print the next value
+ * @param {number} [options.credentialTtlSeconds] Shortest overlap a rotation may use
+ * @param {() => Promise<{ registry: object, credentialSigner?: object, ownerRegistry?: object }>} options.chain
+ *   DIDRegistry (read-only), the credential signer and, for key rotation,
+ *   the registry connected to its owner
+ */
+function createIssuerCommands({
+  storage,
+  identities,
+  audit,
+  locks,
+  operator,
+  issuerKeys,
+  credentialTtlSeconds = 0,
+  chain,
+}) {
+  /** Looks an identity up by nullifier, or by the wallet bound to it. */
+  async function inspect(target) {
+    const wallet = isAddress(target) ? target.toLowerCase() : null;
+    const nullifier = wallet
+      ? await storage.getWalletNullifier(wallet)
+      : target;
+    if (!nullifier) return fail(404, "No identity is bound to this wallet");
+    return identities.get(nullifier);
+  }
+
+  function revoke(nullifier, { reason } = {}) {
+    return identities.revoke(nullifier, { reason, admin: operator });
+  }
+
+  function rebind(nullifier, wallet, { reason } = {}) {
+    if (!isAddress(wallet)) return fail(400, "Invalid Ethereum address");
+    return identities.rebind(nullifier, {
+      wallet: wallet.toLowerCase(),
+      reason,
+      admin: operator,
+    });
+  }
+
+  /**
+   * Signs a fresh credential for a wallet that already holds a complete
+   * identity, e.g. after the previous one expired before it was submitted.
+   * The issuer doesn't keep commitments, so the caller supplies it.
+   */
+  async function resign(wallet, { commitment, reason } = {}) {
+    if (!isAddress(wallet)) return fail(400, "Invalid Ethereum address");
+    if (!isValidCommitment(commitment)) {
+      return fail(400, "Invalid commitment: expected a non-zero bytes32");
+    }
+    const normalized = wallet.toLowerCase();
+    const nullifier = await storage.getWalletNullifier(normalized);
+    if (!nullifier) return fail(404, "No identity is bound to this wallet");
+
+    const token = await locks.acquire(nullifier);
+    if (!token) {
+      return fail(409, "Registration already in progress for this identity");
+    }
+    try {
+      const existing = await storage.getIdentity(nullifier);
+      if (existing?.status !== "complete" || existing.wallet !== normalized) {
+        return fail(
+          409,
+          `Identity is ${
+            existing?.status ?? "missing"
+          }; only complete identities can be re-signed`,
+        );
+      }
+
+      const { credentialSigner } = await chain();
+      if (!credentialSigner) {
+        return fail(
+          400,
+          "Re-signing needs the issuer key (ISSUER_PRIVATE_KEY)",
+        );
+      }
+      const { signature, credential } = await credentialSigner.issue(
+        ethers.getAddress(wallet),
+        commitment,
+      );
+      await storage.bindIdentity(nullifier, existing, {
+        history: [
+          {
+            action: "resigned",
+            wallet: normalized,
+            reason,
+            by: operator,
+            at: new Date().toISOString(),
+          },
+        ],
+      });
+      await audit.record("admin_resigned", {
+        wallet: normalized,
+        nullifier,
+        reason,
+        by: operator,
+      });
+      return { success: true, nullifier, signature, credential };
+    } finally {
+      await locks.release(nullifier, token).catch(() => {});
+    }
+  }
+
+  /** On-chain registration next to what the issuer has on record. */
+  async function status(wallet) {
+    if (!isAddress(wallet)) return fail(400, "Invalid Ethereum address");
+    const normalized = wallet.toLowerCase();
+    const { registry } = await chain();
+    const [registered, nullifier] = await Promise.all([
+      registry.hasRegisteredForVoting(ethers.getAddress(wallet)),
+      storage.getWalletNullifier(normalized),
+    ]);
+    const identity = nullifier ? await storage.getIdentity(nullifier) : null;
+    return {
+      success: true,
+      wallet: normalized,
+      registeredOnChain: registered,
+      identity: identity ? { nullifier, ...identity } : null,
+    };
+  }
+
+  /**
+   * Makes `newIssuer` the trusted issuer; the outgoing key stays accepted
+   * for `overlapSeconds` so registrations it signed can still complete.
+   * With `keyFile`, also returns the ISSUER_KEYS the issuer should run with.
+   */
+  async function rotateKey(newIssuer, { overlapSeconds, keyFile } = {}) {
+    if (!isAddress(newIssuer)) return fail(400, "Invalid Ethereum address");
+    if (!(overlapSeconds >= credentialTtlSeconds)) {
+      return fail(
+        400,
+        `The overlap must cover the credential lifetime (${credentialTtlSeconds}s)`,
+      );
+    }
+    const { ownerRegistry } = await chain();
+    if (!ownerRegistry) {
+      return fail(
+        400,
+        "Rotating the issuer needs the registry owner's key (ADMIN_PRIVATE_KEY)",
+      );
+    }
+    const now = Date.now();
+    const validUntil = Math.floor(now / 1000) + overlapSeconds;
+    const rotation = await rotateIssuer({
+      registry: ownerRegistry,
+      newIssuer: ethers.getAddress(newIssuer),
+      validUntil,
+    });
+    await audit.record("issuer_rotated", {
+      from: rotation.previous.toLowerCase(),
+      to: rotation.issuer.toLowerCase(),
+      validUntil,
+      transactions: rotation.transactions,
+      by: operator,
+    });
+    return {
+      success: true,
+      previous: ethers.getAddress(rotation.previous),
+      issuer: rotation.issuer,
+      previousValidUntil: new Date(validUntil * 1000).toISOString(),
+      transactions: rotation.transactions,
+      ...(keyFile
+        ? {
+            keyFile,
+            issuerKeys: nextIssuerKeys(issuerKeys, {
+              keyFile,
+              notAfter: validUntil * 1000,
+              now,
+            }),
+          }
+        : {}),
+    };
+  }
+
+  /** Identity counts per status and the state of the audit chain. */
+  async function stats() {
+    const all = await storage.listIdentities();
+    const byStatus = {};
+    for (const { status: state } of all) {
+      byStatus[state] = (byStatus[state] || 0) + 1;
+    }
+    const [head, verification] = await Promise.all([
+      storage.getLogHead("audit"),
+      audit.verify(),
+    ]);
+    return {
+      success: true,
+      storage: storage.name,
+      identities: {
+        total: all.length,
+        bound: all.filter((identity) => identity.wallet).length,
+        byStatus,
+      },
+      audit: {
+        entries: head?.seq ?? 0,
+        head: head?.hash ?? null,
+        valid: verification.valid,
+        ...(verification.valid
+          ? {}
+          : { brokenAt: verification.brokenAt, error: verification.error }),
+      },
+    };
+  }
+
+  return { inspect, revoke, rebind, resign, status, rotateKey, stats };
+}
+
+module.exports = { createIssuerCommands };
@@ -0,0 +1,105 @@
+const { ethers } = require("ethers");
+const { createStorage } = require("../storage");
+const { createLockManager } = require("../locks");
+const { createIdentityAdmin } = require("../admin");
+const { createAuditLog } = require("../audit");
+const { createCredentialSigner } = require("../credentials");
+const { resolveIssuerKeys, createIssuerKeyring } = require("../issuers");
+const { createIssuerCommands } = require("./commands");
+
+const DID_REGISTRY_ABI = [
+  "function hasRegisteredForVoting(address) view returns (bool)",
+  "function nonces(address) view returns (uint256)",
+  "function trustedIssuer() view returns (address)",
+  "function authorizedIssuers(address) view returns (bool)",
+  "function setTrustedIssuer(address)",
+  "function authorizeIssuer(address)",
+  "function setIssuerValidUntil(address, uint256)",
+];
+
+/**
+ * Opens the issuer's storage the way index.js does (same config, same
+ * lock prefix and audit salt) and builds the CLI commands on top of it.
+ * The RPC provider is only created once a command asks for the chain.
+ *
+ * @param {object} config See ../config.js
+ * @param {object} options
+ * @param {string} options.operator Recorded as `by` on every change
+ * @param {string} [options.adminPrivateKey] DIDRegistry owner, for rotate-key
+ */
+function openIssuerContext(config, { operator, adminPrivateKey }) {
+  // Each process gets its own in-memory store, so there'd be nothing to see
+  if (config.storage.backend === "memory") {
+    throw new Error(
+      "The CLI needs shared storage: set STORAGE_BACKEND to redis or sqlite",
+    );
+  }
+  const storage = createStorage(config.storage.backend, config.storage);
+  const locks = createLockManager(storage, {
+    ttlMs: config.registrationLockTtlMs,
+    prefix: "lock:registration:",
+  });
+  const audit = createAuditLog({ storage, salt: config.auditSalt });
+  const identities = createIdentityAdmin({
+    storage,
+    locks,
+    exportKey: config.adminExportKey,
+    audit,
+  });
+
+  let provider;
+  let chain;
+  function getChain() {
+    if (!chain) {
+      if (!config.rpcUrl || !config.didRegistryAddress) {
+        throw new Error("RPC_URL and DID_REGISTRY_ADDRESS must be set");
+      }
+      provider = new ethers.JsonRpcProvider(config.rpcUrl);
+      const registry = new ethers.Contract(
+        config.didRegistryAddress,
+        DID_REGISTRY_ABI,
+        provider,
+      );
+      const keys = resolveIssuerKeys(config);
+      chain = {
+        registry,
+        credentialSigner: keys.length
+          ? createCredentialSigner({
+              keyring: createIssuerKeyring(keys, { provider }),
+              registry,
+              ttlSeconds: config.credentialTtlSeconds,
+            })
+          : undefined,
+        ownerRegistry: adminPrivateKey
+          ? registry.connect(
+              // Rotation sends several transactions back to back
+              new ethers.NonceManager(
+                new ethers.Wallet(adminPrivateKey, provider),
+              ),
+            )
+          : undefined,
+      };
+    }
+    return chain;
+  }
+
+  const commands = createIssuerCommands({
+    storage,
+    identities,
+    audit,
+    locks,
+    operator,
+    issuerKeys: config.issuerKeys,
+    credentialTtlSeconds: config.credentialTtlSeconds,
+    chain: async () => getChain(),
+  });
+
+  async function close() {
+    provider?.destroy();
+    await storage.close();
+  }
+
+  return { commands, close };
+}
+
+module.exports = { openIssuerContext };
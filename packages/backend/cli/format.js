@@ -0,0 +1,95 @@
+const line = (label, value) => `${`${label}:`.padEnd(16)}${value ?? "-"}`;
+
+function identityLines(identity) {
+  return [
+    line("Nullifier", identity.nullifier),
+    line("Wallet", identity.wallet),
+    line("Status", identity.status),
+    ...(identity.revokedAt ? [line("Revoked at", identity.revokedAt)] : []),
+  ];
+}
+
+function historyLines(history = []) {
+  if (!history.length) return ["History:      (empty)"];
+  return [
+    "History:",
+    ...history.map(({ at, action, wallet, from, by, reason }) =>
+      [
+        `  ${at}  ${action}`,
+        from ? `${from} -> ${wallet}` : wallet,
+        by && `by ${by}`,
+        reason && `(${reason})`,
+      ]
+        .filter(Boolean)
+        .join("  "),
+    ),
+  ];
+}
+
+const FORMATTERS = {
+  inspect: (result) => [
+    ...identityLines(result.identity),
+    ...historyLines(result.history),
+  ],
+  revoke: (result) => ["Revoked.", ...identityLines(result.identity)],
+  rebind: (result) => ["Rebound.", ...identityLines(result.identity)],
+  resign: ({ nullifier, signature, credential }) => [
+    line("Nullifier", nullifier),
+    line("Subject", credential.subject),
+    line("Commitment", credential.commitment),
+    line("Nonce", credential.nonce),
+    line("Expires", new Date(Number(credential.expiry) * 1000).toISOString()),
+    line("Signature", signature),
+  ],
+  status: ({ wallet, registeredOnChain, identity }) => [
+    line("Wallet", wallet),
+    line("On chain", registeredOnChain ? "registered" : "not registered"),
+    ...(identity
+      ? [line("Nullifier", identity.nullifier), line("Issuer", identity.status)]
+      : [line("Issuer", "no identity bound to this wallet")]),
+  ],
+  "rotate-key": ({
+    previous,
+    issuer,
+    previousValidUntil,
+    transactions,
+    keyFile,
+    issuerKeys,
+  }) => [
+    line("Previous", `${previous} (valid until ${previousValidUntil})`),
+    line("Issuer", issuer),
+    ...transactions.map((hash) => line("Transaction", hash)),
+    ...(keyFile
+      ? [
+          line("Key file", keyFile),
+          "Restart the issuer with:",
+          `ISSUER_KEYS='${JSON.stringify(issuerKeys)}'`,
+        ]
+      : ["Add the new key to ISSUER_KEYS and restart the issuer."]),
+  ],
+  stats: ({ storage, identities, audit }) => [
+    line("Storage", storage),
+    line("Identities", identities.total),
+    line("Bound", identities.bound),
+    ...Object.entries(identities.byStatus)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([status, count]) => line(`  ${status}`, count)),
+    line("Audit entries", audit.entries),
+    line("Audit head", audit.head),
+    line(
+      "Audit chain",
+      audit.valid ? "valid" : `BROKEN at ${audit.brokenAt}: ${audit.error}`,
+    ),
+  ],
+};
+
+/**
+ * Renders a command result for a terminal. Failures become a single
+ * `Error: ...` line.
+ */
+function formatResult(command, result) {
+  if (!result.success) return `Error: ${result.error}`;
+  return FORMATTERS[command](result).join("\n");
+}
+
+module.exports = { formatResult };
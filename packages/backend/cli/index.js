@@ -0,0 +1,16 @@
+const { parseArgs } = require("./args");
+const { createIssuerCommands } = require("./commands");
+const { openIssuerContext } = require("./context");
+const { formatResult } = require("./format");
+const { loadOrCreateKeyFile } = require("./keys");
+const { USAGE, runCli } = require("./run");
+
+module.exports = {
+  parseArgs,
+  createIssuerCommands,
+  openIssuerContext,
+  formatResult,
+  loadOrCreateKeyFile,
+  USAGE,
+  runCli,
+};
@@ -0,0 +1,21 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Reads the issuer key in `file`, or generates one and writes it there
+ * (owner read/write only) when the file doesn't exist yet. The key itself
+ * is never printed; only the address leaves this function.
+ *
+ * @returns {{ address: string, created: boolean }}
+ */
+function loadOrCreateKeyFile(file) {
+  if (fs.existsSync(file)) {
+    const key = fs.readFileSync(file, "utf8").trim();
+    return { address: new ethers.Wallet(key).address, created: false };
+  }
+  const wallet = ethers.Wallet.createRandom();
+  fs.writeFileSync(file, `${wallet.privateKey}\n`, { mode: 0o600, flag: "wx" });
+  return { address: wallet.address, created: true };
+}
+
+module.exports = { loadOrCreateKeyFile };
@@ -0,0 +1,126 @@
+const path = require("path");
+const { parseArgs } = require("./args");
+const { formatResult } = require("./format");
+const { loadOrCreateKeyFile } = require("./keys");
+
+const USAGE = `Usage: dao-issuer <command> [options]
+
+Commands:
+  inspect <wallet|nullifier>             Identity record and its history
+  revoke <nullifier> [--reason text]     Block the identity from new credentials
+  rebind <nullifier> <wallet> [--reason text]
+                                         Move the identity to another wallet
+  resign <wallet> --commitment 0x...     Sign a fresh credential for a complete identity
+  status <wallet>                        DIDRegistry.hasRegisteredForVoting and the issuer record
+  rotate-key (<address> | --key-file path) [--overlap-hours 24]
+                                         Make another key the trusted issuer, keeping the
+                                         old one valid for the overlap; with --key-file
+                                         the key is read from, or generated into, that
+                                         file and the next ISSUER_KEYS is printed
+  stats                                  Identity counts and audit chain state
+
+Options:
+  --json                                 Print the result as JSON
+  --help                                 Show this help`;
+
+// Positional arguments each command needs before it can run
+const ARITY = {
+  inspect: 1,
+  revoke: 1,
+  rebind: 2,
+  resign: 1,
+  status: 1,
+  "rotate-key": 0,
+  stats: 0,
+};
+
+async function dispatch(commands, command, args, options) {
+  switch (command) {
+    case "inspect":
+      return commands.inspect(args[0]);
+    case "revoke":
+      return commands.revoke(args[0], { reason: options.reason });
+    case "rebind":
+      return commands.rebind(args[0], args[1], { reason: options.reason });
+    case "resign":
+      return commands.resign(args[0], {
+        commitment: options.commitment,
+        reason: options.reason,
+      });
+    case "status":
+      return commands.status(args[0]);
+    case "rotate-key": {
+      const overlapSeconds = Math.round(
+        Number(options["overlap-hours"] ?? 24) * 3600,
+      );
+      if (!options["key-file"]) {
+        return commands.rotateKey(args[0], { overlapSeconds });
+      }
+      const keyFile = path.resolve(options["key-file"]);
+      const { address } = loadOrCreateKeyFile(keyFile);
+      return commands.rotateKey(address, { overlapSeconds, keyFile });
+    }
+    case "stats":
+      return commands.stats();
+  }
+}
+
+/**
+ * Runs one CLI invocation and returns its exit code: 0 on success, 1 when
+ * the command failed, 2 for usage errors.
+ *
+ * @param {string[]} argv Arguments after the script name
+ * @param {object} options
+ * @param {() => Promise<{ commands: object, close: Function }>} options.open
+ *   Opens storage and builds the commands, see ./context.js
+ * @param {{ write: Function }} [options.stdout]
+ * @param {{ write: Function }} [options.stderr]
+ */
+async function runCli(
+  argv,
+  { open, stdout = process.stdout, stderr = process.stderr },
+) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    stderr.write(`${err.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { command, args, options } = parsed;
+  if (options.help || !command) {
+    (command ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+  if (!(command in ARITY) || args.length < ARITY[command]) {
+    stderr.write(
+      `${
+        command in ARITY
+          ? `Missing arguments for ${command}`
+          : `Unknown command "${command}"`
+      }\n\n${USAGE}\n`,
+    );
+    return 2;
+  }
+
+  const { commands, close } = await open();
+  let result;
+  try {
+    result = await dispatch(commands, command, args, options);
+  } catch (err) {
+    result = { success: false, error: err.shortMessage || err.message };
+  } finally {
+    await close();
+  }
+
+  if (options.json) {
+    stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    (result.success ? stdout : stderr).write(
+      `${formatResult(command, result)}\n`,
+    );
+  }
+  return result.success ? 0 : 1;
+}
+
+module.exports = { USAGE, runCli };
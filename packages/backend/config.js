@@ -0,0 +1,30 @@
+/**
+ * Settings shared by the server (index.js) and the operator CLI
+ * (bin/dao-issuer.js), so both open the same storage and sign with the
+ * same key. Server-only settings are still read where they are used.
+ *
+ * @param {object} [env] Defaults to process.env
+ */
+function loadConfig(env = process.env) {
+  return {
+    storage: {
+      // "redis", "sqlite" or "memory". Without REDIS_URL the issuer runs
+      // in-process, which is fine for local development but not for
+      // multiple instances.
+      backend: env.STORAGE_BACKEND || (env.REDIS_URL ? "redis" : "memory"),
+      redisUrl: env.REDIS_URL,
+      sqlitePath: env.SQLITE_PATH || "./data/issuer.db",
+    },
+    rpcUrl: env.RPC_URL,
+    issuerPrivateKey: env.ISSUER_PRIVATE_KEY,
+    // JSON key set with validity windows, see issuers/keys.js
+    issuerKeys: env.ISSUER_KEYS,
+    didRegistryAddress: env.DID_REGISTRY_ADDRESS,
+    credentialTtlSeconds: Number(env.CREDENTIAL_TTL_SECONDS || 3600),
+    auditSalt: env.AUDIT_SALT,
+    adminExportKey: env.ADMIN_EXPORT_KEY,
+    registrationLockTtlMs: Number(env.REGISTRATION_LOCK_TTL_MS || 30000),
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+
+// CIDv1 header: version 1, raw codec (0x55), sha2-256 multihash of 32 bytes
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = "abcdefghijklmnopqrstuvwxyz234567";
+const CID_PATTERN = /^bafkrei[a-z2-7]{52}$/;
+
+/**
+ * IPFS splits files into 256 KiB blocks. Anything up to one block is stored
+ * as a single raw block, so its CID (as `ipfs add --cid-version=1` computes
+ * it) is just the sha-256 of the bytes; content is capped there so the CID
+ * can be computed and checked without a UnixFS encoder.
+ */
+const MAX_CONTENT_BYTES = 256 * 1024;
+
+function base32(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function fromBase32(text) {
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const char of text) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+const sha256 = (bytes) => crypto.createHash("sha256").update(bytes).digest();
+
+/** CIDv1 (raw, sha2-256, base32) of `bytes`, e.g. "bafkrei…". */
+function computeCid(bytes) {
+  return "b" + base32(Buffer.concat([CID_PREFIX, sha256(bytes)]));
+}
+
+const isCid = (value) => typeof value === "string" && CID_PATTERN.test(value);
+
+/** @returns {Buffer} The sha-256 digest a CID commits to */
+function cidDigest(cid) {
+  if (!isCid(cid)) throw new Error(`Not a raw sha2-256 CIDv1: ${cid}`);
+  return fromBase32(cid.slice(1)).subarray(CID_PREFIX.length);
+}
+
+/** Whether `bytes` hash to `cid`. */
+const matchesCid = (cid, bytes) => sha256(bytes).equals(cidDigest(cid));
+
+module.exports = {
+  MAX_CONTENT_BYTES,
+  computeCid,
+  isCid,
+  cidDigest,
+  matchesCid,
+};
@@ -0,0 +1,52 @@
+const {
+  MAX_CONTENT_BYTES,
+  computeCid,
+  isCid,
+  cidDigest,
+  matchesCid,
+} = require("./cid");
+const { createLocalContentStore } = require("./local");
+const { createKuboContentStore } = require("./kubo");
+const { createPinataContentStore } = require("./pinata");
+const { createContentService } = require("./service");
+const { createContentRouter } = require("./routes");
+
+/**
+ * Content store adapters. Each exposes `name`, `put(bytes, cid) -> cid`
+ * (the CID it stored the bytes under) and `get(cid) -> Buffer | null`.
+ */
+const STORES = {
+  local: (options) => createLocalContentStore({ dir: options.dir }),
+  kubo: (options) => createKuboContentStore({ apiUrl: options.kuboApiUrl }),
+  pinata: (options) =>
+    createPinataContentStore({
+      jwt: options.pinataJwt,
+      gatewayUrl: options.pinataGatewayUrl,
+    }),
+};
+
+function createContentStore(name, options = {}) {
+  const factory = STORES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown content store "${name}". Expected one of: ${Object.keys(
+        STORES,
+      ).join(", ")}`,
+    );
+  }
+  return factory(options);
+}
+
+module.exports = {
+  MAX_CONTENT_BYTES,
+  computeCid,
+  isCid,
+  cidDigest,
+  matchesCid,
+  createContentStore,
+  createLocalContentStore,
+  createKuboContentStore,
+  createPinataContentStore,
+  createContentService,
+  createContentRouter,
+};
@@ -0,0 +1,42 @@
+const axios = require("axios");
+
+/**
+ * Content store backed by a Kubo (go-ipfs) node's RPC API. Content is
+ * added as CIDv1 and pinned, so it stays available to any IPFS gateway.
+ * Reads only look in the node's own blockstore (`offline`), so a missing
+ * CID fails fast instead of searching the network.
+ */
+function createKuboContentStore({
+  apiUrl = "http://127.0.0.1:5001",
+  timeout = 15000,
+} = {}) {
+  const base = `${apiUrl.replace(/\/$/, "")}/api/v0`;
+
+  async function put(bytes) {
+    const form = new FormData();
+    form.append("file", new Blob([bytes]), "content.json");
+    const { data } = await axios.post(`${base}/add`, form, {
+      params: { "cid-version": 1, pin: true },
+      timeout,
+    });
+    return data.Hash;
+  }
+
+  async function get(cid) {
+    const response = await axios.post(`${base}/cat`, null, {
+      params: { arg: cid, offline: true },
+      responseType: "arraybuffer",
+      timeout,
+      validateStatus: () => true,
+    });
+    if (response.status === 200) return Buffer.from(response.data);
+    // Kubo answers 500 with a "not found" message for unknown blocks
+    const message = Buffer.from(response.data || "").toString();
+    if (/not found/i.test(message)) return null;
+    throw new Error(`Kubo cat failed (${response.status}): ${message}`);
+  }
+
+  return { name: "kubo", put, get };
+}
+
+module.exports = { createKuboContentStore };
@@ -0,0 +1,36 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+/**
+ * Content store on the local filesystem, one file per CID. For offline
+ * development and single-instance deployments; nothing is published to
+ * IPFS.
+ */
+function createLocalContentStore({ dir = "./data/content" } = {}) {
+  const root = path.resolve(dir);
+  // CIDs are validated before they reach a store, so they are safe file names
+  const fileOf = (cid) => path.join(root, cid);
+
+  async function put(bytes, cid) {
+    await fs.mkdir(root, { recursive: true });
+    const file = fileOf(cid);
+    // Write-then-rename so a reader never sees a partial file
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmp, bytes);
+    await fs.rename(tmp, file);
+    return cid;
+  }
+
+  async function get(cid) {
+    try {
+      return await fs.readFile(fileOf(cid));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  return { name: "local", put, get };
+}
+
+module.exports = { createLocalContentStore };
@@ -0,0 +1,43 @@
+const axios = require("axios");
+
+/**
+ * Content store backed by Pinata: pins through the pinning API and reads
+ * back through a gateway. The JWT stays on the server, unlike the old
+ * browser upload that shipped the secret key in the bundle.
+ */
+function createPinataContentStore({
+  jwt,
+  apiUrl = "https://api.pinata.cloud",
+  gatewayUrl = "https://gateway.pinata.cloud",
+  timeout = 15000,
+}) {
+  if (!jwt) throw new Error("Pinata content store requires PINATA_JWT");
+  const api = apiUrl.replace(/\/$/, "");
+  const gateway = gatewayUrl.replace(/\/$/, "");
+
+  async function put(bytes) {
+    const form = new FormData();
+    form.append("file", new Blob([bytes]), "content.json");
+    form.append("pinataOptions", JSON.stringify({ cidVersion: 1 }));
+    const { data } = await axios.post(`${api}/pinning/pinFileToIPFS`, form, {
+      headers: { Authorization: `Bearer ${jwt}` },
+      timeout,
+    });
+    return data.IpfsHash;
+  }
+
+  async function get(cid) {
+    const response = await axios.get(`${gateway}/ipfs/${cid}`, {
+      responseType: "arraybuffer",
+      timeout,
+      validateStatus: () => true,
+    });
+    if (response.status === 200) return Buffer.from(response.data);
+    if (response.status === 404) return null;
+    throw new Error(`Pinata gateway returned ${response.status}`);
+  }
+
+  return { name: "pinata", put, get };
+}
+
+module.exports = { createPinataContentStore };
@@ -0,0 +1,71 @@
+const express = require("express");
+const { isCid } = require("./cid");
+
+/**
+ * POST /content        stores the JSON body as sent, returns `{ cid, size }`
+ * GET  /content/:cid   the stored bytes, immutable
+ *
+ * The upload route reads the raw body itself, so the CID covers exactly
+ * the bytes the client sent and the client can check it; mount it before
+ * the app-wide JSON parser runs on /content.
+ *
+ * @param {object} content See ./service.js
+ */
+function createContentRouter(content) {
+  const router = express.Router();
+
+  const fail = (res, { status = 500, ...result }) =>
+    res.status(status).json(result);
+
+  router.post(
+    "/content",
+    express.raw({ type: "application/json", limit: content.maxBytes }),
+    async (req, res, next) => {
+      try {
+        if (!Buffer.isBuffer(req.body)) {
+          return res.status(400).json({
+            success: false,
+            error: "Content must be sent as application/json",
+          });
+        }
+        try {
+          JSON.parse(req.body.toString("utf8"));
+        } catch {
+          return res.status(400).json({
+            success: false,
+            error: "Request body is not valid JSON",
+            code: "invalid_json",
+          });
+        }
+        const result = await content.put(req.body);
+        if (!result.success) return fail(res, result);
+        res.status(201).json(result);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  router.get("/content/:cid", async (req, res, next) => {
+    try {
+      if (!isCid(req.params.cid)) {
+        return res.status(400).json({ success: false, error: "Invalid CID" });
+      }
+      const result = await content.get(req.params.cid);
+      if (!result.success) return fail(res, result);
+      res.set({
+        "Content-Type": "application/json; charset=utf-8",
+        "Cache-Control": "public, max-age=31536000, immutable",
+        ETag: `"${req.params.cid}"`,
+        "X-Content-Type-Options": "nosniff",
+      });
+      res.send(result.bytes);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createContentRouter };
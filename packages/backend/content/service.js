@@ -0,0 +1,69 @@
+const log = require("../observability").log.child({ component: "content" });
+const { MAX_CONTENT_BYTES, computeCid, isCid, matchesCid } = require("./cid");
+
+/**
+ * Content-addressed JSON documents (proposal metadata) on top of a store
+ * adapter (see ./index.js). The CID is computed here, so remote stores are
+ * held to it both ways: a pin that comes back under a different CID is an
+ * error, and bytes read back are re-hashed before they are served.
+ *
+ * @param {object} options
+ * @param {{ name: string, put: Function, get: Function }} options.store
+ * @param {number} [options.maxBytes]
+ */
+function createContentService({ store, maxBytes = MAX_CONTENT_BYTES }) {
+  if (maxBytes > MAX_CONTENT_BYTES) {
+    throw new Error(
+      `Content larger than ${MAX_CONTENT_BYTES} bytes is not supported`,
+    );
+  }
+
+  /** @returns {Promise<{ success: true, cid: string, size: number }>} */
+  async function put(bytes) {
+    if (bytes.length > maxBytes) {
+      return {
+        success: false,
+        status: 413,
+        code: "payload_too_large",
+        error: `Content must be at most ${maxBytes} bytes`,
+      };
+    }
+    const cid = computeCid(bytes);
+    const stored = await store.put(bytes, cid);
+    if (stored !== cid) {
+      throw new Error(
+        `${store.name} stored content as ${stored}, expected ${cid}`,
+      );
+    }
+    log.info("Content stored", { cid, size: bytes.length, store: store.name });
+    return { success: true, cid, size: bytes.length };
+  }
+
+  /** @returns {Promise<{ success: true, bytes: Buffer }>} */
+  async function get(cid) {
+    if (!isCid(cid)) {
+      return { success: false, status: 400, error: "Invalid CID" };
+    }
+    const bytes = await store.get(cid);
+    if (!bytes) {
+      return { success: false, status: 404, error: "Content not found" };
+    }
+    if (!matchesCid(cid, bytes)) {
+      log.error("Stored content does not match its CID", {
+        cid,
+        store: store.name,
+      });
+      return {
+        success: false,
+        status: 502,
+        code: "content_mismatch",
+        error: "Stored content does not match its CID",
+      };
+    }
+    return { success: true, bytes };
+  }
+
+  return { name: store.name, maxBytes, put, get };
+}
+
+module.exports = { createContentService };
@@ -0,0 +1,105 @@
+/**
+ * EIP-712 voter credentials accepted by DIDRegistry.registerVoterForDAO.
+ * The domain pins the credential to one chain and one registry deployment;
+ * the message binds it to the subject wallet, the ZK commitment, the
+ * subject's current registry nonce and an expiry timestamp.
+ */
+
+const CREDENTIAL_DOMAIN_NAME = "DIDRegistry";
+const CREDENTIAL_DOMAIN_VERSION = "1";
+
+const CREDENTIAL_TYPES = {
+  VoterCredential: [
+    { name: "subject", type: "address" },
+    { name: "commitment", type: "bytes32" },
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+};
+
+function isValidCommitment(commitment) {
+  return (
+    typeof commitment === "string" &&
+    /^0x[a-fA-F0-9]{64}$/.test(commitment) &&
+    BigInt(commitment) !== 0n
+  );
+}
+
+/**
+ * Credentials are signed with the keyring's current key and never outlive
+ * it, so the registry can stop accepting a retired key at its `notAfter`.
+ *
+ * @param {object} options
+ * @param {import("ethers").Signer} [options.signer] Issuer wallet, when there is only one key
+ * @param {object} [options.keyring] Issuer key set, see ./issuers
+ * @param {import("ethers").Contract} options.registry DIDRegistry (needs `nonces`)
+ * @param {number} options.ttlSeconds Credential lifetime
+ * @param {() => number} [options.now]
+ */
+function createCredentialSigner({
+  signer,
+  keyring,
+  registry,
+  ttlSeconds = 3600,
+  now = Date.now,
+}) {
+  const keys = keyring || {
+    current: () => ({ signer, address: signer.address, notAfter: null }),
+  };
+  let domainPromise;
+
+  const getDomain = () => {
+    if (!domainPromise) {
+      domainPromise = (async () => ({
+        name: CREDENTIAL_DOMAIN_NAME,
+        version: CREDENTIAL_DOMAIN_VERSION,
+        chainId: (await keys.current().signer.provider.getNetwork()).chainId,
+        verifyingContract: await registry.getAddress(),
+      }))();
+      domainPromise.catch(() => {
+        domainPromise = undefined;
+      });
+    }
+    return domainPromise;
+  };
+
+  async function issue(subject, commitment) {
+    const key = keys.current();
+    const domain = await getDomain();
+    const nonce = await registry.nonces(subject);
+    const expiry = BigInt(
+      Math.min(
+        Math.floor(now() / 1000) + ttlSeconds,
+        key.notAfter === null ? Infinity : Math.floor(key.notAfter / 1000),
+      ),
+    );
+
+    const credential = { subject, commitment, nonce, expiry };
+    const signature = await key.signer.signTypedData(
+      domain,
+      CREDENTIAL_TYPES,
+      credential,
+    );
+
+    return {
+      signature,
+      issuer: key.address,
+      credential: {
+        subject,
+        commitment,
+        nonce: nonce.toString(),
+        expiry: expiry.toString(),
+      },
+    };
+  }
+
+  return { issue, getDomain };
+}
+
+module.exports = {
+  CREDENTIAL_DOMAIN_NAME,
+  CREDENTIAL_DOMAIN_VERSION,
+  CREDENTIAL_TYPES,
+  isValidCommitment,
+  createCredentialSigner,
+};
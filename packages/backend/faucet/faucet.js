@@ -0,0 +1,85 @@
+const log = require("../observability").log.child({ component: "faucet" });
+
+const reject = (status, code, error) => ({
+  success: false,
+  status,
+  code,
+  error,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Mints test governance tokens so new testers can pass the token gate
+ * without asking an admin. Each wallet and each client IP is served once;
+ * both claims are taken before minting and given back if the mint fails.
+ *
+ * @param {object} options
+ * @param {import("ethers").Contract} options.token GovernanceToken connected to a minter wallet
+ * @param {bigint} options.amount Base units minted per claim
+ * @param {object} options.storage Claim records, see ../storage
+ * @param {{ acquire: Function, release: Function }} options.lock Serialises minter nonces across instances
+ */
+function createFaucet({ token, amount, storage, lock, prefix = "faucet:" }) {
+  async function acquireMintLock() {
+    for (let attempt = 0; attempt < 40; attempt++) {
+      const lockToken = await lock.acquire("minter");
+      if (lockToken) return lockToken;
+      await sleep(250);
+    }
+    return null;
+  }
+
+  async function mint(wallet) {
+    const lockToken = await acquireMintLock();
+    if (!lockToken) throw new Error("Faucet is busy");
+    try {
+      return await token.mint(wallet, amount);
+    } finally {
+      await lock.release("minter", lockToken).catch(() => {});
+    }
+  }
+
+  /**
+   * @param {string} wallet Lower-case address
+   * @param {string} ip Client IP
+   * @returns {Promise<{ success: true, txHash: string, amount: string } | { success: false, status: number, code: string, error: string }>}
+   */
+  async function drip(wallet, ip) {
+    const walletKey = `${prefix}wallet:${wallet}`;
+    const ipKey = `${prefix}ip:${ip}`;
+    const claim = JSON.stringify({ wallet, at: new Date().toISOString() });
+
+    if (!(await storage.set(walletKey, claim, { onlyIfAbsent: true }))) {
+      return reject(
+        409,
+        "already_funded",
+        "This wallet has already received test tokens",
+      );
+    }
+    if (!(await storage.set(ipKey, claim, { onlyIfAbsent: true }))) {
+      await storage.del(walletKey);
+      return reject(
+        429,
+        "ip_already_funded",
+        "Test tokens were already sent to a wallet from this address",
+      );
+    }
+
+    try {
+      const tx = await mint(wallet);
+      const receipt = await tx.wait();
+      log.info("Test tokens minted", { wallet, txHash: receipt.hash });
+      return { success: true, txHash: receipt.hash, amount: amount.toString() };
+    } catch (err) {
+      // Nothing was sent: let the wallet and IP try again
+      await Promise.all([storage.del(walletKey), storage.del(ipKey)]);
+      log.error("Test token mint failed", { wallet, err });
+      return reject(502, "mint_failed", "Minting test tokens failed");
+    }
+  }
+
+  return { amount, drip };
+}
+
+module.exports = { createFaucet };
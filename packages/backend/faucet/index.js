@@ -0,0 +1,4 @@
+const { createFaucet } = require("./faucet");
+const { createFaucetRouter } = require("./routes");
+
+module.exports = { createFaucet, createFaucetRouter };
@@ -0,0 +1,42 @@
+const express = require("express");
+
+/**
+ * GET /faucet — whether test tokens can be requested, and how many.
+ * POST /faucet — body `{ userAddress }`; mints them to that wallet.
+ *
+ * @param {object|null} faucet See ./faucet.js; null when disabled
+ */
+function createFaucetRouter(faucet) {
+  const router = express.Router();
+
+  router.get("/faucet", (req, res) => {
+    res.json({
+      success: true,
+      enabled: Boolean(faucet),
+      amount: faucet ? faucet.amount.toString() : null,
+    });
+  });
+
+  router.post("/faucet", async (req, res, next) => {
+    if (!faucet) {
+      return res.status(503).json({
+        success: false,
+        code: "faucet_disabled",
+        error: "The test token faucet is not available on this network",
+      });
+    }
+    try {
+      const { status = 200, ...result } = await faucet.drip(
+        req.body.userAddress.toLowerCase(),
+        req.ip,
+      );
+      res.status(result.success ? 200 : status).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFaucetRouter };
@@ -0,0 +1,231 @@
+const { ethers } = require("ethers");
+const log = require("../observability").log.child({ component: "gating" });
+
+const TOKEN_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+];
+
+const RULE_TYPES = ["token", "reputation"];
+
+/**
+ * Reads the gating config: either an array of rules or
+ * `{ mode: "all" | "any", rules }`. Rules are
+ *
+ *   { type: "token", token, min, decimals?, holdBlocks?, label? }
+ *       `min` in whole tokens, or "chain" for DAOVoting.minTokensToRegister;
+ *       with `holdBlocks`, the balance must not have dipped below `min` at
+ *       any point in that many blocks
+ *   { type: "reputation", min, label? }
+ *       ReputationManager.getReputationScore(wallet) >= min
+ *
+ * @returns {{ mode: string, rules: object[] }}
+ */
+function parseGateRules(config) {
+  const { mode = "all", rules } = Array.isArray(config)
+    ? { rules: config }
+    : config || {};
+  if (mode !== "all" && mode !== "any") {
+    throw new Error(`Token gate mode must be "all" or "any", got "${mode}"`);
+  }
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error("Token gate needs at least one rule");
+  }
+
+  return {
+    mode,
+    rules: rules.map((rule, index) => {
+      if (!RULE_TYPES.includes(rule?.type)) {
+        throw new Error(`Token gate rule ${index} has an unknown type`);
+      }
+      if (rule.type === "token" && !ethers.isAddress(rule.token)) {
+        throw new Error(`Token gate rule ${index} needs a token address`);
+      }
+      if (rule.min === undefined) {
+        throw new Error(`Token gate rule ${index} needs a minimum`);
+      }
+      // Scores are uint256, compared with BigInt(min) on every check
+      if (rule.type === "reputation" && !/^\d+$/.test(String(rule.min))) {
+        throw new Error(`Token gate rule ${index} has an invalid min`);
+      }
+      const holdBlocks = Number(rule.holdBlocks || 0);
+      if (!Number.isInteger(holdBlocks) || holdBlocks < 0) {
+        throw new Error(`Token gate rule ${index} has an invalid holdBlocks`);
+      }
+      return {
+        ...rule,
+        id: rule.id || `${rule.type}-${index}`,
+        decimals: rule.decimals ?? 18,
+        holdBlocks,
+      };
+    }),
+  };
+}
+
+/**
+ * Registration gate evaluated against live chain state. Every rule reports
+ * what it required and what it found, so callers can show exactly which
+ * condition failed.
+ *
+ * @param {object} options
+ * @param {{ mode: string, rules: object[] }} options.config See parseGateRules
+ * @param {import("ethers").Provider} options.provider
+ * @param {import("ethers").Contract} [options.daoVoting] For `min: "chain"`
+ * @param {import("ethers").Contract} [options.reputationManager] For reputation rules
+ * @param {(address: string) => import("ethers").Contract} [options.getToken]
+ * @param {number} [options.cacheMs] How long on-chain thresholds are reused
+ */
+function createTokenGate({
+  config,
+  provider,
+  daoVoting,
+  reputationManager,
+  getToken = (address) => new ethers.Contract(address, TOKEN_ABI, provider),
+  cacheMs = 60000,
+}) {
+  const { mode, rules } = config;
+  if (rules.some((r) => r.min === "chain") && !daoVoting) {
+    throw new Error('Token gate rule uses min "chain" without DAOVoting');
+  }
+  if (rules.some((r) => r.type === "reputation") && !reputationManager) {
+    throw new Error("Token gate reputation rule needs a ReputationManager");
+  }
+
+  const tokens = new Map();
+  const tokenAt = (address) => {
+    const key = address.toLowerCase();
+    if (!tokens.has(key)) tokens.set(key, getToken(address));
+    return tokens.get(key);
+  };
+
+  let thresholdCache = null;
+  async function chainThreshold() {
+    if (!thresholdCache || Date.now() - thresholdCache.at > cacheMs) {
+      try {
+        const value = await daoVoting.minTokensToRegister();
+        thresholdCache = { value, at: Date.now() };
+      } catch (err) {
+        // An RPC hiccup shouldn't close registration; a stale value is
+        // still the last one the DAO set
+        if (!thresholdCache) throw err;
+        log.warn("Threshold refresh failed, using cached value", { err });
+      }
+    }
+    return thresholdCache.value;
+  }
+
+  const required = (rule) =>
+    rule.min === "chain"
+      ? chainThreshold()
+      : ethers.parseUnits(String(rule.min), rule.decimals);
+
+  /**
+   * Lowest balance over the last `blocks` blocks, worked out backwards from
+   * the current balance through the wallet's transfers, so no archive node
+   * is needed.
+   */
+  async function lowestBalance(token, wallet, blocks) {
+    const [balance, head] = await Promise.all([
+      token.balanceOf(wallet),
+      provider.getBlockNumber(),
+    ]);
+    const fromBlock = Math.max(head - blocks + 1, 0);
+    const [sent, received] = await Promise.all([
+      token.queryFilter(token.filters.Transfer(wallet, null), fromBlock, head),
+      token.queryFilter(token.filters.Transfer(null, wallet), fromBlock, head),
+    ]);
+
+    const seen = new Set();
+    const transfers = [...sent, ...received]
+      .filter((event) => {
+        const id = `${event.transactionHash}:${event.index}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index);
+
+    const self = wallet.toLowerCase();
+    let lowest = balance;
+    let current = balance;
+    for (const { args } of transfers) {
+      const [from, to, value] = args;
+      if (to.toLowerCase() === self) current -= value;
+      if (from.toLowerCase() === self) current += value;
+      if (current < lowest) lowest = current;
+    }
+    return lowest;
+  }
+
+  async function checkRule(rule, wallet) {
+    const base = { id: rule.id, type: rule.type };
+    if (rule.type === "reputation") {
+      const score = await reputationManager.getReputationScore(wallet);
+      return {
+        ...base,
+        label: rule.label || `Reputation of at least ${rule.min}`,
+        passed: score >= BigInt(rule.min),
+        required: String(rule.min),
+        actual: score.toString(),
+      };
+    }
+
+    const token = tokenAt(rule.token);
+    const min = await required(rule);
+    const format = (value) => ethers.formatUnits(value, rule.decimals);
+    const actual = rule.holdBlocks
+      ? await lowestBalance(token, wallet, rule.holdBlocks)
+      : await token.balanceOf(wallet);
+    return {
+      ...base,
+      label:
+        rule.label ||
+        `Hold at least ${format(min)} tokens${
+          rule.holdBlocks ? ` for ${rule.holdBlocks} blocks` : ""
+        }`,
+      passed: actual >= min,
+      token: rule.token,
+      required: format(min),
+      actual: format(actual),
+      ...(rule.holdBlocks ? { holdBlocks: rule.holdBlocks } : {}),
+    };
+  }
+
+  /**
+   * @returns {Promise<{ passed: boolean, mode: string, rules: object[] }>}
+   *   A rule that could not be read counts as failed, with `error` set.
+   */
+  async function check(wallet) {
+    const results = await Promise.all(
+      rules.map((rule) =>
+        checkRule(rule, wallet).catch((err) => {
+          log.error("Gate rule could not be checked", { rule: rule.id, err });
+          return {
+            id: rule.id,
+            type: rule.type,
+            label: rule.label || rule.id,
+            passed: false,
+            error: "Could not read on-chain state",
+          };
+        }),
+      ),
+    );
+    const passed =
+      mode === "all"
+        ? results.every((r) => r.passed)
+        : results.some((r) => r.passed);
+    return { passed, mode, rules: results };
+  }
+
+  /** First failing rule, phrased for an error message. */
+  function explain(report) {
+    const failed = report.rules.find((r) => !r.passed);
+    if (!failed) return null;
+    if (failed.error) return `${failed.label}: ${failed.error}`;
+    return `${failed.label} (you have ${failed.actual})`;
+  }
+
+  return { mode, rules, check, explain };
+}
+
+module.exports = { TOKEN_ABI, parseGateRules, createTokenGate };
@@ -0,0 +1,3 @@
+const { TOKEN_ABI, parseGateRules, createTokenGate } = require("./gate");
+
+module.exports = { TOKEN_ABI, parseGateRules, createTokenGate };
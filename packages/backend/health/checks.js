@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Dependency checks for ./readiness.js. Each `run` resolves to
+ * `{ ok, ...detail }` or throws; `critical` checks gate issuance.
+ */
+
+/** Writes, reads back and deletes a short-lived key. */
+function storageCheck(storage) {
+  return {
+    name: "storage",
+    critical: true,
+    async run() {
+      const key = `ready:probe:${crypto.randomUUID()}`;
+      const value = crypto.randomBytes(8).toString("hex");
+      await storage.set(key, value, { ttlMs: 60000 });
+      const read = await storage.get(key);
+      await storage.del(key);
+      return {
+        ok: read === value,
+        backend: storage.name,
+        ...(read === value ? {} : { error: "Read back a different value" }),
+      };
+    },
+  };
+}
+
+function rpcCheck(provider) {
+  return {
+    name: "rpc",
+    critical: true,
+    async run() {
+      const [blockNumber, network] = await Promise.all([
+        provider.getBlockNumber(),
+        provider.getNetwork(),
+      ]);
+      return { ok: true, blockNumber, chainId: network.chainId.toString() };
+    },
+  };
+}
+
+/**
+ * Credentials are only accepted on-chain when signed by an active issuer.
+ * `issuerAddress` may be a function returning the key currently signing.
+ */
+function trustedIssuerCheck(registry, issuerAddress) {
+  return {
+    name: "trusted_issuer",
+    critical: true,
+    async run() {
+      const expected =
+        typeof issuerAddress === "function" ? issuerAddress() : issuerAddress;
+      const [onChain, ok] = await Promise.all([
+        registry.trustedIssuer(),
+        registry.isActiveIssuer(expected),
+      ]);
+      return {
+        ok,
+        expected,
+        actual: onChain,
+        ...(ok ? {} : { error: "DIDRegistry does not accept the signing key" }),
+      };
+    },
+  };
+}
+
+/** Catches a wrong address or a chain that was reset under the issuer. */
+function contractCodeCheck(provider, name, address) {
+  return {
+    name: `code_${name}`,
+    critical: true,
+    async run() {
+      if (!address) return { ok: false, error: "Address not configured" };
+      const code = await provider.getCode(address);
+      return {
+        ok: code !== "0x",
+        address,
+        ...(code !== "0x" ? {} : { error: "No contract deployed at address" }),
+      };
+    },
+  };
+}
+
+/**
+ * Balance of a wallet that pays gas (the vote relayer, the root-sync
+ * sender). Not critical: issuance itself sends no transactions.
+ */
+function gasBalanceCheck(provider, name, address, minWei) {
+  return {
+    name: `balance_${name}`,
+    critical: false,
+    async run() {
+      const balance = await provider.getBalance(address);
+      const ok = balance >= minWei;
+      return {
+        ok,
+        address,
+        balance: ethers.formatEther(balance),
+        required: ethers.formatEther(minWei),
+        ...(ok ? {} : { error: "Balance below the relaying minimum" }),
+      };
+    },
+  };
+}
+
+module.exports = {
+  storageCheck,
+  rpcCheck,
+  trustedIssuerCheck,
+  contractCodeCheck,
+  gasBalanceCheck,
+};
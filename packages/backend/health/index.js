@@ -0,0 +1,19 @@
+const {
+  storageCheck,
+  rpcCheck,
+  trustedIssuerCheck,
+  contractCodeCheck,
+  gasBalanceCheck,
+} = require("./checks");
+const { createReadiness } = require("./readiness");
+const { createReadinessRouter } = require("./routes");
+
+module.exports = {
+  storageCheck,
+  rpcCheck,
+  trustedIssuerCheck,
+  contractCodeCheck,
+  gasBalanceCheck,
+  createReadiness,
+  createReadinessRouter,
+};
@@ -0,0 +1,121 @@
+const log = require("../observability").log.child({ component: "health" });
+
+/**
+ * Runs dependency checks (see ./checks.js) and reports on each:
+ *
+ *   { ready, status: "ready" | "degraded" | "not_ready", checkedAt,
+ *     checks: [{ name, critical, ok, latencyMs, ...detail, error? }] }
+ *
+ * `ready` is false when a critical check fails; a failing non-critical check
+ * only makes the status "degraded". Reports are reused for `cacheMs` and
+ * concurrent callers share one run, so gating a route on readiness doesn't
+ * add an RPC round trip per request.
+ *
+ * @param {object} options
+ * @param {object[]} options.checks `{ name, critical, run }`
+ * @param {number} [options.cacheMs]
+ * @param {number} [options.timeoutMs] Per check
+ */
+function createReadiness({ checks, cacheMs = 5000, timeoutMs = 5000 }) {
+  let cached = null;
+  let inFlight = null;
+
+  const withTimeout = (promise) => {
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Timed out after ${timeoutMs}ms`)),
+          timeoutMs,
+        );
+      }),
+    ]).finally(() => clearTimeout(timer));
+  };
+
+  async function runCheck({ name, critical, run }) {
+    const started = Date.now();
+    try {
+      const { ok, ...detail } = await withTimeout(Promise.resolve().then(run));
+      return {
+        name,
+        critical,
+        ok: Boolean(ok),
+        latencyMs: Date.now() - started,
+        ...detail,
+      };
+    } catch (err) {
+      return {
+        name,
+        critical,
+        ok: false,
+        latencyMs: Date.now() - started,
+        error: err.message,
+      };
+    }
+  }
+
+  async function evaluate() {
+    const results = await Promise.all(checks.map(runCheck));
+    const ready = results.every((c) => c.ok || !c.critical);
+    const report = {
+      ready,
+      status: !ready
+        ? "not_ready"
+        : results.every((c) => c.ok)
+        ? "ready"
+        : "degraded",
+      checkedAt: new Date().toISOString(),
+      checks: results,
+    };
+    const failed = results.filter((c) => !c.ok);
+    if (failed.length > 0) {
+      log.warn("Readiness checks failed", {
+        status: report.status,
+        failed: failed.map((c) => ({ name: c.name, error: c.error })),
+      });
+    }
+    return report;
+  }
+
+  /** @param {{ fresh?: boolean }} [options] Skip the cache */
+  async function report({ fresh = false } = {}) {
+    if (!fresh && cached && Date.now() - cached.at < cacheMs) {
+      return cached.report;
+    }
+    if (!inFlight) {
+      inFlight = evaluate()
+        .then((result) => {
+          cached = { report: result, at: Date.now() };
+          return result;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  /** Answers 503 while a critical check is failing. */
+  async function requireReady(req, res, next) {
+    try {
+      const current = await report();
+      if (current.ready) return next();
+      const failed = current.checks
+        .filter((c) => c.critical && !c.ok)
+        .map((c) => c.name);
+      res.status(503).json({
+        success: false,
+        error: `Issuer is not ready: ${failed.join(", ")} failing`,
+        code: "not_ready",
+        failed,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  return { checks: checks.map((c) => c.name), report, requireReady };
+}
+
+module.exports = { createReadiness };
@@ -0,0 +1,25 @@
+const express = require("express");
+
+/**
+ * GET /ready: the full readiness report, 200 when every critical check
+ * passes and 503 otherwise. Always served from the readiness cache, so
+ * polling it can't be used to hammer the RPC and storage.
+ *
+ * @param {object} readiness See ./readiness.js
+ */
+function createReadinessRouter(readiness) {
+  const router = express.Router();
+
+  router.get("/ready", async (req, res, next) => {
+    try {
+      const report = await readiness.report();
+      res.status(report.ready ? 200 : 503).json(report);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createReadinessRouter };
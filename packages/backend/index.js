@@ -1,26 +1,98 @@
 require("dotenv").config();
 const express = require("express");
 const { ethers } = require("ethers");
-const { createClient } = require("redis");
+const {
+  createVerifier,
+  createProviders,
+  createScoringPolicy,
+  createPersonhoodService,
+} = require("./verifiers");
+const { loadConfig } = require("./config");
+const { createLockManager } = require("./locks");
+const { createRateLimiter, trustedProxyHops } = require("./rateLimiter");
+const { createChallengeService } = require("./siwe");
+const { createStorage } = require("./storage");
+const {
+  createIndexer,
+  createIndexerRouter,
+} = require("./indexer");
+const {
+  createMerkleService,
+  createMerkleRouter,
+  createRootSyncWorker,
+} = require("./merkle");
+const {
+  createProofVerifier,
+  createGasBudget,
+  createVoteRelayer,
+  createRelayerRouter,
+} = require("./relayer");
+const {
+  createAdminAuth,
+  createIdentityAdmin,
+  createAdminRouter,
+} = require("./admin");
+const { createAuditLog, createAuditRouter } = require("./audit");
+const { parseGateRules, createTokenGate } = require("./gating");
+const {
+  log,
+  requestIdMiddleware,
+  createMetricsRegistry,
+  createIssuerMetrics,
+  createMetricsRouter,
+} = require("./observability");
+const {
+  storageCheck,
+  rpcCheck,
+  trustedIssuerCheck,
+  contractCodeCheck,
+  gasBalanceCheck,
+  createReadiness,
+  createReadinessRouter,
+} = require("./health");
+const {
+  spec: apiSpec,
+  createApiValidator,
+  createDocsRouter,
+  notFoundHandler,
+  errorHandler,
+} = require("./openapi");
+const {
+  createContentStore,
+  createContentService,
+  createContentRouter,
+} = require("./content");
+const {
+  createCredentialSigner,
+  isValidCommitment,
+} = require("./credentials");
+const {
+  resolveIssuerKeys,
+  createIssuerKeyring,
+  createIssuersRouter,
+} = require("./issuers");
+const { createFaucet, createFaucetRouter } = require("./faucet");
+const { resolveVoteTreeDepth, VOTE_TREE_DEPTH } = require("zk-core");
 
 const app = express();
+const config = loadConfig();
 
-// --- REDIS CLIENT ---
-const redis = createClient({ url: process.env.REDIS_URL });
-redis.on("error", (err) => console.error("[REDIS ERROR]", err));
-redis.connect().then(() => console.log("[REDIS] Connected successfully."));
-
-// Helper functions to handle JSON serialization
-const redisGet = async (key) => {
-  const val = await redis.get(key);
-  return val ? JSON.parse(val) : null;
-};
-const redisSet = async (key, value) => {
-  await redis.set(key, JSON.stringify(value));
-};
-const redisDel = async (key) => {
-  await redis.del(key);
-};
+// --- PROXIES ---
+// Per-IP rate limits and the faucet key on req.ip, which must be the client
+// and not the proxy in front of us. TRUST_PROXY_HOPS: 1 on Vercel (the
+// default there), the number of proxies elsewhere; see rateLimiter.js.
+app.set("trust proxy", trustedProxyHops());
+
+// --- STORAGE ---
+// Shared with the operator CLI, see config.js.
+const storage = createStorage(config.storage.backend, config.storage);
+
+// --- METRICS & REQUEST LOGGING ---
+// JSON logs tagged with the request id; Prometheus metrics at /metrics.
+const metricsRegistry = createMetricsRegistry({ prefix: "issuer_" });
+const metrics = createIssuerMetrics(metricsRegistry, { storage });
+app.use(requestIdMiddleware);
+app.use(metrics.httpMiddleware);
 
 // --- CORS HEADERS ---
 const allowedOrigins = [
@@ -40,8 +112,9 @@ app.use((req, res, next) => {
   );
   res.header(
     "Access-Control-Allow-Headers",
-    "X-Requested-With, Content-Type, Authorization, Accept",
+    "X-Requested-With, Content-Type, Authorization, Accept, X-Request-Id, X-Admin-Signature, X-Admin-Timestamp, X-Admin-Nonce",
   );
+  res.header("Access-Control-Expose-Headers", "X-Request-Id");
   res.header("Access-Control-Allow-Credentials", "true");
   if (req.method === "OPTIONS") {
     return res.sendStatus(200);
@@ -49,78 +122,202 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: "10kb" }));
+// Admin and content routes parse their own bodies: they need the raw bytes
+// the signature (or CID) covers and larger limits.
+const jsonParser = express.json({ limit: "10kb" });
+app.use((req, res, next) =>
+  req.path.startsWith("/admin/") || req.path === "/content"
+    ? next()
+    : jsonParser(req, res, next),
+);
 
-// --- SIMPLE RATE LIMITING (In-Memory) ---
-const requestCounts = new Map();
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000;
-const MAX_REQUESTS = 10;
+// --- RATE LIMITING (sliding window) ---
+// Shared across serverless instances. Requests are limited per IP up front;
+// the wallet budget is only charged once its SIWE signature verifies and the
+// nullifier budget once the personhood proof does, so nobody can exhaust
+// another wallet's or human's allowance by naming it.
+const rateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: {
+    ip: Number(process.env.RATE_LIMIT_MAX_PER_IP || 10),
+    wallet: Number(process.env.RATE_LIMIT_MAX_PER_WALLET || 5),
+    nullifier: Number(process.env.RATE_LIMIT_MAX_PER_NULLIFIER || 5),
+  },
+  onLimited: (kind) => metrics.rateLimited("issuance", kind),
+});
 
-function simpleRateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
+app.use("/issue-credential", rateLimiter.middleware);
+app.use("/pre-check", rateLimiter.middleware);
+const walletRateLimit = rateLimiter.limitBy("wallet", (req) =>
+  req.body.userAddress.toLowerCase(),
+);
 
-  if (!requestCounts.has(ip)) requestCounts.set(ip, []);
+// Challenges get their own budget so fetching one doesn't eat the
+// pre-check / issuance allowance. Per IP only: the caller hasn't proven
+// anything about the wallet it names yet.
+const challengeRateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: { ip: Number(process.env.RATE_LIMIT_MAX_CHALLENGES_PER_IP || 30) },
+  prefix: "ratelimit:challenge:",
+  onLimited: (kind) => metrics.rateLimited("challenge", kind),
+});
+app.use("/challenge", challengeRateLimiter.middleware);
 
-  const recentRequests = requestCounts
-    .get(ip)
-    .filter((time) => now - time < RATE_LIMIT_WINDOW);
+// Relayed votes are limited per IP only: nothing else about the voter is known.
+const relayRateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: { ip: Number(process.env.RATE_LIMIT_MAX_RELAYS_PER_IP || 20) },
+  prefix: "ratelimit:relay:",
+  onLimited: (kind) => metrics.rateLimited("relay", kind),
+});
+app.use("/relay", relayRateLimiter.middleware);
 
-  if (recentRequests.length >= MAX_REQUESTS) {
-    return res
-      .status(429)
-      .json({
-        success: false,
-        error: "Too many requests, please try again later",
-      });
-  }
+// The faucet itself serves each wallet and IP once; this only stops floods.
+const faucetRateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: { ip: Number(process.env.RATE_LIMIT_MAX_FAUCET_PER_IP || 5) },
+  prefix: "ratelimit:faucet:",
+  onLimited: (kind) => metrics.rateLimited("faucet", kind),
+});
+app.use("/faucet", (req, res, next) =>
+  req.method === "POST" ? faucetRateLimiter.middleware(req, res, next) : next(),
+);
 
-  recentRequests.push(now);
-  requestCounts.set(ip, recentRequests);
-  next();
-}
+const adminRateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: { ip: Number(process.env.RATE_LIMIT_MAX_ADMIN_PER_IP || 100) },
+  prefix: "ratelimit:admin:",
+  onLimited: (kind) => metrics.rateLimited("admin", kind),
+});
+app.use("/admin", adminRateLimiter.middleware);
 
-app.use("/issue-credential", simpleRateLimit);
-app.use("/pre-check", simpleRateLimit);
+// Uploads only; content reads are cacheable and cheap.
+const contentRateLimiter = createRateLimiter(storage, {
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS || 15 * 60 * 1000),
+  limits: { ip: Number(process.env.RATE_LIMIT_MAX_UPLOADS_PER_IP || 20) },
+  prefix: "ratelimit:content:",
+  onLimited: (kind) => metrics.rateLimited("content", kind),
+});
+app.use("/content", (req, res, next) =>
+  req.method === "POST"
+    ? contentRateLimiter.middleware(req, res, next)
+    : next(),
+);
+
+// --- REQUEST VALIDATION (OpenAPI) ---
+// Bodies, queries and path params are checked against openapi/spec.js;
+// responses too outside production, where mismatches are only logged.
+const apiValidator = createApiValidator(apiSpec, {
+  validateResponses:
+    (process.env.OPENAPI_VALIDATE_RESPONSES ||
+      String(process.env.NODE_ENV !== "production")) === "true",
+});
+// Admin bodies are parsed (and validated) inside the admin router
+app.use((req, res, next) =>
+  req.path.startsWith("/admin/")
+    ? next()
+    : apiValidator.middleware(req, res, next),
+);
 
 // --- CONFIGURATION ---
 const PORT = process.env.PORT || 3001;
-const ISSUER_PRIVATE_KEY = process.env.ISSUER_PRIVATE_KEY;
-const RPC_URL = process.env.RPC_URL;
+// ISSUER_KEYS, or ISSUER_PRIVATE_KEY as a single key without an end date
+const ISSUER_KEYS = resolveIssuerKeys(config);
+const RPC_URL = config.rpcUrl;
 const WORLDCOIN_APP_ID = process.env.WORLDCOIN_APP_ID;
 const WORLDCOIN_ACTION = process.env.WORLDCOIN_ACTION || "dao_vote";
 const WORLDCOIN_TIMEOUT = 30000;
+const CREDENTIAL_TTL_SECONDS = config.credentialTtlSeconds;
 
-const DEV_MODE_SKIP_WORLDCOIN = process.env.DEV_MODE_SKIP_WORLDCOIN === "true";
+// Proof-of-personhood adapter: "worldcoin" (default) or "dev-skip".
+// DEV_MODE_SKIP_WORLDCOIN=true is kept as an alias for "dev-skip".
+const POP_VERIFIER =
+  process.env.POP_VERIFIER ||
+  (process.env.DEV_MODE_SKIP_WORLDCOIN === "true" ? "dev-skip" : "worldcoin");
 
-if (DEV_MODE_SKIP_WORLDCOIN) {
-  console.warn("WARNING: Worldcoin verification is DISABLED (DEV MODE)");
-  console.warn("This should NEVER be used in production!");
-}
+const csv = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
 
-if (!ISSUER_PRIVATE_KEY || !RPC_URL || !WORLDCOIN_APP_ID) {
-  console.error("Missing required environment variables");
+// Personhood providers offered to users, combined by POP_POLICY
+// (JSON `{ threshold, weights }`, see verifiers/policy.js)
+const POP_PROVIDERS = csv(process.env.POP_PROVIDERS || "worldcoin");
+const WORLDCOIN_ENABLED = POP_PROVIDERS.includes("worldcoin");
+
+if (
+  !ISSUER_KEYS.length ||
+  !RPC_URL ||
+  (WORLDCOIN_ENABLED && !WORLDCOIN_APP_ID)
+) {
+  log.error("Missing required environment variables");
   process.exit(1);
 }
 
+const verifier = WORLDCOIN_ENABLED
+  ? createVerifier(POP_VERIFIER, {
+      appId: WORLDCOIN_APP_ID,
+      action: WORLDCOIN_ACTION,
+      apiUrl: process.env.WORLDCOIN_API_URL,
+      minVerificationLevel: process.env.WORLDCOIN_MIN_VERIFICATION_LEVEL,
+      timeout: WORLDCOIN_TIMEOUT,
+    })
+  : null;
+
 // --- SETUP PROVIDER & WALLET ---
-const provider = new ethers.JsonRpcProvider(RPC_URL);
-const wallet = new ethers.Wallet(ISSUER_PRIVATE_KEY, provider);
+const provider = metrics.instrumentProvider(
+  new ethers.JsonRpcProvider(RPC_URL),
+);
+// Credentials are signed by the newest key within its validity window.
+// The key current at startup also pays for root sync by default.
+const issuerKeyring = createIssuerKeyring(ISSUER_KEYS, { provider });
+const wallet = issuerKeyring.current().signer;
 
-// --- TOKEN CONTRACT ---
+// --- TOKEN GATE ---
+// TOKEN_GATE_RULES is JSON (see gating/gate.js). By default the wallet needs
+// the governance-token balance DAOVoting.minTokensToRegister asks for.
 const GOVERNANCE_TOKEN_ADDRESS = process.env.GOVERNANCE_TOKEN_ADDRESS;
-const MIN_TOKENS_REQUIRED = ethers.parseEther("1");
-const TOKEN_ABI = ["function balanceOf(address owner) view returns (uint256)"];
-const tokenContract = new ethers.Contract(
-  GOVERNANCE_TOKEN_ADDRESS,
-  TOKEN_ABI,
+const DAO_VOTING_ADDRESS = process.env.DAO_VOTING_ADDRESS;
+const REPUTATION_MANAGER_ADDRESS = process.env.REPUTATION_MANAGER_ADDRESS;
+const tokenGate = createTokenGate({
+  config: parseGateRules(
+    process.env.TOKEN_GATE_RULES
+      ? JSON.parse(process.env.TOKEN_GATE_RULES)
+      : [
+          {
+            type: "token",
+            token: GOVERNANCE_TOKEN_ADDRESS,
+            min: DAO_VOTING_ADDRESS ? "chain" : "1",
+          },
+        ],
+  ),
   provider,
-);
+  daoVoting:
+    DAO_VOTING_ADDRESS &&
+    new ethers.Contract(
+      DAO_VOTING_ADDRESS,
+      ["function minTokensToRegister() view returns (uint256)"],
+      provider,
+    ),
+  reputationManager:
+    REPUTATION_MANAGER_ADDRESS &&
+    new ethers.Contract(
+      REPUTATION_MANAGER_ADDRESS,
+      ["function getReputationScore(address) view returns (uint256)"],
+      provider,
+    ),
+  cacheMs: Number(process.env.TOKEN_GATE_CACHE_MS || 60000),
+});
 
 // --- DID REGISTRY CONTRACT ---
-const DID_REGISTRY_ADDRESS = process.env.DID_REGISTRY_ADDRESS;
+const DID_REGISTRY_ADDRESS = config.didRegistryAddress;
 const DID_REGISTRY_ABI = [
   "function hasRegisteredForVoting(address) view returns (bool)",
+  "function nonces(address) view returns (uint256)",
+  "function owner() view returns (address)",
+  "function trustedIssuer() view returns (address)",
+  "function isActiveIssuer(address) view returns (bool)",
 ];
 const didRegistryContract = new ethers.Contract(
   DID_REGISTRY_ADDRESS,
@@ -128,72 +325,370 @@ const didRegistryContract = new ethers.Contract(
   provider,
 );
 
-// --- IN-MEMORY LOCKS ---
-const registrationLocks = new Map();
+// --- EIP-712 CREDENTIAL SIGNER ---
+const credentialSigner = createCredentialSigner({
+  keyring: issuerKeyring,
+  registry: didRegistryContract,
+  ttlSeconds: CREDENTIAL_TTL_SECONDS,
+});
+
+// --- WALLET OWNERSHIP CHALLENGES (SIWE) ---
+const challenges = createChallengeService(storage, {
+  provider,
+  ttlSeconds: Number(process.env.CHALLENGE_TTL_SECONDS || 300),
+});
 
-console.log("------------------------------------------------");
-console.log("Proof-of-Personhood Identity Issuer Started");
-console.log(`Issuer Address: ${wallet.address}`);
-console.log(`Worldcoin App: ${WORLDCOIN_APP_ID}`);
-console.log(`Token Gate: ${GOVERNANCE_TOKEN_ADDRESS}`);
-console.log("------------------------------------------------");
+// --- ISSUANCE AUDIT LOG ---
+// Hash-chained record of every issuance decision; nullifiers are salted.
+const audit = createAuditLog({ storage, salt: config.auditSalt });
 
-// =====================================================
-// INPUT VALIDATION
-// =====================================================
-function isValidEthereumAddress(address) {
-  return /^0x[a-fA-F0-9]{40}$/.test(address);
+// --- DISTRIBUTED REGISTRATION LOCKS ---
+const registrationLocks = createLockManager(storage, {
+  ttlMs: config.registrationLockTtlMs,
+  prefix: "lock:registration:",
+});
+
+// --- PROOF OF PERSONHOOD ---
+const INVITE_SIGNERS = csv(process.env.INVITE_SIGNERS);
+const SOCIAL_ATTESTERS = csv(process.env.SOCIAL_ATTESTERS).map((a) =>
+  a.toLowerCase(),
+);
+
+const personhood = createPersonhoodService({
+  providers: createProviders(POP_PROVIDERS, {
+    worldcoin: { verifier, appId: WORLDCOIN_APP_ID, action: WORLDCOIN_ACTION },
+    passport: {
+      apiUrl: process.env.PASSPORT_API_URL,
+      apiKey: process.env.PASSPORT_API_KEY,
+      scorerId: process.env.PASSPORT_SCORER_ID,
+    },
+    invite: {
+      getSigners: async () =>
+        INVITE_SIGNERS.length
+          ? INVITE_SIGNERS
+          : [await didRegistryContract.owner()],
+    },
+    social: {
+      // A fixed allow-list stands in for the registry when running locally
+      isEligible: SOCIAL_ATTESTERS.length
+        ? async (address) => SOCIAL_ATTESTERS.includes(address)
+        : (address) => didRegistryContract.hasRegisteredForVoting(address),
+      minAttestations: Number(process.env.SOCIAL_MIN_ATTESTATIONS || 2),
+    },
+  }),
+  policy: createScoringPolicy(
+    process.env.POP_POLICY ? JSON.parse(process.env.POP_POLICY) : {},
+  ),
+  storage,
+  onVerify: metrics.popVerification,
+});
+
+// --- CHAIN EVENT INDEXER ---
+// Backs the read-only /proposals, /votes and /users routes.
+const indexer = createIndexer({
+  provider,
+  store: storage.createIndexStore(),
+  addresses: {
+    baseline: DAO_VOTING_ADDRESS,
+    private: process.env.PRIVATE_DAO_VOTING_ADDRESS,
+    registry: DID_REGISTRY_ADDRESS,
+  },
+  startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+  confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2),
+  batchSize: Number(process.env.INDEXER_BATCH_SIZE || 1000),
+  lock: createLockManager(storage, {
+    ttlMs: Number(process.env.INDEXER_LOCK_TTL_MS || 60000),
+    prefix: "lock:",
+  }),
+});
+// Voter tree depth: MERKLE_TREE_DEPTH, else read once from PrivateDAOVoting
+let voteTreeDepthPromise;
+function getVoteTreeDepth() {
+  if (!voteTreeDepthPromise) {
+    const address = process.env.PRIVATE_DAO_VOTING_ADDRESS;
+    voteTreeDepthPromise = process.env.MERKLE_TREE_DEPTH
+      ? Promise.resolve(Number(process.env.MERKLE_TREE_DEPTH))
+      : address
+      ? resolveVoteTreeDepth(() =>
+          new ethers.Contract(
+            address,
+            ["function merkleTreeDepth() view returns (uint8)"],
+            provider,
+          ).merkleTreeDepth(),
+        )
+      : Promise.resolve(VOTE_TREE_DEPTH);
+    voteTreeDepthPromise.catch(() => {
+      voteTreeDepthPromise = undefined;
+    });
+  }
+  return voteTreeDepthPromise;
 }
+// Voter-set tree fed by indexed VoterRegistered events, saved to storage so
+// a restart resumes it instead of rehashing every commitment
+const merkle = createMerkleService({
+  indexer,
+  depth: getVoteTreeDepth,
+  storage,
+});
 
-function isValidWorldcoinProof(proof) {
-  return (
-    proof &&
-    typeof proof.nullifier_hash === "string" &&
-    typeof proof.merkle_root === "string" &&
-    typeof proof.proof === "string" &&
-    typeof proof.verification_level === "string" &&
-    proof.nullifier_hash.length > 0 &&
-    proof.merkle_root.length > 0 &&
-    proof.proof.length > 0
-  );
+// --- PROPOSAL METADATA (content-addressed) ---
+// CONTENT_STORE is "local" (files under CONTENT_DIR), "kubo" or "pinata";
+// pinning credentials stay on the server.
+const content = createContentService({
+  store: createContentStore(process.env.CONTENT_STORE || "local", {
+    dir: process.env.CONTENT_DIR || "./data/content",
+    kuboApiUrl: process.env.KUBO_API_URL,
+    pinataJwt: process.env.PINATA_JWT,
+    pinataGatewayUrl: process.env.PINATA_GATEWAY_URL,
+  }),
+});
+
+// --- GASLESS VOTE RELAYER ---
+// Submits castPrivateVote from its own wallet; disabled without a key. The
+// verification key for the contract's tree depth is read here, so a missing
+// one stops the server instead of failing every relayed vote.
+const RELAYER_PRIVATE_KEY = process.env.RELAYER_PRIVATE_KEY;
+const relayerWallet =
+  RELAYER_PRIVATE_KEY && new ethers.Wallet(RELAYER_PRIVATE_KEY, provider);
+const relayer =
+  relayerWallet &&
+  process.env.PRIVATE_DAO_VOTING_ADDRESS &&
+  process.env.VOTE_VERIFICATION_KEY_PATH
+    ? createVoteRelayer({
+        contract: new ethers.Contract(
+          process.env.PRIVATE_DAO_VOTING_ADDRESS,
+          [
+            "function currentVoterSetRoot() view returns (bytes32)",
+            "function hasVoted(uint256, bytes32) view returns (bool)",
+            "function castPrivateVote(uint256, bool, bytes32, uint256[2], uint256[2][2], uint256[2], uint256[4])",
+          ],
+          relayerWallet,
+        ),
+        proofVerifier: createProofVerifier({
+          verificationKeyPath: process.env.VOTE_VERIFICATION_KEY_PATH,
+        }),
+        storage,
+        budget: createGasBudget(storage, {
+          dailyBudgetWei: ethers.parseEther(
+            process.env.RELAYER_DAILY_BUDGET_ETH || "0.05",
+          ),
+        }),
+        lock: createLockManager(storage, { ttlMs: 30000, prefix: "lock:" }),
+        policy: {
+          maxGasPriceWei: ethers.parseUnits(
+            process.env.RELAYER_MAX_GAS_PRICE_GWEI || "50",
+            "gwei",
+          ),
+          maxGasPerVote: BigInt(process.env.RELAYER_MAX_GAS_PER_VOTE || 500000),
+        },
+      })
+    : null;
+
+// --- TEST TOKEN FAUCET ---
+// Mints FAUCET_AMOUNT governance tokens from a minter key so testers can pass
+// the token gate. Never enabled when NETWORK_ENV (default: NODE_ENV) is production.
+const NETWORK_ENV =
+  process.env.NETWORK_ENV ||
+  (process.env.NODE_ENV === "production" ? "production" : "development");
+const faucetWallet =
+  NETWORK_ENV !== "production" &&
+  process.env.FAUCET_MINTER_PRIVATE_KEY &&
+  GOVERNANCE_TOKEN_ADDRESS &&
+  new ethers.Wallet(process.env.FAUCET_MINTER_PRIVATE_KEY, provider);
+const faucet = faucetWallet
+  ? createFaucet({
+      token: new ethers.Contract(
+        GOVERNANCE_TOKEN_ADDRESS,
+        ["function mint(address to, uint256 amount)"],
+        faucetWallet,
+      ),
+      amount: ethers.parseEther(process.env.FAUCET_AMOUNT || "100"),
+      storage,
+      lock: createLockManager(storage, { ttlMs: 30000, prefix: "lock:" }),
+    })
+  : null;
+
+// --- VOTER-SET ROOT SYNC ---
+// Pushes the confirmed tree's root on-chain when currentVoterSetRoot differs.
+// updateVoterSetRoot is permissionless; ROOT_SYNC_PRIVATE_KEY defaults to the issuer.
+const rootSyncWallet = process.env.ROOT_SYNC_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.ROOT_SYNC_PRIVATE_KEY, provider)
+  : wallet;
+const rootSync =
+  process.env.PRIVATE_DAO_VOTING_ADDRESS &&
+  process.env.ROOT_SYNC_ENABLED !== "false"
+    ? createRootSyncWorker({
+        merkle,
+        contract: new ethers.Contract(
+          process.env.PRIVATE_DAO_VOTING_ADDRESS,
+          [
+            "function currentVoterSetRoot() view returns (bytes32)",
+            "function getRegisteredVoterCount() view returns (uint256)",
+            "function updateVoterSetRoot(bytes32 newRoot)",
+          ],
+          rootSyncWallet,
+        ),
+        lock: createLockManager(storage, { ttlMs: 120000, prefix: "lock:" }),
+      })
+    : null;
+if (rootSync) {
+  indexer.onChange(() => {
+    rootSync
+      .check()
+      .catch((err) => log.error("Root sync check failed", { err }));
+  });
 }
 
+// --- READINESS ---
+// Critical checks gate /issue-credential; gas balances only degrade /ready.
+const MIN_GAS_BALANCE_WEI = ethers.parseEther(
+  process.env.READY_MIN_GAS_BALANCE_ETH || "0.01",
+);
+const readiness = createReadiness({
+  checks: [
+    storageCheck(storage),
+    rpcCheck(provider),
+    trustedIssuerCheck(
+      didRegistryContract,
+      () => issuerKeyring.current().address,
+    ),
+    contractCodeCheck(provider, "did_registry", DID_REGISTRY_ADDRESS),
+    contractCodeCheck(provider, "governance_token", GOVERNANCE_TOKEN_ADDRESS),
+    ...(relayer
+      ? [
+          gasBalanceCheck(
+            provider,
+            "relayer",
+            relayerWallet.address,
+            MIN_GAS_BALANCE_WEI,
+          ),
+        ]
+      : []),
+    ...(rootSync
+      ? [
+          gasBalanceCheck(
+            provider,
+            "root_sync",
+            rootSyncWallet.address,
+            MIN_GAS_BALANCE_WEI,
+          ),
+        ]
+      : []),
+    ...(faucet
+      ? [
+          gasBalanceCheck(
+            provider,
+            "faucet",
+            faucetWallet.address,
+            MIN_GAS_BALANCE_WEI,
+          ),
+        ]
+      : []),
+  ],
+  cacheMs: Number(process.env.READY_CACHE_MS || 5000),
+  timeoutMs: Number(process.env.READY_CHECK_TIMEOUT_MS || 5000),
+});
+app.use("/issue-credential", readiness.requireReady);
+
+const INDEXER_POLL_INTERVAL_MS = Number(
+  process.env.INDEXER_POLL_INTERVAL_MS || 15000,
+);
+
+log.info("Proof-of-personhood identity issuer started", {
+  issuer: wallet.address,
+  storage: storage.name,
+  worldcoinApp: WORLDCOIN_APP_ID,
+  popVerifier: verifier ? verifier.name : "disabled",
+  popProviders: POP_PROVIDERS,
+  tokenGate: tokenGate.rules.map((r) => r.id).join(` ${tokenGate.mode} `),
+  relayer: relayer ? "enabled" : "disabled",
+  rootSync: rootSync ? "enabled" : "disabled",
+  faucet: faucet ? "enabled" : "disabled",
+  contentStore: content.name,
+  indexerStartBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+});
+
 // =====================================================
-// Worldcoin Verification (MOCKED FOR ACADEMIC DEMO)
+// WALLET OWNERSHIP (SIWE CHALLENGE)
 // =====================================================
-async function verifyWorldcoinProof(proof, signal) {
-  console.log("\n[MOCK API] Intercepting Worldcoin verification request...");
-  console.log(
-    "[MOCK API] Validating proof format and nullifier hash locally...",
-  );
+// Requests must carry `siwe: { message, signature }` for a challenge issued
+// to `userAddress`, proving the caller controls that wallet. The request
+// validator has already checked both are well-formed.
+async function requireWalletOwnership(req, res, next) {
+  try {
+    const { userAddress, siwe } = req.body;
 
-  await new Promise((resolve) => setTimeout(resolve, 800));
+    const result = await challenges.verify({
+      address: userAddress,
+      message: siwe?.message,
+      signature: siwe?.signature,
+    });
+    if (!result.success) {
+      log.warn("Wallet ownership rejected", {
+        wallet: userAddress.toLowerCase(),
+        reason: result.error,
+      });
+      await audit.record("rejected", {
+        stage: req.path.slice(1),
+        reason: "wallet_ownership",
+        wallet: userAddress.toLowerCase(),
+        nullifier: (req.body.proofs?.worldcoin || req.body.worldcoinProof)
+          ?.nullifier_hash,
+      });
+      return res.status(401).json({ success: false, error: result.error });
+    }
 
-  console.log("[MOCK API] Local cryptographic validation passed.");
-  return { success: true };
+    next();
+  } catch (err) {
+    next(err);
+  }
 }
 
+// The SIWE check, then the proven wallet's own rate-limit budget
+const verifiedWallet = [requireWalletOwnership, walletRateLimit];
+
+app.post("/challenge", async (req, res) => {
+  try {
+    const { userAddress } = req.body;
+
+    // Bind the message to the calling frontend when it is a known origin
+    const origin = allowedOrigins.includes(req.headers.origin)
+      ? req.headers.origin
+      : allowedOrigins[0];
+
+    const challenge = await challenges.issue({
+      address: userAddress,
+      domain: new URL(origin).host,
+      uri: origin,
+    });
+
+    res.json({ success: true, ...challenge });
+  } catch (err) {
+    log.error("Challenge failed", { err });
+    res.status(500).json({ success: false, error: "Internal server error" });
+  }
+});
+
 // =====================================================
 // PRE-CHECK ENDPOINT
 // =====================================================
-app.post("/pre-check", async (req, res) => {
+app.post("/pre-check", verifiedWallet, async (req, res) => {
   try {
     const { userAddress } = req.body;
 
-    if (!userAddress || !isValidEthereumAddress(userAddress)) {
-      return res
-        .status(400)
-        .json({ success: false, error: "Invalid Ethereum address" });
-    }
-
-    console.log(`\n[PRE-CHECK] Starting pre-check for: ${userAddress}`);
+    log.info("Pre-check started", { wallet: userAddress.toLowerCase() });
 
     // CHECK 1: Already registered on-chain?
     try {
       const alreadyRegistered =
         await didRegistryContract.hasRegisteredForVoting(userAddress);
       if (alreadyRegistered) {
-        console.log(`[PRE-CHECK] Failed: Wallet already registered on-chain.`);
+        log.info("Pre-check failed", { reason: "already_registered_onchain" });
+        await audit.record("rejected", {
+          stage: "pre-check",
+          reason: "already_registered_onchain",
+          wallet: userAddress.toLowerCase(),
+        });
         return res
           .status(403)
           .json({
@@ -202,19 +697,36 @@ app.post("/pre-check", async (req, res) => {
           });
       }
     } catch (err) {
-      console.error("DID registry check failed:", err.message);
+      log.error("DID registry check failed", { err });
     }
 
-    // CHECK 2: Already registered in Redis?
-    const existingNullifier = await redisGet(
-      `wallet:${userAddress.toLowerCase()}`,
+    // CHECK 2: Already registered with this issuer?
+    const existingNullifier = await storage.getWalletNullifier(
+      userAddress.toLowerCase(),
     );
     if (existingNullifier) {
-      const existing = await redisGet(`nullifier:${existingNullifier}`);
+      const existing = await storage.getIdentity(existingNullifier);
+      if (existing && existing.status === "revoked") {
+        log.info("Pre-check failed", { reason: "revoked" });
+        await audit.record("rejected", {
+          stage: "pre-check",
+          reason: "revoked",
+          wallet: userAddress.toLowerCase(),
+          nullifier: existingNullifier,
+        });
+        return res.status(403).json({
+          success: false,
+          error: "This identity has been revoked by the DAO administrators.",
+        });
+      }
       if (existing && existing.status === "complete") {
-        console.log(
-          `[PRE-CHECK] Failed: Wallet already marked complete in Redis.`,
-        );
+        log.info("Pre-check failed", { reason: "already_registered" });
+        await audit.record("rejected", {
+          stage: "pre-check",
+          reason: "already_registered",
+          wallet: userAddress.toLowerCase(),
+          nullifier: existingNullifier,
+        });
         return res
           .status(403)
           .json({
@@ -224,26 +736,33 @@ app.post("/pre-check", async (req, res) => {
       }
     }
 
-    // CHECK 3: Token balance
-    const balance = await tokenContract.balanceOf(userAddress);
-    if (balance < MIN_TOKENS_REQUIRED) {
-      console.log(
-        `[PRE-CHECK] Failed: Insufficient tokens (${ethers.formatEther(
-          balance,
-        )}).`,
-      );
+    // CHECK 3: Token gate
+    const gate = await tokenGate.check(userAddress);
+    if (!gate.passed) {
+      log.info("Pre-check failed", {
+        reason: "insufficient_tokens",
+        detail: tokenGate.explain(gate),
+      });
+      await audit.record("rejected", {
+        stage: "pre-check",
+        reason: "insufficient_tokens",
+        rules: gate.rules.filter((r) => !r.passed).map((r) => r.id),
+        wallet: userAddress.toLowerCase(),
+      });
       return res.status(403).json({
         success: false,
-        error: `Insufficient governance tokens. You need at least ${ethers.formatEther(
-          MIN_TOKENS_REQUIRED,
-        )} tokens.`,
+        error: `Not eligible: ${tokenGate.explain(gate)}`,
+        gate,
       });
     }
 
-    console.log(`[PRE-CHECK] Passed for: ${userAddress}`);
-    res.json({ success: true, message: "All checks passed." });
+    log.info("Pre-check passed");
+    await audit.record("pre_check_passed", {
+      wallet: userAddress.toLowerCase(),
+    });
+    res.json({ success: true, message: "All checks passed.", gate });
   } catch (err) {
-    console.error("Pre-check error:", err);
+    log.error("Pre-check failed unexpectedly", { err });
     res.status(500).json({ success: false, error: "Internal server error" });
   }
 });
@@ -251,175 +770,328 @@ app.post("/pre-check", async (req, res) => {
 // =====================================================
 // MAIN ENDPOINT: ISSUE CREDENTIAL
 // =====================================================
-app.post("/issue-credential", async (req, res) => {
+app.post("/issue-credential", verifiedWallet, async (req, res) => {
   try {
-    const { userAddress, worldcoinProof } = req.body;
+    const { userAddress, commitment } = req.body;
 
-    const nullifierHash = worldcoinProof
-      ? worldcoinProof.nullifier_hash
-      : "UNKNOWN";
-    const normalizedAddress = userAddress
-      ? userAddress.toLowerCase()
-      : "UNKNOWN";
+    const normalizedAddress = userAddress.toLowerCase();
 
-    console.log(
-      `\n==================================================================`,
-    );
-    console.log(`[ISSUE-CREDENTIAL] NEW REQUEST`);
-    console.log(`   - Wallet: ${normalizedAddress}`);
-    console.log(`   - Nullifier: ${nullifierHash}`);
-    console.log(
-      `==================================================================`,
-    );
+    log.info("Credential requested", {
+      wallet: normalizedAddress,
+      providers: Object.keys(
+        req.body.proofs || (req.body.worldcoinProof ? { worldcoin: 1 } : {}),
+      ),
+    });
 
-    if (!userAddress || !worldcoinProof) {
-      return res
-        .status(400)
-        .json({
-          success: false,
-          error: "Missing wallet address or Worldcoin proof",
-        });
+    const { proofs, error: proofError } = personhood.parseProofs(req.body);
+    if (proofError) {
+      return res.status(400).json({ success: false, error: proofError });
     }
-    if (!isValidEthereumAddress(userAddress)) {
+    if (!isValidCommitment(commitment)) {
       return res
         .status(400)
-        .json({ success: false, error: "Invalid Ethereum address format" });
+        .json({ success: false, error: "Invalid identity commitment" });
     }
-    if (!isValidWorldcoinProof(worldcoinProof)) {
-      return res
-        .status(400)
-        .json({ success: false, error: "Invalid Worldcoin proof format" });
+
+    const resolved = await personhood.resolveIdentity(
+      proofs,
+      normalizedAddress,
+    );
+    if (resolved.error) {
+      log.warn("Proofs belong to different identities");
+      await audit.record("rejected", {
+        stage: "issue-credential",
+        reason: "subject_conflict",
+        wallet: normalizedAddress,
+      });
+      return res.status(409).json({ success: false, error: resolved.error });
     }
+    const { identityKey, subjects } = resolved;
 
-    if (registrationLocks.has(nullifierHash)) {
+    const lockToken = await registrationLocks.acquire(identityKey);
+    if (!lockToken) {
       return res
         .status(429)
         .json({ success: false, error: "Registration already in progress" });
     }
-    registrationLocks.set(nullifierHash, true);
+
+    // Sends the 403 itself when the wallet falls short
+    const passesTokenGate = async () => {
+      const gate = await tokenGate.check(userAddress);
+      if (gate.passed) return true;
+      await audit.record("rejected", {
+        stage: "issue-credential",
+        reason: "insufficient_tokens",
+        rules: gate.rules.filter((r) => !r.passed).map((r) => r.id),
+        wallet: normalizedAddress,
+        nullifier: identityKey,
+      });
+      res.status(403).json({
+        success: false,
+        error: `Not eligible: ${tokenGate.explain(gate)}`,
+        gate,
+      });
+      return false;
+    };
+
+    // Charged once the proofs verified, so it is this human's own budget
+    const withinNullifierBudget = () =>
+      rateLimiter.consume(res, "nullifier", identityKey);
+
+    const subjectConflict = async () => {
+      await audit.record("rejected", {
+        stage: "issue-credential",
+        reason: "subject_conflict",
+        wallet: normalizedAddress,
+        nullifier: identityKey,
+      });
+      return res.status(409).json({
+        success: false,
+        error: "These proofs are already used by another identity",
+      });
+    };
+
+    // The wallet index only ever points at one identity
+    const walletConflict = async () => {
+      await audit.record("rejected", {
+        stage: "issue-credential",
+        reason: "wallet_conflict",
+        wallet: normalizedAddress,
+        nullifier: identityKey,
+      });
+      return res.status(409).json({
+        success: false,
+        error: "This wallet is bound to another identity",
+      });
+    };
 
     try {
-      // --- STEP 1: CHECK REDIS FOR UNIQUENESS ---
-      const existing = await redisGet(`nullifier:${nullifierHash}`);
+      // Before any proof is verified: a one-time proof (World ID) spent on
+      // a wallet the gate then refuses couldn't be reused after topping up
+      if (!(await passesTokenGate())) return;
 
-      if (existing) {
-        console.log(`[REDIS] Identity IS known to backend.`);
+      const walletOwner = await storage.getWalletNullifier(normalizedAddress);
+      if (walletOwner && walletOwner !== identityKey) return walletConflict();
+
+      // --- STEP 1: CHECK STORAGE FOR UNIQUENESS ---
+      const existing = await storage.getIdentity(identityKey);
 
+      if (existing?.status === "revoked") {
+        log.info("Issuance refused", { reason: "revoked" });
+        await audit.record("rejected", {
+          stage: "issue-credential",
+          reason: "revoked",
+          wallet: normalizedAddress,
+          nullifier: identityKey,
+        });
+        return res.status(403).json({
+          success: false,
+          error: "This identity has been revoked by the DAO administrators.",
+        });
+      }
+
+      if (existing) {
         if (existing.wallet !== normalizedAddress) {
-          console.log(
-            `[WALLET SWITCH] User trying to switch from ${existing.wallet} to ${normalizedAddress}`,
-          );
+          log.info("Known identity switching wallets", {
+            from: existing.wallet,
+            wallet: normalizedAddress,
+          });
 
           let oldWalletRegistered = false;
           try {
             oldWalletRegistered =
               await didRegistryContract.hasRegisteredForVoting(existing.wallet);
           } catch (err) {
-            console.error(`[CONTRACT] Error checking old wallet.`, err.message);
+            log.error("Old wallet registration check failed", { err });
           }
 
           if (oldWalletRegistered) {
-            console.log(
-              `[SYBIL BLOCK] Old wallet IS registered. Attack prevented.`,
-            );
+            log.warn("Issuance refused", {
+              reason: "sybil_block",
+              registeredWallet: existing.wallet,
+            });
+            metrics.sybilBlocked();
+            await audit.record("rejected", {
+              stage: "issue-credential",
+              reason: "sybil_block",
+              wallet: normalizedAddress,
+              registeredWallet: existing.wallet,
+              nullifier: identityKey,
+            });
             return res.status(403).json({
               success: false,
               error:
                 "Registration Blocked: Sybil prevention active. You already have a registered voting wallet.",
             });
-          } else {
-            console.log(
-              `[WALLET SWITCH APPROVED] Old wallet was abandoned before blockchain step.`,
-            );
           }
-        } else {
-          console.log(`[RE-ISSUE] Same wallet requesting signature again.`);
+          // The old wallet never registered on-chain, so it can be dropped
         }
 
-        const balance = await tokenContract.balanceOf(userAddress);
-        if (balance < MIN_TOKENS_REQUIRED) {
+        // The policy was met when the identity was issued; proofs that can
+        // be checked again still have to hold
+        const recheck = await personhood.verify(proofs, normalizedAddress, {
+          known: true,
+        });
+        if (!recheck.success) {
+          log.info("Issuance refused", {
+            reason: "pop_verification_failed",
+            detail: recheck.error,
+          });
+          await audit.record("rejected", {
+            stage: "issue-credential",
+            reason: "pop_verification_failed",
+            detail: recheck.error,
+            wallet: normalizedAddress,
+            nullifier: identityKey,
+          });
           return res.status(403).json({
             success: false,
-            error: `Insufficient governance tokens (need ${ethers.formatEther(
-              MIN_TOKENS_REQUIRED,
-            )})`,
+            error: `Proof of personhood verification failed: ${recheck.error}`,
+            report: recheck.report,
           });
         }
+        if (!(await withinNullifierBudget())) return;
 
-        if (existing.wallet !== normalizedAddress) {
-          await redisDel(`wallet:${existing.wallet}`);
-          await redisSet(`wallet:${normalizedAddress}`, nullifierHash);
+        if (!(await personhood.bindSubjects(identityKey, subjects))) {
+          return subjectConflict();
         }
-        await redisSet(`nullifier:${nullifierHash}`, {
-          wallet: normalizedAddress,
-          status: "complete",
-        });
 
-        const hash = ethers.solidityPackedKeccak256(["address"], [userAddress]);
-        const signature = await wallet.signMessage(ethers.getBytes(hash));
+        // Moves the wallet index in the same step, so a crash can't leave
+        // the old wallet pointing at this identity
+        const bound = await storage.bindIdentity(
+          identityKey,
+          { wallet: normalizedAddress, status: "complete" },
+          {
+            history: [
+              existing.wallet !== normalizedAddress
+                ? {
+                    action: "rebound",
+                    from: existing.wallet,
+                    wallet: normalizedAddress,
+                    at: new Date().toISOString(),
+                  }
+                : {
+                    action: "reissued",
+                    wallet: normalizedAddress,
+                    at: new Date().toISOString(),
+                  },
+            ],
+          },
+        );
+        if (!bound) return walletConflict();
 
-        console.log(`[SUCCESS] Credential re-issued.`);
+        const { signature, credential } = await credentialSigner.issue(
+          userAddress,
+          commitment,
+        );
+
+        const switched = existing.wallet !== normalizedAddress;
+        await audit.record(switched ? "wallet_switch" : "reissued", {
+          wallet: normalizedAddress,
+          from: switched ? existing.wallet : undefined,
+          nullifier: identityKey,
+        });
+        metrics.reissued(switched);
+        log.info("Credential re-issued", { walletSwitch: switched });
         return res.json({
           success: true,
           signature,
-          nullifier_hash: nullifierHash,
+          credential,
+          nullifier_hash: identityKey,
         });
       }
 
       // --- BRAND NEW HUMAN ---
-      console.log(`[NEW HUMAN] Identity is NOT known. Running verification...`);
-
-      let verificationResult;
-      if (DEV_MODE_SKIP_WORLDCOIN) {
-        verificationResult = { success: true };
-      } else {
-        verificationResult = await verifyWorldcoinProof(
-          worldcoinProof,
-          userAddress,
-        );
-      }
+
+      const verificationResult = await personhood.verify(
+        proofs,
+        normalizedAddress,
+      );
 
       if (!verificationResult.success) {
-        console.log(
-          `[REJECTED] Verification failed: ${verificationResult.error}`,
-        );
+        log.info("Issuance refused", {
+          reason: "pop_policy_not_met",
+          detail: verificationResult.error,
+        });
+        await audit.record("rejected", {
+          stage: "issue-credential",
+          reason: "pop_policy_not_met",
+          detail: verificationResult.error,
+          score: verificationResult.report.total,
+          wallet: normalizedAddress,
+          nullifier: identityKey,
+        });
         return res.status(403).json({
           success: false,
-          error: `Worldcoin verification failed: ${verificationResult.error}`,
+          error: verificationResult.error,
+          report: verificationResult.report,
         });
       }
+      if (!(await withinNullifierBudget())) return;
 
-      const balance = await tokenContract.balanceOf(userAddress);
-      if (balance < MIN_TOKENS_REQUIRED) {
-        return res.status(403).json({
-          success: false,
-          error: `Insufficient governance tokens (need ${ethers.formatEther(
-            MIN_TOKENS_REQUIRED,
-          )})`,
-        });
+      // Only subjects that actually counted towards the policy are claimed
+      const verifiedSubjects = subjects.filter(({ provider }) =>
+        verificationResult.verified.includes(provider),
+      );
+      if (!(await personhood.bindSubjects(identityKey, verifiedSubjects))) {
+        return subjectConflict();
       }
 
-      console.log(`[SAVING] Saving new human to Redis...`);
-      await redisSet(`nullifier:${nullifierHash}`, {
-        wallet: normalizedAddress,
-        status: "complete",
-      });
-      await redisSet(`wallet:${normalizedAddress}`, nullifierHash);
+      const bound = await storage.bindIdentity(
+        identityKey,
+        { wallet: normalizedAddress, status: "complete" },
+        {
+          history: [
+            {
+              action: "issued",
+              wallet: normalizedAddress,
+              providers: verificationResult.verified,
+              at: new Date().toISOString(),
+            },
+          ],
+        },
+      );
+      if (!bound) return walletConflict();
 
-      const hash = ethers.solidityPackedKeccak256(["address"], [userAddress]);
-      const signature = await wallet.signMessage(ethers.getBytes(hash));
+      const { signature, credential } = await credentialSigner.issue(
+        userAddress,
+        commitment,
+      );
 
-      console.log(`[SUCCESS] New credential issued!`);
-      res.json({ success: true, signature, nullifier_hash: nullifierHash });
+      await audit.record("issued", {
+        wallet: normalizedAddress,
+        nullifier: identityKey,
+        providers: verificationResult.verified,
+      });
+      metrics.issued();
+      log.info("Credential issued", {
+        providers: verificationResult.verified,
+      });
+      res.json({
+        success: true,
+        signature,
+        credential,
+        nullifier_hash: identityKey,
+      });
     } finally {
-      registrationLocks.delete(nullifierHash);
+      await registrationLocks
+        .release(identityKey, lockToken)
+        .catch((err) => log.error("Registration lock release failed", { err }));
     }
   } catch (err) {
-    console.error(`[FATAL ERROR]`, err);
+    log.error("Issuance failed unexpectedly", { err });
     res.status(500).json({ success: false, error: "Internal server error" });
   }
 });
 
+// =====================================================
+// PERSONHOOD PROVIDERS
+// =====================================================
+// Tells the frontend which proofs it can collect and how they are weighted.
+app.get("/pop/providers", (req, res) => {
+  res.json({ success: true, ...personhood.describe() });
+});
+
 // =====================================================
 // DEBUG ENDPOINT
 // =====================================================
@@ -442,54 +1114,152 @@ app.post("/debug-config", (req, res) => {
   });
 });
 
+// =====================================================
+// IDENTITY ADMIN (DIDRegistry owner only)
+// =====================================================
+app.use(
+  createAdminRouter(
+    createIdentityAdmin({
+      storage,
+      locks: registrationLocks,
+      exportKey: config.adminExportKey,
+      audit,
+    }),
+    createAdminAuth({ registry: didRegistryContract, storage }),
+    { validate: apiValidator.middleware },
+  ),
+);
+
+// =====================================================
+// PROMETHEUS METRICS
+// =====================================================
+app.use(
+  createMetricsRouter(metricsRegistry, { token: process.env.METRICS_TOKEN }),
+);
+
+// =====================================================
+// ISSUANCE AUDIT LOG (public, read-only)
+// =====================================================
+app.use(createAuditRouter(audit));
+
+// =====================================================
+// ISSUER KEYS (public)
+// =====================================================
+app.use(
+  createIssuersRouter(issuerKeyring, { registryAddress: DID_REGISTRY_ADDRESS }),
+);
+
+// =====================================================
+// INDEXED CHAIN DATA (proposals, votes, users, voter-set tree)
+// =====================================================
+const INDEXER_MAX_STALENESS_MS = Number(
+  process.env.INDEXER_MAX_STALENESS_MS || 5000,
+);
+app.use(
+  createIndexerRouter(indexer, { maxStalenessMs: INDEXER_MAX_STALENESS_MS }),
+);
+app.use(
+  createMerkleRouter(merkle, indexer, {
+    maxStalenessMs: INDEXER_MAX_STALENESS_MS,
+  }),
+);
+
+// =====================================================
+// PROPOSAL METADATA
+// =====================================================
+app.use(createContentRouter(content));
+
+// =====================================================
+// GASLESS VOTE RELAY
+// =====================================================
+app.use(createRelayerRouter(relayer));
+
+// =====================================================
+// TEST TOKEN FAUCET
+// =====================================================
+app.use(createFaucetRouter(faucet));
+
 // =====================================================
 // STATUS & HEALTH
 // =====================================================
-app.get("/status", (req, res) => {
+app.get("/status", async (req, res) => {
   res.json({
     status: "online",
-    database: "Redis Connected",
-    issuerAddress: wallet.address,
+    storage: {
+      backend: storage.name,
+      up: await storage.ping().then(
+        () => true,
+        () => false,
+      ),
+    },
+    readiness: (await readiness.report()).status,
+    issuerAddress: issuerKeyring.current().address,
     worldcoinApp: WORLDCOIN_APP_ID,
+    popVerifier: verifier ? verifier.name : null,
+    popProviders: POP_PROVIDERS,
+    tokenGate: { mode: tokenGate.mode, rules: tokenGate.rules },
+    indexer: await indexer.status().catch((err) => ({ error: err.message })),
+    merkle: merkle.status(),
+    relayer: relayer ? "enabled" : "disabled",
+    rootSync: rootSync ? rootSync.status() : { enabled: false },
+    faucet: faucet ? "enabled" : "disabled",
     uptime: process.uptime(),
   });
 });
 
+// =====================================================
+// READINESS & LIVENESS
+// =====================================================
+// /ready runs the dependency checks; /health stays a cheap liveness probe.
+app.use(createReadinessRouter(readiness));
+
 app.get("/health", async (req, res) => {
   try {
     await provider.getBlockNumber();
-    res.json({ status: "healthy" });
+    res.json({ success: true, status: "healthy" });
   } catch (error) {
-    res
-      .status(503)
-      .json({ status: "unhealthy", error: "Cannot connect to blockchain" });
+    res.status(503).json({
+      success: false,
+      status: "unhealthy",
+      error: "Cannot connect to blockchain",
+      code: "rpc_unreachable",
+    });
   }
 });
 
-app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({ success: false, error: "Internal server error" });
-});
-
-process.on("SIGTERM", () => {
-  console.log("SIGTERM received, shutting down gracefully");
-  redis.quit();
-  process.exit(0);
-});
-
 app.get("/", (req, res) => {
   res.json({
     message: "DAO Voting Backend is Live",
     status: "healthy",
-    issuer: wallet.address,
+    issuer: issuerKeyring.current().address,
   });
 });
 
+// =====================================================
+// API DOCS (OpenAPI 3)
+// =====================================================
+app.use(createDocsRouter(apiSpec));
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+process.on("SIGTERM", () => {
+  log.info("SIGTERM received, shutting down gracefully");
+  indexer.stop();
+  rootSync?.stop();
+  storage.close().finally(() => process.exit(0));
+});
+
 module.exports = app;
 
 if (process.env.NODE_ENV !== "production") {
   const server = app.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log(`Status endpoint: http://localhost:${PORT}/status\n`);
+    log.info("Server listening", { url: `http://localhost:${PORT}` });
   });
+
+  // Long-running mode: keep the index warm instead of syncing on request
+  if (process.env.INDEXER_ENABLED !== "false") {
+    indexer.start(INDEXER_POLL_INTERVAL_MS);
+    rootSync?.start(Number(process.env.ROOT_SYNC_INTERVAL_MS || 30000));
+  }
 }
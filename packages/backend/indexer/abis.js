@@ -0,0 +1,31 @@
+/**
+ * Event fragments followed by the indexer, grouped by source contract.
+ * Source keys double as the deployment mode reported by the REST API.
+ */
+const INDEXED_EVENTS = {
+  baseline: [
+    "event VoterRegistered(address indexed voter)",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string title, string description, uint256 votingStart, uint256 votingEnd)",
+    "event VoteCast(uint256 indexed proposalId, address indexed voter, bool support, uint256 weight)",
+    "event ProposalStateChanged(uint256 indexed proposalId, uint8 newState)",
+  ],
+  private: [
+    "event VoterRegistered(bytes32 indexed commitment)",
+    "event VoterReplaced(bytes32 indexed oldCommitment, bytes32 indexed newCommitment, uint256 index)",
+    "event VoterSetUpdated(bytes32 indexed newRoot, uint256 timestamp)",
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, string title, bytes32 voterSetRoot, uint256 minReputationRequired)",
+    "event PrivateVoteCast(uint256 indexed proposalId, bytes32 indexed nullifier, bool support)",
+    "event ProposalStateChanged(uint256 indexed proposalId, uint8 newState)",
+  ],
+  registry: [
+    "event VotingRegistrationSuccess(address indexed controller, bytes32 commitment)",
+    "event VoterRecommitted(address indexed controller, bytes32 oldCommitment, bytes32 newCommitment)",
+  ],
+};
+
+// Private ProposalCreated omits these, so they are read once at index time
+const PRIVATE_PROPOSAL_ABI = [
+  "function getProposal(uint256) view returns (tuple(uint256 id, string title, string description, address proposer, uint256 yesVotes, uint256 noVotes, uint8 state, uint256 createdAt, uint256 votingStart, uint256 votingEnd, bytes32 voterSetRoot, uint256 minReputationRequired))",
+];
+
+module.exports = { INDEXED_EVENTS, PRIVATE_PROPOSAL_ABI };
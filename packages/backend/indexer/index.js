@@ -0,0 +1,10 @@
+const { createIndexer } = require("./indexer");
+const { createRedisIndexStore, createMemoryIndexStore } = require("./store");
+const { createIndexerRouter } = require("./routes");
+
+module.exports = {
+  createIndexer,
+  createRedisIndexStore,
+  createMemoryIndexStore,
+  createIndexerRouter,
+};
@@ -0,0 +1,253 @@
+const { ethers } = require("ethers");
+const { INDEXED_EVENTS, PRIVATE_PROPOSAL_ABI } = require("./abis");
+const { projectEvents } = require("./projections");
+const log = require("../observability").log.child({ component: "indexer" });
+
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Follows DAOVoting, PrivateDAOVoting and DIDRegistry events into a store.
+ *
+ * Reorg safety: only blocks `confirmations` behind head are indexed, every
+ * batch records the hashes of the blocks it touched, and each sync first
+ * walks those checkpoints back from the cursor until one still matches the
+ * chain, rolling the store back to that block before continuing.
+ *
+ * @param {object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {object} options.store See ./store.js
+ * @param {{ baseline?: string, private?: string, registry?: string }} options.addresses
+ * @param {{ acquire: Function, release: Function }} [options.lock] Cross-instance sync lock
+ */
+function createIndexer({
+  provider,
+  store,
+  addresses,
+  startBlock = 0,
+  confirmations = 2,
+  batchSize = 1000,
+  lock,
+}) {
+  const sources = Object.entries(addresses)
+    .filter(([, address]) => address)
+    .map(([source, address]) => ({
+      source,
+      address: ethers.getAddress(address),
+      iface: new ethers.Interface(INDEXED_EVENTS[source]),
+    }));
+  const sourceByAddress = new Map(sources.map((s) => [s.address, s]));
+
+  const privateVoting = addresses.private
+    ? new ethers.Contract(addresses.private, PRIVATE_PROPOSAL_ABI, provider)
+    : null;
+
+  let inFlight = null;
+  let lastSyncAt = 0;
+  let lastError = null;
+  let cachedProjection = { key: null, state: null };
+  const listeners = new Set();
+
+  async function findForkPoint(cursor) {
+    const checkpoints = await store.getCheckpoints();
+    if (checkpoints.length === 0 || checkpoints[0].blockNumber !== cursor) {
+      return cursor;
+    }
+    for (const checkpoint of checkpoints) {
+      const block = await provider.getBlock(checkpoint.blockNumber);
+      if (block && block.hash === checkpoint.hash) {
+        return checkpoint.blockNumber;
+      }
+    }
+    // Reorg deeper than our checkpoint window: rebuild from scratch
+    return startBlock - 1;
+  }
+
+  async function decodeLog(log) {
+    const source = sourceByAddress.get(ethers.getAddress(log.address));
+    if (!source) return null;
+    const parsed = source.iface.parseLog(log);
+    if (!parsed) return null;
+
+    const event = {
+      source: source.source,
+      name: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      transactionHash: log.transactionHash,
+      args: serializeArgs(parsed.fragment, parsed.args),
+    };
+
+    if (source.source === "private" && parsed.name === "ProposalCreated") {
+      const p = await privateVoting.getProposal(parsed.args.proposalId);
+      event.details = {
+        description: p.description,
+        votingStart: p.votingStart.toString(),
+        votingEnd: p.votingEnd.toString(),
+      };
+    }
+    return event;
+  }
+
+  async function indexRange(fromBlock, toBlock) {
+    const logs = await provider.getLogs({
+      address: sources.map((s) => s.address),
+      fromBlock,
+      toBlock,
+    });
+
+    const events = [];
+    for (const log of logs) {
+      const event = await decodeLog(log);
+      if (event) events.push(event);
+    }
+
+    // Confirm every touched block is still canonical and stamp timestamps
+    const blocks = new Map();
+    for (const blockNumber of new Set([
+      ...events.map((e) => e.blockNumber),
+      toBlock,
+    ])) {
+      blocks.set(blockNumber, await provider.getBlock(blockNumber));
+    }
+    for (const event of events) {
+      const block = blocks.get(event.blockNumber);
+      if (!block || block.hash !== event.blockHash) {
+        throw new Error(
+          `Reorg detected while indexing block ${event.blockNumber}`,
+        );
+      }
+      event.timestamp = block.timestamp;
+    }
+
+    const checkpoints = {};
+    for (const [blockNumber, block] of blocks) {
+      checkpoints[blockNumber] = block.hash;
+    }
+
+    await store.commit({ events, checkpoints, cursor: toBlock });
+    return events;
+  }
+
+  async function runSync() {
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+
+    let cursor = await store.getCursor();
+    if (cursor === null) cursor = startBlock - 1;
+
+    const forkPoint = await findForkPoint(cursor);
+    const rolledBack = forkPoint < cursor;
+    if (rolledBack) {
+      log.warn("Reorg detected, rolling back", { from: cursor, to: forkPoint });
+      await store.rollback(forkPoint);
+      cursor = forkPoint;
+    }
+
+    let indexed = 0;
+    while (cursor < target) {
+      const toBlock = Math.min(cursor + batchSize, target);
+      const events = await indexRange(cursor + 1, toBlock);
+      indexed += events.length;
+      cursor = toBlock;
+    }
+
+    if (indexed > 0 || rolledBack) {
+      for (const listener of listeners) listener();
+    }
+    return { head, cursor, indexed };
+  }
+
+  /**
+   * Catch up to `head - confirmations`. Concurrent callers share one run;
+   * when a cross-instance lock is configured and held elsewhere, skips.
+   */
+  function sync() {
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      const token = lock ? await lock.acquire("indexer") : null;
+      if (lock && !token) return { skipped: true };
+      try {
+        const result = await runSync();
+        lastSyncAt = Date.now();
+        lastError = null;
+        return result;
+      } catch (err) {
+        lastError = err.message;
+        throw err;
+      } finally {
+        if (token) await lock.release("indexer", token).catch(() => {});
+      }
+    })().finally(() => {
+      inFlight = null;
+    });
+
+    return inFlight;
+  }
+
+  async function syncIfStale(maxAgeMs) {
+    if (Date.now() - lastSyncAt < maxAgeMs) return;
+    try {
+      await sync();
+    } catch (err) {
+      log.error("Sync failed, serving indexed data", { err });
+    }
+  }
+
+  async function getState() {
+    const [cursor, events] = await Promise.all([
+      store.getCursor(),
+      store.getEvents(),
+    ]);
+    const last = events[events.length - 1];
+    const key = `${cursor}:${events.length}:${last?.transactionHash}`;
+    if (cachedProjection.key !== key) {
+      cachedProjection = { key, state: projectEvents(events) };
+    }
+    return { cursor, ...cachedProjection.state };
+  }
+
+  let timer = null;
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () =>
+      sync()
+        .catch((err) => log.error("Sync failed", { err }))
+        .finally(() => {
+          if (timer) timer = setTimeout(tick, intervalMs);
+        });
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  /** Registers a callback fired after a sync indexes or rolls back events. */
+  function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  async function status() {
+    return {
+      cursor: await store.getCursor(),
+      lastSyncAt: lastSyncAt ? new Date(lastSyncAt).toISOString() : null,
+      lastError,
+      sources: sources.map((s) => ({ source: s.source, address: s.address })),
+    };
+  }
+
+  return { sync, syncIfStale, getState, start, stop, onChange, status };
+}
+
+module.exports = { createIndexer };
@@ -0,0 +1,198 @@
+/**
+ * Folds the ordered event log into the read models served by the REST API.
+ * Pure function of the events, so a rollback only needs to drop events and
+ * re-project.
+ */
+
+// Mirrors the ProposalState enum shared by DAOVoting and PrivateDAOVoting
+const PROPOSAL_STATES = [
+  "Pending",
+  "Active",
+  "Succeeded",
+  "Defeated",
+  "Executed",
+  "Cancelled",
+];
+
+const MODES = ["baseline", "private"];
+
+function emptyProposal(mode, event) {
+  return {
+    id: event.args.proposalId,
+    mode,
+    title: event.args.title,
+    description: "",
+    proposer: event.args.proposer,
+    yesVotes: "0",
+    noVotes: "0",
+    totalVotingWeight: "0",
+    voteCount: 0,
+    state: PROPOSAL_STATES[0],
+    createdAt: event.timestamp,
+    votingStart: null,
+    votingEnd: null,
+    createdAtBlock: event.blockNumber,
+    transactionHash: event.transactionHash,
+  };
+}
+
+function addVote(proposal, support, weight) {
+  const key = support ? "yesVotes" : "noVotes";
+  proposal[key] = (BigInt(proposal[key]) + weight).toString();
+  proposal.totalVotingWeight = (
+    BigInt(proposal.totalVotingWeight) + weight
+  ).toString();
+  proposal.voteCount += 1;
+}
+
+/**
+ * @param {object[]} events Indexed events in (blockNumber, logIndex) order
+ * @returns {{
+ *   proposals: { baseline: Map<string, object>, private: Map<string, object> },
+ *   votes: { baseline: object[], private: object[] },
+ *   voters: Map<string, object>,
+ *   registrations: Map<string, object>,
+ *   commitments: object[],
+ *   voterSetRoots: object[],
+ * }}
+ */
+function projectEvents(events) {
+  const proposals = Object.fromEntries(MODES.map((mode) => [mode, new Map()]));
+  const votes = Object.fromEntries(MODES.map((mode) => [mode, []]));
+  const voters = new Map();
+  const registrations = new Map();
+  const commitments = [];
+  const voterSetRoots = [];
+
+  for (const event of events) {
+    const { source, name, args } = event;
+    const mode = source;
+
+    switch (`${source}:${name}`) {
+      case "baseline:ProposalCreated":
+        proposals.baseline.set(args.proposalId, {
+          ...emptyProposal(mode, event),
+          description: args.description,
+          votingStart: Number(args.votingStart),
+          votingEnd: Number(args.votingEnd),
+        });
+        break;
+
+      case "private:ProposalCreated":
+        proposals.private.set(args.proposalId, {
+          ...emptyProposal(mode, event),
+          description: event.details?.description ?? "",
+          votingStart: event.details ? Number(event.details.votingStart) : null,
+          votingEnd: event.details ? Number(event.details.votingEnd) : null,
+          voterSetRoot: args.voterSetRoot,
+          minReputationRequired: args.minReputationRequired,
+        });
+        break;
+
+      case "baseline:ProposalStateChanged":
+      case "private:ProposalStateChanged": {
+        const proposal = proposals[mode].get(args.proposalId);
+        if (proposal) proposal.state = PROPOSAL_STATES[Number(args.newState)];
+        break;
+      }
+
+      case "baseline:VoteCast": {
+        const weight = BigInt(args.weight);
+        const proposal = proposals.baseline.get(args.proposalId);
+        if (proposal) addVote(proposal, args.support, weight);
+        votes.baseline.push({
+          proposalId: args.proposalId,
+          voter: args.voter,
+          support: args.support,
+          weight: weight.toString(),
+          timestamp: event.timestamp,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+        });
+        break;
+      }
+
+      case "private:PrivateVoteCast": {
+        const proposal = proposals.private.get(args.proposalId);
+        if (proposal) addVote(proposal, args.support, 1n);
+        // No voter address: only the nullifier is public
+        votes.private.push({
+          proposalId: args.proposalId,
+          nullifier: args.nullifier,
+          support: args.support,
+          weight: "1",
+          timestamp: event.timestamp,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+        });
+        break;
+      }
+
+      case "baseline:VoterRegistered":
+        voters.set(args.voter.toLowerCase(), {
+          address: args.voter,
+          registeredAt: event.timestamp,
+          blockNumber: event.blockNumber,
+        });
+        break;
+
+      case "private:VoterRegistered":
+        commitments.push({
+          commitment: args.commitment,
+          blockNumber: event.blockNumber,
+          logIndex: event.logIndex,
+        });
+        break;
+
+      // A re-commit keeps the voter's leaf, so the tree changes in place
+      case "private:VoterReplaced": {
+        const index = Number(args.index);
+        if (commitments[index]) {
+          commitments[index] = {
+            commitment: args.newCommitment,
+            blockNumber: event.blockNumber,
+            logIndex: event.logIndex,
+          };
+        }
+        break;
+      }
+
+      case "private:VoterSetUpdated":
+        voterSetRoots.push({
+          root: args.newRoot,
+          blockNumber: event.blockNumber,
+          timestamp: event.timestamp,
+        });
+        break;
+
+      case "registry:VotingRegistrationSuccess":
+        registrations.set(args.controller.toLowerCase(), {
+          address: args.controller,
+          commitment: args.commitment,
+          registeredAt: event.timestamp,
+          blockNumber: event.blockNumber,
+        });
+        break;
+
+      case "registry:VoterRecommitted": {
+        const registration = registrations.get(args.controller.toLowerCase());
+        if (registration) registration.commitment = args.newCommitment;
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return {
+    proposals,
+    votes,
+    voters,
+    registrations,
+    commitments,
+    voterSetRoots,
+  };
+}
+
+module.exports = { PROPOSAL_STATES, MODES, projectEvents };
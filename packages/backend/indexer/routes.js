@@ -0,0 +1,219 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { MODES } = require("./projections");
+
+/**
+ * Read-only REST routes over the indexed chain state, matching the
+ * frontend's services/api clients. Proposals and votes are created on-chain,
+ * so the write routes those clients expose answer 405.
+ *
+ * Reads trigger a catch-up sync when the last one is older than
+ * `maxStalenessMs`; if the chain is unreachable the last indexed state is
+ * served. `X-Indexed-Block` reports the block the response reflects.
+ */
+function createIndexerRouter(indexer, { maxStalenessMs = 5000 } = {}) {
+  const router = express.Router();
+
+  const loadState = async (res) => {
+    await indexer.syncIfStale(maxStalenessMs);
+    const state = await indexer.getState();
+    if (state.cursor !== null) {
+      res.set("X-Indexed-Block", String(state.cursor));
+    }
+    return state;
+  };
+
+  const readMode = (req, res) => {
+    const mode = req.query.mode || "baseline";
+    if (!MODES.includes(mode)) {
+      res.status(400).json({
+        success: false,
+        error: `Invalid mode. Expected one of: ${MODES.join(", ")}`,
+      });
+      return null;
+    }
+    return mode;
+  };
+
+  const readAddress = (req, res) => {
+    if (!ethers.isAddress(req.params.address)) {
+      res.status(400).json({ success: false, error: "Invalid address format" });
+      return null;
+    }
+    return req.params.address.toLowerCase();
+  };
+
+  const readId = (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) {
+      res.status(400).json({ success: false, error: "Invalid proposal id" });
+      return null;
+    }
+    return BigInt(req.params.id).toString();
+  };
+
+  const onChainOnly = (what) => (req, res) =>
+    res.status(405).json({
+      success: false,
+      error: `${what} are recorded on-chain; submit a transaction instead`,
+    });
+
+  // =====================================================
+  // PROPOSALS
+  // =====================================================
+
+  router.get("/proposals", async (req, res, next) => {
+    try {
+      const mode = readMode(req, res);
+      if (!mode) return;
+      const state = await loadState(res);
+      res.json({
+        success: true,
+        mode,
+        proposals: [...state.proposals[mode].values()].reverse(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/proposals/:id", async (req, res, next) => {
+    try {
+      const mode = readMode(req, res);
+      const id = mode && readId(req, res);
+      if (!id) return;
+      const state = await loadState(res);
+      const proposal = state.proposals[mode].get(id);
+      if (!proposal) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Proposal not found" });
+      }
+      res.json({ success: true, mode, proposal });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/proposals", onChainOnly("Proposals"));
+  router.put("/proposals/:id", onChainOnly("Proposals"));
+
+  // =====================================================
+  // VOTES
+  // =====================================================
+
+  router.get("/votes/proposal/:id", async (req, res, next) => {
+    try {
+      const mode = readMode(req, res);
+      const id = mode && readId(req, res);
+      if (!id) return;
+      const state = await loadState(res);
+      res.json({
+        success: true,
+        mode,
+        votes: state.votes[mode].filter((v) => v.proposalId === id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/votes/proposal/:id/user/:address", async (req, res, next) => {
+    try {
+      const mode = readMode(req, res);
+      const id = mode && readId(req, res);
+      const address = id && readAddress(req, res);
+      if (!address) return;
+      if (mode === "private") {
+        return res.status(400).json({
+          success: false,
+          error: "Private votes are not linked to wallet addresses",
+        });
+      }
+      const state = await loadState(res);
+      const vote = state.votes.baseline.find(
+        (v) => v.proposalId === id && v.voter.toLowerCase() === address,
+      );
+      res.json({
+        success: true,
+        mode,
+        hasVoted: Boolean(vote),
+        vote: vote || null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/votes", onChainOnly("Votes"));
+
+  // =====================================================
+  // USERS
+  // =====================================================
+
+  const proposalsBy = (state, address) =>
+    MODES.flatMap((mode) =>
+      [...state.proposals[mode].values()].filter(
+        (p) => p.proposer.toLowerCase() === address,
+      ),
+    );
+
+  const votesBy = (state, address) =>
+    state.votes.baseline.filter((v) => v.voter.toLowerCase() === address);
+
+  router.get("/users/:address", async (req, res, next) => {
+    try {
+      const address = readAddress(req, res);
+      if (!address) return;
+      const state = await loadState(res);
+      const voter = state.voters.get(address);
+      const registration = state.registrations.get(address);
+      res.json({
+        success: true,
+        user: {
+          address: ethers.getAddress(address),
+          baseline: {
+            registered: Boolean(voter),
+            registeredAt: voter ? voter.registeredAt : null,
+          },
+          private: {
+            registered: Boolean(registration),
+            registeredAt: registration ? registration.registeredAt : null,
+          },
+          proposalCount: proposalsBy(state, address).length,
+          voteCount: votesBy(state, address).length,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/users/:address/votes", async (req, res, next) => {
+    try {
+      const address = readAddress(req, res);
+      if (!address) return;
+      const state = await loadState(res);
+      // Only baseline votes carry a wallet; private votes stay unlinkable
+      res.json({ success: true, votes: votesBy(state, address) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/users/:address/proposals", async (req, res, next) => {
+    try {
+      const address = readAddress(req, res);
+      if (!address) return;
+      const state = await loadState(res);
+      res.json({ success: true, proposals: proposalsBy(state, address) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put("/users/:address", onChainOnly("Voter registrations"));
+
+  return router;
+}
+
+module.exports = { createIndexerRouter };
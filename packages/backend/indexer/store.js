@@ -0,0 +1,214 @@
+/**
+ * Persistence for indexed chain events and block checkpoints.
+ * Events are kept in (blockNumber, logIndex) order; checkpoints map recently
+ * indexed block numbers to their hashes so the indexer can detect reorgs
+ * and roll back to the last block that is still canonical.
+ *
+ * All stores expose the same async interface:
+ *   getCursor, getCheckpoints, getEvents, commit, rollback
+ */
+
+// Upper bound on logs per block, used to build a sortable score
+const LOG_INDEX_SPAN = 100000;
+const MAX_CHECKPOINTS = 256;
+
+const eventScore = (event) =>
+  event.blockNumber * LOG_INDEX_SPAN + event.logIndex;
+
+function sortCheckpoints(entries) {
+  return entries
+    .map(([blockNumber, hash]) => ({ blockNumber: Number(blockNumber), hash }))
+    .sort((a, b) => b.blockNumber - a.blockNumber);
+}
+
+function createRedisIndexStore(redis, { prefix = "indexer:" } = {}) {
+  const keys = {
+    events: `${prefix}events`,
+    checkpoints: `${prefix}checkpoints`,
+    cursor: `${prefix}cursor`,
+  };
+
+  async function getCursor() {
+    const value = await redis.get(keys.cursor);
+    return value === null ? null : Number(value);
+  }
+
+  async function getCheckpoints() {
+    return sortCheckpoints(
+      Object.entries(await redis.hGetAll(keys.checkpoints)),
+    );
+  }
+
+  async function getEvents() {
+    const members = await redis.zRange(keys.events, 0, -1);
+    return members.map((member) => JSON.parse(member));
+  }
+
+  async function commit({ events, checkpoints, cursor }) {
+    const multi = redis.multi();
+    if (events.length > 0) {
+      multi.zAdd(
+        keys.events,
+        events.map((event) => ({
+          score: eventScore(event),
+          value: JSON.stringify(event),
+        })),
+      );
+    }
+    multi.hSet(keys.checkpoints, checkpoints);
+    multi.set(keys.cursor, String(cursor));
+    await multi.exec();
+
+    const stale = (await getCheckpoints()).slice(MAX_CHECKPOINTS);
+    if (stale.length > 0) {
+      await redis.hDel(
+        keys.checkpoints,
+        stale.map((c) => String(c.blockNumber)),
+      );
+    }
+  }
+
+  async function rollback(blockNumber) {
+    const orphaned = (await getCheckpoints()).filter(
+      (c) => c.blockNumber > blockNumber,
+    );
+    const multi = redis
+      .multi()
+      .zRemRangeByScore(keys.events, (blockNumber + 1) * LOG_INDEX_SPAN, "+inf")
+      .set(keys.cursor, String(blockNumber));
+    if (orphaned.length > 0) {
+      multi.hDel(
+        keys.checkpoints,
+        orphaned.map((c) => String(c.blockNumber)),
+      );
+    }
+    await multi.exec();
+  }
+
+  return { getCursor, getCheckpoints, getEvents, commit, rollback };
+}
+
+function createMemoryIndexStore() {
+  let cursor = null;
+  let events = [];
+  const checkpoints = new Map();
+
+  return {
+    async getCursor() {
+      return cursor;
+    },
+    async getCheckpoints() {
+      return sortCheckpoints([...checkpoints.entries()]);
+    },
+    async getEvents() {
+      return events.map((event) => ({ ...event }));
+    },
+    async commit(batch) {
+      events = [...events, ...batch.events].sort(
+        (a, b) => eventScore(a) - eventScore(b),
+      );
+      for (const [blockNumber, hash] of Object.entries(batch.checkpoints)) {
+        checkpoints.set(blockNumber, hash);
+      }
+      for (const stale of sortCheckpoints([...checkpoints.entries()]).slice(
+        MAX_CHECKPOINTS,
+      )) {
+        checkpoints.delete(String(stale.blockNumber));
+      }
+      cursor = batch.cursor;
+    },
+    async rollback(blockNumber) {
+      events = events.filter((event) => event.blockNumber <= blockNumber);
+      for (const key of [...checkpoints.keys()]) {
+        if (Number(key) > blockNumber) checkpoints.delete(key);
+      }
+      cursor = blockNumber;
+    },
+  };
+}
+
+/**
+ * @param {import("better-sqlite3").Database} db Shared with ../storage/sqlite.js
+ */
+function createSqliteIndexStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS indexer_events (
+      score INTEGER PRIMARY KEY,
+      event TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS indexer_checkpoints (
+      block_number INTEGER PRIMARY KEY,
+      hash TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS indexer_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const stmt = {
+    cursor: db.prepare("SELECT value FROM indexer_meta WHERE key = 'cursor'"),
+    setCursor: db.prepare(
+      "INSERT INTO indexer_meta (key, value) VALUES ('cursor', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value",
+    ),
+    checkpoints: db.prepare(
+      "SELECT block_number AS blockNumber, hash FROM indexer_checkpoints ORDER BY block_number DESC",
+    ),
+    putCheckpoint: db.prepare(
+      "INSERT OR REPLACE INTO indexer_checkpoints (block_number, hash) VALUES (?, ?)",
+    ),
+    trimCheckpoints: db.prepare(
+      "DELETE FROM indexer_checkpoints WHERE block_number NOT IN (SELECT block_number FROM indexer_checkpoints ORDER BY block_number DESC LIMIT ?)",
+    ),
+    events: db.prepare("SELECT event FROM indexer_events ORDER BY score"),
+    putEvent: db.prepare(
+      "INSERT OR REPLACE INTO indexer_events (score, event) VALUES (?, ?)",
+    ),
+    dropEvents: db.prepare("DELETE FROM indexer_events WHERE score >= ?"),
+    dropCheckpoints: db.prepare(
+      "DELETE FROM indexer_checkpoints WHERE block_number > ?",
+    ),
+  };
+
+  const commitTx = db.transaction(({ events, checkpoints, cursor }) => {
+    for (const event of events) {
+      stmt.putEvent.run(eventScore(event), JSON.stringify(event));
+    }
+    for (const [blockNumber, hash] of Object.entries(checkpoints)) {
+      stmt.putCheckpoint.run(Number(blockNumber), hash);
+    }
+    stmt.trimCheckpoints.run(MAX_CHECKPOINTS);
+    stmt.setCursor.run(String(cursor));
+  });
+
+  const rollbackTx = db.transaction((blockNumber) => {
+    stmt.dropEvents.run((blockNumber + 1) * LOG_INDEX_SPAN);
+    stmt.dropCheckpoints.run(blockNumber);
+    stmt.setCursor.run(String(blockNumber));
+  });
+
+  return {
+    async getCursor() {
+      const row = stmt.cursor.get();
+      return row ? Number(row.value) : null;
+    },
+    async getCheckpoints() {
+      return stmt.checkpoints.all();
+    },
+    async getEvents() {
+      return stmt.events.all().map((row) => JSON.parse(row.event));
+    },
+    async commit(batch) {
+      commitTx.immediate(batch);
+    },
+    async rollback(blockNumber) {
+      rollbackTx.immediate(blockNumber);
+    },
+  };
+}
+
+module.exports = {
+  createRedisIndexStore,
+  createMemoryIndexStore,
+  createSqliteIndexStore,
+};
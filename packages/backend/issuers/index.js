@@ -0,0 +1,11 @@
+const { resolveIssuerKeys, createIssuerKeyring } = require("./keys");
+const { rotateIssuer, nextIssuerKeys } = require("./rotation");
+const { createIssuersRouter } = require("./routes");
+
+module.exports = {
+  resolveIssuerKeys,
+  createIssuerKeyring,
+  rotateIssuer,
+  nextIssuerKeys,
+  createIssuersRouter,
+};
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const parseTime = (value, field, index) => {
+  if (value === undefined || value === null) return null;
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new Error(`ISSUER_KEYS[${index}].${field} is not a valid date`);
+  }
+  return ms;
+};
+
+/**
+ * Resolves the issuer key set from config. ISSUER_KEYS is a JSON array of
+ * `{ privateKey | keyFile | env, notBefore?, notAfter? }` (ISO dates), where
+ * `env` names another variable holding the key; without it
+ * ISSUER_PRIVATE_KEY is the only key and never expires.
+ *
+ * @param {{ issuerKeys?: string, issuerPrivateKey?: string }} config See ../config.js
+ * @param {object} [env] Defaults to process.env
+ * @returns {{ privateKey: string, notBefore: number|null, notAfter: number|null }[]}
+ */
+function resolveIssuerKeys(
+  { issuerKeys, issuerPrivateKey },
+  env = process.env,
+) {
+  if (!issuerKeys) {
+    return issuerPrivateKey
+      ? [{ privateKey: issuerPrivateKey, notBefore: null, notAfter: null }]
+      : [];
+  }
+
+  let specs;
+  try {
+    specs = JSON.parse(issuerKeys);
+  } catch {
+    throw new Error("ISSUER_KEYS must be a JSON array");
+  }
+  if (!Array.isArray(specs)) {
+    throw new Error("ISSUER_KEYS must be a JSON array");
+  }
+
+  return specs.map((spec, index) => {
+    const sources = ["privateKey", "keyFile", "env"].filter((s) => spec[s]);
+    if (sources.length !== 1) {
+      throw new Error(
+        `ISSUER_KEYS[${index}] needs exactly one of privateKey, keyFile or env`,
+      );
+    }
+    const privateKey = spec.privateKey
+      ? spec.privateKey
+      : spec.keyFile
+      ? fs.readFileSync(spec.keyFile, "utf8").trim()
+      : env[spec.env];
+    if (!privateKey) {
+      throw new Error(
+        `ISSUER_KEYS[${index}]: ${
+          spec.env ? `${spec.env} is not set` : "empty key"
+        }`,
+      );
+    }
+    const notBefore = parseTime(spec.notBefore, "notBefore", index);
+    const notAfter = parseTime(spec.notAfter, "notAfter", index);
+    if (notBefore !== null && notAfter !== null && notAfter <= notBefore) {
+      throw new Error(`ISSUER_KEYS[${index}] ends before it starts`);
+    }
+    return { privateKey, notBefore, notAfter };
+  });
+}
+
+const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+
+/**
+ * The issuer's signing keys, each valid within its window. Credentials are
+ * signed with the newest key in its window; older keys overlap it so that
+ * registrations started under them still verify on chain.
+ *
+ * @param {ReturnType<typeof resolveIssuerKeys>} keys
+ * @param {object} [options]
+ * @param {import("ethers").Provider} [options.provider]
+ * @param {() => number} [options.now]
+ */
+function createIssuerKeyring(keys, { provider, now = Date.now } = {}) {
+  if (!keys.length) throw new Error("No issuer keys configured");
+  const entries = keys.map(({ privateKey, notBefore, notAfter }) => {
+    const signer = new ethers.Wallet(privateKey, provider);
+    return { signer, address: signer.address, notBefore, notAfter };
+  });
+  const addresses = new Set(entries.map((entry) => entry.address));
+  if (addresses.size !== entries.length) {
+    throw new Error("The same issuer key is configured twice");
+  }
+
+  const started = (entry, at) =>
+    entry.notBefore === null || entry.notBefore <= at;
+  const expired = (entry, at) =>
+    entry.notAfter !== null && entry.notAfter <= at;
+
+  /** The key that signs right now; later `notBefore` wins, then list order. */
+  function current() {
+    const at = now();
+    let newest = null;
+    for (const entry of entries) {
+      if (!started(entry, at) || expired(entry, at)) continue;
+      if (
+        !newest ||
+        (entry.notBefore ?? -Infinity) >= (newest.notBefore ?? -Infinity)
+      ) {
+        newest = entry;
+      }
+    }
+    if (!newest) throw new Error("No issuer key is valid right now");
+    return newest;
+  }
+
+  /** Every key that hasn't expired, for clients and operators. */
+  function list() {
+    const at = now();
+    let signing = null;
+    try {
+      signing = current().address;
+    } catch {
+      // Reported as no key having `signing: true`
+    }
+    return entries
+      .filter((entry) => !expired(entry, at))
+      .map((entry) => ({
+        address: entry.address,
+        notBefore: iso(entry.notBefore),
+        notAfter: iso(entry.notAfter),
+        status: started(entry, at) ? "active" : "scheduled",
+        signing: entry.address === signing,
+      }));
+  }
+
+  return { current, list };
+}
+
+module.exports = { resolveIssuerKeys, createIssuerKeyring };
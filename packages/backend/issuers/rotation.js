@@ -0,0 +1,57 @@
+/**
+ * Makes `newIssuer` DIDRegistry's trusted issuer while the outgoing one
+ * stays an authorized issuer until `validUntil`, so credentials it already
+ * signed keep verifying. The outgoing key is authorized and given its end
+ * date before the switch, so there is no moment neither key is accepted.
+ *
+ * @param {object} options
+ * @param {import("ethers").Contract} options.registry DIDRegistry connected to its owner
+ * @param {string} options.newIssuer
+ * @param {number} options.validUntil Unix seconds the outgoing key stays valid
+ * @returns {Promise<{ previous: string, issuer: string, validUntil: number, transactions: string[] }>}
+ */
+async function rotateIssuer({ registry, newIssuer, validUntil }) {
+  const previous = await registry.trustedIssuer();
+  if (previous.toLowerCase() === newIssuer.toLowerCase()) {
+    throw new Error("This address is already the trusted issuer");
+  }
+
+  const transactions = [];
+  const send = async (tx) => {
+    const receipt = await (await tx).wait();
+    transactions.push(receipt.hash);
+  };
+  if (!(await registry.authorizedIssuers(previous))) {
+    await send(registry.authorizeIssuer(previous));
+  }
+  await send(registry.setIssuerValidUntil(previous, validUntil));
+  await send(registry.setTrustedIssuer(newIssuer));
+
+  return { previous, issuer: newIssuer, validUntil, transactions };
+}
+
+/**
+ * ISSUER_KEYS after a rotation: keys without an end get `notAfter`, expired
+ * keys are dropped and the new key file starts now. Keys are referenced,
+ * never inlined, so the value can be printed.
+ *
+ * @param {string|undefined} issuerKeys Current ISSUER_KEYS; unset means ISSUER_PRIVATE_KEY only
+ * @param {object} options
+ * @param {string} options.keyFile Where the new key is stored
+ * @param {number} options.notAfter End of the outgoing keys (ms)
+ * @param {number} [options.now] ms
+ */
+function nextIssuerKeys(issuerKeys, { keyFile, notAfter, now = Date.now() }) {
+  const specs = issuerKeys
+    ? JSON.parse(issuerKeys)
+    : [{ env: "ISSUER_PRIVATE_KEY" }];
+  const end = new Date(notAfter).toISOString();
+  return [
+    ...specs
+      .filter((spec) => !spec.notAfter || Date.parse(spec.notAfter) > now)
+      .map((spec) => (spec.notAfter ? spec : { ...spec, notAfter: end })),
+    { keyFile, notBefore: new Date(now).toISOString() },
+  ];
+}
+
+module.exports = { rotateIssuer, nextIssuerKeys };
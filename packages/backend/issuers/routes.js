@@ -0,0 +1,28 @@
+const express = require("express");
+
+/**
+ * GET /issuers — the keys credentials may currently be signed with, so
+ * clients and auditors can tell which signatures to expect during a
+ * rotation.
+ *
+ * @param {ReturnType<import("./keys").createIssuerKeyring>} keyring
+ * @param {object} [options]
+ * @param {string} [options.registryAddress] DIDRegistry that verifies them
+ */
+function createIssuersRouter(keyring, { registryAddress } = {}) {
+  const router = express.Router();
+
+  router.get("/issuers", (req, res) => {
+    const issuers = keyring.list();
+    res.json({
+      success: true,
+      registry: registryAddress ?? null,
+      signing: issuers.find((issuer) => issuer.signing)?.address ?? null,
+      issuers,
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createIssuersRouter };
@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+/**
+ * Distributed registration locks on top of the issuer storage.
+ * `acquire` is a single atomic set-if-absent with a TTL, so two serverless
+ * instances can never hold the same lock; the TTL frees it if an instance
+ * dies mid-request. `release` only deletes the lock if we still own it.
+ */
+function createLockManager(storage, { ttlMs = 30000, prefix = "lock:" } = {}) {
+  async function acquire(name) {
+    const token = crypto.randomUUID();
+    const acquired = await storage.set(prefix + name, token, {
+      onlyIfAbsent: true,
+      ttlMs,
+    });
+    return acquired ? token : null;
+  }
+
+  async function release(name, token) {
+    await storage.deleteIfEquals(prefix + name, token);
+  }
+
+  return { acquire, release };
+}
+
+module.exports = { createLockManager };
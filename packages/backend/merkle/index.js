@@ -0,0 +1,12 @@
+const { createMerkleTree, toBytes32 } = require("zk-core");
+const { createMerkleService } = require("./service");
+const { createMerkleRouter } = require("./routes");
+const { createRootSyncWorker } = require("./rootSync");
+
+module.exports = {
+  createMerkleTree,
+  createMerkleService,
+  createMerkleRouter,
+  createRootSyncWorker,
+  toBytes32,
+};
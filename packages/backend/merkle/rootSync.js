@@ -0,0 +1,129 @@
+const log = require("../observability").log.child({ component: "root-sync" });
+
+/**
+ * Keeps PrivateDAOVoting.currentVoterSetRoot equal to the padded Poseidon
+ * root of every registered commitment.
+ *
+ * The tree comes from the indexer, so it only contains confirmed
+ * registrations. A root is only pushed once the tree holds as many leaves as
+ * the contract reports; while registrations are still waiting for
+ * confirmations the worker holds off instead of publishing an older root.
+ *
+ * @param {object} options
+ * @param {object} options.merkle See ./service.js
+ * @param {import("ethers").Contract} options.contract PrivateDAOVoting with a signer
+ * @param {{ acquire: Function, release: Function }} options.lock Single submitter across instances
+ */
+function createRootSyncWorker({ merkle, contract, lock }) {
+  let inFlight = null;
+  let outOfSyncSince = null;
+  let lastCheck = null;
+  let lastUpdate = null;
+  let lastError = null;
+
+  async function runCheck() {
+    const { root, leafCount } = await merkle.getRoot();
+    const [onChainRoot, onChainCount] = await Promise.all([
+      contract.currentVoterSetRoot(),
+      contract.getRegisteredVoterCount(),
+    ]);
+
+    lastCheck = {
+      at: Date.now(),
+      computedRoot: root,
+      onChainRoot: onChainRoot.toLowerCase(),
+      indexedVoters: leafCount,
+      onChainVoters: Number(onChainCount),
+    };
+
+    if (lastCheck.onChainRoot === root) {
+      outOfSyncSince = null;
+      return { action: "in_sync" };
+    }
+    outOfSyncSince = outOfSyncSince ?? Date.now();
+
+    if (leafCount === 0 || leafCount < lastCheck.onChainVoters) {
+      return { action: "waiting_for_confirmations" };
+    }
+
+    const token = await lock.acquire("root-sync");
+    if (!token) return { action: "locked" };
+    try {
+      // Another instance may have just pushed it
+      if ((await contract.currentVoterSetRoot()).toLowerCase() === root) {
+        outOfSyncSince = null;
+        return { action: "in_sync" };
+      }
+
+      log.info("Updating voter set root", { root, voters: leafCount });
+      const tx = await contract.updateVoterSetRoot(root);
+      await tx.wait();
+      lastUpdate = { txHash: tx.hash, root, at: Date.now() };
+      outOfSyncSince = null;
+      return { action: "updated", txHash: tx.hash };
+    } finally {
+      await lock.release("root-sync", token).catch(() => {});
+    }
+  }
+
+  /** Compares the roots once and submits an update if needed. */
+  function check() {
+    if (!inFlight) {
+      inFlight = runCheck()
+        .then((result) => {
+          lastError = null;
+          return result;
+        })
+        .catch((err) => {
+          lastError = err.shortMessage || err.message;
+          throw err;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  let timer = null;
+  function start(intervalMs) {
+    if (timer) return;
+    const tick = () =>
+      check()
+        .catch((err) => log.error("Check failed", { err }))
+        .finally(() => {
+          if (timer) timer = setTimeout(tick, intervalMs);
+        });
+    timer = setTimeout(tick, 0);
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function status() {
+    const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+    return {
+      enabled: true,
+      inSync: lastCheck ? outOfSyncSince === null : null,
+      computedRoot: lastCheck?.computedRoot ?? null,
+      onChainRoot: lastCheck?.onChainRoot ?? null,
+      indexedVoters: lastCheck?.indexedVoters ?? null,
+      onChainVoters: lastCheck?.onChainVoters ?? null,
+      pendingVoters: lastCheck
+        ? Math.max(lastCheck.onChainVoters - lastCheck.indexedVoters, 0)
+        : null,
+      lagSeconds: outOfSyncSince
+        ? Math.round((Date.now() - outOfSyncSince) / 1000)
+        : 0,
+      lastCheckAt: iso(lastCheck?.at),
+      lastUpdate: lastUpdate && { ...lastUpdate, at: iso(lastUpdate.at) },
+      lastError,
+    };
+  }
+
+  return { check, start, stop, status };
+}
+
+module.exports = { createRootSyncWorker };
@@ -0,0 +1,82 @@
+const express = require("express");
+
+const isBytes32 = (value) => /^0x[a-fA-F0-9]{64}$/.test(value);
+
+/**
+ * Voter-set Merkle endpoints so private-voting clients can fetch their own
+ * inclusion path instead of downloading every commitment. `/merkle/proof`
+ * tells the operator which commitment is about to vote, so clients relaying
+ * their vote through this backend use `/merkle/snapshot` instead.
+ */
+function createMerkleRouter(merkle, indexer, { maxStalenessMs = 5000 } = {}) {
+  const router = express.Router();
+
+  const catchUp = async (res) => {
+    await indexer.syncIfStale(maxStalenessMs);
+    const { cursor, voterSetRoots } = await indexer.getState();
+    if (cursor !== null) res.set("X-Indexed-Block", String(cursor));
+    return voterSetRoots;
+  };
+
+  router.get("/merkle/root", async (req, res, next) => {
+    try {
+      const voterSetRoots = await catchUp(res);
+      const tree = await merkle.getRoot();
+      const latest = voterSetRoots[voterSetRoots.length - 1];
+      const onChainRoot = latest ? latest.root : null;
+      res.json({
+        success: true,
+        ...tree,
+        onChainRoot,
+        inSync: onChainRoot !== null && onChainRoot === tree.root,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/merkle/proof/:commitment", async (req, res, next) => {
+    try {
+      if (!isBytes32(req.params.commitment)) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid commitment format" });
+      }
+      await catchUp(res);
+      const proof = await merkle.getProof(req.params.commitment);
+      if (!proof) {
+        return res.status(404).json({
+          success: false,
+          error: "Commitment is not in the indexed voter set",
+        });
+      }
+      res.json({ success: true, ...proof });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/merkle/snapshot/:root", async (req, res, next) => {
+    try {
+      if (!isBytes32(req.params.root)) {
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid root format" });
+      }
+      await catchUp(res);
+      const snapshot = await merkle.getSnapshot(req.params.root);
+      if (!snapshot) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Unknown voter set root" });
+      }
+      res.json({ success: true, ...snapshot });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMerkleRouter };
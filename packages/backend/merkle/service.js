@@ -0,0 +1,177 @@
+const {
+  createMerkleTree,
+  restoreMerkleTree,
+  getPoseidonHasher,
+  toBytes32,
+  VOTE_TREE_DEPTH,
+} = require("zk-core");
+const log = require("../observability").log.child({ component: "merkle" });
+
+/**
+ * Voter-set Merkle tree kept in step with the indexer's PrivateDAOVoting
+ * `VoterRegistered` events. New commitments are appended incrementally; if
+ * the indexed list no longer extends what was applied (a reorg rolled it
+ * back, or a voter re-committed in place) the tree is rebuilt from the
+ * indexed list.
+ *
+ * The tree keeps every root it passes through, so a historical root can be
+ * served as the leaf prefix that produced it. With `storage`, the tree is
+ * saved after each refresh that changed it and resumed on the first one, so
+ * a restart only hashes the commitments registered since.
+ *
+ * @param {object} options
+ * @param {object} options.indexer See ../indexer
+ * @param {number|(() => Promise<number>)} [options.depth] Must match the
+ *   deployed circuit; a function is called on the first refresh, e.g. to
+ *   read PrivateDAOVoting's `merkleTreeDepth()`
+ * @param {object} [options.storage] See ../storage
+ * @param {string} [options.key]
+ */
+function createMerkleService({
+  indexer,
+  depth: depthOption = VOTE_TREE_DEPTH,
+  storage,
+  key = "merkle:tree",
+}) {
+  let depth = typeof depthOption === "function" ? null : depthOption;
+  let tree = null;
+  let applied = [];
+  let lastError = null;
+
+  function reset(hash) {
+    tree = createMerkleTree({ depth, hash });
+    applied = [];
+  }
+
+  async function load(hash) {
+    const saved = storage && (await storage.get(key));
+    if (!saved) return;
+    try {
+      const state = JSON.parse(saved);
+      tree = restoreMerkleTree(state.tree, { hash });
+      if (tree.depth !== depth || state.applied.length !== tree.size()) {
+        throw new Error("Saved tree does not match the configured depth");
+      }
+      applied = state.applied;
+      log.info("Resumed saved tree", { leafCount: applied.length });
+    } catch (err) {
+      log.warn("Ignoring saved tree", { err });
+      tree = null;
+    }
+  }
+
+  async function save() {
+    if (!storage) return;
+    try {
+      await storage.set(key, JSON.stringify({ tree, applied }));
+    } catch (err) {
+      log.warn("Saving tree failed", { err });
+    }
+  }
+
+  function extendsApplied(commitments) {
+    if (commitments.length < applied.length) return false;
+    return applied.every((c, i) => commitments[i].commitment === c.commitment);
+  }
+
+  let inFlight = null;
+  async function runRefresh() {
+    if (depth === null) depth = await depthOption();
+    const hash = await getPoseidonHasher();
+    if (!tree) await load(hash);
+    const { commitments } = await indexer.getState();
+
+    if (!tree || !extendsApplied(commitments)) {
+      if (tree) log.warn("Commitment list changed, rebuilding");
+      reset(hash);
+    }
+
+    const pending = commitments.slice(applied.length);
+    try {
+      for (const entry of pending) {
+        tree.insert(entry.commitment);
+        applied.push({
+          commitment: entry.commitment,
+          blockNumber: entry.blockNumber,
+        });
+      }
+      lastError = null;
+    } catch (err) {
+      lastError = err.message;
+      log.error("Tree update failed", { err });
+    }
+    if (pending.length) await save();
+  }
+
+  /** Applies any commitments indexed since the last call. */
+  function refresh() {
+    if (!inFlight) {
+      inFlight = runRefresh().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  indexer.onChange(() => {
+    refresh().catch((err) => log.error("Refresh failed", { err }));
+  });
+
+  async function getRoot() {
+    await refresh();
+    return {
+      root: toBytes32(tree.root()),
+      leafCount: tree.size(),
+      depth,
+      capacity: tree.capacity,
+    };
+  }
+
+  /** @returns {Promise<object|null>} null when the commitment is not a leaf */
+  async function getProof(commitment) {
+    await refresh();
+    const leafIndex = applied.findIndex(
+      (c) => c.commitment.toLowerCase() === commitment.toLowerCase(),
+    );
+    if (leafIndex === -1) return null;
+
+    const { pathElements, pathIndices } = tree.proof(leafIndex);
+    return {
+      commitment: applied[leafIndex].commitment,
+      leafIndex,
+      root: toBytes32(tree.root()),
+      pathElements: pathElements.map((e) => e.toString()),
+      pathIndices,
+    };
+  }
+
+  /** @returns {Promise<object|null>} null when the root was never produced */
+  async function getSnapshot(root) {
+    await refresh();
+    let leafCount;
+    try {
+      leafCount = tree.leafCountOf(root);
+    } catch {
+      return null;
+    }
+    // The empty root was never produced by a registration
+    if (leafCount < 1) return null;
+    return {
+      root: root.toLowerCase(),
+      depth,
+      leafCount,
+      blockNumber: applied[leafCount - 1].blockNumber,
+      leaves: applied.slice(0, leafCount).map((c) => c.commitment),
+    };
+  }
+
+  return {
+    refresh,
+    getRoot,
+    getProof,
+    getSnapshot,
+    status: () => ({ lastError }),
+  };
+}
+
+module.exports = { createMerkleService };
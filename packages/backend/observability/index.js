@@ -0,0 +1,24 @@
+const { CONTENT_TYPE, createMetricsRegistry } = require("./metrics");
+const {
+  REDACTED,
+  redact,
+  createLogger,
+  requestContext,
+  requestIdMiddleware,
+  log,
+} = require("./logger");
+const { createIssuerMetrics } = require("./instrument");
+const { createMetricsRouter } = require("./routes");
+
+module.exports = {
+  CONTENT_TYPE,
+  createMetricsRegistry,
+  REDACTED,
+  redact,
+  createLogger,
+  requestContext,
+  requestIdMiddleware,
+  log,
+  createIssuerMetrics,
+  createMetricsRouter,
+};
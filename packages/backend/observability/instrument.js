@@ -0,0 +1,150 @@
+const { log } = require("./logger");
+
+/**
+ * Issuer metrics, registered on `registry`:
+ *
+ *   http_request_duration_seconds{method,route,status}
+ *   rpc_request_duration_seconds{method}, rpc_errors_total{method}
+ *   credentials_issued_total, credentials_reissued_total{wallet_switch}
+ *   sybil_blocked_total, rate_limited_total{limiter,subject}
+ *   pop_verifications_total{provider,outcome}
+ *   storage_up{backend}, storage_ping_seconds{backend}
+ *
+ * @param {object} registry See ./metrics.js
+ * @param {object} [options]
+ * @param {object} [options.storage] Pinged on every scrape
+ */
+function createIssuerMetrics(registry, { storage } = {}) {
+  const httpDuration = registry.histogram(
+    "http_request_duration_seconds",
+    "HTTP request latency by route",
+    ["method", "route", "status"],
+  );
+  const rpcDuration = registry.histogram(
+    "rpc_request_duration_seconds",
+    "JSON-RPC call latency by method",
+    ["method"],
+  );
+  const rpcErrors = registry.counter(
+    "rpc_errors_total",
+    "JSON-RPC calls that failed",
+    ["method"],
+  );
+
+  const issued = registry.counter(
+    "credentials_issued_total",
+    "Credentials issued to new identities",
+  );
+  const reissued = registry.counter(
+    "credentials_reissued_total",
+    "Credentials issued again to known identities",
+    ["wallet_switch"],
+  );
+  const sybilBlocked = registry.counter(
+    "sybil_blocked_total",
+    "Requests refused because the identity already has a registered wallet",
+  );
+  const rateLimited = registry.counter(
+    "rate_limited_total",
+    "Requests refused by a rate limiter",
+    ["limiter", "subject"],
+  );
+  const popVerifications = registry.counter(
+    "pop_verifications_total",
+    "Proof-of-personhood verifications by provider and outcome",
+    ["provider", "outcome"],
+  );
+
+  if (storage) {
+    const ping = registry.gauge(
+      "storage_ping_seconds",
+      "Latency of a storage ping at scrape time",
+      ["backend"],
+    );
+    registry.gauge(
+      "storage_up",
+      "Whether the issuer storage answered a ping",
+      ["backend"],
+      async (up) => {
+        const started = process.hrtime.bigint();
+        try {
+          await storage.ping();
+          up.set({ backend: storage.name }, 1);
+          ping.set(
+            { backend: storage.name },
+            Number(process.hrtime.bigint() - started) / 1e9,
+          );
+        } catch (err) {
+          log.warn("Storage ping failed", { err });
+          up.set({ backend: storage.name }, 0);
+        }
+      },
+    );
+  }
+
+  /**
+   * Times every request. The route label is the matched Express path
+   * (`/content/:cid`, not the CID itself) so the series count stays bounded.
+   */
+  function httpMiddleware(req, res, next) {
+    const end = httpDuration.startTimer({ method: req.method });
+    res.on("finish", () => {
+      const route = req.route
+        ? `${req.baseUrl}${req.route.path}`
+        : res.statusCode === 404
+        ? "unmatched"
+        : req.baseUrl || "middleware";
+      const seconds = end({ route, status: res.statusCode });
+      log.info("Request handled", {
+        requestId: req.id,
+        method: req.method,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+      });
+    });
+    next();
+  }
+
+  /**
+   * Wraps `provider._send` (the ethers v6 subclass hook every JSON-RPC
+   * request goes through) to time each call. Batched calls are recorded
+   * once per method with the batch's latency.
+   */
+  function instrumentProvider(provider) {
+    const send = provider._send.bind(provider);
+    provider._send = async (payload) => {
+      const methods = (Array.isArray(payload) ? payload : [payload]).map(
+        (p) => p.method,
+      );
+      const started = process.hrtime.bigint();
+      try {
+        return await send(payload);
+      } catch (err) {
+        methods.forEach((method) => rpcErrors.inc({ method }));
+        throw err;
+      } finally {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        methods.forEach((method) => rpcDuration.observe({ method }, seconds));
+      }
+    };
+    return provider;
+  }
+
+  return {
+    httpMiddleware,
+    instrumentProvider,
+    issued: () => issued.inc(),
+    reissued: (walletSwitch) =>
+      reissued.inc({ wallet_switch: String(Boolean(walletSwitch)) }),
+    sybilBlocked: () => sybilBlocked.inc(),
+    rateLimited: (limiter, subject) => rateLimited.inc({ limiter, subject }),
+    popVerification: ({ provider, success, code }) =>
+      popVerifications.inc({
+        provider,
+        outcome: success ? "success" : code || "failure",
+      }),
+  };
+}
+
+module.exports = { createIssuerMetrics };
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values under these keys never reach the logs
+const REDACTED_KEYS = new Set([
+  "nullifier",
+  "nullifier_hash",
+  "nullifierHash",
+  "identityKey",
+  "signature",
+  "siwe",
+  "proof",
+  "proofs",
+  "worldcoinProof",
+  "attestations",
+  "secret",
+]);
+const REDACTED = "[REDACTED]";
+// 65-byte ECDSA signatures, wherever they appear (including invite codes)
+const SIGNATURE_PATTERN = /0x[0-9a-fA-F]{130}/g;
+
+const requestContext = new AsyncLocalStorage();
+
+function redact(value, depth = 0) {
+  if (typeof value === "string") {
+    return value.replace(SIGNATURE_PATTERN, REDACTED);
+  }
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      code: value.code,
+    };
+  }
+  if (!value || typeof value !== "object" || depth > 5) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      REDACTED_KEYS.has(key) && v != null ? REDACTED : redact(v, depth + 1),
+    ]),
+  );
+}
+
+/**
+ * JSON-lines logger. Each line carries the id of the request it was written
+ * under (see `requestIdMiddleware`), and nullifiers, signatures and proofs
+ * are redacted before anything is written.
+ *
+ *   log.info("Credential issued", { wallet, nullifier })
+ *   -> {"time":"…","level":"info","msg":"Credential issued",
+ *       "requestId":"…","wallet":"0x…","nullifier":"[REDACTED]"}
+ *
+ * @param {object} [options]
+ * @param {string} [options.level] Lowest level written (LOG_LEVEL)
+ * @param {{ write: Function }} [options.stream]
+ * @param {object} [options.bindings] Fields added to every line
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  stream = process.stdout,
+  bindings = {},
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lineLevel, msg, fields) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const context = requestContext.getStore();
+    const entry = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      msg: redact(msg),
+      ...(context ? { requestId: context.requestId } : {}),
+      ...redact(bindings),
+      ...redact(fields instanceof Error ? { err: fields } : fields || {}),
+    };
+    stream.write(JSON.stringify(entry) + "\n");
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    /** Logger that adds `extra` to every line, e.g. `{ component: "relayer" }`. */
+    child: (extra) =>
+      createLogger({ level, stream, bindings: { ...bindings, ...extra } }),
+  };
+}
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Tags the request with an id (the caller's `X-Request-Id` when it looks
+ * sane, otherwise a new UUID), echoes it back and makes it available to
+ * every log line written while the request is handled.
+ */
+function requestIdMiddleware(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId = REQUEST_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+  requestContext.run({ requestId }, next);
+}
+
+const log = createLogger();
+
+module.exports = {
+  REDACTED,
+  redact,
+  createLogger,
+  requestContext,
+  requestIdMiddleware,
+  log,
+};
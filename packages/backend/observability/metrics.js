@@ -0,0 +1,145 @@
+const { log } = require("./logger");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; covers cache hits through slow Cloud Verify round trips
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+};
+
+const formatValue = (value) =>
+  value === Infinity ? "+Inf" : value === -Infinity ? "-Inf" : String(value);
+
+/**
+ * Minimal Prometheus registry: counters, gauges and histograms with labels,
+ * rendered in the text exposition format (0.0.4). Label values not listed
+ * in `labelNames` are dropped, so callers can pass a wider object.
+ */
+function createMetricsRegistry({ prefix = "" } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const series = new Map();
+    const metric = { type, name: prefix + name, help, labelNames, series };
+    metrics.push(metric);
+
+    const pick = (labels = {}) =>
+      Object.fromEntries(
+        labelNames.map((label) => [label, labels[label] ?? ""]),
+      );
+    const seriesFor = (labels, init) => {
+      const picked = pick(labels);
+      const key = JSON.stringify(picked);
+      if (!series.has(key)) series.set(key, { labels: picked, ...init() });
+      return series.get(key);
+    };
+    return { metric, seriesFor };
+  }
+
+  function counter(name, help, labelNames = []) {
+    const { seriesFor } = register("counter", name, help, labelNames);
+    return {
+      inc(labels, amount = 1) {
+        seriesFor(labels, () => ({ value: 0 })).value += amount;
+      },
+    };
+  }
+
+  /** `collect` runs before every render, for values read at scrape time. */
+  function gauge(name, help, labelNames = [], collect) {
+    const { metric, seriesFor } = register("gauge", name, help, labelNames);
+    const api = {
+      set(labels, value) {
+        seriesFor(labels, () => ({ value: 0 })).value = value;
+      },
+    };
+    metric.collect = collect && (() => collect(api));
+    return api;
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const { metric, seriesFor } = register("histogram", name, help, labelNames);
+    const bounds = [...buckets].sort((a, b) => a - b);
+    metric.bounds = bounds;
+    const observe = (labels, value) => {
+      const s = seriesFor(labels, () => ({
+        counts: bounds.map(() => 0),
+        sum: 0,
+        count: 0,
+      }));
+      bounds.forEach((bound, i) => {
+        if (value <= bound) s.counts[i] += 1;
+      });
+      s.sum += value;
+      s.count += 1;
+    };
+    return {
+      bounds,
+      observe,
+      /** Starts a timer; the returned function records the elapsed seconds. */
+      startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extra = {}) => {
+          const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+          observe({ ...labels, ...extra }, seconds);
+          return seconds;
+        };
+      },
+    };
+  }
+
+  async function render() {
+    await Promise.all(
+      metrics.map((m) =>
+        m.collect
+          ? Promise.resolve(m.collect()).catch((err) =>
+              log.error("Metric collection failed", { metric: m.name, err }),
+            )
+          : null,
+      ),
+    );
+
+    const lines = [];
+    for (const { type, name, help, series, bounds } of metrics) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const s of series.values()) {
+        if (type !== "histogram") {
+          lines.push(
+            `${name}${formatLabels(s.labels)} ${formatValue(s.value)}`,
+          );
+          continue;
+        }
+        s.counts.forEach((count, i) => {
+          const le = formatValue(bounds[i]);
+          lines.push(
+            `${name}_bucket${formatLabels({ ...s.labels, le })} ${count}`,
+          );
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${
+            s.count
+          }`,
+          `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+          `${name}_count${formatLabels(s.labels)} ${s.count}`,
+        );
+      }
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetricsRegistry };
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+const express = require("express");
+
+/**
+ * GET /metrics in Prometheus text format. With `token` set, scrapers must
+ * send `Authorization: Bearer <token>`.
+ *
+ * @param {object} registry See ./metrics.js
+ */
+function createMetricsRouter(registry, { token } = {}) {
+  const router = express.Router();
+  const expected = token && Buffer.from(`Bearer ${token}`);
+
+  router.get("/metrics", async (req, res, next) => {
+    try {
+      if (expected) {
+        const given = Buffer.from(req.get("authorization") || "");
+        if (
+          given.length !== expected.length ||
+          !crypto.timingSafeEqual(given, expected)
+        ) {
+          return res
+            .status(401)
+            .json({ success: false, error: "Unauthorized" });
+        }
+      }
+      res.set("Content-Type", registry.contentType);
+      res.send(await registry.render());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
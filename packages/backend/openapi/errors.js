@@ -0,0 +1,38 @@
+const log = require("../observability").log.child({ component: "http" });
+
+/**
+ * Last handlers on the app, so every failure has the documented
+ * `{ success: false, error, code }` shape, including requests no route
+ * matched and bodies Express could not parse.
+ */
+function notFoundHandler(req, res) {
+  res
+    .status(404)
+    .json({ success: false, error: "Not found", code: "not_found" });
+}
+
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({
+      success: false,
+      error: "Request body is not valid JSON",
+      code: "invalid_json",
+    });
+  }
+  if (err.type === "entity.too.large") {
+    return res.status(413).json({
+      success: false,
+      error: "Request body is too large",
+      code: "payload_too_large",
+    });
+  }
+  log.error("Unhandled error", { err });
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    code: "internal_error",
+  });
+}
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,12 @@
+const { spec } = require("./spec");
+const { createApiValidator } = require("./validator");
+const { createDocsRouter } = require("./routes");
+const { notFoundHandler, errorHandler } = require("./errors");
+
+module.exports = {
+  spec,
+  createApiValidator,
+  createDocsRouter,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,22 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-express");
+
+/**
+ * GET /openapi.json, the raw document, and GET /docs, Swagger UI over it.
+ *
+ * @param {object} spec See ./spec.js
+ */
+function createDocsRouter(spec) {
+  const router = express.Router();
+
+  router.get("/openapi.json", (req, res) => res.json(spec));
+  router.use(
+    "/docs",
+    swaggerUi.serveFiles(spec),
+    swaggerUi.setup(spec, { customSiteTitle: spec.info.title }),
+  );
+
+  return router;
+}
+
+module.exports = { createDocsRouter };
@@ -0,0 +1,1153 @@
+/**
+ * OpenAPI 3 description of every issuer route. Requests are validated
+ * against it (see ./validator.js) and it is served at /openapi.json and
+ * /docs. Schemas may carry `x-error-message`, which the validator uses as
+ * the error text instead of the generic one.
+ *
+ * Response schemas list the fields clients rely on; extra fields are
+ * allowed so adding one isn't a breaking change.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const ok = (description, properties, required = []) => ({
+  description,
+  ...json({
+    type: "object",
+    required: ["success", ...required],
+    properties: { success: { type: "boolean", enum: [true] }, ...properties },
+  }),
+});
+const body = (properties, required = []) => ({
+  required: true,
+  ...json({ type: "object", required, properties }),
+});
+const errors = (...statuses) =>
+  Object.fromEntries(
+    statuses.map((status) => [
+      String(status),
+      { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` },
+    ]),
+  );
+const pathParam = (name, schema, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema,
+});
+const queryParam = (name, schema, description) => ({
+  name,
+  in: "query",
+  required: false,
+  description,
+  schema,
+});
+
+const ERROR_RESPONSES = {
+  400: "BadRequest",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "NotFound",
+  405: "MethodNotAllowed",
+  409: "Conflict",
+  429: "TooManyRequests",
+  500: "InternalError",
+  503: "Unavailable",
+};
+
+const errorResponse = (description) => ({
+  description,
+  ...json(ref("Error")),
+});
+
+const modeParam = queryParam(
+  "mode",
+  { type: "string", enum: ["baseline", "private"], default: "baseline" },
+  "DAOVoting (baseline) or PrivateDAOVoting (private)",
+);
+const proposalIdParam = pathParam(
+  "id",
+  {
+    type: "string",
+    pattern: "^\\d+$",
+    "x-error-message": "Invalid proposal id",
+  },
+  "Proposal id",
+);
+const addressParam = pathParam("address", ref("Address"), "Wallet address");
+const nullifierParam = pathParam(
+  "nullifier",
+  ref("IdentityKey"),
+  "Identity key (the World ID nullifier hash for World ID identities)",
+);
+const indexedHeaders = {
+  "X-Indexed-Block": {
+    description: "Last block the indexed state reflects",
+    schema: { type: "string" },
+  },
+};
+const onChainOnly = (summary) => ({
+  tags: ["Chain data"],
+  summary,
+  description: "Recorded on-chain; always answers 405.",
+  responses: errors(405),
+});
+const adminSecurity = [
+  { adminSignature: [], adminTimestamp: [], adminNonce: [] },
+];
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { type: "boolean", enum: [false] },
+      error: { type: "string", description: "Human-readable reason" },
+      code: {
+        type: "string",
+        description: "Machine-readable reason, where the route defines one",
+      },
+      details: {
+        type: "array",
+        description: "Schema violations, for invalid_request errors",
+        items: ref("ValidationIssue"),
+      },
+    },
+  },
+  ValidationIssue: {
+    type: "object",
+    required: ["in", "field", "message"],
+    properties: {
+      in: { type: "string", enum: ["body", "query", "path"] },
+      field: { type: "string" },
+      message: { type: "string" },
+    },
+  },
+  Address: {
+    type: "string",
+    pattern: "^0x[a-fA-F0-9]{40}$",
+    "x-error-message": "Invalid Ethereum address",
+  },
+  Bytes32: {
+    type: "string",
+    pattern: "^0x[a-fA-F0-9]{64}$",
+  },
+  Commitment: {
+    type: "string",
+    pattern: "^0x[a-fA-F0-9]{64}$",
+    description: "Poseidon identity commitment as bytes32",
+    "x-error-message": "Invalid identity commitment",
+  },
+  IdentityKey: {
+    type: "string",
+    pattern: "^0x[a-fA-F0-9]{1,64}$",
+    "x-error-message": "Invalid nullifier hash",
+  },
+  Cid: {
+    type: "string",
+    pattern: "^bafkrei[a-z2-7]{52}$",
+    description: "CIDv1, raw codec, sha2-256, base32",
+    "x-error-message": "Invalid CID",
+  },
+  FieldValue: {
+    type: "string",
+    pattern: "^(0x[0-9a-fA-F]+|\\d+)$",
+    description: "BN254 field element, decimal or 0x-prefixed",
+  },
+  Siwe: {
+    type: "object",
+    required: ["message", "signature"],
+    description: "Signed challenge from POST /challenge",
+    properties: {
+      message: { type: "string", maxLength: 2000 },
+      signature: { type: "string", pattern: "^0x[a-fA-F0-9]{130}$" },
+    },
+  },
+  WorldcoinProof: {
+    type: "object",
+    required: ["nullifier_hash", "merkle_root", "proof", "verification_level"],
+    properties: {
+      nullifier_hash: { type: "string", minLength: 1 },
+      merkle_root: { type: "string", minLength: 1 },
+      proof: { type: "string", minLength: 1 },
+      verification_level: { type: "string" },
+    },
+  },
+  Proofs: {
+    type: "object",
+    minProperties: 1,
+    description:
+      "Proofs keyed by provider name (see GET /pop/providers). Providers that are not enabled are refused.",
+    properties: {
+      worldcoin: ref("WorldcoinProof"),
+      passport: {
+        description: "true, or an object; the score is read server-side",
+        anyOf: [{ type: "boolean" }, { type: "object" }],
+      },
+      invite: {
+        type: "object",
+        required: ["code"],
+        properties: { code: { type: "string" } },
+      },
+      social: {
+        type: "object",
+        required: ["attestations"],
+        properties: {
+          attestations: {
+            type: "array",
+            minItems: 1,
+            maxItems: 20,
+            items: {
+              type: "object",
+              required: ["attester", "signature"],
+              properties: {
+                attester: { type: "string" },
+                signature: { type: "string" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  GateReport: {
+    type: "object",
+    required: ["passed", "mode", "rules"],
+    properties: {
+      passed: { type: "boolean" },
+      mode: { type: "string", enum: ["all", "any"] },
+      rules: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["id", "type", "label", "passed"],
+          properties: {
+            id: { type: "string" },
+            type: { type: "string" },
+            label: { type: "string" },
+            passed: { type: "boolean" },
+            required: { type: "string" },
+            actual: { type: "string" },
+            token: ref("Address"),
+            holdBlocks: { type: "integer" },
+            error: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+  Credential: {
+    type: "object",
+    required: ["subject", "commitment", "nonce", "expiry"],
+    description: "EIP-712 message signed by the issuer",
+    properties: {
+      subject: ref("Address"),
+      commitment: ref("Commitment"),
+      nonce: { type: "string" },
+      expiry: { type: "string" },
+    },
+  },
+  Issuer: {
+    type: "object",
+    required: ["address", "notBefore", "notAfter", "status", "signing"],
+    properties: {
+      address: ref("Address"),
+      notBefore: { type: "string", nullable: true },
+      notAfter: { type: "string", nullable: true },
+      status: { type: "string", enum: ["active", "scheduled"] },
+      signing: { type: "boolean" },
+    },
+  },
+  Proposal: {
+    type: "object",
+    required: ["id", "mode", "title", "proposer", "state"],
+    properties: {
+      id: { type: "string" },
+      mode: { type: "string", enum: ["baseline", "private"] },
+      title: { type: "string" },
+      description: { type: "string" },
+      proposer: ref("Address"),
+      yesVotes: { type: "string" },
+      noVotes: { type: "string" },
+      totalVotingWeight: { type: "string" },
+      voteCount: { type: "integer" },
+      state: { type: "string" },
+      createdAt: { type: "integer", nullable: true },
+      votingStart: { type: "integer", nullable: true },
+      votingEnd: { type: "integer", nullable: true },
+      createdAtBlock: { type: "integer" },
+      transactionHash: { type: "string" },
+      voterSetRoot: { type: "string" },
+    },
+  },
+  Vote: {
+    type: "object",
+    required: ["proposalId", "support", "weight", "blockNumber"],
+    description: "Baseline votes carry `voter`, private votes `nullifier`",
+    properties: {
+      proposalId: { type: "string" },
+      voter: ref("Address"),
+      nullifier: { type: "string" },
+      support: { type: "boolean" },
+      weight: { type: "string" },
+      timestamp: { type: "integer", nullable: true },
+      blockNumber: { type: "integer" },
+      transactionHash: { type: "string" },
+    },
+  },
+  Identity: {
+    type: "object",
+    required: ["nullifier", "status"],
+    properties: {
+      nullifier: { type: "string" },
+      wallet: { type: "string", nullable: true },
+      status: { type: "string" },
+    },
+  },
+  AuditEntry: {
+    type: "object",
+    required: ["seq", "type", "prevHash", "hash"],
+    properties: {
+      seq: { type: "integer" },
+      type: { type: "string" },
+      at: { type: "string" },
+      prevHash: { type: "string" },
+      hash: { type: "string" },
+    },
+  },
+  AuditVerification: {
+    type: "object",
+    required: ["valid", "head"],
+    properties: {
+      valid: { type: "boolean" },
+      length: { type: "integer" },
+      head: { type: "string" },
+      brokenAt: { type: "integer" },
+      error: { type: "string" },
+    },
+  },
+  ReadinessReport: {
+    type: "object",
+    required: ["ready", "status", "checks"],
+    properties: {
+      ready: { type: "boolean" },
+      status: { type: "string", enum: ["ready", "degraded", "not_ready"] },
+      checkedAt: { type: "string" },
+      checks: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["name", "critical", "ok", "latencyMs"],
+          properties: {
+            name: { type: "string" },
+            critical: { type: "boolean" },
+            ok: { type: "boolean" },
+            latencyMs: { type: "integer" },
+            error: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+};
+
+const responses = {
+  BadRequest: errorResponse("Malformed request"),
+  Unauthorized: errorResponse("Missing or invalid signature"),
+  Forbidden: errorResponse("Refused by policy"),
+  NotFound: errorResponse("Not found"),
+  MethodNotAllowed: errorResponse("Not supported on this route"),
+  Conflict: errorResponse("Conflicts with existing state"),
+  TooManyRequests: errorResponse("Rate limited or already in progress"),
+  InternalError: errorResponse("Unexpected server error"),
+  Unavailable: errorResponse("A dependency is unavailable"),
+};
+
+const walletRequest = {
+  userAddress: ref("Address"),
+  siwe: ref("Siwe"),
+};
+
+const paths = {
+  // =====================================================
+  // ISSUANCE
+  // =====================================================
+  "/challenge": {
+    post: {
+      tags: ["Issuance"],
+      summary: "Issue a single-use sign-in challenge for a wallet",
+      requestBody: body({ userAddress: ref("Address") }, ["userAddress"]),
+      responses: {
+        200: ok(
+          "Challenge to sign with the wallet",
+          {
+            nonce: { type: "string" },
+            message: { type: "string" },
+            expiresAt: { type: "string" },
+          },
+          ["nonce", "message", "expiresAt"],
+        ),
+        ...errors(400, 429, 500),
+      },
+    },
+  },
+  "/pre-check": {
+    post: {
+      tags: ["Issuance"],
+      summary: "Check a wallet is eligible before collecting proofs",
+      requestBody: body(walletRequest, ["userAddress", "siwe"]),
+      responses: {
+        200: ok(
+          "Eligible",
+          { message: { type: "string" }, gate: ref("GateReport") },
+          ["gate"],
+        ),
+        ...errors(400, 401, 403, 429, 500),
+      },
+    },
+  },
+  "/issue-credential": {
+    post: {
+      tags: ["Issuance"],
+      summary: "Verify personhood and sign a registration credential",
+      description:
+        "Refused with 503 while a critical readiness check fails (see GET /ready). `worldcoinProof` is the older form of `proofs.worldcoin`.",
+      requestBody: body(
+        {
+          ...walletRequest,
+          commitment: ref("Commitment"),
+          proofs: ref("Proofs"),
+          worldcoinProof: ref("WorldcoinProof"),
+        },
+        ["userAddress", "siwe", "commitment"],
+      ),
+      responses: {
+        200: ok(
+          "Signed credential for DIDRegistry.registerWithCredential",
+          {
+            signature: { type: "string" },
+            credential: ref("Credential"),
+            nullifier_hash: { type: "string" },
+          },
+          ["signature", "credential"],
+        ),
+        ...errors(400, 401, 403, 409, 429, 500, 503),
+      },
+    },
+  },
+  "/pop/providers": {
+    get: {
+      tags: ["Issuance"],
+      summary: "Enabled personhood providers and their weights",
+      responses: {
+        200: ok(
+          "Providers",
+          {
+            threshold: { type: "number" },
+            providers: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["name", "label", "input", "weight"],
+                properties: {
+                  name: { type: "string" },
+                  label: { type: "string" },
+                  input: { type: "string" },
+                  weight: { type: "number" },
+                },
+              },
+            },
+          },
+          ["threshold", "providers"],
+        ),
+      },
+    },
+  },
+  "/issuers": {
+    get: {
+      tags: ["Issuance"],
+      summary: "Issuer keys credentials may be signed with",
+      description:
+        "Every key that hasn't expired. New credentials come from the one with `signing: true`; DIDRegistry accepts the others until their `notAfter`.",
+      responses: {
+        200: ok(
+          "Issuer keys",
+          {
+            registry: { type: "string", nullable: true },
+            signing: { type: "string", nullable: true },
+            issuers: { type: "array", items: ref("Issuer") },
+          },
+          ["signing", "issuers"],
+        ),
+      },
+    },
+  },
+  "/debug-config": {
+    post: {
+      tags: ["Issuance"],
+      summary: "Compare the frontend's World ID settings with the issuer's",
+      requestBody: body({
+        appId: { type: "string" },
+        action: { type: "string" },
+        signal: { type: "string" },
+      }),
+      responses: {
+        200: {
+          description: "Comparison",
+          ...json({
+            type: "object",
+            required: ["matches", "recommendation"],
+            properties: {
+              backend: { type: "object" },
+              frontend: { type: "object" },
+              matches: { type: "object" },
+              recommendation: { type: "string" },
+            },
+          }),
+        },
+      },
+    },
+  },
+
+  // =====================================================
+  // CHAIN DATA
+  // =====================================================
+  "/proposals": {
+    get: {
+      tags: ["Chain data"],
+      summary: "All proposals, newest first",
+      parameters: [modeParam],
+      responses: {
+        200: {
+          ...ok("Proposals", {
+            mode: { type: "string" },
+            proposals: { type: "array", items: ref("Proposal") },
+          }),
+          headers: indexedHeaders,
+        },
+        ...errors(400, 500),
+      },
+    },
+    post: onChainOnly("Create a proposal"),
+  },
+  "/proposals/{id}": {
+    get: {
+      tags: ["Chain data"],
+      summary: "One proposal with its tally",
+      parameters: [proposalIdParam, modeParam],
+      responses: {
+        200: {
+          ...ok(
+            "Proposal",
+            { mode: { type: "string" }, proposal: ref("Proposal") },
+            ["proposal"],
+          ),
+          headers: indexedHeaders,
+        },
+        ...errors(400, 404, 500),
+      },
+    },
+    put: { ...onChainOnly("Update a proposal"), parameters: [proposalIdParam] },
+  },
+  "/votes": {
+    post: onChainOnly("Cast a vote"),
+  },
+  "/votes/proposal/{id}": {
+    get: {
+      tags: ["Chain data"],
+      summary: "Votes on a proposal",
+      parameters: [proposalIdParam, modeParam],
+      responses: {
+        200: {
+          ...ok(
+            "Votes",
+            {
+              mode: { type: "string" },
+              votes: { type: "array", items: ref("Vote") },
+            },
+            ["votes"],
+          ),
+          headers: indexedHeaders,
+        },
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/votes/proposal/{id}/user/{address}": {
+    get: {
+      tags: ["Chain data"],
+      summary: "Whether a wallet voted on a baseline proposal",
+      parameters: [proposalIdParam, addressParam, modeParam],
+      responses: {
+        200: {
+          ...ok(
+            "Vote, if any",
+            {
+              mode: { type: "string" },
+              hasVoted: { type: "boolean" },
+              vote: {
+                type: "object",
+                nullable: true,
+                description: "A Vote, or null",
+              },
+            },
+            ["hasVoted"],
+          ),
+          headers: indexedHeaders,
+        },
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/users/{address}": {
+    get: {
+      tags: ["Chain data"],
+      summary: "Registration status and activity counts for a wallet",
+      parameters: [addressParam],
+      responses: {
+        200: {
+          ...ok("User", { user: { type: "object" } }, ["user"]),
+          headers: indexedHeaders,
+        },
+        ...errors(400, 500),
+      },
+    },
+    put: { ...onChainOnly("Register a voter"), parameters: [addressParam] },
+  },
+  "/users/{address}/votes": {
+    get: {
+      tags: ["Chain data"],
+      summary: "Baseline votes cast by a wallet",
+      parameters: [addressParam],
+      responses: {
+        200: ok("Votes", { votes: { type: "array", items: ref("Vote") } }, [
+          "votes",
+        ]),
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/users/{address}/proposals": {
+    get: {
+      tags: ["Chain data"],
+      summary: "Proposals submitted by a wallet",
+      parameters: [addressParam],
+      responses: {
+        200: ok(
+          "Proposals",
+          { proposals: { type: "array", items: ref("Proposal") } },
+          ["proposals"],
+        ),
+        ...errors(400, 500),
+      },
+    },
+  },
+
+  // =====================================================
+  // VOTER-SET TREE
+  // =====================================================
+  "/merkle/root": {
+    get: {
+      tags: ["Voter set"],
+      summary: "Root of the indexed voter-set tree and the on-chain root",
+      responses: {
+        200: ok(
+          "Roots",
+          {
+            root: ref("Bytes32"),
+            leafCount: { type: "integer" },
+            depth: { type: "integer" },
+            capacity: { type: "integer" },
+            onChainRoot: { type: "string", nullable: true },
+            inSync: { type: "boolean" },
+          },
+          ["root", "leafCount", "depth", "inSync"],
+        ),
+        ...errors(500),
+      },
+    },
+  },
+  "/merkle/proof/{commitment}": {
+    get: {
+      tags: ["Voter set"],
+      summary: "Inclusion path for a commitment",
+      parameters: [pathParam("commitment", ref("Commitment"))],
+      responses: {
+        200: ok(
+          "Inclusion path",
+          {
+            commitment: ref("Bytes32"),
+            leafIndex: { type: "integer" },
+            root: ref("Bytes32"),
+            pathElements: { type: "array", items: { type: "string" } },
+            pathIndices: { type: "array", items: { type: "integer" } },
+          },
+          ["leafIndex", "root", "pathElements", "pathIndices"],
+        ),
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+  "/merkle/snapshot/{root}": {
+    get: {
+      tags: ["Voter set"],
+      summary: "Leaves of the tree a past root was computed from",
+      parameters: [pathParam("root", ref("Bytes32"))],
+      responses: {
+        200: ok(
+          "Snapshot",
+          {
+            root: ref("Bytes32"),
+            depth: { type: "integer" },
+            leafCount: { type: "integer" },
+            blockNumber: { type: "integer" },
+            leaves: { type: "array", items: ref("Bytes32") },
+          },
+          ["root", "leaves"],
+        ),
+        ...errors(400, 404, 500),
+      },
+    },
+  },
+
+  // =====================================================
+  // PROPOSAL METADATA
+  // =====================================================
+  "/content": {
+    post: {
+      tags: ["Content"],
+      summary: "Store a JSON document under its CIDv1",
+      description:
+        "The CID covers the exact bytes sent (raw codec, sha2-256), so clients can compute it themselves. At most 256 KiB.",
+      requestBody: { required: true, ...json({ type: "object" }) },
+      responses: {
+        201: ok("Stored", { cid: ref("Cid"), size: { type: "integer" } }, [
+          "cid",
+          "size",
+        ]),
+        ...errors(400, 429, 500),
+        413: errorResponse("Document larger than 256 KiB"),
+      },
+    },
+  },
+  "/content/{cid}": {
+    get: {
+      tags: ["Content"],
+      summary: "A stored document, byte for byte",
+      parameters: [pathParam("cid", ref("Cid"))],
+      responses: {
+        200: {
+          description: "The document; its sha-256 matches the CID",
+          content: { "application/json": {} },
+        },
+        ...errors(400, 404, 500),
+        502: errorResponse("The store returned bytes that do not match"),
+      },
+    },
+  },
+
+  // =====================================================
+  // GASLESS VOTE RELAY
+  // =====================================================
+  "/relay/vote": {
+    post: {
+      tags: ["Relay"],
+      summary: "Submit a private vote from the relayer wallet",
+      requestBody: body(
+        {
+          proposalId: {
+            anyOf: [ref("FieldValue"), { type: "integer", minimum: 0 }],
+          },
+          support: { type: "boolean" },
+          nullifier: ref("Bytes32"),
+          proof: {
+            type: "object",
+            required: ["a", "b", "c"],
+            properties: {
+              a: {
+                type: "array",
+                minItems: 2,
+                maxItems: 2,
+                items: ref("FieldValue"),
+              },
+              b: {
+                type: "array",
+                minItems: 2,
+                maxItems: 2,
+                items: {
+                  type: "array",
+                  minItems: 2,
+                  maxItems: 2,
+                  items: ref("FieldValue"),
+                },
+              },
+              c: {
+                type: "array",
+                minItems: 2,
+                maxItems: 2,
+                items: ref("FieldValue"),
+              },
+            },
+          },
+          publicSignals: {
+            type: "array",
+            minItems: 4,
+            maxItems: 4,
+            items: ref("FieldValue"),
+          },
+        },
+        ["proposalId", "support", "nullifier", "proof", "publicSignals"],
+      ),
+      responses: {
+        200: ok("Relayed", { txHash: { type: "string" } }, ["txHash"]),
+        ...errors(400, 409, 429, 500, 503),
+      },
+    },
+  },
+
+  // =====================================================
+  // TEST TOKEN FAUCET
+  // =====================================================
+  "/faucet": {
+    get: {
+      tags: ["Faucet"],
+      summary: "Whether test governance tokens can be requested",
+      responses: {
+        200: ok(
+          "Faucet status",
+          {
+            enabled: { type: "boolean" },
+            amount: { type: "string", nullable: true },
+          },
+          ["enabled", "amount"],
+        ),
+      },
+    },
+    post: {
+      tags: ["Faucet"],
+      summary: "Mint test governance tokens to a wallet",
+      description:
+        "Served once per wallet and once per client IP. Never enabled on production networks.",
+      requestBody: body({ userAddress: ref("Address") }, ["userAddress"]),
+      responses: {
+        200: ok(
+          "Minted",
+          { txHash: { type: "string" }, amount: { type: "string" } },
+          ["txHash", "amount"],
+        ),
+        ...errors(400, 409, 429, 500, 503),
+        502: errorResponse("The mint transaction failed"),
+      },
+    },
+  },
+
+  // =====================================================
+  // IDENTITY ADMIN
+  // =====================================================
+  "/admin/identities": {
+    get: {
+      tags: ["Admin"],
+      summary: "Search identity records",
+      security: adminSecurity,
+      parameters: [
+        queryParam("q", { type: "string" }, "Nullifier or wallet substring"),
+        queryParam("status", { type: "string" }),
+        queryParam("offset", { type: "integer", minimum: 0, default: 0 }),
+        queryParam("limit", {
+          type: "integer",
+          minimum: 1,
+          maximum: 500,
+          default: 50,
+        }),
+      ],
+      responses: {
+        200: ok(
+          "Page of identities",
+          {
+            total: { type: "integer" },
+            identities: { type: "array", items: ref("Identity") },
+          },
+          ["total", "identities"],
+        ),
+        ...errors(400, 401, 429, 500),
+      },
+    },
+  },
+  "/admin/identities/{nullifier}": {
+    get: {
+      tags: ["Admin"],
+      summary: "One identity record with its history",
+      security: adminSecurity,
+      parameters: [nullifierParam],
+      responses: {
+        200: ok(
+          "Identity",
+          {
+            identity: ref("Identity"),
+            history: { type: "array", items: { type: "object" } },
+          },
+          ["identity", "history"],
+        ),
+        ...errors(400, 401, 404, 429, 500),
+      },
+    },
+  },
+  "/admin/identities/{nullifier}/revoke": {
+    post: {
+      tags: ["Admin"],
+      summary: "Revoke an identity",
+      security: adminSecurity,
+      parameters: [nullifierParam],
+      requestBody: body({ reason: { type: "string", maxLength: 500 } }),
+      responses: {
+        200: ok("Revoked", { identity: ref("Identity") }, ["identity"]),
+        ...errors(400, 401, 404, 409, 429, 500),
+      },
+    },
+  },
+  "/admin/identities/{nullifier}/rebind": {
+    post: {
+      tags: ["Admin"],
+      summary: "Point an identity at a different wallet",
+      security: adminSecurity,
+      parameters: [nullifierParam],
+      requestBody: body(
+        {
+          wallet: ref("Address"),
+          reason: { type: "string", maxLength: 500 },
+        },
+        ["wallet"],
+      ),
+      responses: {
+        200: ok("Rebound", { identity: ref("Identity") }, ["identity"]),
+        ...errors(400, 401, 404, 409, 429, 500),
+      },
+    },
+  },
+  "/admin/export": {
+    get: {
+      tags: ["Admin"],
+      summary: "Encrypted bundle of every identity",
+      security: adminSecurity,
+      responses: {
+        200: ok(
+          "Bundle",
+          { count: { type: "integer" }, bundle: { type: "object" } },
+          ["count", "bundle"],
+        ),
+        ...errors(401, 429, 500, 503),
+      },
+    },
+  },
+  "/admin/import": {
+    post: {
+      tags: ["Admin"],
+      summary: "Merge an exported bundle",
+      security: adminSecurity,
+      requestBody: body({ bundle: { type: "object" } }, ["bundle"]),
+      responses: {
+        200: ok("Import summary", {}),
+        ...errors(400, 401, 429, 500, 503),
+      },
+    },
+  },
+
+  // =====================================================
+  // AUDIT LOG
+  // =====================================================
+  "/audit/log": {
+    get: {
+      tags: ["Audit"],
+      summary: "One page of audit entries, oldest first",
+      parameters: [
+        queryParam("after", { type: "integer", minimum: 0, default: 0 }),
+        queryParam("limit", { type: "integer", minimum: 1, default: 100 }),
+      ],
+      responses: {
+        200: ok(
+          "Entries",
+          {
+            entries: { type: "array", items: ref("AuditEntry") },
+            next: { type: "integer", nullable: true },
+          },
+          ["entries", "next"],
+        ),
+        ...errors(400, 500),
+      },
+    },
+  },
+  "/audit/verify": {
+    get: {
+      tags: ["Audit"],
+      summary: "Recompute the whole hash chain",
+      responses: {
+        200: ok("Verification", {
+          valid: { type: "boolean" },
+          head: { type: "string" },
+        }),
+        ...errors(500),
+      },
+    },
+  },
+  "/audit/export": {
+    get: {
+      tags: ["Audit"],
+      summary: "Every entry plus the verification result",
+      responses: {
+        200: ok(
+          "Export",
+          {
+            exportedAt: { type: "string" },
+            verification: ref("AuditVerification"),
+            entries: { type: "array", items: ref("AuditEntry") },
+          },
+          ["verification", "entries"],
+        ),
+        ...errors(500),
+      },
+    },
+  },
+
+  // =====================================================
+  // OPERATIONS
+  // =====================================================
+  "/ready": {
+    get: {
+      tags: ["Operations"],
+      summary: "Dependency checks",
+      responses: {
+        200: {
+          description: "Every critical check passes",
+          ...json(ref("ReadinessReport")),
+        },
+        503: {
+          description: "A critical check fails",
+          ...json(ref("ReadinessReport")),
+        },
+      },
+    },
+  },
+  "/health": {
+    get: {
+      tags: ["Operations"],
+      summary: "Liveness: the RPC node answers",
+      responses: {
+        200: ok("Healthy", { status: { type: "string" } }),
+        ...errors(503),
+      },
+    },
+  },
+  "/status": {
+    get: {
+      tags: ["Operations"],
+      summary: "Issuer configuration and component status",
+      responses: {
+        200: {
+          description: "Status",
+          ...json({
+            type: "object",
+            required: ["status", "issuerAddress"],
+            properties: {
+              status: { type: "string" },
+              storage: {
+                type: "object",
+                properties: {
+                  backend: { type: "string" },
+                  up: { type: "boolean" },
+                },
+              },
+              readiness: { type: "string" },
+              issuerAddress: ref("Address"),
+              rootSync: { type: "object" },
+            },
+          }),
+        },
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      tags: ["Operations"],
+      summary: "Prometheus metrics",
+      security: [{}, { metricsToken: [] }],
+      responses: {
+        200: {
+          description: "Text exposition format",
+          content: { "text/plain": { schema: { type: "string" } } },
+        },
+        ...errors(401),
+      },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["Operations"],
+      summary: "This document",
+      responses: { 200: { description: "OpenAPI document" } },
+    },
+  },
+  "/": {
+    get: {
+      tags: ["Operations"],
+      summary: "Banner",
+      responses: {
+        200: {
+          description: "Banner",
+          ...json({
+            type: "object",
+            properties: {
+              message: { type: "string" },
+              status: { type: "string" },
+              issuer: ref("Address"),
+            },
+          }),
+        },
+      },
+    },
+  },
+};
+
+const spec = {
+  openapi: "3.0.3",
+  info: {
+    title: "DAO identity issuer",
+    version: "1.0.0",
+    description:
+      "Issues registration credentials to verified humans and serves indexed DAO data. Errors are `{ success: false, error, code?, details? }`.",
+  },
+  tags: [
+    { name: "Issuance" },
+    { name: "Chain data" },
+    { name: "Voter set" },
+    { name: "Content" },
+    { name: "Relay" },
+    { name: "Faucet" },
+    { name: "Admin" },
+    { name: "Audit" },
+    { name: "Operations" },
+  ],
+  paths,
+  components: {
+    schemas,
+    responses,
+    securitySchemes: {
+      adminSignature: {
+        type: "apiKey",
+        in: "header",
+        name: "X-Admin-Signature",
+        description:
+          "DIDRegistry owner's signature over the request (see admin/auth.js)",
+      },
+      adminTimestamp: {
+        type: "apiKey",
+        in: "header",
+        name: "X-Admin-Timestamp",
+      },
+      adminNonce: { type: "apiKey", in: "header", name: "X-Admin-Nonce" },
+      metricsToken: { type: "http", scheme: "bearer" },
+    },
+  },
+};
+
+module.exports = { spec };
@@ -0,0 +1,210 @@
+const Ajv = require("ajv");
+const log = require("../observability").log.child({ component: "openapi" });
+
+const SPEC_ID = "openapi";
+const METHODS = ["get", "post", "put", "patch", "delete"];
+
+/**
+ * Request (and optionally response) validation against an OpenAPI 3
+ * document (see ./spec.js). Requests that break the spec are answered with
+ *
+ *   400 { success: false, error, code: "invalid_request",
+ *         details: [{ in: "body" | "query" | "path", field, message }] }
+ *
+ * before they reach the route. `error` is the failing schema's
+ * `x-error-message` when it has one. Routes the spec doesn't describe pass
+ * through untouched.
+ *
+ * Path and query values are coerced on a copy, so routes still read the
+ * raw strings Express gives them.
+ *
+ * @param {object} spec OpenAPI document
+ * @param {object} [options]
+ * @param {boolean} [options.validateResponses] Check JSON responses too
+ * @param {Function} [options.onInvalidResponse] Called with
+ *   `{ method, route, status, details }`; logs a warning by default. The
+ *   response is sent either way.
+ */
+function createApiValidator(
+  spec,
+  {
+    validateResponses = false,
+    onInvalidResponse = (report) =>
+      log.warn("Response does not match the API spec", report),
+  } = {},
+) {
+  const makeAjv = (options) => {
+    const ajv = new Ajv({
+      allErrors: true,
+      strict: false,
+      verbose: true,
+      ...options,
+    });
+    ajv.addSchema({ $id: SPEC_ID, components: spec.components });
+    return ajv;
+  };
+  const bodies = makeAjv();
+  const params = makeAjv({ coerceTypes: "array" });
+
+  // Schemas under `paths` point at "#/components/…" of the whole document
+  const rebase = (schema) =>
+    JSON.parse(
+      JSON.stringify(schema).replaceAll(
+        '"#/components/',
+        `"${SPEC_ID}#/components/`,
+      ),
+    );
+  const resolve = (item) =>
+    item?.$ref
+      ? item.$ref
+          .split("/")
+          .slice(1)
+          .reduce((node, key) => node[key], spec)
+      : item;
+  const jsonSchemaOf = (item) =>
+    resolve(item)?.content?.["application/json"]?.schema;
+
+  const operations = [];
+  for (const [template, item] of Object.entries(spec.paths)) {
+    const names = [];
+    const source = template
+      .split("/")
+      .map((segment) => {
+        const param = /^\{(.+)\}$/.exec(segment);
+        if (!param) return segment.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+        names.push(param[1]);
+        return "([^/]+)";
+      })
+      .join("/");
+    const pattern = new RegExp(`^${source.replace(/\/$/, "")}/?$`, "i");
+
+    for (const method of METHODS.filter((m) => item[m])) {
+      const operation = item[method];
+      const parameters = [
+        ...(item.parameters || []),
+        ...(operation.parameters || []),
+      ].map(resolve);
+      const compileParams = (location) => {
+        const list = parameters.filter((p) => p.in === location);
+        if (list.length === 0) return null;
+        return params.compile(
+          rebase({
+            type: "object",
+            required: list.filter((p) => p.required).map((p) => p.name),
+            properties: Object.fromEntries(list.map((p) => [p.name, p.schema])),
+          }),
+        );
+      };
+      const body = jsonSchemaOf(operation.requestBody);
+
+      const responseValidators = new Map();
+      const responseValidator = (status) => {
+        if (!responseValidators.has(status)) {
+          const schema = jsonSchemaOf(
+            operation.responses[status] || operation.responses.default,
+          );
+          responseValidators.set(
+            status,
+            schema ? bodies.compile(rebase(schema)) : null,
+          );
+        }
+        return responseValidators.get(status);
+      };
+
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        pattern,
+        names,
+        path: compileParams("path"),
+        query: compileParams("query"),
+        body: body && bodies.compile(rebase(body)),
+        responseValidator,
+      });
+    }
+  }
+
+  function match(method, path) {
+    const wanted = method === "HEAD" ? "GET" : method;
+    for (const operation of operations) {
+      if (operation.method !== wanted) continue;
+      const found = operation.pattern.exec(path);
+      if (!found) continue;
+      const values = {};
+      operation.names.forEach((name, i) => {
+        try {
+          values[name] = decodeURIComponent(found[i + 1]);
+        } catch {
+          values[name] = found[i + 1];
+        }
+      });
+      return { operation, params: values };
+    }
+    return null;
+  }
+
+  const issuesOf = (location, errors) =>
+    errors.map((error) => {
+      const field = [
+        ...error.instancePath.split("/").filter(Boolean),
+        ...(error.keyword === "required" ? [error.params.missingProperty] : []),
+      ].join(".");
+      return {
+        in: location,
+        field,
+        message: error.keyword === "required" ? "is required" : error.message,
+        custom: error.parentSchema?.["x-error-message"],
+      };
+    });
+
+  const check = (location, validate, data) =>
+    !validate || validate(data) ? [] : issuesOf(location, validate.errors);
+
+  function middleware(req, res, next) {
+    const found = match(req.method, req.baseUrl + req.path);
+    if (!found) return next();
+    const { operation } = found;
+
+    const issues = [
+      ...check("path", operation.path, found.params),
+      ...check("query", operation.query, { ...req.query }),
+      ...check("body", operation.body, req.body ?? {}),
+    ];
+    if (issues.length > 0) {
+      const [first] = issues;
+      return res.status(400).json({
+        success: false,
+        error:
+          first.custom ||
+          `Invalid request: ${[first.in, first.field]
+            .filter(Boolean)
+            .join(".")} ${first.message}`,
+        code: "invalid_request",
+        details: issues.map(({ custom, ...issue }) => issue),
+      });
+    }
+
+    if (validateResponses) {
+      const json = res.json.bind(res);
+      res.json = (payload) => {
+        const validate = operation.responseValidator(String(res.statusCode));
+        if (validate && !validate(payload)) {
+          onInvalidResponse({
+            method: operation.method,
+            route: operation.template,
+            status: res.statusCode,
+            details: issuesOf("body", validate.errors).map(
+              ({ custom, ...issue }) => issue,
+            ),
+          });
+        }
+        return json(payload);
+      };
+    }
+    next();
+  }
+
+  return { middleware, match };
+}
+
+module.exports = { createApiValidator };
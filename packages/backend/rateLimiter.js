@@ -0,0 +1,82 @@
+/** The client address per-IP limits use; see trustedProxyHops. */
+const clientIp = (req) => req.ip || req.socket?.remoteAddress;
+
+/**
+ * Number of reverse proxies in front of the server, for Express's
+ * "trust proxy": `req.ip` (and so every per-IP limit) is the address that
+ * many hops back in X-Forwarded-For instead of the proxy's own. Set
+ * TRUST_PROXY_HOPS to match the deployment; on Vercel (which sets VERCEL=1)
+ * it defaults to 1, as its edge is a single hop that overwrites any
+ * client-sent X-Forwarded-For. Elsewhere no proxy is trusted by default,
+ * since trusting one that isn't there lets clients pick their own IP.
+ *
+ * @param {object} [env] Defaults to process.env
+ * @returns {number}
+ */
+function trustedProxyHops(env = process.env) {
+  const value = env.TRUST_PROXY_HOPS ?? (env.VERCEL ? "1" : "0");
+  const hops = Number(value);
+  if (!Number.isInteger(hops) || hops < 0 || String(value).trim() === "") {
+    throw new Error(
+      `TRUST_PROXY_HOPS must be a non-negative integer, got "${value}"`,
+    );
+  }
+  return hops;
+}
+
+/**
+ * Sliding-window rate limiter keyed by IP, wallet and nullifier hash, kept
+ * in the issuer storage so limits hold across instances.
+ *
+ * Only the IP is known before a request is authenticated, so `middleware`
+ * charges that alone. Wallet and nullifier budgets are charged with
+ * `limitBy` / `consume` once the wallet signature or personhood proof has
+ * verified: charging a subject taken from an unchecked body would let
+ * anyone spend someone else's budget and lock them out.
+ *
+ * @param {object} limits `{ ip, wallet, nullifier }` max requests per window
+ * @param {(kind: string) => void} [onLimited] Called for every refused request
+ */
+function createRateLimiter(
+  storage,
+  { windowMs, limits, prefix = "ratelimit:", onLimited },
+) {
+  function hit(kind, subject) {
+    return storage.hitWindow(`${prefix}${kind}:${subject}`, {
+      windowMs,
+      limit: limits[kind],
+    });
+  }
+
+  /**
+   * Charges `subject` to the `kind` budget. When it is spent, sends the 429
+   * and resolves to false; kinds without a configured limit always pass.
+   */
+  async function consume(res, kind, subject) {
+    if (!limits[kind] || !subject) return true;
+    const { allowed, retryAfterMs } = await hit(kind, subject);
+    if (allowed) return true;
+    onLimited?.(kind);
+    res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({
+      success: false,
+      error: "Too many requests, please try again later",
+    });
+    return false;
+  }
+
+  /** Middleware charging `subjectOf(req)` to the `kind` budget. */
+  function limitBy(kind, subjectOf) {
+    return async (req, res, next) => {
+      try {
+        if (await consume(res, kind, subjectOf(req))) next();
+      } catch (err) {
+        next(err);
+      }
+    };
+  }
+
+  return { hit, consume, limitBy, middleware: limitBy("ip", clientIp) };
+}
+
+module.exports = { createRateLimiter, clientIp, trustedProxyHops };
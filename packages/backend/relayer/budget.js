@@ -0,0 +1,44 @@
+const GWEI = 10n ** 9n;
+const toGwei = (wei) => (wei + GWEI - 1n) / GWEI;
+
+const BUDGET_TTL_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Daily gas budget for sponsored transactions, shared across instances.
+ * Costs are reserved up front at the worst-case fee and the unused part is
+ * refunded once the receipt shows what was actually paid. Amounts are kept
+ * in gwei so they stay exact as JavaScript and Lua numbers.
+ */
+function createGasBudget(
+  storage,
+  { dailyBudgetWei, prefix = "relay:budget:" },
+) {
+  const dailyBudgetGwei = Number(toGwei(dailyBudgetWei));
+  const key = () => prefix + new Date().toISOString().slice(0, 10);
+
+  /** @returns {Promise<string|null>} Reservation handle for `refund`, or null */
+  async function reserve(costWei) {
+    const reservation = key();
+    const reserved = await storage.incrementWithin(
+      reservation,
+      Number(toGwei(costWei)),
+      { max: dailyBudgetGwei, ttlMs: BUDGET_TTL_MS },
+    );
+    return reserved ? reservation : null;
+  }
+
+  // Refunds go to the day the cost was reserved against
+  async function refund(reservation, costWei) {
+    const amount = Number(costWei / GWEI);
+    if (amount > 0) await storage.increment(reservation, -amount);
+  }
+
+  async function remaining() {
+    const spent = Number((await storage.get(key())) || 0);
+    return BigInt(dailyBudgetGwei - spent) * GWEI;
+  }
+
+  return { reserve, refund, remaining };
+}
+
+module.exports = { createGasBudget };
@@ -0,0 +1,11 @@
+const { createProofVerifier } = require("./proof");
+const { createGasBudget } = require("./budget");
+const { createVoteRelayer } = require("./relayer");
+const { createRelayerRouter } = require("./routes");
+
+module.exports = {
+  createProofVerifier,
+  createGasBudget,
+  createVoteRelayer,
+  createRelayerRouter,
+};
@@ -0,0 +1,119 @@
+const fs = require("fs");
+const snarkjs = require("snarkjs");
+const { VOTE_PUBLIC_SIGNALS } = require("zk-core");
+
+const isFieldValue = (value) =>
+  typeof value === "string" && /^(0x[0-9a-fA-F]+|\d+)$/.test(value);
+
+/**
+ * Checks the `{ a, b, c }` proof shape passed to castPrivateVote, where each
+ * coordinate is a decimal or 0x-prefixed string.
+ */
+function isSolidityProof(proof) {
+  const pair = (p) =>
+    Array.isArray(p) && p.length === 2 && p.every(isFieldValue);
+  return (
+    proof &&
+    pair(proof.a) &&
+    Array.isArray(proof.b) &&
+    proof.b.length === 2 &&
+    proof.b.every(pair) &&
+    pair(proof.c)
+  );
+}
+
+/**
+ * Converts the Solidity calldata layout back to snarkjs' format. The
+ * verifier contract takes each G2 coordinate pair reversed, so `b` is
+ * swapped back here.
+ */
+function toSnarkjsProof({ a, b, c }) {
+  const dec = (v) => BigInt(v).toString();
+  return {
+    pi_a: [dec(a[0]), dec(a[1]), "1"],
+    pi_b: [
+      [dec(b[0][1]), dec(b[0][0])],
+      [dec(b[1][1]), dec(b[1][0])],
+      ["1", "0"],
+    ],
+    pi_c: [dec(c[0]), dec(c[1]), "1"],
+    protocol: "groth16",
+    curve: "bn128",
+  };
+}
+
+/**
+ * Reads an exported verification_key.json and checks it is a Groth16 key
+ * for vote.circom's public signals.
+ */
+function readVerificationKey(verificationKeyPath) {
+  let key;
+  try {
+    key = JSON.parse(fs.readFileSync(verificationKeyPath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Cannot read the vote verification key at ${verificationKeyPath}: ${err.message}`,
+    );
+  }
+  if (
+    key.protocol !== "groth16" ||
+    key.nPublic !== VOTE_PUBLIC_SIGNALS.length
+  ) {
+    throw new Error(
+      `${verificationKeyPath} is not a Groth16 key for the vote circuit`,
+    );
+  }
+  return key;
+}
+
+/**
+ * Loads the Groth16 verification key, either from an exported
+ * verification_key.json or by extracting it from the final zkey.
+ * `zkeyPath` may be an async function when the path depends on the
+ * deployed tree depth.
+ */
+async function loadVerificationKey({ verificationKeyPath, zkeyPath }) {
+  if (verificationKeyPath) return readVerificationKey(verificationKeyPath);
+  const zkey = typeof zkeyPath === "function" ? await zkeyPath() : zkeyPath;
+  return snarkjs.zKey.exportVerificationKey(zkey);
+}
+
+/**
+ * A `verificationKeyPath` is read right away, so a missing or wrong key
+ * stops the server at startup; a `zkeyPath` is only parsed on first use.
+ */
+function createProofVerifier(options) {
+  let keyPromise = options.verificationKeyPath
+    ? Promise.resolve(readVerificationKey(options.verificationKeyPath))
+    : undefined;
+  const getKey = () => {
+    if (!keyPromise) {
+      keyPromise = loadVerificationKey(options);
+      keyPromise.catch(() => {
+        keyPromise = undefined;
+      });
+    }
+    return keyPromise;
+  };
+
+  /** Verifies a Solidity-layout proof against decimal/hex public signals. */
+  async function verify(proof, publicSignals) {
+    const key = await getKey();
+    return snarkjs.groth16.verify(
+      key,
+      publicSignals.map((s) => BigInt(s).toString()),
+      toSnarkjsProof(proof),
+    );
+  }
+
+  return { verify };
+}
+
+module.exports = {
+  isFieldValue,
+  isSolidityProof,
+  toSnarkjsProof,
+  readVerificationKey,
+  loadVerificationKey,
+  createProofVerifier,
+};
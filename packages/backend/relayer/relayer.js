@@ -0,0 +1,226 @@
+const { VOTE_PUBLIC_SIGNALS } = require("zk-core");
+const { isFieldValue, isSolidityProof } = require("./proof");
+const log = require("../observability").log.child({ component: "relayer" });
+
+const DEDUP_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const reject = (status, code, error) => ({
+  success: false,
+  status,
+  code,
+  error,
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Reads a named public signal, in zk-core's order for vote.circom. */
+const signal = (publicSignals, name) =>
+  BigInt(publicSignals[VOTE_PUBLIC_SIGNALS.indexOf(name)]);
+
+/**
+ * Submits private votes from a relayer wallet so `msg.sender` of
+ * castPrivateVote no longer identifies the voter.
+ *
+ * A vote is only paid for once it has passed, in order: shape and
+ * public-signal consistency checks, the on-chain root, the Groth16 proof,
+ * per-nullifier dedup, the gas price cap, an eth_call simulation, the
+ * per-vote gas cap and the daily budget.
+ *
+ * @param {object} options
+ * @param {import("ethers").Contract} options.contract PrivateDAOVoting connected to the relayer wallet
+ * @param {{ verify: Function }} options.proofVerifier See ./proof.js
+ * @param {object} options.storage Dedup records, see ../storage
+ * @param {{ reserve: Function, refund: Function }} options.budget See ./budget.js
+ * @param {{ acquire: Function, release: Function }} options.lock Serialises nonces across instances
+ * @param {{ maxGasPriceWei: bigint, maxGasPerVote: bigint }} options.policy
+ */
+function createVoteRelayer({
+  contract,
+  proofVerifier,
+  storage,
+  budget,
+  lock,
+  policy,
+  prefix = "relay:vote:",
+}) {
+  const provider = contract.runner.provider;
+
+  function validate(body) {
+    const { proposalId, support, nullifier, proof, publicSignals } = body || {};
+    if (
+      !isFieldValue(String(proposalId)) ||
+      typeof support !== "boolean" ||
+      !/^0x[a-fA-F0-9]{64}$/.test(nullifier) ||
+      !isSolidityProof(proof) ||
+      !Array.isArray(publicSignals) ||
+      publicSignals.length !== VOTE_PUBLIC_SIGNALS.length ||
+      !publicSignals.every(isFieldValue)
+    ) {
+      return reject(400, "invalid_request", "Malformed vote submission");
+    }
+
+    if (
+      signal(publicSignals, "nullifier") !== BigInt(nullifier) ||
+      signal(publicSignals, "proposalId") !== BigInt(proposalId) ||
+      signal(publicSignals, "voteChoice") !== (support ? 1n : 0n)
+    ) {
+      return reject(
+        400,
+        "signal_mismatch",
+        "Public signals do not match the submitted vote",
+      );
+    }
+    return null;
+  }
+
+  async function acquireSubmitLock() {
+    for (let attempt = 0; attempt < 40; attempt++) {
+      const token = await lock.acquire("relayer");
+      if (token) return token;
+      await sleep(250);
+    }
+    return null;
+  }
+
+  async function submit(args, gasLimit, maxFeePerGas) {
+    const token = await acquireSubmitLock();
+    if (!token) throw new Error("Relayer is busy");
+    try {
+      return await contract.castPrivateVote(...args, {
+        gasLimit,
+        maxFeePerGas,
+      });
+    } finally {
+      await lock.release("relayer", token).catch(() => {});
+    }
+  }
+
+  /**
+   * @returns {Promise<{ success: true, txHash: string } | { success: false, status: number, code: string, error: string }>}
+   */
+  async function relay(body) {
+    const invalid = validate(body);
+    if (invalid) return invalid;
+
+    const { proposalId, support, nullifier, proof, publicSignals } = body;
+    const args = [
+      BigInt(proposalId),
+      support,
+      nullifier,
+      proof.a.map(BigInt),
+      proof.b.map((pair) => pair.map(BigInt)),
+      proof.c.map(BigInt),
+      publicSignals.map(BigInt),
+    ];
+
+    const currentRoot = await contract.currentVoterSetRoot();
+    if (BigInt(currentRoot) !== signal(publicSignals, "root")) {
+      return reject(
+        409,
+        "stale_root",
+        "Proof was generated for a different voter set root",
+      );
+    }
+
+    if (!(await proofVerifier.verify(proof, publicSignals))) {
+      return reject(400, "invalid_proof", "Zero-knowledge proof is invalid");
+    }
+
+    // One relay per (proposal, nullifier), even across instances
+    const dedupKey = `${prefix}${BigInt(
+      proposalId,
+    )}:${nullifier.toLowerCase()}`;
+    const claimed = await storage.set(
+      dedupKey,
+      JSON.stringify({ status: "pending" }),
+      { onlyIfAbsent: true, ttlMs: DEDUP_TTL_MS },
+    );
+    if (!claimed) {
+      const existing = JSON.parse((await storage.get(dedupKey)) || "{}");
+      return {
+        ...reject(409, "already_relayed", "This vote was already submitted"),
+        txHash: existing.txHash,
+      };
+    }
+
+    let reserved = null;
+    try {
+      if (await contract.hasVoted(args[0], nullifier)) {
+        return reject(409, "already_voted", "This nullifier has already voted");
+      }
+
+      const feeData = await provider.getFeeData();
+      const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+      if (gasPrice > policy.maxGasPriceWei) {
+        return reject(
+          503,
+          "gas_price_too_high",
+          "Network fees are above the relayer's limit, try again later",
+        );
+      }
+
+      try {
+        await contract.castPrivateVote.staticCall(...args);
+      } catch (err) {
+        return reject(
+          422,
+          "simulation_failed",
+          err.reason || err.shortMessage || "Vote would revert on-chain",
+        );
+      }
+
+      const gasLimit = await contract.castPrivateVote.estimateGas(...args);
+      if (gasLimit > policy.maxGasPerVote) {
+        return reject(
+          422,
+          "gas_limit_exceeded",
+          "Vote needs more gas than the relayer sponsors",
+        );
+      }
+
+      const maxCost = gasLimit * gasPrice;
+      const reservation = await budget.reserve(maxCost);
+      if (!reservation) {
+        return reject(
+          503,
+          "budget_exhausted",
+          "Relayer budget is exhausted for today, submit from your wallet instead",
+        );
+      }
+      reserved = { reservation, maxCost };
+
+      const tx = await submit(args, gasLimit, gasPrice);
+      await storage.set(
+        dedupKey,
+        JSON.stringify({ status: "submitted", txHash: tx.hash }),
+        { ttlMs: DEDUP_TTL_MS },
+      );
+      log.info("Vote submitted", { proposalId, tx: tx.hash });
+
+      // Return what was over-reserved once the actual fee is known
+      reserved = null;
+      tx.wait()
+        .then((receipt) =>
+          budget.refund(
+            reservation,
+            maxCost - receipt.gasUsed * receipt.gasPrice,
+          ),
+        )
+        .catch((err) => log.error("Receipt failed", { tx: tx.hash, err }));
+
+      return { success: true, txHash: tx.hash };
+    } catch (err) {
+      log.error("Submission failed", { err });
+      return reject(502, "submission_failed", "Failed to submit vote");
+    } finally {
+      // Anything that returns before broadcasting frees the nullifier and budget
+      if (reserved) await budget.refund(reserved.reservation, reserved.maxCost);
+      const record = JSON.parse((await storage.get(dedupKey)) || "{}");
+      if (record.status === "pending") await storage.del(dedupKey);
+    }
+  }
+
+  return { relay };
+}
+
+module.exports = { createVoteRelayer };
@@ -0,0 +1,30 @@
+const express = require("express");
+
+/**
+ * POST /relay/vote — body `{ proposalId, support, nullifier, proof: { a, b, c },
+ * publicSignals }` in castPrivateVote's argument layout. Responds with the
+ * relayed transaction hash, or `{ success: false, code, error }`.
+ *
+ * @param {object|null} relayer See ./relayer.js; null when not configured
+ */
+function createRelayerRouter(relayer) {
+  const router = express.Router();
+
+  router.post("/relay/vote", async (req, res, next) => {
+    if (!relayer) {
+      return res
+        .status(503)
+        .json({ success: false, error: "Vote relayer is not configured" });
+    }
+    try {
+      const { status = 200, ...result } = await relayer.relay(req.body);
+      res.status(result.success ? 200 : status).json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRelayerRouter };
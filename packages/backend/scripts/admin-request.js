@@ -0,0 +1,61 @@
+/**
+ * Sends a signed request to the issuer's admin API.
+ * The key must belong to the DIDRegistry owner.
+ *
+ * Usage: node scripts/admin-request.js <METHOD> <path> [json-body]
+ *   node scripts/admin-request.js GET "/admin/identities?q=0xabc"
+ *   node scripts/admin-request.js POST /admin/identities/0x.../revoke '{"reason":"duplicate"}'
+ *   node scripts/admin-request.js GET /admin/export > identities.json
+ *
+ * Env: ADMIN_PRIVATE_KEY, BACKEND_URL (default http://localhost:3001)
+ */
+
+require("dotenv").config();
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { ADMIN_HEADERS, hashBody, buildAdminMessage } = require("../admin");
+
+async function main() {
+  const [method = "GET", path, body] = process.argv.slice(2);
+  if (!path || !process.env.ADMIN_PRIVATE_KEY) {
+    console.error(
+      "Usage: ADMIN_PRIVATE_KEY=0x... node scripts/admin-request.js <METHOD> <path> [json-body]",
+    );
+    process.exit(1);
+  }
+
+  const wallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY);
+  const timestamp = String(Date.now());
+  const nonce = crypto.randomUUID();
+  const signature = await wallet.signMessage(
+    buildAdminMessage({
+      method,
+      path,
+      bodyHash: hashBody(body),
+      timestamp,
+      nonce,
+    }),
+  );
+
+  const response = await fetch(
+    `${process.env.BACKEND_URL || "http://localhost:3001"}${path}`,
+    {
+      method,
+      headers: {
+        ...(body ? { "Content-Type": "application/json" } : {}),
+        [ADMIN_HEADERS.signature]: signature,
+        [ADMIN_HEADERS.timestamp]: timestamp,
+        [ADMIN_HEADERS.nonce]: nonce,
+      },
+      body,
+    },
+  );
+
+  console.log(JSON.stringify(await response.json(), null, 2));
+  if (!response.ok) process.exit(1);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
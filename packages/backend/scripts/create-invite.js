@@ -0,0 +1,33 @@
+/**
+ * Mints admin invite codes for the "invite" personhood provider.
+ * The key must belong to one of INVITE_SIGNERS, or to the DIDRegistry owner
+ * when that is unset.
+ *
+ * Usage: node scripts/create-invite.js [count]
+ * Env: INVITE_PRIVATE_KEY (falls back to ADMIN_PRIVATE_KEY)
+ */
+
+require("dotenv").config();
+const { ethers } = require("ethers");
+const { createInviteCode } = require("../verifiers/invite");
+
+async function main() {
+  const key = process.env.INVITE_PRIVATE_KEY || process.env.ADMIN_PRIVATE_KEY;
+  const count = Number(process.argv[2] || 1);
+  if (!key || !Number.isInteger(count) || count < 1) {
+    console.error(
+      "Usage: INVITE_PRIVATE_KEY=0x... node scripts/create-invite.js [count]",
+    );
+    process.exit(1);
+  }
+
+  const signer = new ethers.Wallet(key);
+  for (let i = 0; i < count; i++) {
+    console.log(await createInviteCode(signer));
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+/**
+ * Local Passport Stamps API stand-in
+ * Point the backend at it with PASSPORT_API_URL=http://localhost:4011
+ * Usage: node scripts/local-passport-server.js
+ * Env: PASSPORT_LOCAL_SCORES='{"0xabc...": 30}' (others get the default score)
+ */
+
+require("dotenv").config();
+const {
+  createLocalPassportServer,
+} = require("../verifiers/localPassportServer");
+
+const PORT = process.env.PASSPORT_LOCAL_PORT || 4011;
+
+createLocalPassportServer({
+  scores: JSON.parse(process.env.PASSPORT_LOCAL_SCORES || "{}"),
+}).listen(PORT, () => {
+  console.log(`Local Passport scorer running at http://localhost:${PORT}`);
+  console.log(`Score endpoint: /v2/stamps/:scorerId/score/:address`);
+});
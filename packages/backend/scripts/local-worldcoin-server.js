@@ -0,0 +1,40 @@
+/**
+ * Local Worldcoin Cloud Verify stand-in
+ * Point the backend at it with WORLDCOIN_API_URL=http://localhost:4010
+ * Usage: node scripts/local-worldcoin-server.js [--proof <walletAddress>]
+ */
+
+require("dotenv").config();
+const {
+  createLocalProof,
+  createLocalWorldcoinServer,
+} = require("../verifiers/localWorldcoinServer");
+
+const PORT = process.env.WORLDCOIN_LOCAL_PORT || 4010;
+const WORLDCOIN_APP_ID = process.env.WORLDCOIN_APP_ID;
+const WORLDCOIN_ACTION = process.env.WORLDCOIN_ACTION || "dao_vote";
+
+const proofFlag = process.argv.indexOf("--proof");
+if (proofFlag !== -1) {
+  const signal = process.argv[proofFlag + 1];
+  if (!WORLDCOIN_APP_ID || !/^0x[a-fA-F0-9]{40}$/.test(signal || "")) {
+    console.error(
+      "Usage: --proof <walletAddress> (WORLDCOIN_APP_ID must be set)",
+    );
+    process.exit(1);
+  }
+  const proof = createLocalProof({
+    appId: WORLDCOIN_APP_ID,
+    action: WORLDCOIN_ACTION,
+    signal: signal.toLowerCase(),
+  });
+  console.log(JSON.stringify(proof, null, 2));
+  process.exit(0);
+}
+
+createLocalWorldcoinServer().listen(PORT, () => {
+  console.log(`Local Worldcoin verifier running at http://localhost:${PORT}`);
+  console.log(
+    `Verify endpoint: /api/v2/verify/${WORLDCOIN_APP_ID || ":appId"}`,
+  );
+});
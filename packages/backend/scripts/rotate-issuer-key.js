@@ -0,0 +1,93 @@
+/**
+ * Rotates the issuer key with an overlap: generates the new key into a
+ * file (or reuses the one there), makes it DIDRegistry's trusted issuer and
+ * keeps the outgoing key accepted for the overlap, then prints the
+ * ISSUER_KEYS the issuer should be restarted with. Private keys are never
+ * printed. `dao-issuer rotate-key` does the same and also writes the audit log.
+ *
+ * Usage: node scripts/rotate-issuer-key.js <new-key-file> [overlap-hours]
+ * Env: ADMIN_PRIVATE_KEY (registry owner), RPC_URL, DID_REGISTRY_ADDRESS,
+ *      ISSUER_KEYS / ISSUER_PRIVATE_KEY (current key set),
+ *      CREDENTIAL_TTL_SECONDS (minimum overlap)
+ */
+
+require("dotenv").config({ quiet: true });
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadConfig } = require("../config");
+const { loadOrCreateKeyFile } = require("../cli");
+const { rotateIssuer, nextIssuerKeys } = require("../issuers");
+
+async function main() {
+  const [file, hours = "24"] = process.argv.slice(2);
+  const config = loadConfig();
+  const overlapSeconds = Math.round(Number(hours) * 3600);
+  if (
+    !file ||
+    !process.env.ADMIN_PRIVATE_KEY ||
+    !config.rpcUrl ||
+    !config.didRegistryAddress ||
+    !(overlapSeconds > 0)
+  ) {
+    console.error(
+      "Usage: ADMIN_PRIVATE_KEY=0x... RPC_URL=... DID_REGISTRY_ADDRESS=0x... node scripts/rotate-issuer-key.js <new-key-file> [overlap-hours]",
+    );
+    process.exit(1);
+  }
+  if (overlapSeconds < config.credentialTtlSeconds) {
+    throw new Error(
+      `The overlap must cover the credential lifetime (${config.credentialTtlSeconds}s)`,
+    );
+  }
+
+  const keyFile = path.resolve(file);
+  const { address, created } = loadOrCreateKeyFile(keyFile);
+  console.error(`${created ? "Generated" : "Using"} ${address} (${keyFile})`);
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const registry = new ethers.Contract(
+    config.didRegistryAddress,
+    [
+      "function trustedIssuer() view returns (address)",
+      "function authorizedIssuers(address) view returns (bool)",
+      "function setTrustedIssuer(address)",
+      "function authorizeIssuer(address)",
+      "function setIssuerValidUntil(address, uint256)",
+    ],
+    // Rotation sends several transactions back to back
+    new ethers.NonceManager(
+      new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider),
+    ),
+  );
+
+  const now = Date.now();
+  const validUntil = Math.floor(now / 1000) + overlapSeconds;
+  try {
+    const { previous, transactions } = await rotateIssuer({
+      registry,
+      newIssuer: address,
+      validUntil,
+    });
+    for (const hash of transactions) console.error(`Sent ${hash}`);
+    console.error(
+      `${previous} stays valid until ${new Date(
+        validUntil * 1000,
+      ).toISOString()}`,
+    );
+  } finally {
+    provider.destroy();
+  }
+
+  // stdout carries only the new setting, so it can be piped into a secret store
+  const issuerKeys = nextIssuerKeys(config.issuerKeys, {
+    keyFile,
+    notAfter: validUntil * 1000,
+    now,
+  });
+  console.log(`ISSUER_KEYS='${JSON.stringify(issuerKeys)}'`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
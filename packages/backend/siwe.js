@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Sign-In with Ethereum (EIP-4361) wallet-ownership challenges.
+ * The backend issues the full message, stores it under its nonce with a TTL,
+ * and accepts each signed challenge exactly once for the wallet it names.
+ */
+
+const DEFAULT_STATEMENT =
+  "Prove ownership of this wallet to the DAO identity issuer.";
+
+function buildSiweMessage({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+}) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    statement,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join("\n");
+}
+
+function parseSiweMessage(message) {
+  if (typeof message !== "string") return null;
+  const lines = message.split("\n");
+  const field = (name) => {
+    const line = lines.find((l) => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2) : undefined;
+  };
+  return {
+    address: lines[1],
+    nonce: field("Nonce"),
+    chainId: field("Chain ID"),
+    expirationTime: field("Expiration Time"),
+  };
+}
+
+function createChallengeService(
+  storage,
+  { provider, ttlSeconds = 300, statement = DEFAULT_STATEMENT },
+) {
+  let chainIdPromise;
+  const getChainId = () => {
+    if (!chainIdPromise) {
+      chainIdPromise = provider.getNetwork().then((n) => n.chainId.toString());
+      chainIdPromise.catch(() => {
+        chainIdPromise = undefined;
+      });
+    }
+    return chainIdPromise;
+  };
+
+  async function issue({ address, domain, uri }) {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + ttlSeconds * 1000);
+
+    const message = buildSiweMessage({
+      domain,
+      address: ethers.getAddress(address),
+      statement,
+      uri,
+      chainId: await getChainId(),
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+    });
+
+    await storage.set(
+      `challenge:${nonce}`,
+      JSON.stringify({ address: address.toLowerCase(), message }),
+      { ttlMs: ttlSeconds * 1000 },
+    );
+
+    return { nonce, message, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Consumes the challenge and checks the signature came from `address`.
+   * @returns {{ success: boolean, error?: string }}
+   */
+  async function verify({ address, message, signature }) {
+    const parsed = parseSiweMessage(message);
+    if (!parsed?.nonce || typeof signature !== "string") {
+      return { success: false, error: "Missing wallet signature challenge" };
+    }
+
+    // GETDEL makes the nonce single-use even across instances
+    const stored = await storage.getDel(`challenge:${parsed.nonce}`);
+    if (!stored) {
+      return { success: false, error: "Challenge expired or already used" };
+    }
+
+    const challenge = JSON.parse(stored);
+    if (
+      challenge.message !== message ||
+      challenge.address !== address.toLowerCase()
+    ) {
+      return { success: false, error: "Challenge does not match this wallet" };
+    }
+    if (new Date(parsed.expirationTime).getTime() < Date.now()) {
+      return { success: false, error: "Challenge expired or already used" };
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(message, signature);
+    } catch {
+      return { success: false, error: "Invalid wallet signature" };
+    }
+    if (signer.toLowerCase() !== challenge.address) {
+      return { success: false, error: "Invalid wallet signature" };
+    }
+
+    return { success: true };
+  }
+
+  return { issue, verify };
+}
+
+module.exports = {
+  buildSiweMessage,
+  parseSiweMessage,
+  createChallengeService,
+};
@@ -0,0 +1,44 @@
+const { createRedisStorage } = require("./redis");
+const { createMemoryStorage } = require("./memory");
+
+/**
+ * Issuer storage backends. Each exposes the same async interface:
+ *
+ *   Key/value   get, set(key, value, { ttlMs, onlyIfAbsent }), del, getDel,
+ *               deleteIfEquals, increment, incrementWithin(key, n, { max, ttlMs })
+ *   Rate limits hitWindow(key, { windowMs, limit }) -> { allowed, retryAfterMs }
+ *   Identities  getIdentity(nullifier), getWalletNullifier(wallet),
+ *               bindIdentity(nullifier, { wallet, status }, { history }) —
+ *               atomic, also unbinds the wallet the identity previously
+ *               pointed at and appends the history entries; resolves to
+ *               false, writing nothing, if the wallet belongs to another
+ *               identity,
+ *               getHistory(nullifier), listIdentities()
+ *   Logs        appendLog(name, entry, expectedHeadHash) — appends only
+ *               while the last entry's hash is expectedHeadHash (null when
+ *               empty), getLogHead(name) -> { seq, hash }, readLog(name,
+ *               { afterSeq, limit })
+ *   Indexer     createIndexStore() — see ../indexer/store.js
+ *   Lifecycle   name, ready, ping, close
+ */
+const BACKENDS = {
+  redis: (options) => createRedisStorage({ url: options.redisUrl }),
+  // Loaded lazily so Redis deployments don't need the native module
+  sqlite: (options) =>
+    require("./sqlite").createSqliteStorage({ filename: options.sqlitePath }),
+  memory: () => createMemoryStorage(),
+};
+
+function createStorage(name, options = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown storage backend "${name}". Expected one of: ${Object.keys(
+        BACKENDS,
+      ).join(", ")}`,
+    );
+  }
+  return factory(options);
+}
+
+module.exports = { BACKENDS, createStorage, createMemoryStorage };
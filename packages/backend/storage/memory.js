@@ -0,0 +1,158 @@
+const { createMemoryIndexStore } = require("../indexer/store");
+
+/**
+ * In-process storage for local development and tests. Every operation runs
+ * synchronously inside one call, so multi-key updates are atomic; nothing
+ * is shared between processes or survives a restart.
+ */
+function createMemoryStorage() {
+  const values = new Map(); // key -> { value, expiresAt }
+  const windows = new Map(); // key -> request timestamps
+  const identities = new Map();
+  const wallets = new Map();
+  const histories = new Map(); // nullifier -> history entries
+  const logs = new Map(); // log name -> entries, oldest first
+
+  function read(key) {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  function write(key, value, ttlMs) {
+    values.set(key, {
+      value: String(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    });
+  }
+
+  return {
+    name: "memory",
+    ready: Promise.resolve(),
+
+    async get(key) {
+      return read(key);
+    },
+
+    async set(key, value, { ttlMs, onlyIfAbsent } = {}) {
+      if (onlyIfAbsent && read(key) !== null) return false;
+      write(key, value, ttlMs);
+      return true;
+    },
+
+    async del(key) {
+      values.delete(key);
+    },
+
+    async getDel(key) {
+      const value = read(key);
+      values.delete(key);
+      return value;
+    },
+
+    async deleteIfEquals(key, expected) {
+      if (read(key) !== expected) return false;
+      values.delete(key);
+      return true;
+    },
+
+    async increment(key, amount) {
+      const next = Number(read(key) || 0) + amount;
+      const ttl = values.get(key)?.expiresAt;
+      write(key, next, ttl ? ttl - Date.now() : 0);
+      return next;
+    },
+
+    async incrementWithin(key, amount, { max, ttlMs = 0 }) {
+      const current = Number(read(key) || 0);
+      if (current + amount > max) return false;
+      write(key, current + amount, ttlMs);
+      return true;
+    },
+
+    async hitWindow(key, { windowMs, limit }) {
+      const now = Date.now();
+      const hits = (windows.get(key) || []).filter((at) => at > now - windowMs);
+      if (hits.length >= limit) {
+        windows.set(key, hits);
+        return { allowed: false, retryAfterMs: hits[0] + windowMs - now };
+      }
+      hits.push(now);
+      windows.set(key, hits);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+
+    async getIdentity(nullifierHash) {
+      const record = identities.get(nullifierHash);
+      return record ? { ...record } : null;
+    },
+
+    async getWalletNullifier(wallet) {
+      return wallets.get(wallet) ?? null;
+    },
+
+    async bindIdentity(nullifierHash, record, { history = [] } = {}) {
+      const owner = record.wallet && wallets.get(record.wallet);
+      if (owner && owner !== nullifierHash) return false;
+      const previous = identities.get(nullifierHash);
+      if (previous?.wallet && previous.wallet !== record.wallet) {
+        wallets.delete(previous.wallet);
+      }
+      identities.set(nullifierHash, { ...record });
+      if (record.wallet) wallets.set(record.wallet, nullifierHash);
+      if (history.length) {
+        histories.set(nullifierHash, [
+          ...(histories.get(nullifierHash) || []),
+          ...history,
+        ]);
+      }
+      return true;
+    },
+
+    async getHistory(nullifierHash) {
+      return (histories.get(nullifierHash) || []).map((entry) => ({
+        ...entry,
+      }));
+    },
+
+    async listIdentities() {
+      return [...identities.entries()].map(([nullifier, record]) => ({
+        nullifier,
+        ...record,
+      }));
+    },
+
+    async appendLog(name, entry, expectedHead) {
+      const entries = logs.get(name) || [];
+      const head = entries[entries.length - 1];
+      if ((head?.hash ?? null) !== expectedHead) return false;
+      logs.set(name, [...entries, { ...entry }]);
+      return true;
+    },
+
+    async getLogHead(name) {
+      const entries = logs.get(name) || [];
+      const head = entries[entries.length - 1];
+      return head ? { seq: head.seq, hash: head.hash } : null;
+    },
+
+    async readLog(name, { afterSeq = 0, limit = Infinity } = {}) {
+      return (logs.get(name) || [])
+        .filter((entry) => entry.seq > afterSeq)
+        .slice(0, limit)
+        .map((entry) => ({ ...entry }));
+    },
+
+    createIndexStore: () => createMemoryIndexStore(),
+
+    ping: async () => "PONG",
+
+    close: async () => {},
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,254 @@
+const crypto = require("crypto");
+const { createClient } = require("redis");
+const { createRedisIndexStore } = require("../indexer/store");
+const log = require("../observability").log.child({ component: "storage" });
+
+// Deletes the key only if it still holds the expected value (lock release).
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+// Sliding-window log: drop entries older than the window, then record this
+// request only if the remaining count is under the limit. Runs atomically.
+// Returns { allowed (0/1), retryAfterMs }.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call("ZREMRANGEBYSCORE", KEYS[1], 0, now - window)
+if redis.call("ZCARD", KEYS[1]) >= limit then
+  local oldest = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+  return {0, tonumber(oldest[2]) + window - now}
+end
+redis.call("ZADD", KEYS[1], now, ARGV[4])
+redis.call("PEXPIRE", KEYS[1], window)
+return {1, 0}
+`;
+
+// Adds ARGV[1] to the counter only if the total stays within ARGV[2].
+const INCREMENT_WITHIN_SCRIPT = `
+local current = tonumber(redis.call("GET", KEYS[1]) or "0")
+if current + tonumber(ARGV[1]) > tonumber(ARGV[2]) then
+  return 0
+end
+redis.call("INCRBY", KEYS[1], ARGV[1])
+if tonumber(ARGV[3]) > 0 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[3])
+end
+return 1
+`;
+
+// Writes the identity record and points its wallet (KEYS[2]) at it,
+// dropping the index entry of the wallet it was previously bound to
+// (KEYS[4]), then appends any history entries. An empty ARGV[2] means the
+// record has no wallet. ARGV[3] is the previous wallet the caller read; if
+// the record moved since, returns -1 so it can read again. Returns 0 without
+// writing when the wallet belongs to another identity.
+const BIND_IDENTITY_SCRIPT = `
+local previous = redis.call("GET", KEYS[1])
+local oldWallet = previous and cjson.decode(previous).wallet
+if type(oldWallet) ~= "string" then
+  oldWallet = ""
+end
+if oldWallet ~= ARGV[3] then
+  return -1
+end
+if ARGV[2] ~= "" then
+  local owner = redis.call("GET", KEYS[2])
+  if owner and owner ~= ARGV[4] then
+    return 0
+  end
+end
+if oldWallet ~= "" and oldWallet ~= ARGV[2] then
+  redis.call("DEL", KEYS[4])
+end
+redis.call("SET", KEYS[1], ARGV[1])
+if ARGV[2] ~= "" then
+  redis.call("SET", KEYS[2], ARGV[4])
+end
+for i = 5, #ARGV do
+  redis.call("RPUSH", KEYS[3], ARGV[i])
+end
+return 1
+`;
+
+// Appends to a log stream only while its head is still ARGV[1] (empty for
+// an empty log), so concurrent writers can't fork a hash chain. Stream IDs
+// are \`<seq>-1\`, which lets readers page by sequence number.
+const APPEND_LOG_SCRIPT = `
+local head = redis.call("GET", KEYS[2])
+local headHash = head and cjson.decode(head).hash or ""
+if headHash ~= ARGV[1] then
+  return 0
+end
+redis.call("XADD", KEYS[1], ARGV[2] .. "-1", "entry", ARGV[3])
+redis.call("SET", KEYS[2], ARGV[4])
+return 1
+`;
+
+/**
+ * Redis storage. Shared by every serverless instance; all multi-step
+ * updates run as Lua scripts so they are atomic.
+ *
+ * Identity keys keep the original layout: `nullifier:<hash>` holds the JSON
+ * record and `wallet:<address>` the JSON-encoded nullifier hash. History
+ * entries are a list under `history:<hash>`; logs are streams under
+ * `log:<name>` with their head in `log:<name>:head`.
+ */
+function createRedisStorage({ url }) {
+  const redis = createClient({ url });
+  redis.on("error", (err) => log.error("Redis error", { err }));
+  const ready = redis.connect().then(() => log.info("Redis connected"));
+
+  const ttlOptions = ({ ttlMs, onlyIfAbsent } = {}) => ({
+    ...(onlyIfAbsent ? { condition: "NX" } : {}),
+    ...(ttlMs ? { expiration: { type: "PX", value: ttlMs } } : {}),
+  });
+
+  const parse = (value) => (value ? JSON.parse(value) : null);
+
+  return {
+    name: "redis",
+    ready,
+
+    get: (key) => redis.get(key),
+
+    async set(key, value, options) {
+      return (await redis.set(key, value, ttlOptions(options))) === "OK";
+    },
+
+    async del(key) {
+      await redis.del(key);
+    },
+
+    getDel: (key) => redis.getDel(key),
+
+    async deleteIfEquals(key, expected) {
+      const deleted = await redis.eval(DELETE_IF_EQUALS_SCRIPT, {
+        keys: [key],
+        arguments: [expected],
+      });
+      return deleted === 1;
+    },
+
+    async increment(key, amount) {
+      return Number(await redis.incrBy(key, amount));
+    },
+
+    async incrementWithin(key, amount, { max, ttlMs = 0 }) {
+      const result = await redis.eval(INCREMENT_WITHIN_SCRIPT, {
+        keys: [key],
+        arguments: [String(amount), String(max), String(ttlMs)],
+      });
+      return result === 1;
+    },
+
+    async hitWindow(key, { windowMs, limit }) {
+      const [allowed, retryAfterMs] = await redis.eval(SLIDING_WINDOW_SCRIPT, {
+        keys: [key],
+        arguments: [
+          String(Date.now()),
+          String(windowMs),
+          String(limit),
+          crypto.randomUUID(),
+        ],
+      });
+      return { allowed: allowed === 1, retryAfterMs };
+    },
+
+    async getIdentity(nullifierHash) {
+      return parse(await redis.get(`nullifier:${nullifierHash}`));
+    },
+
+    async getWalletNullifier(wallet) {
+      return parse(await redis.get(`wallet:${wallet}`));
+    },
+
+    async bindIdentity(nullifierHash, record, { history = [] } = {}) {
+      // The script may only touch declared keys, so the wallet to unbind is
+      // read first; the script re-checks it and asks for a retry if it moved
+      for (;;) {
+        const previous = parse(await redis.get(`nullifier:${nullifierHash}`));
+        const oldWallet = previous?.wallet || "";
+        const result = await redis.eval(BIND_IDENTITY_SCRIPT, {
+          keys: [
+            `nullifier:${nullifierHash}`,
+            `wallet:${record.wallet || ""}`,
+            `history:${nullifierHash}`,
+            `wallet:${oldWallet}`,
+          ],
+          arguments: [
+            JSON.stringify(record),
+            record.wallet || "",
+            oldWallet,
+            JSON.stringify(nullifierHash),
+            ...history.map((entry) => JSON.stringify(entry)),
+          ],
+        });
+        if (result !== -1) return result === 1;
+      }
+    },
+
+    async getHistory(nullifierHash) {
+      const entries = await redis.lRange(`history:${nullifierHash}`, 0, -1);
+      return entries.map((entry) => JSON.parse(entry));
+    },
+
+    async listIdentities() {
+      const identities = [];
+      for await (const keys of redis.scanIterator({
+        MATCH: "nullifier:*",
+        COUNT: 500,
+      })) {
+        if (keys.length === 0) continue;
+        const records = await redis.mGet(keys);
+        keys.forEach((key, i) => {
+          if (!records[i]) return;
+          identities.push({
+            nullifier: key.slice("nullifier:".length),
+            ...JSON.parse(records[i]),
+          });
+        });
+      }
+      return identities;
+    },
+
+    async appendLog(name, entry, expectedHead) {
+      const appended = await redis.eval(APPEND_LOG_SCRIPT, {
+        keys: [`log:${name}`, `log:${name}:head`],
+        arguments: [
+          expectedHead ?? "",
+          String(entry.seq),
+          JSON.stringify(entry),
+          JSON.stringify({ seq: entry.seq, hash: entry.hash }),
+        ],
+      });
+      return appended === 1;
+    },
+
+    async getLogHead(name) {
+      return parse(await redis.get(`log:${name}:head`));
+    },
+
+    async readLog(name, { afterSeq = 0, limit } = {}) {
+      const messages = await redis.xRange(
+        `log:${name}`,
+        `${afterSeq + 1}-0`,
+        "+",
+        limit ? { COUNT: limit } : undefined,
+      );
+      return messages.map(({ message }) => JSON.parse(message.entry));
+    },
+
+    createIndexStore: (options) => createRedisIndexStore(redis, options),
+
+    ping: () => redis.ping(),
+
+    close: () => redis.quit(),
+  };
+}
+
+module.exports = { createRedisStorage };
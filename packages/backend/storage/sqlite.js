@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { createSqliteIndexStore } = require("../indexer/store");
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS kv (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  expires_at INTEGER
+);
+CREATE TABLE IF NOT EXISTS window_hits (
+  key TEXT NOT NULL,
+  at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS window_hits_key ON window_hits (key, at);
+CREATE TABLE IF NOT EXISTS identities (
+  nullifier TEXT PRIMARY KEY,
+  record TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS wallets (
+  wallet TEXT PRIMARY KEY,
+  nullifier TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS identity_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  nullifier TEXT NOT NULL,
+  entry TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS identity_history_nullifier ON identity_history (nullifier, id);
+CREATE TABLE IF NOT EXISTS logs (
+  name TEXT NOT NULL,
+  seq INTEGER NOT NULL,
+  hash TEXT NOT NULL,
+  entry TEXT NOT NULL,
+  PRIMARY KEY (name, seq)
+);
+`;
+
+/**
+ * Single-file SQLite storage for running the issuer without Redis.
+ * Multi-step updates run in IMMEDIATE transactions, so they are atomic even
+ * with several processes sharing the file.
+ */
+function createSqliteStorage({ filename }) {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    get: db.prepare(
+      "SELECT value FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)",
+    ),
+    getEntry: db.prepare(
+      "SELECT value, expires_at AS expiresAt FROM kv WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)",
+    ),
+    upsert: db.prepare(
+      "INSERT INTO kv (key, value, expires_at) VALUES (?, ?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at",
+    ),
+    del: db.prepare("DELETE FROM kv WHERE key = ?"),
+    purgeExpired: db.prepare(
+      "DELETE FROM kv WHERE expires_at IS NOT NULL AND expires_at <= ?",
+    ),
+    trimWindow: db.prepare("DELETE FROM window_hits WHERE key = ? AND at <= ?"),
+    windowHits: db.prepare(
+      "SELECT COUNT(*) AS count, MIN(at) AS oldest FROM window_hits WHERE key = ?",
+    ),
+    addHit: db.prepare("INSERT INTO window_hits (key, at) VALUES (?, ?)"),
+    getIdentity: db.prepare(
+      "SELECT record FROM identities WHERE nullifier = ?",
+    ),
+    putIdentity: db.prepare(
+      "INSERT INTO identities (nullifier, record) VALUES (?, ?) ON CONFLICT (nullifier) DO UPDATE SET record = excluded.record",
+    ),
+    getWallet: db.prepare("SELECT nullifier FROM wallets WHERE wallet = ?"),
+    putWallet: db.prepare(
+      "INSERT INTO wallets (wallet, nullifier) VALUES (?, ?) ON CONFLICT (wallet) DO UPDATE SET nullifier = excluded.nullifier",
+    ),
+    delWallet: db.prepare("DELETE FROM wallets WHERE wallet = ?"),
+    listIdentities: db.prepare(
+      "SELECT nullifier, record FROM identities ORDER BY nullifier",
+    ),
+    getHistory: db.prepare(
+      "SELECT entry FROM identity_history WHERE nullifier = ? ORDER BY id",
+    ),
+    addHistory: db.prepare(
+      "INSERT INTO identity_history (nullifier, entry) VALUES (?, ?)",
+    ),
+    logHead: db.prepare(
+      "SELECT seq, hash FROM logs WHERE name = ? ORDER BY seq DESC LIMIT 1",
+    ),
+    appendLog: db.prepare(
+      "INSERT INTO logs (name, seq, hash, entry) VALUES (?, ?, ?, ?)",
+    ),
+    readLog: db.prepare(
+      "SELECT entry FROM logs WHERE name = ? AND seq > ? ORDER BY seq LIMIT ?",
+    ),
+  };
+
+  const read = (key) => stmt.get.get(key, Date.now())?.value ?? null;
+  const expiry = (ttlMs) => (ttlMs ? Date.now() + ttlMs : null);
+
+  const setTx = db.transaction((key, value, { ttlMs, onlyIfAbsent } = {}) => {
+    if (onlyIfAbsent && read(key) !== null) return false;
+    stmt.upsert.run(key, String(value), expiry(ttlMs));
+    return true;
+  });
+
+  const getDelTx = db.transaction((key) => {
+    const value = read(key);
+    stmt.del.run(key);
+    return value;
+  });
+
+  const deleteIfEqualsTx = db.transaction((key, expected) => {
+    if (read(key) !== expected) return false;
+    stmt.del.run(key);
+    return true;
+  });
+
+  const incrementTx = db.transaction((key, amount) => {
+    const entry = stmt.getEntry.get(key, Date.now());
+    const next = Number(entry?.value || 0) + amount;
+    stmt.upsert.run(key, String(next), entry?.expiresAt ?? null);
+    return next;
+  });
+
+  const incrementWithinTx = db.transaction((key, amount, max, ttlMs) => {
+    const current = Number(read(key) || 0);
+    if (current + amount > max) return false;
+    stmt.upsert.run(key, String(current + amount), expiry(ttlMs));
+    return true;
+  });
+
+  const hitWindowTx = db.transaction((key, windowMs, limit) => {
+    const now = Date.now();
+    stmt.trimWindow.run(key, now - windowMs);
+    const { count, oldest } = stmt.windowHits.get(key);
+    if (count >= limit) {
+      return { allowed: false, retryAfterMs: oldest + windowMs - now };
+    }
+    stmt.addHit.run(key, now);
+    return { allowed: true, retryAfterMs: 0 };
+  });
+
+  const bindIdentityTx = db.transaction((nullifierHash, record, history) => {
+    const owner = record.wallet && stmt.getWallet.get(record.wallet)?.nullifier;
+    if (owner && owner !== nullifierHash) return false;
+    const previous = stmt.getIdentity.get(nullifierHash);
+    if (previous) {
+      const oldWallet = JSON.parse(previous.record).wallet;
+      if (oldWallet && oldWallet !== record.wallet)
+        stmt.delWallet.run(oldWallet);
+    }
+    stmt.putIdentity.run(nullifierHash, JSON.stringify(record));
+    if (record.wallet) stmt.putWallet.run(record.wallet, nullifierHash);
+    for (const entry of history) {
+      stmt.addHistory.run(nullifierHash, JSON.stringify(entry));
+    }
+    return true;
+  });
+
+  const appendLogTx = db.transaction((name, entry, expectedHead) => {
+    const head = stmt.logHead.get(name);
+    if ((head?.hash ?? null) !== expectedHead) return false;
+    stmt.appendLog.run(name, entry.seq, entry.hash, JSON.stringify(entry));
+    return true;
+  });
+
+  // Expired rows are ignored by reads; sweep them now and then
+  const sweep = setInterval(() => stmt.purgeExpired.run(Date.now()), 60000);
+  sweep.unref();
+
+  return {
+    name: "sqlite",
+    ready: Promise.resolve(),
+
+    get: async (key) => read(key),
+    set: async (key, value, options) => setTx.immediate(key, value, options),
+    del: async (key) => {
+      stmt.del.run(key);
+    },
+    getDel: async (key) => getDelTx.immediate(key),
+    deleteIfEquals: async (key, expected) =>
+      deleteIfEqualsTx.immediate(key, expected),
+    increment: async (key, amount) => incrementTx.immediate(key, amount),
+    incrementWithin: async (key, amount, { max, ttlMs = 0 }) =>
+      incrementWithinTx.immediate(key, amount, max, ttlMs),
+    hitWindow: async (key, { windowMs, limit }) =>
+      hitWindowTx.immediate(key, windowMs, limit),
+
+    async getIdentity(nullifierHash) {
+      const row = stmt.getIdentity.get(nullifierHash);
+      return row ? JSON.parse(row.record) : null;
+    },
+
+    async getWalletNullifier(wallet) {
+      return stmt.getWallet.get(wallet)?.nullifier ?? null;
+    },
+
+    bindIdentity: async (nullifierHash, record, { history = [] } = {}) =>
+      bindIdentityTx.immediate(nullifierHash, record, history),
+
+    async getHistory(nullifierHash) {
+      return stmt.getHistory
+        .all(nullifierHash)
+        .map((row) => JSON.parse(row.entry));
+    },
+
+    async listIdentities() {
+      return stmt.listIdentities.all().map((row) => ({
+        nullifier: row.nullifier,
+        ...JSON.parse(row.record),
+      }));
+    },
+
+    appendLog: async (name, entry, expectedHead) =>
+      appendLogTx.immediate(name, entry, expectedHead),
+
+    async getLogHead(name) {
+      return stmt.logHead.get(name) ?? null;
+    },
+
+    async readLog(name, { afterSeq = 0, limit = -1 } = {}) {
+      return stmt.readLog
+        .all(name, afterSeq, limit)
+        .map((row) => JSON.parse(row.entry));
+    },
+
+    createIndexStore: () => createSqliteIndexStore(db),
+
+    ping: async () => {
+      db.prepare("SELECT 1").get();
+      return "PONG";
+    },
+
+    close: async () => {
+      clearInterval(sweep);
+      db.close();
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const express = require("express");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createMemoryStorage } = require("../storage");
+const { createLockManager } = require("../locks");
+const {
+  ADMIN_HEADERS,
+  hashBody,
+  buildAdminMessage,
+  createAdminAuth,
+  createIdentityAdmin,
+  createAdminRouter,
+} = require("../admin");
+const { useTestServer } = require("./helpers/server");
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+const CAROL = "0x000000000000000000000000000000000000ca01";
+const NULLIFIER_A = `0x${"aa".repeat(32)}`;
+const NULLIFIER_B = `0x${"bb".repeat(32)}`;
+
+describe("Identity Admin API", function () {
+  const owner = ethers.Wallet.createRandom();
+  const registry = { owner: async () => owner.address };
+
+  const server = useTestServer();
+  let baseUrl;
+  let storage;
+
+  async function startServer(exportKey = "correct horse battery staple") {
+    storage = createMemoryStorage();
+    const app = express();
+    app.use(
+      createAdminRouter(
+        createIdentityAdmin({
+          storage,
+          locks: createLockManager(storage, { prefix: "lock:registration:" }),
+          exportKey,
+        }),
+        createAdminAuth({ registry, storage }),
+      ),
+    );
+    baseUrl = await server.start(app);
+  }
+
+  async function signedRequest(method, path, body, signer = owner) {
+    const raw = body === undefined ? undefined : JSON.stringify(body);
+    const timestamp = String(Date.now());
+    const nonce = crypto.randomUUID();
+    const signature = await signer.signMessage(
+      buildAdminMessage({
+        method,
+        path,
+        bodyHash: hashBody(raw),
+        timestamp,
+        nonce,
+      }),
+    );
+    const headers = {
+      ...(raw ? { "Content-Type": "application/json" } : {}),
+      [ADMIN_HEADERS.signature]: signature,
+      [ADMIN_HEADERS.timestamp]: timestamp,
+      [ADMIN_HEADERS.nonce]: nonce,
+    };
+    return {
+      url: `${baseUrl}${path}`,
+      method,
+      headers,
+      body: raw,
+    };
+  }
+
+  async function send(request) {
+    const response = await fetch(request.url, request);
+    return { status: response.status, body: await response.json() };
+  }
+
+  const call = async (...args) => send(await signedRequest(...args));
+
+  beforeEach(async function () {
+    await startServer();
+    await storage.bindIdentity(NULLIFIER_A, {
+      wallet: ALICE,
+      status: "complete",
+    });
+    await storage.bindIdentity(NULLIFIER_B, {
+      wallet: BOB,
+      status: "complete",
+    });
+  });
+
+  it("Should reject requests not signed by the registry owner", async function () {
+    const stranger = ethers.Wallet.createRandom();
+    const { status, body } = await call(
+      "GET",
+      "/admin/identities",
+      undefined,
+      stranger,
+    );
+
+    expect(status).to.equal(401);
+    expect(body.error).to.match(/not the DIDRegistry owner/);
+  });
+
+  it("Should reject a replayed or altered request", async function () {
+    const request = await signedRequest(
+      "POST",
+      `/admin/identities/${NULLIFIER_A}/revoke`,
+      {
+        reason: "duplicate",
+      },
+    );
+    const altered = { ...request, body: JSON.stringify({ reason: "other" }) };
+    expect((await send(altered)).status).to.equal(401);
+
+    expect((await send(request)).status).to.equal(200);
+    const replay = await send(request);
+    expect(replay.status).to.equal(401);
+    expect(replay.body.error).to.match(/already used/);
+  });
+
+  it("Should list and search identity records", async function () {
+    const all = await call("GET", "/admin/identities");
+    expect(all.body.total).to.equal(2);
+
+    const search = await call("GET", `/admin/identities?q=${BOB.slice(-4)}`);
+    expect(search.body.identities).to.deep.equal([
+      { nullifier: NULLIFIER_B, wallet: BOB, status: "complete" },
+    ]);
+  });
+
+  it("Should revoke a nullifier and record it in its history", async function () {
+    const revoked = await call(
+      "POST",
+      `/admin/identities/${NULLIFIER_A}/revoke`,
+      {
+        reason: "duplicate person",
+      },
+    );
+    expect(revoked.body.identity.status).to.equal("revoked");
+
+    const { body } = await call("GET", `/admin/identities/${NULLIFIER_A}`);
+    expect(body.identity.status).to.equal("revoked");
+    expect(body.history).to.have.length(1);
+    expect(body.history[0]).to.include({
+      action: "revoked",
+      reason: "duplicate person",
+      by: owner.address.toLowerCase(),
+    });
+
+    const again = await call(
+      "POST",
+      `/admin/identities/${NULLIFIER_A}/revoke`,
+      {},
+    );
+    expect(again.status).to.equal(409);
+  });
+
+  it("Should force-rebind a wallet unless another identity holds it", async function () {
+    const taken = await call(
+      "POST",
+      `/admin/identities/${NULLIFIER_A}/rebind`,
+      {
+        wallet: BOB,
+      },
+    );
+    expect(taken.status).to.equal(409);
+
+    const rebound = await call(
+      "POST",
+      `/admin/identities/${NULLIFIER_A}/rebind`,
+      {
+        wallet: CAROL,
+        reason: "lost key",
+      },
+    );
+    expect(rebound.status).to.equal(200);
+    expect(await storage.getWalletNullifier(ALICE)).to.equal(null);
+    expect(await storage.getWalletNullifier(CAROL)).to.equal(NULLIFIER_A);
+  });
+
+  it("Should restore an encrypted export into empty storage", async function () {
+    await call("POST", `/admin/identities/${NULLIFIER_A}/revoke`, {});
+    const exported = await call("GET", "/admin/export");
+    expect(exported.body.count).to.equal(2);
+    expect(JSON.stringify(exported.body.bundle)).to.not.include(ALICE);
+
+    await startServer();
+    const imported = await call("POST", "/admin/import", {
+      bundle: exported.body.bundle,
+    });
+    expect(imported.body).to.include({ imported: 2 });
+    expect((await storage.getIdentity(NULLIFIER_A)).status).to.equal("revoked");
+    expect(await storage.getWalletNullifier(BOB)).to.equal(NULLIFIER_B);
+
+    const history = await storage.getHistory(NULLIFIER_A);
+    expect(history.map((entry) => entry.action)).to.deep.equal([
+      "revoked",
+      "imported",
+    ]);
+
+    await startServer("a different passphrase");
+    const rejected = await call("POST", "/admin/import", {
+      bundle: exported.body.bundle,
+    });
+    expect(rejected.status).to.equal(400);
+    expect(rejected.body.error).to.match(/could not be decrypted/);
+  });
+});
@@ -0,0 +1,73 @@
+const { expect } = require("chai");
+const { createStorage } = require("../storage");
+const { createAuditLog, verifyAuditEntries } = require("../audit");
+
+const WALLET = "0x00000000000000000000000000000000000a11ce";
+const NULLIFIER = `0x${"12".repeat(32)}`;
+
+describe("Issuance Audit Log", function () {
+  let storage;
+  let audit;
+
+  beforeEach(function () {
+    storage = createStorage("sqlite", { sqlitePath: ":memory:" });
+    audit = createAuditLog({ storage });
+  });
+
+  afterEach(async function () {
+    await storage.close();
+  });
+
+  it("Should chain entries and only store salted nullifier hashes", async function () {
+    await audit.record("pre_check_passed", { wallet: WALLET });
+    await audit.record("issued", { wallet: WALLET, nullifier: NULLIFIER });
+    await audit.record("rejected", {
+      stage: "issue-credential",
+      reason: "sybil_block",
+      nullifier: NULLIFIER,
+    });
+
+    const entries = await audit.read();
+    expect(entries.map((entry) => entry.seq)).to.deep.equal([1, 2, 3]);
+    expect(entries[1].prevHash).to.equal(entries[0].hash);
+    expect(JSON.stringify(entries)).to.not.include(NULLIFIER.slice(2));
+    expect(entries[1].nullifierHash).to.equal(entries[2].nullifierHash);
+
+    const other = createAuditLog({ storage, salt: "another salt" });
+    expect(await other.hashNullifier(NULLIFIER)).to.not.equal(
+      entries[1].nullifierHash,
+    );
+    expect(await audit.verify()).to.include({ valid: true, length: 3 });
+  });
+
+  it("Should detect edited, dropped and reordered entries", async function () {
+    for (const reason of ["a", "b", "c"]) {
+      await audit.record("rejected", { reason, wallet: WALLET });
+    }
+    const entries = await audit.read();
+
+    const edited = entries.map((entry) => ({ ...entry }));
+    edited[1].reason = "approved";
+    expect(verifyAuditEntries(edited)).to.include({
+      valid: false,
+      brokenAt: 2,
+    });
+
+    expect(verifyAuditEntries([entries[0], entries[2]]).valid).to.equal(false);
+    expect(
+      verifyAuditEntries([entries[1], entries[0], entries[2]]).valid,
+    ).to.equal(false);
+  });
+
+  it("Should keep a single chain under concurrent writers", async function () {
+    // Two instances sharing one storage, like serverless workers
+    const second = createAuditLog({ storage });
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        (i % 2 ? audit : second).record("pre_check_passed", { wallet: WALLET }),
+      ),
+    );
+
+    expect(await audit.verify()).to.include({ valid: true, length: 10 });
+  });
+});
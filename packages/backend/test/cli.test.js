@@ -0,0 +1,291 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createMemoryStorage } = require("../storage");
+const { createLockManager } = require("../locks");
+const { createIdentityAdmin } = require("../admin");
+const { createAuditLog } = require("../audit");
+const { createCredentialSigner } = require("../credentials");
+const {
+  parseArgs,
+  createIssuerCommands,
+  loadOrCreateKeyFile,
+  runCli,
+} = require("../cli");
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+const NULLIFIER = `0x${"aa".repeat(32)}`;
+const COMMITMENT = ethers.zeroPadValue("0x1234", 32);
+const REGISTRY = "0x3333333333333333333333333333333333333333";
+
+describe("dao-issuer CLI", function () {
+  let storage;
+  let audit;
+  let issuer;
+  let trustedIssuer;
+  let authorized;
+  let sent;
+  let closed;
+
+  const output = () => {
+    let text = "";
+    return { write: (chunk) => (text += chunk), text: () => text };
+  };
+
+  async function run(...argv) {
+    const stdout = output();
+    const stderr = output();
+    const code = await runCli(argv, {
+      open: async () => ({
+        commands: createIssuerCommands({
+          storage,
+          identities: createIdentityAdmin({
+            storage,
+            locks: createLockManager(storage, {
+              prefix: "lock:registration:",
+            }),
+            audit,
+          }),
+          audit,
+          locks: createLockManager(storage, { prefix: "lock:registration:" }),
+          operator: "cli:test",
+          chain: async () => {
+            const registry = {
+              getAddress: async () => REGISTRY,
+              nonces: async () => 2n,
+              hasRegisteredForVoting: async (wallet) =>
+                wallet === ethers.getAddress(ALICE),
+              trustedIssuer: async () => trustedIssuer,
+            };
+            return {
+              registry,
+              credentialSigner: createCredentialSigner({
+                signer: issuer,
+                registry,
+              }),
+              ownerRegistry: {
+                trustedIssuer: async () => trustedIssuer,
+                authorizedIssuers: async (address) => authorized.has(address),
+                ...Object.fromEntries(
+                  [
+                    "authorizeIssuer",
+                    "setIssuerValidUntil",
+                    "setTrustedIssuer",
+                  ].map((name) => [
+                    name,
+                    async (...params) => ({
+                      wait: async () => {
+                        sent.push([name, ...params]);
+                        if (name === "authorizeIssuer")
+                          authorized.add(params[0]);
+                        if (name === "setTrustedIssuer")
+                          trustedIssuer = params[0];
+                        return {
+                          hash: `0x${sent.length
+                            .toString(16)
+                            .padStart(64, "0")}`,
+                        };
+                      },
+                    }),
+                  ]),
+                ),
+              },
+            };
+          },
+        }),
+        close: async () => {
+          closed = true;
+        },
+      }),
+      stdout,
+      stderr,
+    });
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  }
+
+  const json = async (...argv) => {
+    const result = await run(...argv, "--json");
+    return { code: result.code, body: JSON.parse(result.stdout) };
+  };
+
+  beforeEach(async function () {
+    storage = createMemoryStorage();
+    audit = createAuditLog({ storage, salt: "test-salt" });
+    issuer = new ethers.Wallet(ethers.hexlify(ethers.randomBytes(32)), {
+      getNetwork: async () => ({ chainId: 31337n }),
+    });
+    trustedIssuer = issuer.address;
+    authorized = new Set();
+    sent = [];
+    closed = false;
+    await storage.bindIdentity(
+      NULLIFIER,
+      { wallet: ALICE, status: "complete" },
+      { history: [{ action: "issued", wallet: ALICE, at: "2026-01-01" }] },
+    );
+  });
+
+  it("Should parse options and reject bad usage before opening storage", async function () {
+    expect(
+      parseArgs(["revoke", "0xabc", "--reason=dup", "--json"]),
+    ).to.deep.equal({
+      command: "revoke",
+      args: ["0xabc"],
+      options: { reason: "dup", json: true },
+    });
+    expect(() => parseArgs(["resign", ALICE, "--commitment"])).to.throw(
+      "--commitment needs a value",
+    );
+
+    expect((await run()).code).to.equal(2);
+    expect((await run("--help")).code).to.equal(0);
+    const unknown = await run("explode");
+    expect(unknown.code).to.equal(2);
+    expect(unknown.stderr).to.include('Unknown command "explode"');
+    expect((await run("rebind", NULLIFIER)).stderr).to.include(
+      "Missing arguments for rebind",
+    );
+    expect(closed).to.equal(false);
+  });
+
+  it("Should inspect, revoke and rebind identities, in text and JSON", async function () {
+    const byWallet = await run("inspect", ethers.getAddress(ALICE));
+    expect(byWallet.code).to.equal(0);
+    expect(byWallet.stdout).to.match(/Nullifier:\s+0xaaaa/);
+    expect(byWallet.stdout).to.match(/Status:\s+complete/);
+    expect(byWallet.stdout).to.include("issued");
+
+    const rebound = await json("rebind", NULLIFIER, BOB, "--reason", "lost");
+    expect(rebound.code).to.equal(0);
+    expect(rebound.body.identity).to.include({ wallet: BOB });
+    expect(await storage.getWalletNullifier(ALICE)).to.equal(null);
+
+    expect((await json("revoke", NULLIFIER)).body.identity).to.include({
+      status: "revoked",
+    });
+    const again = await run("revoke", NULLIFIER);
+    expect(again.code).to.equal(1);
+    expect(again.stderr).to.equal("Error: Identity already revoked\n");
+
+    const { body } = await json("inspect", NULLIFIER);
+    expect(body.history.map((entry) => entry.action)).to.deep.equal([
+      "issued",
+      "force_rebound",
+      "revoked",
+    ]);
+    expect(body.history[1]).to.include({ by: "cli:test", reason: "lost" });
+    expect(closed).to.equal(true);
+  });
+
+  it("Should re-sign credentials for complete identities only", async function () {
+    expect((await json("resign", ALICE)).body.error).to.include(
+      "Invalid commitment",
+    );
+
+    const { code, body } = await json(
+      "resign",
+      ALICE,
+      "--commitment",
+      COMMITMENT,
+    );
+    expect(code).to.equal(0);
+    expect(body.credential).to.include({
+      subject: ethers.getAddress(ALICE),
+      commitment: COMMITMENT,
+      nonce: "2",
+    });
+    const domain = {
+      name: "DIDRegistry",
+      version: "1",
+      chainId: 31337n,
+      verifyingContract: REGISTRY,
+    };
+    expect(
+      ethers.verifyTypedData(
+        domain,
+        {
+          VoterCredential: [
+            { name: "subject", type: "address" },
+            { name: "commitment", type: "bytes32" },
+            { name: "nonce", type: "uint256" },
+            { name: "expiry", type: "uint256" },
+          ],
+        },
+        body.credential,
+        body.signature,
+      ),
+    ).to.equal(issuer.address);
+    const [, resigned] = await storage.getHistory(NULLIFIER);
+    expect(resigned).to.include({ action: "resigned", by: "cli:test" });
+
+    await run("revoke", NULLIFIER);
+    const refused = await json("resign", ALICE, "--commitment", COMMITMENT);
+    expect(refused.code).to.equal(1);
+    expect(refused.body.error).to.include("Identity is revoked");
+  });
+
+  it("Should report on-chain status, rotate the issuer key and dump stats", async function () {
+    const status = await run("status", ALICE);
+    expect(status.stdout).to.match(/On chain:\s+registered/);
+    expect(status.stdout).to.match(/Issuer:\s+complete/);
+    expect((await json("status", BOB)).body).to.include({
+      registeredOnChain: false,
+      identity: null,
+    });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+    try {
+      const keyFile = path.join(dir, "issuer.key");
+      const rotated = await json("rotate-key", "--key-file", keyFile);
+      expect(rotated.code).to.equal(0);
+      expect(rotated.body.previous).to.equal(issuer.address);
+      expect(rotated.body.issuer).to.equal(trustedIssuer);
+      // The outgoing key is authorized with an end date before the switch
+      expect(sent.map(([name]) => name)).to.deep.equal([
+        "authorizeIssuer",
+        "setIssuerValidUntil",
+        "setTrustedIssuer",
+      ]);
+      const validUntil = Date.parse(rotated.body.previousValidUntil);
+      expect(sent[1]).to.deep.equal([
+        "setIssuerValidUntil",
+        issuer.address,
+        validUntil / 1000,
+      ]);
+      expect(validUntil - Date.now()).to.be.closeTo(24 * 3600 * 1000, 5000);
+      expect(rotated.body.issuerKeys).to.deep.equal([
+        {
+          env: "ISSUER_PRIVATE_KEY",
+          notAfter: rotated.body.previousValidUntil,
+        },
+        { keyFile, notBefore: rotated.body.issuerKeys[1].notBefore },
+      ]);
+      expect(JSON.stringify(rotated.body)).not.to.include(
+        fs.readFileSync(keyFile, "utf8").trim(),
+      );
+      expect(fs.statSync(keyFile).mode & 0o777).to.equal(0o600);
+      expect(loadOrCreateKeyFile(keyFile)).to.deep.equal({
+        address: trustedIssuer,
+        created: false,
+      });
+      expect((await json("rotate-key", trustedIssuer)).body.error).to.equal(
+        "This address is already the trusted issuer",
+      );
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const { body } = await json("stats");
+    expect(body.identities).to.deep.equal({
+      total: 1,
+      bound: 1,
+      byStatus: { complete: 1 },
+    });
+    expect(body.audit).to.include({ entries: 1, valid: true });
+    const text = await run("stats");
+    expect(text.stdout).to.match(/Audit chain:\s+valid/);
+  });
+});
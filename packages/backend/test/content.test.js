@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  computeCid,
+  matchesCid,
+  createLocalContentStore,
+  createContentService,
+  createContentRouter,
+} = require("../content");
+const { errorHandler } = require("../openapi");
+const { useTestServer } = require("./helpers/server");
+
+describe("Content store", function () {
+  const { start: startServer } = useTestServer();
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "content-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const appFor = (content) => {
+    const app = express();
+    app.use(createContentRouter(content));
+    app.use(errorHandler);
+    return app;
+  };
+
+  const upload = (url, body) =>
+    fetch(`${url}/content`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+    });
+
+  it("Should compute the same CIDv1 as `ipfs add --cid-version=1`", function () {
+    expect(computeCid(Buffer.alloc(0))).to.equal(
+      "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku",
+    );
+    const hello = Buffer.from("hello world");
+    const cid = computeCid(hello);
+    expect(cid).to.equal(
+      "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e",
+    );
+    expect(matchesCid(cid, hello)).to.equal(true);
+    expect(matchesCid(cid, Buffer.from("hello world!"))).to.equal(false);
+  });
+
+  it("Should store documents under their CID and serve them byte for byte", async function () {
+    const content = createContentService({
+      store: createLocalContentStore({ dir }),
+      maxBytes: 256,
+    });
+    const url = await startServer(appFor(content));
+
+    const document = '{"title":"Fund the garden",  "description":"…"}';
+    const stored = await upload(url, document);
+    expect(stored.status).to.equal(201);
+    const { cid, size } = await stored.json();
+    expect(cid).to.equal(computeCid(Buffer.from(document)));
+    expect(size).to.equal(Buffer.byteLength(document));
+
+    const fetched = await fetch(`${url}/content/${cid}`);
+    expect(fetched.status).to.equal(200);
+    expect(fetched.headers.get("content-type")).to.include("application/json");
+    expect(fetched.headers.get("cache-control")).to.include("immutable");
+    expect(await fetched.text()).to.equal(document);
+
+    expect((await upload(url, "{not json")).status).to.equal(400);
+    const tooLarge = await upload(
+      url,
+      JSON.stringify({ description: "x".repeat(300) }),
+    );
+    expect(tooLarge.status).to.equal(413);
+    expect(await tooLarge.json()).to.include({ code: "payload_too_large" });
+
+    const unknown = computeCid(Buffer.from("{}"));
+    expect((await fetch(`${url}/content/${unknown}`)).status).to.equal(404);
+    expect((await fetch(`${url}/content/QmNotACidV1`)).status).to.equal(400);
+  });
+
+  it("Should hold remote stores to the computed CID", async function () {
+    const blocks = new Map();
+    const store = {
+      name: "fake",
+      put: async (bytes, cid) => {
+        blocks.set(cid, bytes);
+        return cid;
+      },
+      get: async (cid) => blocks.get(cid) || null,
+    };
+    const content = createContentService({ store });
+
+    const { cid } = await content.put(Buffer.from('{"a":1}'));
+    blocks.set(cid, Buffer.from('{"a":2}'));
+    expect(await content.get(cid)).to.include({
+      success: false,
+      status: 502,
+      code: "content_mismatch",
+    });
+
+    store.put = async () => computeCid(Buffer.from("something else"));
+    let error;
+    try {
+      await content.put(Buffer.from('{"b":1}'));
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).to.include("fake stored content as");
+  });
+});
@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  CREDENTIAL_TYPES,
+  createCredentialSigner,
+  isValidCommitment,
+} = require("../credentials");
+
+describe("EIP-712 Issuer Credentials", function () {
+  const CHAIN_ID = 11155111n;
+  const REGISTRY = "0x3333333333333333333333333333333333333333";
+  const SUBJECT = "0x1111111111111111111111111111111111111111";
+  const COMMITMENT = ethers.zeroPadValue("0x1234", 32);
+
+  let issuer;
+  let credentialSigner;
+
+  beforeEach(function () {
+    const provider = { getNetwork: async () => ({ chainId: CHAIN_ID }) };
+    issuer = new ethers.Wallet(
+      ethers.hexlify(ethers.randomBytes(32)),
+      provider,
+    );
+    const registry = {
+      getAddress: async () => REGISTRY,
+      nonces: async () => 7n,
+    };
+    credentialSigner = createCredentialSigner({
+      signer: issuer,
+      registry,
+      ttlSeconds: 600,
+    });
+  });
+
+  it("Should sign a credential recoverable against the registry domain", async function () {
+    const { signature, credential } = await credentialSigner.issue(
+      SUBJECT,
+      COMMITMENT,
+    );
+
+    const domain = {
+      name: "DIDRegistry",
+      version: "1",
+      chainId: CHAIN_ID,
+      verifyingContract: REGISTRY,
+    };
+    expect(
+      ethers.verifyTypedData(domain, CREDENTIAL_TYPES, credential, signature),
+    ).to.equal(issuer.address);
+    expect(credential.nonce).to.equal("7");
+  });
+
+  it("Should not verify under a different chain ID", async function () {
+    const { signature, credential } = await credentialSigner.issue(
+      SUBJECT,
+      COMMITMENT,
+    );
+
+    const domain = {
+      name: "DIDRegistry",
+      version: "1",
+      chainId: 1n,
+      verifyingContract: REGISTRY,
+    };
+    expect(
+      ethers.verifyTypedData(domain, CREDENTIAL_TYPES, credential, signature),
+    ).to.not.equal(issuer.address);
+  });
+
+  it("Should set the expiry from the configured TTL", async function () {
+    const now = Math.floor(Date.now() / 1000);
+    const { credential } = await credentialSigner.issue(SUBJECT, COMMITMENT);
+    expect(Number(credential.expiry)).to.be.within(now + 600, now + 601);
+  });
+
+  it("Should validate commitment format", function () {
+    expect(isValidCommitment(COMMITMENT)).to.equal(true);
+    expect(isValidCommitment(ethers.ZeroHash)).to.equal(false);
+    expect(isValidCommitment("0x1234")).to.equal(false);
+    expect(isValidCommitment(undefined)).to.equal(false);
+  });
+});
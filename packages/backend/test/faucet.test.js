@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const express = require("express");
+const { createFaucet, createFaucetRouter } = require("../faucet");
+const { createLockManager } = require("../locks");
+const { createMemoryStorage } = require("../storage");
+const { useTestServer } = require("./helpers/server");
+
+const ALICE = `0x${"a1".repeat(20)}`;
+const BOB = `0x${"b2".repeat(20)}`;
+
+// GovernanceToken stand-in recording what the faucet mints
+function createFakeToken() {
+  const minted = [];
+  return {
+    minted,
+    failNext: false,
+    async mint(to, amount) {
+      if (this.failNext) {
+        this.failNext = false;
+        throw new Error("execution reverted: Not a minter");
+      }
+      minted.push({ to, amount });
+      return { wait: async () => ({ hash: `0x${"cd".repeat(32)}` }) };
+    },
+  };
+}
+
+describe("Test token faucet", function () {
+  let storage;
+  let token;
+  let faucet;
+  const server = useTestServer();
+
+  beforeEach(function () {
+    storage = createMemoryStorage();
+    token = createFakeToken();
+    faucet = createFaucet({
+      token,
+      amount: 100n * 10n ** 18n,
+      storage,
+      lock: createLockManager(storage, { prefix: "lock:" }),
+    });
+  });
+
+  const startServer = async (faucet) => {
+    const app = express();
+    app.use(express.json());
+    app.use(createFaucetRouter(faucet));
+    return server.start(app);
+  };
+
+  it("Should mint once per wallet and once per IP", async function () {
+    const first = await faucet.drip(ALICE, "10.0.0.1");
+    expect(first).to.include({
+      success: true,
+      amount: "100000000000000000000",
+    });
+    expect(token.minted).to.deep.equal([
+      { to: ALICE, amount: 100n * 10n ** 18n },
+    ]);
+
+    const again = await faucet.drip(ALICE, "10.0.0.2");
+    expect(again).to.include({ status: 409, code: "already_funded" });
+
+    const sameIp = await faucet.drip(BOB, "10.0.0.1");
+    expect(sameIp).to.include({ status: 429, code: "ip_already_funded" });
+    expect(token.minted).to.have.length(1);
+
+    // The refused IP claim must not have used up Bob's wallet claim
+    expect((await faucet.drip(BOB, "10.0.0.3")).success).to.equal(true);
+  });
+
+  it("Should let the wallet and IP retry after a failed mint", async function () {
+    token.failNext = true;
+    const failed = await faucet.drip(ALICE, "10.0.0.1");
+    expect(failed).to.include({ status: 502, code: "mint_failed" });
+    expect(token.minted).to.have.length(0);
+
+    expect((await faucet.drip(ALICE, "10.0.0.1")).success).to.equal(true);
+  });
+
+  it("Should report the faucet and refuse requests when it is disabled", async function () {
+    let url = await startServer(faucet);
+    const status = await (await fetch(`${url}/faucet`)).json();
+    expect(status).to.deep.equal({
+      success: true,
+      enabled: true,
+      amount: "100000000000000000000",
+    });
+    const funded = await fetch(`${url}/faucet`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        userAddress: ALICE.toUpperCase().replace("0X", "0x"),
+      }),
+    });
+    expect(funded.status).to.equal(200);
+    expect(token.minted[0].to).to.equal(ALICE);
+
+    url = await startServer(null);
+    expect(await (await fetch(`${url}/faucet`)).json()).to.include({
+      enabled: false,
+    });
+    const refused = await fetch(`${url}/faucet`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userAddress: ALICE }),
+    });
+    expect(refused.status).to.equal(503);
+    expect((await refused.json()).code).to.equal("faucet_disabled");
+  });
+});
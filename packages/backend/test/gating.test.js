@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { parseGateRules, createTokenGate } = require("../gating");
+
+describe("Token Gate", function () {
+  const WALLET = "0x1111111111111111111111111111111111111111";
+  const OTHER = "0x2222222222222222222222222222222222222222";
+  const TOKEN_A = "0x000000000000000000000000000000000000000a";
+  const TOKEN_B = "0x000000000000000000000000000000000000000b";
+  const eth = ethers.parseEther;
+
+  // Token with a current balance and a list of `{ block, from, to, value }`
+  const fakeToken = (balance, transfers = []) => ({
+    balanceOf: async () => balance,
+    filters: { Transfer: (from, to) => ({ from, to }) },
+    queryFilter: async ({ from, to }, fromBlock, toBlock) =>
+      transfers
+        .map((t, i) => ({
+          blockNumber: t.block,
+          index: i,
+          transactionHash: `0x${i}`,
+          args: [t.from, t.to, t.value],
+        }))
+        .filter(
+          ({ blockNumber, args }) =>
+            blockNumber >= fromBlock &&
+            blockNumber <= toBlock &&
+            (!from || args[0] === from) &&
+            (!to || args[1] === to),
+        ),
+  });
+
+  const gate = ({ rules, tokens, head = 100, daoVoting, reputation }) =>
+    createTokenGate({
+      config: parseGateRules(rules),
+      provider: { getBlockNumber: async () => head },
+      daoVoting,
+      reputationManager: reputation && {
+        getReputationScore: async () => reputation,
+      },
+      getToken: (address) => tokens[address.toLowerCase()],
+    });
+
+  it("Should follow DAOVoting.minTokensToRegister and cache it", async function () {
+    let min = eth("5");
+    let reads = 0;
+    const daoVoting = {
+      minTokensToRegister: async () => {
+        reads += 1;
+        return min;
+      },
+    };
+    const tokenGate = gate({
+      rules: [{ type: "token", token: TOKEN_A, min: "chain" }],
+      tokens: { [TOKEN_A]: fakeToken(eth("3")) },
+      daoVoting,
+    });
+
+    const report = await tokenGate.check(WALLET);
+    expect(report.passed).to.equal(false);
+    expect(report.rules[0]).to.include({
+      id: "token-0",
+      required: "5.0",
+      actual: "3.0",
+      passed: false,
+    });
+    expect(tokenGate.explain(report)).to.match(/at least 5\.0 tokens/);
+
+    min = eth("2");
+    await tokenGate.check(WALLET);
+    expect(reads).to.equal(1);
+  });
+
+  it("Should combine several tokens and reputation with all or any", async function () {
+    const tokens = {
+      [TOKEN_A]: fakeToken(eth("1")),
+      [TOKEN_B]: fakeToken(eth("50")),
+    };
+    const rules = [
+      { type: "token", token: TOKEN_A, min: "10" },
+      { type: "token", token: TOKEN_B, min: "25", label: "LP holder" },
+      { type: "reputation", min: 40 },
+    ];
+
+    const all = await gate({ rules, tokens, reputation: 60n }).check(WALLET);
+    expect(all.passed).to.equal(false);
+    expect(all.rules.map((r) => r.passed)).to.deep.equal([false, true, true]);
+    expect(all.rules[1].label).to.equal("LP holder");
+    expect(all.rules[2]).to.include({ required: "40", actual: "60" });
+
+    const any = await gate({
+      rules: { mode: "any", rules },
+      tokens,
+      reputation: 60n,
+    }).check(WALLET);
+    expect(any.passed).to.equal(true);
+  });
+
+  it("Should require the minimum to be held for the whole window", async function () {
+    // 10 tokens now, but 8 arrived at block 95 and 3 left at block 90
+    const token = fakeToken(eth("10"), [
+      { block: 50, from: OTHER, to: WALLET, value: eth("5") },
+      { block: 90, from: WALLET, to: OTHER, value: eth("3") },
+      { block: 95, from: OTHER, to: WALLET, value: eth("8") },
+    ]);
+    const rule = { type: "token", token: TOKEN_A, min: "5" };
+
+    const longHold = await gate({
+      rules: [{ ...rule, holdBlocks: 20 }],
+      tokens: { [TOKEN_A]: token },
+    }).check(WALLET);
+    expect(longHold.rules[0]).to.include({
+      passed: false,
+      actual: "2.0",
+      holdBlocks: 20,
+    });
+
+    const shortHold = await gate({
+      rules: [{ ...rule, holdBlocks: 5 }],
+      tokens: { [TOKEN_A]: token },
+    }).check(WALLET);
+    expect(shortHold.rules[0]).to.include({ passed: true, actual: "10.0" });
+  });
+
+  it("Should fail closed on unreadable rules and reject bad config", async function () {
+    const broken = {
+      ...fakeToken(0n),
+      balanceOf: async () => {
+        throw new Error("rpc down");
+      },
+    };
+    const report = await gate({
+      rules: [{ type: "token", token: TOKEN_A, min: "1" }],
+      tokens: { [TOKEN_A]: broken },
+    }).check(WALLET);
+    expect(report.passed).to.equal(false);
+    expect(report.rules[0].error).to.match(/on-chain state/);
+
+    expect(() => parseGateRules([])).to.throw(/at least one rule/);
+    expect(() => parseGateRules([{ type: "nft", min: 1 }])).to.throw(
+      /unknown type/,
+    );
+    for (const min of [-1, 1.5, "chain", "ten", ""]) {
+      expect(() => parseGateRules([{ type: "reputation", min }])).to.throw(
+        /invalid min/,
+      );
+    }
+    expect(
+      parseGateRules([{ type: "reputation", min: "10" }]).rules[0].min,
+    ).to.equal("10");
+    expect(() =>
+      gate({ rules: [{ type: "token", token: TOKEN_A, min: "chain" }] }),
+    ).to.throw(/without DAOVoting/);
+  });
+});
@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const express = require("express");
+const { ethers } = require("ethers");
+const {
+  storageCheck,
+  rpcCheck,
+  trustedIssuerCheck,
+  contractCodeCheck,
+  gasBalanceCheck,
+  createReadiness,
+  createReadinessRouter,
+} = require("../health");
+const { createMemoryStorage } = require("../storage");
+const { useTestServer } = require("./helpers/server");
+
+describe("Readiness", function () {
+  const ISSUER = "0x1111111111111111111111111111111111111111";
+  const REGISTRY = "0x2222222222222222222222222222222222222222";
+  const TOKEN = "0x3333333333333333333333333333333333333333";
+  const RELAYER = "0x4444444444444444444444444444444444444444";
+
+  const { start: startServer } = useTestServer();
+
+  const fakeChain = ({
+    trustedIssuer = ISSUER,
+    deployed = [REGISTRY, TOKEN],
+    balance = ethers.parseEther("1"),
+  } = {}) => {
+    const calls = { getBlockNumber: 0 };
+    const provider = {
+      getBlockNumber: async () => {
+        calls.getBlockNumber += 1;
+        return 123;
+      },
+      getNetwork: async () => ({ chainId: 31337n }),
+      getCode: async (address) =>
+        deployed.includes(address) ? "0x6080" : "0x",
+      getBalance: async () => balance,
+    };
+    const registry = {
+      trustedIssuer: async () => trustedIssuer,
+      isActiveIssuer: async (address) => address === trustedIssuer,
+    };
+    return { provider, registry, calls };
+  };
+
+  const checksFor = ({ provider, registry }, storage) => [
+    storageCheck(storage),
+    rpcCheck(provider),
+    trustedIssuerCheck(registry, ISSUER),
+    contractCodeCheck(provider, "did_registry", REGISTRY),
+    contractCodeCheck(provider, "governance_token", TOKEN),
+    gasBalanceCheck(provider, "relayer", RELAYER, ethers.parseEther("0.01")),
+  ];
+
+  it("Should report each check and stay ready when only gas is low", async function () {
+    const storage = createMemoryStorage();
+    const healthy = createReadiness({
+      checks: checksFor(fakeChain(), storage),
+    });
+    const report = await healthy.report();
+    expect(report).to.include({ ready: true, status: "ready" });
+    expect(report.checks.map((c) => c.name)).to.deep.equal([
+      "storage",
+      "rpc",
+      "trusted_issuer",
+      "code_did_registry",
+      "code_governance_token",
+      "balance_relayer",
+    ]);
+    expect(report.checks[0]).to.include({ ok: true, backend: "memory" });
+    expect(report.checks[1]).to.include({ blockNumber: 123, chainId: "31337" });
+
+    const lowGas = createReadiness({
+      checks: checksFor(fakeChain({ balance: 1n }), storage),
+    });
+    const app = express();
+    app.use(createReadinessRouter(lowGas));
+    const url = await startServer(app);
+
+    const response = await fetch(`${url}/ready`);
+    expect(response.status).to.equal(200);
+    const body = await response.json();
+    expect(body).to.include({ ready: true, status: "degraded" });
+    expect(body.checks.find((c) => c.name === "balance_relayer")).to.include({
+      ok: false,
+      critical: false,
+      balance: "0.000000000000000001",
+      required: "0.01",
+    });
+  });
+
+  it("Should refuse issuance while a critical check fails", async function () {
+    const readiness = createReadiness({
+      checks: checksFor(
+        fakeChain({ trustedIssuer: RELAYER, deployed: [REGISTRY] }),
+        createMemoryStorage(),
+      ),
+    });
+
+    const app = express();
+    app.use(createReadinessRouter(readiness));
+    app.post("/issue-credential", readiness.requireReady, (req, res) =>
+      res.json({ success: true }),
+    );
+    const url = await startServer(app);
+
+    const ready = await fetch(`${url}/ready`);
+    expect(ready.status).to.equal(503);
+    const report = await ready.json();
+    expect(report.status).to.equal("not_ready");
+    expect(report.checks.find((c) => c.name === "trusted_issuer")).to.include({
+      ok: false,
+      expected: ISSUER,
+      actual: RELAYER,
+    });
+
+    const issue = await fetch(`${url}/issue-credential`, { method: "POST" });
+    expect(issue.status).to.equal(503);
+    expect(await issue.json()).to.deep.include({
+      success: false,
+      code: "not_ready",
+      failed: ["trusted_issuer", "code_governance_token"],
+    });
+  });
+
+  it("Should time out hung checks and reuse recent reports", async function () {
+    const chain = fakeChain();
+    const readiness = createReadiness({
+      checks: [
+        rpcCheck(chain.provider),
+        { name: "hung", critical: true, run: () => new Promise(() => {}) },
+      ],
+      timeoutMs: 50,
+      cacheMs: 60000,
+    });
+
+    const [first, second] = await Promise.all([
+      readiness.report(),
+      readiness.report(),
+    ]);
+    expect(first).to.equal(second);
+    expect(first.ready).to.equal(false);
+    expect(first.checks[1]).to.include({
+      ok: false,
+      error: "Timed out after 50ms",
+    });
+
+    await readiness.report();
+    expect(chain.calls.getBlockNumber).to.equal(1);
+    await readiness.report({ fresh: true });
+    expect(chain.calls.getBlockNumber).to.equal(2);
+
+    // Clients can't skip the cache
+    const app = express();
+    app.use(createReadinessRouter(readiness));
+    const url = await startServer(app);
+    await fetch(`${url}/ready?fresh=true`);
+    expect(chain.calls.getBlockNumber).to.equal(2);
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Serves Express apps on a free local port for the tests of the enclosing
+ * `describe`. Whatever is still running after a test is closed, open
+ * keep-alive sockets included, so mocha can exit.
+ *
+ * @returns {{ start: (app: object) => Promise<string>, stop: () => void }}
+ *   `start` resolves to the server's base URL, replacing any running one
+ */
+function useTestServer() {
+  let server = null;
+
+  function stop() {
+    if (!server) return;
+    server.closeAllConnections();
+    server.close();
+    server = null;
+  }
+
+  async function start(app) {
+    stop();
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+
+  afterEach(stop);
+
+  return { start, stop };
+}
+
+module.exports = { useTestServer };
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createIndexer, createMemoryIndexStore } = require("../indexer");
+const { INDEXED_EVENTS } = require("../indexer/abis");
+
+const BASELINE = "0x1000000000000000000000000000000000000001";
+const PRIVATE = "0x1000000000000000000000000000000000000002";
+const REGISTRY = "0x1000000000000000000000000000000000000003";
+const ALICE = "0x00000000000000000000000000000000000A11CE";
+
+// In-memory chain exposing the provider calls the indexer makes
+function createFakeChain() {
+  const ifaces = {
+    [BASELINE]: new ethers.Interface(INDEXED_EVENTS.baseline),
+    [PRIVATE]: new ethers.Interface(INDEXED_EVENTS.private),
+    [REGISTRY]: new ethers.Interface(INDEXED_EVENTS.registry),
+  };
+  let blocks = [{ number: 0, hash: ethers.id("block-0"), timestamp: 1000 }];
+  let logs = [];
+  let fork = 0;
+
+  return {
+    mine(events = []) {
+      const number = blocks.length;
+      const block = {
+        number,
+        hash: ethers.id(`block-${number}-fork-${fork}`),
+        timestamp: 1000 + number * 12,
+      };
+      blocks.push(block);
+      events.forEach(([address, name, args], index) => {
+        const { data, topics } = ifaces[address].encodeEventLog(name, args);
+        logs.push({
+          address,
+          data,
+          topics,
+          blockNumber: number,
+          blockHash: block.hash,
+          index,
+          transactionHash: ethers.id(`tx-${number}-${index}-${fork}`),
+        });
+      });
+    },
+    // Drop every block from `fromBlock` on, as a competing fork would
+    reorg(fromBlock) {
+      fork += 1;
+      blocks = blocks.slice(0, fromBlock);
+      logs = logs.filter((log) => log.blockNumber < fromBlock);
+    },
+    provider: {
+      async getBlockNumber() {
+        return blocks.length - 1;
+      },
+      async getBlock(number) {
+        return blocks[number] || null;
+      },
+      async getLogs({ fromBlock, toBlock }) {
+        return logs.filter(
+          (log) => log.blockNumber >= fromBlock && log.blockNumber <= toBlock,
+        );
+      },
+    },
+  };
+}
+
+const proposalCreated = (id, title) => [
+  BASELINE,
+  "ProposalCreated",
+  [id, ALICE, title, "description", 2000, 3000],
+];
+const voteCast = (id, support, weight) => [
+  BASELINE,
+  "VoteCast",
+  [id, ALICE, support, weight],
+];
+
+describe("Chain Event Indexer", function () {
+  let chain;
+  let indexer;
+
+  beforeEach(function () {
+    chain = createFakeChain();
+    indexer = createIndexer({
+      provider: chain.provider,
+      store: createMemoryIndexStore(),
+      addresses: { baseline: BASELINE, private: PRIVATE, registry: REGISTRY },
+      confirmations: 1,
+      batchSize: 2,
+    });
+  });
+
+  it("Should project proposals, tallies and state from events", async function () {
+    chain.mine([proposalCreated(1, "Fund the garden")]);
+    chain.mine([
+      voteCast(1, true, ethers.parseEther("3")),
+      [BASELINE, "ProposalStateChanged", [1, 1]],
+    ]);
+    chain.mine([voteCast(1, false, ethers.parseEther("1"))]);
+    chain.mine();
+
+    const result = await indexer.sync();
+    expect(result.cursor).to.equal(3);
+
+    const state = await indexer.getState();
+    const proposal = state.proposals.baseline.get("1");
+    expect(proposal.title).to.equal("Fund the garden");
+    expect(proposal.state).to.equal("Active");
+    expect(proposal.yesVotes).to.equal(ethers.parseEther("3").toString());
+    expect(proposal.noVotes).to.equal(ethers.parseEther("1").toString());
+    expect(proposal.voteCount).to.equal(2);
+    expect(state.votes.baseline[0].voter).to.equal(ethers.getAddress(ALICE));
+  });
+
+  it("Should only index blocks past the confirmation depth", async function () {
+    chain.mine([proposalCreated(1, "Confirmed")]);
+    chain.mine([proposalCreated(2, "Unconfirmed")]);
+
+    await indexer.sync();
+    const state = await indexer.getState();
+    expect([...state.proposals.baseline.keys()]).to.deep.equal(["1"]);
+  });
+
+  it("Should record registry registrations per wallet", async function () {
+    const commitment = ethers.zeroPadValue("0x1234", 32);
+    chain.mine([[REGISTRY, "VotingRegistrationSuccess", [ALICE, commitment]]]);
+    chain.mine();
+
+    await indexer.sync();
+    const { registrations } = await indexer.getState();
+    expect(registrations.get(ALICE.toLowerCase()).commitment).to.equal(
+      commitment,
+    );
+  });
+
+  it("Should replace a re-committed voter's leaf and registration", async function () {
+    const [first, second, replacement] = ["0x01", "0x02", "0x03"].map((v) =>
+      ethers.zeroPadValue(v, 32),
+    );
+    chain.mine([
+      [PRIVATE, "VoterRegistered", [first]],
+      [PRIVATE, "VoterRegistered", [second]],
+      [REGISTRY, "VotingRegistrationSuccess", [ALICE, second]],
+    ]);
+    chain.mine([
+      [PRIVATE, "VoterReplaced", [second, replacement, 1]],
+      [REGISTRY, "VoterRecommitted", [ALICE, second, replacement]],
+    ]);
+    chain.mine();
+
+    await indexer.sync();
+    const { commitments, registrations } = await indexer.getState();
+    expect(commitments.map((c) => c.commitment)).to.deep.equal([
+      first,
+      replacement,
+    ]);
+    expect(registrations.get(ALICE.toLowerCase()).commitment).to.equal(
+      replacement,
+    );
+  });
+
+  it("Should roll back events from blocks that were reorged out", async function () {
+    chain.mine([proposalCreated(1, "Kept")]);
+    chain.mine([proposalCreated(2, "Orphaned")]);
+    chain.mine();
+    await indexer.sync();
+    expect((await indexer.getState()).proposals.baseline.size).to.equal(2);
+
+    let changes = 0;
+    indexer.onChange(() => changes++);
+
+    chain.reorg(2);
+    chain.mine([proposalCreated(3, "Replacement")]);
+    chain.mine();
+    chain.mine();
+    await indexer.sync();
+
+    const state = await indexer.getState();
+    expect([...state.proposals.baseline.keys()]).to.deep.equal(["1", "3"]);
+    expect(changes).to.equal(1);
+  });
+});
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  resolveIssuerKeys,
+  createIssuerKeyring,
+  nextIssuerKeys,
+  createIssuersRouter,
+} = require("../issuers");
+const { CREDENTIAL_TYPES, createCredentialSigner } = require("../credentials");
+const { useTestServer } = require("./helpers/server");
+
+describe("Issuer Key Rotation", function () {
+  const HOUR = 3600 * 1000;
+  const T0 = Date.parse("2026-03-01T00:00:00Z");
+  const OLD = ethers.Wallet.createRandom();
+  const NEW = ethers.Wallet.createRandom();
+  const REGISTRY = "0x3333333333333333333333333333333333333333";
+
+  const server = useTestServer();
+  let clock;
+
+  // OLD until T0 + 2h, NEW from T0 + 1h: one hour of overlap
+  const rotatingKeys = () =>
+    resolveIssuerKeys(
+      {
+        issuerKeys: JSON.stringify([
+          { env: "OLD_KEY", notAfter: new Date(T0 + 2 * HOUR).toISOString() },
+          { privateKey: NEW.privateKey, notBefore: new Date(T0 + HOUR) },
+        ]),
+      },
+      { OLD_KEY: OLD.privateKey },
+    );
+
+  beforeEach(function () {
+    clock = T0;
+  });
+
+  it("Should resolve key sources and reject broken key sets", function () {
+    expect(
+      resolveIssuerKeys({ issuerPrivateKey: OLD.privateKey }),
+    ).to.deep.equal([
+      { privateKey: OLD.privateKey, notBefore: null, notAfter: null },
+    ]);
+    expect(resolveIssuerKeys({})).to.deep.equal([]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "issuers-"));
+    try {
+      const keyFile = path.join(dir, "new.key");
+      fs.writeFileSync(keyFile, `${NEW.privateKey}\n`);
+      expect(
+        resolveIssuerKeys({ issuerKeys: JSON.stringify([{ keyFile }]) })[0],
+      ).to.include({ privateKey: NEW.privateKey });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const broken =
+      (issuerKeys, env = {}) =>
+      () =>
+        resolveIssuerKeys({ issuerKeys }, env);
+    expect(broken("{")).to.throw("must be a JSON array");
+    expect(broken('[{"env":"MISSING"}]')).to.throw("MISSING is not set");
+    expect(
+      broken(JSON.stringify([{ privateKey: OLD.privateKey, env: "X" }])),
+    ).to.throw("exactly one of");
+    expect(
+      broken(
+        JSON.stringify([
+          { privateKey: OLD.privateKey, notBefore: "2026", notAfter: "2025" },
+        ]),
+      ),
+    ).to.throw("ends before it starts");
+    expect(() =>
+      createIssuerKeyring([
+        { privateKey: OLD.privateKey, notBefore: null, notAfter: null },
+        { privateKey: OLD.privateKey, notBefore: 1, notAfter: null },
+      ]),
+    ).to.throw("configured twice");
+  });
+
+  it("Should sign with the newest key in its window and never outlive it", async function () {
+    const provider = { getNetwork: async () => ({ chainId: 31337n }) };
+    const registry = {
+      getAddress: async () => REGISTRY,
+      nonces: async () => 0n,
+    };
+    const signerFor = (keyring) =>
+      createCredentialSigner({
+        keyring,
+        registry,
+        ttlSeconds: 3600,
+        now: () => clock,
+      });
+    const keyring = createIssuerKeyring(rotatingKeys(), {
+      provider,
+      now: () => clock,
+    });
+    const issue = (credentials) =>
+      credentials.issue(NEW.address, `0x${"01".repeat(32)}`);
+
+    clock = T0 + HOUR / 2;
+    const before = await issue(signerFor(keyring));
+    expect(before.issuer).to.equal(OLD.address);
+    expect(
+      ethers.verifyTypedData(
+        {
+          name: "DIDRegistry",
+          version: "1",
+          chainId: 31337n,
+          verifyingContract: REGISTRY,
+        },
+        CREDENTIAL_TYPES,
+        before.credential,
+        before.signature,
+      ),
+    ).to.equal(OLD.address);
+    expect(
+      keyring.list().map(({ address, status, signing }) => ({
+        address,
+        status,
+        signing,
+      })),
+    ).to.deep.equal([
+      { address: OLD.address, status: "active", signing: true },
+      { address: NEW.address, status: "scheduled", signing: false },
+    ]);
+
+    clock = T0 + HOUR + 1000;
+    expect((await issue(signerFor(keyring))).issuer).to.equal(NEW.address);
+
+    // Only OLD left, 30 minutes before its end: the credential ends with it
+    clock = T0 + HOUR + HOUR / 2;
+    const outgoing = createIssuerKeyring(rotatingKeys().slice(0, 1), {
+      provider,
+      now: () => clock,
+    });
+    const { credential } = await issue(signerFor(outgoing));
+    expect(Number(credential.expiry)).to.equal((T0 + 2 * HOUR) / 1000);
+
+    clock = T0 + 2 * HOUR;
+    expect(keyring.list().map((key) => key.address)).to.deep.equal([
+      NEW.address,
+    ]);
+    clock = T0 + 3 * HOUR;
+    expect(() => outgoing.current()).to.throw("No issuer key is valid");
+  });
+
+  it("Should advertise current keys and plan the next key set", async function () {
+    clock = T0 + HOUR + 1;
+    const app = express();
+    app.use(
+      createIssuersRouter(
+        createIssuerKeyring(rotatingKeys(), { now: () => clock }),
+        { registryAddress: REGISTRY },
+      ),
+    );
+    const url = await server.start(app);
+    const response = await fetch(`${url}/issuers`);
+    expect(response.status).to.equal(200);
+    const body = await response.json();
+    expect(body).to.include({ registry: REGISTRY, signing: NEW.address });
+    expect(body.issuers).to.deep.equal([
+      {
+        address: OLD.address,
+        notBefore: null,
+        notAfter: "2026-03-01T02:00:00.000Z",
+        status: "active",
+        signing: false,
+      },
+      {
+        address: NEW.address,
+        notBefore: "2026-03-01T01:00:00.000Z",
+        notAfter: null,
+        status: "active",
+        signing: true,
+      },
+    ]);
+
+    // Expired keys are dropped, open-ended ones get the overlap's end
+    expect(
+      nextIssuerKeys(
+        JSON.stringify([
+          { env: "ISSUER_PRIVATE_KEY", notAfter: "2026-02-01T00:00:00Z" },
+          { keyFile: "/keys/a.key", notBefore: "2026-02-01T00:00:00Z" },
+        ]),
+        { keyFile: "/keys/b.key", notAfter: T0 + 24 * HOUR, now: T0 },
+      ),
+    ).to.deep.equal([
+      {
+        keyFile: "/keys/a.key",
+        notBefore: "2026-02-01T00:00:00Z",
+        notAfter: "2026-03-02T00:00:00.000Z",
+      },
+      { keyFile: "/keys/b.key", notBefore: "2026-03-01T00:00:00.000Z" },
+    ]);
+  });
+});
@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { getPoseidonHasher, computeRootFromPath } = require("zk-core");
+const vectors = require("zk-core/test/vectors.json");
+const {
+  createMerkleTree,
+  createMerkleService,
+  toBytes32,
+} = require("../merkle");
+const { createMemoryStorage } = require("../storage/memory");
+
+// Full rebuild of the padded tree, as the frontend and update-root.js do
+function naiveRoot(leaves, depth, hash) {
+  let level = [...leaves];
+  while (level.length < 2 ** depth) level.push(0n);
+  for (let d = 0; d < depth; d++) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hash(level[i], level[i + 1]));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+const verifyPath = (leaf, path, hash) => computeRootFromPath(hash, leaf, path);
+
+// Indexer stand-in exposing only the commitment list and change hook
+function createFakeIndexer() {
+  let commitments = [];
+  const listeners = [];
+  return {
+    register(...values) {
+      commitments = [
+        ...commitments,
+        ...values.map((v, i) => ({
+          commitment: toBytes32(v),
+          blockNumber: commitments.length + i + 1,
+        })),
+      ];
+    },
+    rollbackTo(count) {
+      commitments = commitments.slice(0, count);
+    },
+    async getState() {
+      return { commitments };
+    },
+    onChange(listener) {
+      listeners.push(listener);
+    },
+  };
+}
+
+describe("Voter Set Merkle Tree", function () {
+  let hash;
+
+  before(async function () {
+    hash = await getPoseidonHasher();
+  });
+
+  describe("Incremental tree", function () {
+    it("Should match a full padded rebuild after each insert", function () {
+      const tree = createMerkleTree({ depth: 6, hash });
+      const leaves = [];
+      for (const leaf of [11n, 22n, 33n, 44n, 55n]) {
+        tree.insert(leaf);
+        leaves.push(leaf);
+        expect(tree.root()).to.equal(naiveRoot(leaves, 6, hash));
+      }
+    });
+
+    it("Should produce paths that hash back to the root", function () {
+      const tree = createMerkleTree({ depth: 6, hash });
+      [5n, 6n, 7n].forEach((leaf) => tree.insert(leaf));
+
+      const path = tree.proof(2);
+      expect(path.pathIndices).to.deep.equal([0, 1, 0, 0, 0, 0]);
+      expect(verifyPath(7n, path, hash)).to.equal(tree.root());
+    });
+
+    it("Should refuse inserts once the tree is full", function () {
+      const tree = createMerkleTree({ depth: 2, hash });
+      [1n, 2n, 3n, 4n].forEach((leaf) => tree.insert(leaf));
+      expect(() => tree.insert(5n)).to.throw("Merkle tree is full");
+    });
+  });
+
+  describe("Service", function () {
+    let indexer;
+    let merkle;
+
+    beforeEach(function () {
+      indexer = createFakeIndexer();
+      merkle = createMerkleService({ indexer, depth: 6 });
+    });
+
+    it("Should serve an inclusion proof for a registered commitment", async function () {
+      indexer.register(101n, 202n, 303n);
+
+      const proof = await merkle.getProof(toBytes32(202n));
+      expect(proof.leafIndex).to.equal(1);
+      expect(toBytes32(verifyPath(202n, proof, hash))).to.equal(proof.root);
+      expect(await merkle.getProof(toBytes32(404n))).to.equal(null);
+    });
+
+    it("Should keep historical roots as snapshots", async function () {
+      indexer.register(101n, 202n);
+      const { root: oldRoot } = await merkle.getRoot();
+      indexer.register(303n);
+      const { root: newRoot, leafCount } = await merkle.getRoot();
+
+      expect(newRoot).to.not.equal(oldRoot);
+      expect(leafCount).to.equal(3);
+      const snapshot = await merkle.getSnapshot(oldRoot);
+      expect(snapshot.leaves).to.deep.equal([toBytes32(101n), toBytes32(202n)]);
+    });
+
+    it("Should rebuild when a reorg replaces indexed commitments", async function () {
+      indexer.register(101n, 202n);
+      await merkle.getRoot();
+
+      indexer.rollbackTo(1);
+      indexer.register(909n);
+      const { root } = await merkle.getRoot();
+
+      expect(BigInt(root)).to.equal(naiveRoot([101n, 909n], 6, hash));
+      expect(await merkle.getProof(toBytes32(202n))).to.equal(null);
+    });
+
+    it("Should resume a saved tree after a restart", async function () {
+      const storage = createMemoryStorage();
+      const first = createMerkleService({ indexer, depth: 6, storage });
+      indexer.register(101n, 202n);
+      const { root: oldRoot } = await first.getRoot();
+
+      indexer.register(303n);
+      const restarted = createMerkleService({ indexer, depth: 6, storage });
+      const { root, leafCount } = await restarted.getRoot();
+
+      expect(leafCount).to.equal(3);
+      expect(BigInt(root)).to.equal(naiveRoot([101n, 202n, 303n], 6, hash));
+      const snapshot = await restarted.getSnapshot(oldRoot);
+      expect(snapshot).to.include({ leafCount: 2, blockNumber: 2 });
+    });
+
+    it("Should rebuild instead of resuming a saved tree of another depth", async function () {
+      const storage = createMemoryStorage();
+      indexer.register(101n, 202n);
+      await createMerkleService({ indexer, depth: 4, storage }).getRoot();
+
+      const { root, depth } = await createMerkleService({
+        indexer,
+        depth: 6,
+        storage,
+      }).getRoot();
+      expect(depth).to.equal(6);
+      expect(BigInt(root)).to.equal(naiveRoot([101n, 202n], 6, hash));
+    });
+
+    it("Should resolve its depth from the contract on the first refresh", async function () {
+      let reads = 0;
+      const service = createMerkleService({
+        indexer,
+        depth: async () => {
+          reads++;
+          return 4;
+        },
+      });
+      indexer.register(101n, 202n);
+
+      const { root, depth, capacity } = await service.getRoot();
+      await service.getRoot();
+      expect(reads).to.equal(1);
+      expect({ depth, capacity }).to.deep.equal({ depth: 4, capacity: 16 });
+      expect(BigInt(root)).to.equal(naiveRoot([101n, 202n], 4, hash));
+    });
+
+    it("Should serve the shared zk-core test vectors' roots and paths", async function () {
+      const vector = vectors.trees[vectors.trees.length - 1];
+      indexer.register(...vector.leaves.map(BigInt));
+
+      expect((await merkle.getRoot()).root).to.equal(vector.root);
+      for (const expected of vector.proofs) {
+        const proof = await merkle.getProof(vector.leaves[expected.leafIndex]);
+        expect(proof).to.include({ leafIndex: expected.leafIndex });
+        expect(proof.pathElements).to.deep.equal(expected.pathElements);
+        expect(proof.pathIndices).to.deep.equal(expected.pathIndices);
+      }
+    });
+  });
+});
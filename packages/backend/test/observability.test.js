@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const express = require("express");
+const {
+  createMetricsRegistry,
+  createIssuerMetrics,
+  createMetricsRouter,
+  createLogger,
+  requestIdMiddleware,
+  REDACTED,
+} = require("../observability");
+const { createRateLimiter } = require("../rateLimiter");
+const { createMemoryStorage } = require("../storage");
+const { useTestServer } = require("./helpers/server");
+
+describe("Observability", function () {
+  const { start: startServer } = useTestServer();
+
+  it("Should render counters, gauges and histograms in Prometheus format", async function () {
+    const registry = createMetricsRegistry({ prefix: "test_" });
+    const hits = registry.counter("hits_total", "Hits", ["route"]);
+    const latency = registry.histogram(
+      "latency_seconds",
+      "Latency",
+      [],
+      [0.1, 1],
+    );
+    registry.gauge("up", "Up", [], (up) => up.set({}, 1));
+
+    hits.inc({ route: '/a"b' });
+    hits.inc({ route: '/a"b' }, 2);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+
+    const text = await registry.render();
+    expect(text).to.include("# TYPE test_hits_total counter");
+    expect(text).to.include('test_hits_total{route="/a\\"b"} 3');
+    expect(text).to.include('test_latency_seconds_bucket{le="0.1"} 1');
+    expect(text).to.include('test_latency_seconds_bucket{le="1"} 2');
+    expect(text).to.include('test_latency_seconds_bucket{le="+Inf"} 2');
+    expect(text).to.include("test_latency_seconds_count 2");
+    expect(text).to.include("test_up 1");
+  });
+
+  it("Should write JSON lines with the request id and redact secrets", async function () {
+    const lines = [];
+    const logger = createLogger({
+      stream: { write: (line) => lines.push(JSON.parse(line)) },
+    });
+    const signature = "0x" + "ab".repeat(65);
+
+    const app = express();
+    app.use(requestIdMiddleware);
+    app.get("/", (req, res) => {
+      logger.info("Issued", {
+        wallet: "0x1111111111111111111111111111111111111111",
+        nullifier: "0x1234",
+        siwe: { message: "hi", signature },
+        detail: `invite abc.${signature}`,
+      });
+      res.json({ id: req.id });
+    });
+    const url = await startServer(app);
+
+    const given = await fetch(url, { headers: { "X-Request-Id": "req-42" } });
+    expect(given.headers.get("x-request-id")).to.equal("req-42");
+    const fresh = await (
+      await fetch(url, { headers: { "X-Request-Id": "bad id!" } })
+    ).json();
+    expect(fresh.id).to.match(/^[0-9a-f-]{36}$/);
+
+    expect(lines[0]).to.include({
+      level: "info",
+      msg: "Issued",
+      requestId: "req-42",
+      nullifier: REDACTED,
+      siwe: REDACTED,
+      detail: `invite abc.${REDACTED}`,
+    });
+    expect(lines[1].requestId).to.equal(fresh.id);
+    expect(JSON.stringify(lines)).to.not.include(signature);
+  });
+
+  it("Should count rate-limited requests and time routes", async function () {
+    const storage = createMemoryStorage();
+    const registry = createMetricsRegistry({ prefix: "issuer_" });
+    const metrics = createIssuerMetrics(registry, { storage });
+    const limiter = createRateLimiter(storage, {
+      windowMs: 60000,
+      limits: { ip: 1 },
+      onLimited: (kind) => metrics.rateLimited("issuance", kind),
+    });
+
+    const app = express();
+    app.use(metrics.httpMiddleware);
+    app.post("/pre-check", limiter.middleware, (req, res) => res.json({}));
+    app.use(createMetricsRouter(registry, { token: "scrape" }));
+    const url = await startServer(app);
+
+    await fetch(`${url}/pre-check`, { method: "POST" });
+    const limited = await fetch(`${url}/pre-check`, { method: "POST" });
+    expect(limited.status).to.equal(429);
+
+    expect((await fetch(`${url}/metrics`)).status).to.equal(401);
+    const response = await fetch(`${url}/metrics`, {
+      headers: { Authorization: "Bearer scrape" },
+    });
+    expect(response.headers.get("content-type")).to.include("text/plain");
+    const text = await response.text();
+    expect(text).to.include(
+      'issuer_rate_limited_total{limiter="issuance",subject="ip"} 1',
+    );
+    expect(text).to.include(
+      'issuer_http_request_duration_seconds_count{method="POST",route="/pre-check",status="429"} 1',
+    );
+    expect(text).to.include('issuer_storage_up{backend="memory"} 1');
+  });
+});
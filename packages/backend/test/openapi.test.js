@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const express = require("express");
+const {
+  spec,
+  createApiValidator,
+  createDocsRouter,
+  notFoundHandler,
+  errorHandler,
+} = require("../openapi");
+const { createIndexerRouter } = require("../indexer");
+const { createMerkleRouter } = require("../merkle");
+const { createRelayerRouter } = require("../relayer");
+const { createAdminRouter } = require("../admin");
+const { createAuditRouter } = require("../audit");
+const { createReadinessRouter } = require("../health");
+const { createContentRouter } = require("../content");
+const { createIssuersRouter } = require("../issuers");
+const { createFaucetRouter } = require("../faucet");
+const {
+  createMetricsRegistry,
+  createMetricsRouter,
+} = require("../observability");
+const { useTestServer } = require("./helpers/server");
+
+describe("OpenAPI", function () {
+  const WALLET = "0x1111111111111111111111111111111111111111";
+
+  const { start: startServer } = useTestServer();
+
+  const post = (url, body) =>
+    fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+
+  it("Should document every route the module routers serve", function () {
+    const routers = [
+      createIndexerRouter({}),
+      createMerkleRouter({}, {}),
+      createRelayerRouter(null),
+      createAdminRouter({}, { middleware: (req, res, next) => next() }),
+      createAuditRouter({}),
+      createReadinessRouter({}),
+      createContentRouter({ maxBytes: 1024 }),
+      createIssuersRouter({}),
+      createFaucetRouter(null),
+      createMetricsRouter(createMetricsRegistry()),
+    ];
+    const served = routers.flatMap((router) =>
+      router.stack
+        .filter((layer) => layer.route)
+        .flatMap(({ route }) =>
+          Object.keys(route.methods).map(
+            (method) => `${method} ${route.path.replace(/:(\w+)/g, "{$1}")}`,
+          ),
+        ),
+    );
+
+    expect(served.length).to.be.above(20);
+    const undocumented = served.filter((entry) => {
+      const [method, path] = entry.split(" ");
+      return !spec.paths[path]?.[method];
+    });
+    expect(undocumented).to.deep.equal([]);
+  });
+
+  it("Should reject requests that break the spec with a consistent error", async function () {
+    const validator = createApiValidator(spec);
+    const seen = [];
+    const app = express();
+    app.use(express.json());
+    app.use(validator.middleware);
+    app.post("/challenge", (req, res) => res.json({ success: true }));
+    app.get("/audit/log", (req, res) => {
+      seen.push(req.query.limit);
+      res.json({ success: true, entries: [], next: null });
+    });
+    app.get("/merkle/proof/:commitment", (req, res) =>
+      res.json({ success: true }),
+    );
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    const url = await startServer(app);
+
+    const missing = await post(`${url}/challenge`, {});
+    expect(missing.status).to.equal(400);
+    expect(await missing.json()).to.deep.equal({
+      success: false,
+      error: "Invalid request: body.userAddress is required",
+      code: "invalid_request",
+      details: [{ in: "body", field: "userAddress", message: "is required" }],
+    });
+
+    const malformed = await post(`${url}/challenge`, { userAddress: "0x12" });
+    expect(await malformed.json()).to.include({
+      error: "Invalid Ethereum address",
+      code: "invalid_request",
+    });
+    expect(
+      (await post(`${url}/challenge`, { userAddress: WALLET })).status,
+    ).to.equal(200);
+
+    const badLimit = await fetch(`${url}/audit/log?limit=0`);
+    expect(badLimit.status).to.equal(400);
+    expect((await badLimit.json()).details[0]).to.include({
+      in: "query",
+      field: "limit",
+    });
+    // Coerced for validation only; the route still sees the raw string
+    expect((await fetch(`${url}/audit/log?limit=5`)).status).to.equal(200);
+    expect(seen).to.deep.equal(["5"]);
+
+    const badPath = await fetch(`${url}/merkle/proof/0x12`);
+    expect(await badPath.json()).to.include({
+      error: "Invalid identity commitment",
+    });
+
+    const notJson = await post(`${url}/challenge`, "{oops");
+    expect(notJson.status).to.equal(400);
+    expect(await notJson.json()).to.include({ code: "invalid_json" });
+
+    const unknown = await fetch(`${url}/nowhere`);
+    expect(unknown.status).to.equal(404);
+    expect(await unknown.json()).to.deep.equal({
+      success: false,
+      error: "Not found",
+      code: "not_found",
+    });
+  });
+
+  it("Should report responses that drift from the spec and serve the docs", async function () {
+    const reports = [];
+    const validator = createApiValidator(spec, {
+      validateResponses: true,
+      onInvalidResponse: (report) => reports.push(report),
+    });
+    const app = express();
+    app.use(validator.middleware);
+    app.get("/merkle/root", (req, res) =>
+      res.json({ success: true, root: "not-a-root", leafCount: 1 }),
+    );
+    app.use(createDocsRouter(spec));
+    const url = await startServer(app);
+
+    const response = await fetch(`${url}/merkle/root`);
+    expect(response.status).to.equal(200);
+    expect(reports).to.have.length(1);
+    expect(reports[0]).to.include({
+      method: "GET",
+      route: "/merkle/root",
+      status: 200,
+    });
+    expect(reports[0].details.map((d) => d.field)).to.include.members([
+      "root",
+      "depth",
+      "inSync",
+    ]);
+
+    const document = await (await fetch(`${url}/openapi.json`)).json();
+    expect(document.openapi).to.equal("3.0.3");
+    const docs = await fetch(`${url}/docs/`);
+    expect(docs.status).to.equal(200);
+    expect(docs.headers.get("content-type")).to.include("text/html");
+  });
+});
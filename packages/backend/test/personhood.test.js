@@ -0,0 +1,219 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const {
+  createVerifier,
+  createProviders,
+  createScoringPolicy,
+  createPersonhoodService,
+} = require("../verifiers");
+const { createInviteCode } = require("../verifiers/invite");
+const { buildVouchMessage } = require("../verifiers/social");
+const {
+  createLocalPassportServer,
+} = require("../verifiers/localPassportServer");
+const { createMemoryStorage } = require("../storage");
+
+describe("Personhood Providers", function () {
+  const WALLET = "0x1111111111111111111111111111111111111111";
+  const OTHER_WALLET = "0x2222222222222222222222222222222222222222";
+  const admin = ethers.Wallet.createRandom();
+  const members = [ethers.Wallet.createRandom(), ethers.Wallet.createRandom()];
+
+  let server;
+  let storage;
+  let worldcoinCalls;
+
+  before(async function () {
+    await new Promise((resolve) => {
+      server = createLocalPassportServer({
+        scores: { [OTHER_WALLET]: 0 },
+        defaultScore: 10,
+        threshold: 20,
+      }).listen(0, resolve);
+    });
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  beforeEach(function () {
+    storage = createMemoryStorage();
+    worldcoinCalls = 0;
+  });
+
+  const service = (policy = {}) => {
+    const devSkip = createVerifier("dev-skip");
+    const verifier = {
+      name: devSkip.name,
+      verify: (...args) => {
+        worldcoinCalls += 1;
+        return devSkip.verify(...args);
+      },
+    };
+    return createPersonhoodService({
+      providers: createProviders(
+        ["worldcoin", "passport", "invite", "social"],
+        {
+          worldcoin: { verifier, appId: "app_test", action: "dao_vote" },
+          passport: {
+            apiUrl: `http://127.0.0.1:${server.address().port}`,
+            scorerId: "1",
+          },
+          invite: { getSigners: async () => [admin.address] },
+          social: {
+            isEligible: async (address) =>
+              members.some((m) => m.address.toLowerCase() === address),
+          },
+        },
+      ),
+      policy: createScoringPolicy(policy),
+      storage,
+    });
+  };
+
+  const worldcoinProof = (nullifier) => ({
+    nullifier_hash: nullifier,
+    merkle_root: "0x01",
+    proof: "0x02",
+    verification_level: "orb",
+  });
+
+  const vouches = async (wallet, signers) => ({
+    attestations: await Promise.all(
+      signers.map(async (signer) => ({
+        attester: signer.address,
+        signature: await signer.signMessage(buildVouchMessage(wallet)),
+      })),
+    ),
+  });
+
+  it("Should weigh providers against the threshold", function () {
+    const policy = createScoringPolicy();
+    expect(
+      policy.evaluate([{ provider: "worldcoin", success: true, score: 1 }])
+        .satisfied,
+    ).to.equal(true);
+
+    const partial = policy.evaluate([
+      { provider: "passport", success: true, score: 0.5 },
+      { provider: "invite", success: true, score: 1 },
+      { provider: "social", success: false, error: "no vouches" },
+    ]);
+    expect(partial).to.include({ satisfied: false, total: 0.75 });
+    expect(partial.providers[2]).to.include({ points: 0, error: "no vouches" });
+    expect(() => createScoringPolicy({ threshold: 0 })).to.throw(/positive/);
+  });
+
+  it("Should issue on two weaker proofs and key the identity by subject", async function () {
+    const pop = service();
+    const { proofs } = pop.parseProofs({
+      proofs: {
+        invite: { code: await createInviteCode(admin) },
+        social: await vouches(WALLET, members),
+      },
+    });
+
+    const { identityKey, subjects } = await pop.resolveIdentity(proofs, WALLET);
+    expect(identityKey).to.match(/^0x[a-f0-9]{64}$/);
+
+    const result = await pop.verify(proofs, WALLET);
+    expect(result.success).to.equal(true);
+    expect(result.report.total).to.equal(1);
+    expect(await pop.bindSubjects(identityKey, subjects)).to.equal(true);
+
+    // Either subject on its own now finds the same identity
+    const again = await pop.resolveIdentity({ social: proofs.social }, WALLET);
+    expect(again.identityKey).to.equal(identityKey);
+  });
+
+  it("Should reject forged invites, self-vouches and ineligible attesters", async function () {
+    const pop = service();
+    const stranger = ethers.Wallet.createRandom();
+    const self = new ethers.Wallet(ethers.Wallet.createRandom().privateKey);
+
+    const result = await pop.verify(
+      {
+        invite: { code: await createInviteCode(stranger) },
+        social: await vouches(self.address, [self, stranger]),
+      },
+      self.address,
+    );
+    expect(result.success).to.equal(false);
+    expect(result.report.total).to.equal(0);
+    expect(result.error).to.match(/not issued by a DAO administrator/);
+    expect(result.error).to.match(/No valid vouches/);
+  });
+
+  it("Should score the Passport against the scorer threshold", async function () {
+    const pop = service({ threshold: 0.25 });
+    const half = await pop.verify({ passport: true }, WALLET);
+    expect(half.success).to.equal(true);
+    expect(half.report.total).to.equal(0.25);
+
+    const none = await pop.verify({ passport: true }, OTHER_WALLET);
+    expect(none.success).to.equal(false);
+    expect(none.report.providers[0].error).to.match(/no Passport stamps/);
+  });
+
+  it("Should refuse proofs whose subjects belong to different identities", async function () {
+    const pop = service();
+    const code = await createInviteCode(admin);
+
+    await pop.bindSubjects("0xaaa", [
+      { provider: "invite", subject: code.split(".")[0] },
+    ]);
+    await pop.bindSubjects("0xbbb", [{ provider: "social", subject: WALLET }]);
+
+    const { proofs } = pop.parseProofs({
+      proofs: { invite: { code }, social: await vouches(WALLET, members) },
+    });
+    const resolved = await pop.resolveIdentity(proofs, WALLET);
+    expect(resolved.error).to.match(/different identities/);
+
+    // Claiming fails as a whole and releases what it took
+    expect(
+      await pop.bindSubjects("0xccc", [
+        { provider: "passport", subject: WALLET },
+        { provider: "invite", subject: code.split(".")[0] },
+      ]),
+    ).to.equal(false);
+    expect(await storage.get(`pop:subject:passport:${WALLET}`)).to.equal(null);
+  });
+
+  it("Should keep World ID identities keyed by nullifier and spare the nullifier on a shortfall", async function () {
+    const pop = service({ threshold: 1.5 });
+    await storage.bindIdentity("0xnull", {
+      wallet: WALLET,
+      status: "complete",
+    });
+
+    // Older requests only carried `worldcoinProof`
+    const { proofs } = pop.parseProofs({
+      worldcoinProof: worldcoinProof("0xnull"),
+    });
+    expect(await pop.resolveIdentity(proofs, WALLET)).to.include({
+      identityKey: "0xnull",
+    });
+
+    // Known identities don't spend the nullifier again
+    expect(
+      (await pop.verify(proofs, WALLET, { known: true })).success,
+    ).to.equal(true);
+    expect(worldcoinCalls).to.equal(0);
+
+    // Nor do new ones when the rest can't make up the difference
+    const fresh = await pop.verify(
+      { worldcoin: worldcoinProof("0xnew"), passport: true },
+      OTHER_WALLET,
+    );
+    expect(fresh.success).to.equal(false);
+    expect(fresh.report.providers[1]).to.include({ provider: "worldcoin" });
+    expect(worldcoinCalls).to.equal(0);
+
+    expect(pop.parseProofs({ proofs: { sms: {} } }).error).to.match(
+      /not enabled/,
+    );
+    expect(pop.parseProofs({}).error).to.match(/Missing/);
+  });
+});
@@ -0,0 +1,110 @@
+const express = require("express");
+const { expect } = require("chai");
+const { createRateLimiter, trustedProxyHops } = require("../rateLimiter");
+const { createMemoryStorage } = require("../storage");
+const { useTestServer } = require("./helpers/server");
+
+describe("Rate limiter", function () {
+  const { start: startServer } = useTestServer();
+
+  // One request per IP per window, behind `hops` trusted proxies
+  const startLimited = (hops) => {
+    const app = express();
+    app.set("trust proxy", hops);
+    const limiter = createRateLimiter(createMemoryStorage(), {
+      windowMs: 60000,
+      limits: { ip: 1 },
+    });
+    app.post("/limited", limiter.middleware, (req, res) => res.json({}));
+    return startServer(app);
+  };
+
+  const postFrom = (url, forwardedFor) =>
+    fetch(`${url}/limited`, {
+      method: "POST",
+      headers: { "X-Forwarded-For": forwardedFor },
+    }).then((response) => response.status);
+
+  describe("Trusted proxies", function () {
+    it("Should trust one hop on Vercel and none elsewhere by default", function () {
+      expect(trustedProxyHops({ VERCEL: "1" })).to.equal(1);
+      expect(trustedProxyHops({})).to.equal(0);
+      expect(trustedProxyHops({ VERCEL: "1", TRUST_PROXY_HOPS: "2" })).to.equal(
+        2,
+      );
+      for (const value of ["-1", "1.5", "all", ""]) {
+        expect(() => trustedProxyHops({ TRUST_PROXY_HOPS: value })).to.throw(
+          "TRUST_PROXY_HOPS must be a non-negative integer",
+        );
+      }
+    });
+
+    it("Should limit each forwarded client separately behind a trusted proxy", async function () {
+      const url = await startLimited(1);
+
+      expect(await postFrom(url, "203.0.113.1")).to.equal(200);
+      expect(await postFrom(url, "203.0.113.2")).to.equal(200);
+      expect(await postFrom(url, "203.0.113.1")).to.equal(429);
+    });
+
+    it("Should ignore X-Forwarded-For when no proxy is trusted", async function () {
+      const url = await startLimited(0);
+
+      expect(await postFrom(url, "203.0.113.1")).to.equal(200);
+      expect(await postFrom(url, "203.0.113.2")).to.equal(429);
+    });
+  });
+
+  describe("Unverified subjects", function () {
+    const victim = "0x00000000000000000000000000000000000000Aa";
+
+    // IP limit first, then the wallet budget only for signed requests, as
+    // on /pre-check and /issue-credential
+    const startWalletLimited = () => {
+      const app = express();
+      app.use(express.json());
+      const limiter = createRateLimiter(createMemoryStorage(), {
+        windowMs: 60000,
+        limits: { ip: 100, wallet: 1 },
+      });
+      const requireSignature = (req, res, next) =>
+        req.body.signed ? next() : res.status(401).json({});
+      app.post(
+        "/wallet",
+        limiter.middleware,
+        requireSignature,
+        limiter.limitBy("wallet", (req) => req.body.userAddress.toLowerCase()),
+        (req, res) => res.json({}),
+      );
+      return startServer(app);
+    };
+
+    const postAs = (url, body) =>
+      fetch(`${url}/wallet`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      }).then((response) => response.status);
+
+    it("Should not spend a wallet's budget on requests that only name it", async function () {
+      const url = await startWalletLimited();
+
+      for (let i = 0; i < 5; i++) {
+        expect(await postAs(url, { userAddress: victim })).to.equal(401);
+      }
+      const signed = { userAddress: victim.toLowerCase(), signed: true };
+      expect(await postAs(url, signed)).to.equal(200);
+      expect(await postAs(url, signed)).to.equal(429);
+    });
+
+    it("Should pass kinds without a limit and empty subjects", async function () {
+      const limiter = createRateLimiter(createMemoryStorage(), {
+        windowMs: 60000,
+        limits: { wallet: 1 },
+      });
+
+      expect(await limiter.consume(null, "nullifier", "0x01")).to.equal(true);
+      expect(await limiter.consume(null, "wallet", undefined)).to.equal(true);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const snarkjs = require("snarkjs");
+const { getPoseidonHasher } = require("zk-core");
+const { createMerkleTree, toBytes32 } = require("../merkle");
+const { createProofVerifier, createVoteRelayer } = require("../relayer");
+const { createMemoryStorage } = require("../storage");
+
+const CIRCUITS = path.join(__dirname, "../../frontend/public/circuits");
+
+// PrivateDAOVoting stand-in recording what the relayer submits
+function createFakeContract(root) {
+  const submitted = [];
+  const castPrivateVote = async (...args) => {
+    submitted.push(args);
+    return {
+      hash: `0x${"ab".repeat(32)}`,
+      wait: async () => ({ gasUsed: 200000n, gasPrice: 10n ** 9n }),
+    };
+  };
+  castPrivateVote.staticCall = async () => {};
+  castPrivateVote.estimateGas = async () => 250000n;
+  return {
+    submitted,
+    runner: {
+      provider: { getFeeData: async () => ({ maxFeePerGas: 10n ** 9n }) },
+    },
+    currentVoterSetRoot: async () => root,
+    hasVoted: async () => false,
+    castPrivateVote,
+  };
+}
+
+describe("Gasless Vote Relayer", function () {
+  this.timeout(30000);
+
+  let vote;
+  let root;
+
+  before(async function () {
+    const hash = await getPoseidonHasher();
+
+    const secret = 424242n;
+    const tree = createMerkleTree({ depth: 6, hash });
+    tree.insert(hash(111n));
+    tree.insert(hash(secret));
+    const { pathElements, pathIndices } = tree.proof(1);
+    root = toBytes32(tree.root());
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+      {
+        root: tree.root().toString(),
+        proposalId: "3",
+        voteChoice: "1",
+        secret: secret.toString(),
+        pathElements: pathElements.map(String),
+        pathIndices: pathIndices.map(String),
+      },
+      path.join(CIRCUITS, "vote.wasm"),
+      path.join(CIRCUITS, "vote_final.zkey"),
+    );
+
+    // Same layout ZKVotingModule sends: G2 coordinates reversed for Solidity
+    vote = {
+      proposalId: "3",
+      support: true,
+      nullifier: toBytes32(BigInt(publicSignals[0])),
+      proof: {
+        a: proof.pi_a.slice(0, 2),
+        b: [
+          [proof.pi_b[0][1], proof.pi_b[0][0]],
+          [proof.pi_b[1][1], proof.pi_b[1][0]],
+        ],
+        c: proof.pi_c.slice(0, 2),
+      },
+      publicSignals,
+    };
+  });
+
+  after(async function () {
+    // snarkjs keeps curve worker threads alive otherwise
+    if (globalThis.curve_bn128) await globalThis.curve_bn128.terminate();
+  });
+
+  let contract;
+  let relayer;
+  let budgetLeft;
+
+  beforeEach(function () {
+    contract = createFakeContract(root);
+    budgetLeft = 10n ** 18n;
+    relayer = createVoteRelayer({
+      contract,
+      proofVerifier: createProofVerifier({
+        zkeyPath: path.join(CIRCUITS, "vote_final.zkey"),
+      }),
+      storage: createMemoryStorage(),
+      budget: {
+        reserve: async (cost) => {
+          if (cost > budgetLeft) return null;
+          budgetLeft -= cost;
+          return "today";
+        },
+        refund: async (reservation, amount) => {
+          budgetLeft += amount;
+        },
+      },
+      lock: { acquire: async () => "token", release: async () => {} },
+      policy: { maxGasPriceWei: 50n * 10n ** 9n, maxGasPerVote: 500000n },
+    });
+  });
+
+  it("Should submit a valid proof from the relayer wallet", async function () {
+    const result = await relayer.relay(vote);
+
+    expect(result.success).to.equal(true);
+    expect(contract.submitted).to.have.length(1);
+    const [proposalId, support, nullifier] = contract.submitted[0];
+    expect(proposalId).to.equal(3n);
+    expect(support).to.equal(true);
+    expect(nullifier).to.equal(vote.nullifier);
+  });
+
+  it("Should reject a proof whose vote choice was altered", async function () {
+    const result = await relayer.relay({
+      ...vote,
+      support: false,
+      publicSignals: [...vote.publicSignals.slice(0, 3), "0"],
+    });
+
+    expect(result.code).to.equal("invalid_proof");
+    expect(contract.submitted).to.have.length(0);
+  });
+
+  it("Should reject public signals that disagree with the request", async function () {
+    const result = await relayer.relay({ ...vote, proposalId: "4" });
+    expect(result.code).to.equal("signal_mismatch");
+  });
+
+  it("Should relay each nullifier only once", async function () {
+    await relayer.relay(vote);
+    const second = await relayer.relay(vote);
+
+    expect(second.code).to.equal("already_relayed");
+    expect(second.txHash).to.equal(`0x${"ab".repeat(32)}`);
+    expect(contract.submitted).to.have.length(1);
+  });
+
+  it("Should refuse a proof for a stale voter set root", async function () {
+    contract.currentVoterSetRoot = async () => toBytes32(1n);
+    const result = await relayer.relay(vote);
+    expect(result.code).to.equal("stale_root");
+  });
+
+  it("Should stop sponsoring once the budget is spent", async function () {
+    budgetLeft = 0n;
+    const result = await relayer.relay(vote);
+
+    expect(result.code).to.equal("budget_exhausted");
+    expect(contract.submitted).to.have.length(0);
+  });
+
+  it("Should read an exported verification key up front", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vkey-"));
+    try {
+      const keyPath = path.join(dir, "verification_key.json");
+      const key = await snarkjs.zKey.exportVerificationKey(
+        path.join(CIRCUITS, "vote_final.zkey"),
+      );
+      fs.writeFileSync(keyPath, JSON.stringify(key));
+      const proofVerifier = createProofVerifier({
+        verificationKeyPath: keyPath,
+      });
+      expect(
+        await proofVerifier.verify(vote.proof, vote.publicSignals),
+      ).to.equal(true);
+
+      // A missing or foreign key fails when the verifier is created
+      expect(() =>
+        createProofVerifier({
+          verificationKeyPath: path.join(dir, "missing.json"),
+        }),
+      ).to.throw(/Cannot read the vote verification key/);
+      fs.writeFileSync(keyPath, JSON.stringify({ ...key, nPublic: 2 }));
+      expect(() =>
+        createProofVerifier({ verificationKeyPath: keyPath }),
+      ).to.throw(/not a Groth16 key for the vote circuit/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
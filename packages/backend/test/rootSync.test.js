@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { createRootSyncWorker } = require("../merkle");
+
+const ROOT_A = `0x${"aa".repeat(32)}`;
+const ROOT_B = `0x${"bb".repeat(32)}`;
+
+// PrivateDAOVoting stand-in with a settable root and voter count
+function createFakeContract({ root, voters }) {
+  const contract = {
+    root,
+    voters,
+    updates: [],
+    currentVoterSetRoot: async () => contract.root,
+    getRegisteredVoterCount: async () => BigInt(contract.voters),
+    updateVoterSetRoot: async (newRoot) => {
+      contract.updates.push(newRoot);
+      return {
+        hash: `0x${"cd".repeat(32)}`,
+        wait: async () => {
+          contract.root = newRoot;
+        },
+      };
+    },
+  };
+  return contract;
+}
+
+describe("Voter Set Root Sync", function () {
+  const lock = { acquire: async () => "token", release: async () => {} };
+  const merkleAt = (root, leafCount) => ({
+    getRoot: async () => ({ root, leafCount }),
+  });
+
+  it("Should not submit when the on-chain root already matches", async function () {
+    const contract = createFakeContract({ root: ROOT_A, voters: 2 });
+    const worker = createRootSyncWorker({
+      merkle: merkleAt(ROOT_A, 2),
+      contract,
+      lock,
+    });
+
+    expect((await worker.check()).action).to.equal("in_sync");
+    expect(contract.updates).to.have.length(0);
+    expect(worker.status().inSync).to.equal(true);
+  });
+
+  it("Should push the confirmed root when the contract lags behind", async function () {
+    const contract = createFakeContract({ root: ROOT_A, voters: 3 });
+    const worker = createRootSyncWorker({
+      merkle: merkleAt(ROOT_B, 3),
+      contract,
+      lock,
+    });
+
+    expect((await worker.check()).action).to.equal("updated");
+    expect(contract.updates).to.deep.equal([ROOT_B]);
+    expect(worker.status().lastUpdate.root).to.equal(ROOT_B);
+  });
+
+  it("Should wait while registrations are still unconfirmed", async function () {
+    const contract = createFakeContract({ root: ROOT_A, voters: 4 });
+    const worker = createRootSyncWorker({
+      merkle: merkleAt(ROOT_B, 3),
+      contract,
+      lock,
+    });
+
+    expect((await worker.check()).action).to.equal("waiting_for_confirmations");
+    expect(contract.updates).to.have.length(0);
+
+    const status = worker.status();
+    expect(status.inSync).to.equal(false);
+    expect(status.pendingVoters).to.equal(1);
+  });
+
+  it("Should leave the update to whichever instance holds the lock", async function () {
+    const contract = createFakeContract({ root: ROOT_A, voters: 3 });
+    const worker = createRootSyncWorker({
+      merkle: merkleAt(ROOT_B, 3),
+      contract,
+      lock: { acquire: async () => null, release: async () => {} },
+    });
+
+    expect((await worker.check()).action).to.equal("locked");
+    expect(contract.updates).to.have.length(0);
+  });
+});
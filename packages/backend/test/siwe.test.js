@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { createChallengeService, parseSiweMessage } = require("../siwe");
+const { createMemoryStorage } = require("../storage");
+
+describe("SIWE Wallet Ownership Challenges", function () {
+  const provider = { getNetwork: async () => ({ chainId: 11155111n }) };
+  const DOMAIN = { domain: "localhost:3000", uri: "http://localhost:3000" };
+
+  let challenges;
+  let wallet;
+
+  beforeEach(function () {
+    challenges = createChallengeService(createMemoryStorage(), { provider });
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  it("Should issue an EIP-4361 message for the wallet", async function () {
+    const { message, nonce } = await challenges.issue({
+      address: wallet.address.toLowerCase(),
+      ...DOMAIN,
+    });
+
+    expect(message).to.match(
+      /^localhost:3000 wants you to sign in with your Ethereum account:\n/,
+    );
+    const parsed = parseSiweMessage(message);
+    expect(parsed.address).to.equal(wallet.address);
+    expect(parsed.nonce).to.equal(nonce);
+    expect(parsed.chainId).to.equal("11155111");
+  });
+
+  it("Should accept a signature from the challenged wallet once", async function () {
+    const { message } = await challenges.issue({
+      address: wallet.address,
+      ...DOMAIN,
+    });
+    const signature = await wallet.signMessage(message);
+
+    const first = await challenges.verify({
+      address: wallet.address,
+      message,
+      signature,
+    });
+    expect(first.success).to.equal(true);
+
+    const replay = await challenges.verify({
+      address: wallet.address,
+      message,
+      signature,
+    });
+    expect(replay.success).to.equal(false);
+  });
+
+  it("Should reject a signature from another wallet", async function () {
+    const { message } = await challenges.issue({
+      address: wallet.address,
+      ...DOMAIN,
+    });
+    const signature = await ethers.Wallet.createRandom().signMessage(message);
+
+    const result = await challenges.verify({
+      address: wallet.address,
+      message,
+      signature,
+    });
+    expect(result).to.deep.equal({
+      success: false,
+      error: "Invalid wallet signature",
+    });
+  });
+
+  it("Should reject a challenge presented for a different address", async function () {
+    const other = ethers.Wallet.createRandom();
+    const { message } = await challenges.issue({
+      address: other.address,
+      ...DOMAIN,
+    });
+    const signature = await other.signMessage(message);
+
+    const result = await challenges.verify({
+      address: wallet.address,
+      message,
+      signature,
+    });
+    expect(result.success).to.equal(false);
+  });
+
+  it("Should reject a tampered message", async function () {
+    const { message } = await challenges.issue({
+      address: wallet.address,
+      ...DOMAIN,
+    });
+    const tampered = message.replace("localhost:3000", "evil.example");
+    const signature = await wallet.signMessage(tampered);
+
+    const result = await challenges.verify({
+      address: wallet.address,
+      message: tampered,
+      signature,
+    });
+    expect(result.success).to.equal(false);
+  });
+});
@@ -0,0 +1,199 @@
+const { expect } = require("chai");
+const { createClient } = require("redis");
+const { createStorage } = require("../storage");
+
+const ALICE = "0x00000000000000000000000000000000000a11ce";
+const BOB = "0x0000000000000000000000000000000000000b0b";
+const NULLIFIER = `0x${"11".repeat(32)}`;
+const OTHER_NULLIFIER = `0x${"22".repeat(32)}`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Redis needs a live server: set TEST_REDIS_URL to a database these tests
+// may flush to run them against it too
+const REDIS_URL = process.env.TEST_REDIS_URL;
+
+for (const backend of ["memory", "sqlite", ...(REDIS_URL ? ["redis"] : [])]) {
+  describe(`Issuer Storage (${backend})`, function () {
+    let storage;
+
+    beforeEach(async function () {
+      if (backend === "redis") {
+        const redis = createClient({ url: REDIS_URL });
+        await redis.connect();
+        await redis.flushDb();
+        await redis.quit();
+      }
+      storage = createStorage(backend, {
+        sqlitePath: ":memory:",
+        redisUrl: REDIS_URL,
+      });
+      await storage.ready;
+    });
+
+    afterEach(async function () {
+      await storage.close();
+    });
+
+    it("Should only set a key once when onlyIfAbsent is given", async function () {
+      expect(await storage.set("k", "a", { onlyIfAbsent: true })).to.equal(
+        true,
+      );
+      expect(await storage.set("k", "b", { onlyIfAbsent: true })).to.equal(
+        false,
+      );
+      expect(await storage.getDel("k")).to.equal("a");
+      expect(await storage.get("k")).to.equal(null);
+    });
+
+    it("Should expire keys after their TTL", async function () {
+      await storage.set("k", "a", { ttlMs: 20 });
+      await sleep(30);
+      expect(await storage.get("k")).to.equal(null);
+      expect(await storage.set("k", "b", { onlyIfAbsent: true })).to.equal(
+        true,
+      );
+    });
+
+    it("Should only release a key holding the expected value", async function () {
+      await storage.set("lock", "token-a");
+      expect(await storage.deleteIfEquals("lock", "token-b")).to.equal(false);
+      expect(await storage.deleteIfEquals("lock", "token-a")).to.equal(true);
+      expect(await storage.get("lock")).to.equal(null);
+    });
+
+    it("Should refuse increments that would exceed the cap", async function () {
+      const cap = { max: 10, ttlMs: 60000 };
+      expect(await storage.incrementWithin("budget", 6, cap)).to.equal(true);
+      expect(await storage.incrementWithin("budget", 6, cap)).to.equal(false);
+      expect(await storage.increment("budget", -2)).to.equal(4);
+      expect(await storage.incrementWithin("budget", 6, cap)).to.equal(true);
+    });
+
+    it("Should limit hits within the sliding window", async function () {
+      const window = { windowMs: 60000, limit: 2 };
+      expect((await storage.hitWindow("ip", window)).allowed).to.equal(true);
+      expect((await storage.hitWindow("ip", window)).allowed).to.equal(true);
+
+      const blocked = await storage.hitWindow("ip", window);
+      expect(blocked.allowed).to.equal(false);
+      expect(blocked.retryAfterMs).to.be.within(1, 60000);
+    });
+
+    it("Should unbind the previous wallet when an identity is rebound", async function () {
+      await storage.bindIdentity(NULLIFIER, {
+        wallet: ALICE,
+        status: "complete",
+      });
+      expect(await storage.getWalletNullifier(ALICE)).to.equal(NULLIFIER);
+
+      await storage.bindIdentity(NULLIFIER, {
+        wallet: BOB,
+        status: "complete",
+      });
+      expect(await storage.getWalletNullifier(ALICE)).to.equal(null);
+      expect(await storage.getWalletNullifier(BOB)).to.equal(NULLIFIER);
+      expect(await storage.getIdentity(NULLIFIER)).to.deep.equal({
+        wallet: BOB,
+        status: "complete",
+      });
+    });
+
+    it("Should refuse a wallet bound to another identity", async function () {
+      expect(
+        await storage.bindIdentity(NULLIFIER, {
+          wallet: ALICE,
+          status: "complete",
+        }),
+      ).to.equal(true);
+      await storage.bindIdentity(OTHER_NULLIFIER, {
+        wallet: BOB,
+        status: "complete",
+      });
+
+      // Neither a new identity nor a rebind may take ALICE from NULLIFIER
+      const claims = [
+        [OTHER_NULLIFIER, { wallet: ALICE, status: "complete" }],
+        [`0x${"33".repeat(32)}`, { wallet: ALICE, status: "complete" }],
+      ];
+      for (const [nullifier, record] of claims) {
+        expect(
+          await storage.bindIdentity(nullifier, record, {
+            history: [{ action: "rebound" }],
+          }),
+        ).to.equal(false);
+      }
+
+      expect(await storage.getWalletNullifier(ALICE)).to.equal(NULLIFIER);
+      expect(await storage.getWalletNullifier(BOB)).to.equal(OTHER_NULLIFIER);
+      expect(await storage.getIdentity(OTHER_NULLIFIER)).to.deep.equal({
+        wallet: BOB,
+        status: "complete",
+      });
+      expect(await storage.getIdentity(`0x${"33".repeat(32)}`)).to.equal(null);
+      expect(await storage.getHistory(OTHER_NULLIFIER)).to.deep.equal([]);
+
+      // Rebinding an identity to its own wallet is not a conflict
+      expect(
+        await storage.bindIdentity(NULLIFIER, {
+          wallet: ALICE,
+          status: "revoked",
+        }),
+      ).to.equal(true);
+    });
+
+    it("Should append history and allow identities without a wallet", async function () {
+      await storage.bindIdentity(
+        NULLIFIER,
+        { wallet: ALICE, status: "complete" },
+        { history: [{ action: "issued" }] },
+      );
+      await storage.bindIdentity(
+        NULLIFIER,
+        { wallet: null, status: "revoked" },
+        { history: [{ action: "revoked" }] },
+      );
+
+      expect(await storage.getWalletNullifier(ALICE)).to.equal(null);
+      expect(await storage.getHistory(NULLIFIER)).to.deep.equal([
+        { action: "issued" },
+        { action: "revoked" },
+      ]);
+      expect(await storage.listIdentities()).to.deep.equal([
+        { nullifier: NULLIFIER, wallet: null, status: "revoked" },
+      ]);
+    });
+
+    it("Should keep indexed events until they are rolled back", async function () {
+      const store = storage.createIndexStore();
+      const event = (blockNumber) => ({
+        blockNumber,
+        logIndex: 0,
+        name: "ProposalCreated",
+      });
+
+      await store.commit({
+        events: [event(3), event(5)],
+        checkpoints: { 3: "0x03", 5: "0x05" },
+        cursor: 5,
+      });
+      expect(await store.getCursor()).to.equal(5);
+      expect(await store.getEvents()).to.have.length(2);
+
+      await store.rollback(4);
+      expect(await store.getCursor()).to.equal(4);
+      expect((await store.getEvents()).map((e) => e.blockNumber)).to.deep.equal(
+        [3],
+      );
+      expect(
+        (await store.getCheckpoints()).map((c) => Number(c.blockNumber)),
+      ).to.deep.equal([3]);
+    });
+  });
+}
+
+describe("Issuer Storage Selection", function () {
+  it("Should reject an unknown backend", function () {
+    expect(() => createStorage("mongo")).to.throw(/Unknown storage backend/);
+  });
+});
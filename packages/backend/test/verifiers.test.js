@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const { createVerifier } = require("../verifiers");
+const {
+  createLocalProof,
+  createLocalWorldcoinServer,
+} = require("../verifiers/localWorldcoinServer");
+
+describe("PoP Verifier Adapters", function () {
+  const APP_ID = "app_staging_test";
+  const ACTION = "dao_vote";
+  const WALLET = "0x1111111111111111111111111111111111111111";
+  const OTHER_WALLET = "0x2222222222222222222222222222222222222222";
+
+  let server;
+  let apiUrl;
+
+  before(async function () {
+    await new Promise((resolve) => {
+      server = createLocalWorldcoinServer().listen(0, resolve);
+    });
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    server.close();
+  });
+
+  const worldcoin = (options = {}) =>
+    createVerifier("worldcoin", {
+      appId: APP_ID,
+      action: ACTION,
+      apiUrl,
+      ...options,
+    });
+
+  describe("Adapter selection", function () {
+    it("Should reject unknown adapter names", function () {
+      expect(() => createVerifier("nope")).to.throw(/Unknown PoP verifier/);
+    });
+
+    it("Should expose dev-skip as a named adapter", async function () {
+      const verifier = createVerifier("dev-skip");
+      expect(verifier.name).to.equal("dev-skip");
+      expect(await verifier.verify({}, WALLET)).to.deep.equal({
+        success: true,
+      });
+    });
+  });
+
+  describe("Worldcoin cloud verify", function () {
+    it("Should accept a proof bound to the wallet signal", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: ACTION,
+        signal: WALLET,
+      });
+      expect(await worldcoin().verify(proof, WALLET)).to.deep.equal({
+        success: true,
+      });
+    });
+
+    it("Should reject a fabricated proof", async function () {
+      const proof = {
+        ...createLocalProof({ appId: APP_ID, action: ACTION, signal: WALLET }),
+        proof: "0xdeadbeef",
+      };
+      const result = await worldcoin().verify(proof, WALLET);
+      expect(result.success).to.equal(false);
+      expect(result.code).to.equal("invalid_proof");
+    });
+
+    it("Should reject a proof generated for a different wallet", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: ACTION,
+        signal: OTHER_WALLET,
+      });
+      const result = await worldcoin().verify(proof, WALLET);
+      expect(result.success).to.equal(false);
+      expect(result.code).to.equal("invalid_proof");
+    });
+
+    it("Should reject a proof generated for a different action", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: "other_action",
+        signal: WALLET,
+      });
+      const result = await worldcoin().verify(proof, WALLET);
+      expect(result.success).to.equal(false);
+    });
+
+    it("Should enforce the minimum verification level", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: ACTION,
+        signal: WALLET,
+        verificationLevel: "device",
+      });
+      const result = await worldcoin({ minVerificationLevel: "orb" }).verify(
+        proof,
+        WALLET,
+      );
+      expect(result.success).to.equal(false);
+      expect(result.code).to.equal("insufficient_verification_level");
+    });
+
+    it("Should reject a nullifier that already verified", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: ACTION,
+        signal: WALLET,
+      });
+      expect((await worldcoin().verify(proof, WALLET)).success).to.equal(true);
+      const result = await worldcoin().verify(proof, WALLET);
+      expect(result.success).to.equal(false);
+      expect(result.code).to.equal("max_verifications_reached");
+    });
+
+    it("Should fail closed when the service is unreachable", async function () {
+      const proof = createLocalProof({
+        appId: APP_ID,
+        action: ACTION,
+        signal: WALLET,
+      });
+      const result = await worldcoin({
+        apiUrl: "http://127.0.0.1:1",
+      }).verify(proof, WALLET);
+      expect(result.success).to.equal(false);
+      expect(result.code).to.equal("verifier_unreachable");
+    });
+  });
+});
@@ -0,0 +1,19 @@
+const log = require("../observability").log.child({ component: "pop" });
+
+/**
+ * Development-only adapter: accepts every well-formed proof without
+ * contacting any verification service. NEVER enable in production.
+ */
+function createDevSkipVerifier() {
+  log.warn(
+    "Worldcoin verification is DISABLED (dev-skip); never use this in production",
+  );
+
+  async function verify() {
+    return { success: true };
+  }
+
+  return { name: "dev-skip", verify };
+}
+
+module.exports = { createDevSkipVerifier };
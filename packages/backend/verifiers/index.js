@@ -0,0 +1,41 @@
+const { createWorldcoinVerifier } = require("./worldcoin");
+const { createDevSkipVerifier } = require("./devSkip");
+const {
+  PROVIDERS,
+  isValidWorldcoinProof,
+  createProviders,
+} = require("./providers");
+const { createScoringPolicy } = require("./policy");
+const { createPersonhoodService } = require("./personhood");
+
+/**
+ * Proof-of-personhood verifier adapters.
+ * Every adapter exposes `{ name, verify(proof, signal) }` where `verify`
+ * resolves to `{ success: true }` or `{ success: false, code, error }`.
+ */
+const ADAPTERS = {
+  worldcoin: createWorldcoinVerifier,
+  "dev-skip": createDevSkipVerifier,
+};
+
+function createVerifier(name, options = {}) {
+  const factory = ADAPTERS[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown PoP verifier "${name}". Expected one of: ${Object.keys(
+        ADAPTERS,
+      ).join(", ")}`,
+    );
+  }
+  return factory(options);
+}
+
+module.exports = {
+  ADAPTERS,
+  createVerifier,
+  PROVIDERS,
+  isValidWorldcoinProof,
+  createProviders,
+  createScoringPolicy,
+  createPersonhoodService,
+};
@@ -0,0 +1,72 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const buildInviteMessage = (id) =>
+  ["DAO identity issuer invite", `Code: ${id}`].join("\n");
+
+/**
+ * Mints an invite code: a random id plus the voucher's signature over it.
+ * Vouchers are made offline (see scripts/create-invite.js), so issuing
+ * invites needs no service at all.
+ */
+async function createInviteCode(
+  signer,
+  id = crypto.randomBytes(8).toString("hex"),
+) {
+  const signature = await signer.signMessage(buildInviteMessage(id));
+  return `${id}.${signature}`;
+}
+
+/**
+ * Admin-vouched invite codes. A code is valid when it is signed by one of
+ * `getSigners()` (by default the DIDRegistry owner). Codes are not tied to
+ * a wallet; the issuer binds each code to the first identity that uses it,
+ * which makes every code single-use.
+ *
+ * @param {object} options
+ * @param {() => Promise<string[]>} options.getSigners Addresses allowed to vouch
+ */
+function createInviteProvider({ getSigners }) {
+  const parse = (proof) => {
+    const [id, signature] = String(proof?.code || "").split(".");
+    return { id: id?.toLowerCase(), signature };
+  };
+
+  async function verify(proof) {
+    const { id, signature } = parse(proof);
+    let signer;
+    try {
+      signer = ethers.verifyMessage(buildInviteMessage(id), signature);
+    } catch {
+      return {
+        success: false,
+        code: "invalid_invite",
+        error: "Invite code is malformed",
+      };
+    }
+
+    const signers = (await getSigners()).map((a) => a.toLowerCase());
+    if (!signers.includes(signer.toLowerCase())) {
+      return {
+        success: false,
+        code: "invalid_invite",
+        error: "Invite code was not issued by a DAO administrator",
+      };
+    }
+    return { success: true, score: 1 };
+  }
+
+  return {
+    name: "invite",
+    label: "Admin invite code",
+    input: "code",
+    reverifiable: true,
+    isValidProof: (proof) =>
+      typeof proof?.code === "string" &&
+      /^[a-fA-F0-9]{8,64}\.0x[a-fA-F0-9]{130}$/.test(proof.code),
+    subjectOf: (proof) => parse(proof).id,
+    verify,
+  };
+}
+
+module.exports = { buildInviteMessage, createInviteCode, createInviteProvider };
@@ -0,0 +1,43 @@
+const express = require("express");
+
+/**
+ * Local stand-in for the Passport Stamps API (v2) score endpoint.
+ * Wallets listed in `scores` get that score; every other wallet gets
+ * `defaultScore`, so local registrations work without collecting stamps.
+ */
+function createLocalPassportServer({
+  scores = {},
+  defaultScore = 25,
+  threshold = 20,
+} = {}) {
+  const app = express();
+  const known = Object.fromEntries(
+    Object.entries(scores).map(([wallet, score]) => [
+      wallet.toLowerCase(),
+      score,
+    ]),
+  );
+
+  app.get("/v2/stamps/:scorerId/score/:address", (req, res) => {
+    const address = req.params.address.toLowerCase();
+    if (!/^0x[a-f0-9]{40}$/.test(address)) {
+      return res.status(400).json({ detail: "Invalid address" });
+    }
+    const score = known[address] ?? defaultScore;
+
+    res.json({
+      address,
+      score: score.toFixed(5),
+      passing_score: score >= threshold,
+      threshold: threshold.toFixed(5),
+      last_score_timestamp: new Date().toISOString(),
+      expiration_timestamp: null,
+      error: null,
+      stamps: {},
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createLocalPassportServer };
@@ -0,0 +1,108 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const { VERIFICATION_LEVELS, hashToField } = require("./worldcoin");
+
+/**
+ * Local stand-in for the Worldcoin Cloud Verify API (v2).
+ * A proof is accepted only if it was produced by `createLocalProof` for the
+ * same app, action, signal and nullifier, so fabricated or replayed-for-
+ * another-wallet proofs are rejected just like the real service would.
+ */
+
+function deriveProof({ appId, action, signalHash, nullifierHash, merkleRoot }) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["string", "string", "bytes32", "bytes32", "bytes32"],
+      [appId, action, signalHash, nullifierHash, merkleRoot],
+    ),
+  );
+}
+
+function createLocalProof({
+  appId,
+  action,
+  signal,
+  nullifierHash = ethers.hexlify(ethers.randomBytes(32)),
+  merkleRoot = ethers.ZeroHash,
+  verificationLevel = "orb",
+}) {
+  return {
+    nullifier_hash: nullifierHash,
+    merkle_root: merkleRoot,
+    verification_level: verificationLevel,
+    proof: deriveProof({
+      appId,
+      action,
+      signalHash: hashToField(signal),
+      nullifierHash,
+      merkleRoot,
+    }),
+  };
+}
+
+function createLocalWorldcoinServer({ maxVerifications = 1 } = {}) {
+  const app = express();
+  const verifications = new Map();
+
+  app.use(express.json());
+
+  app.post("/api/v2/verify/:appId", (req, res) => {
+    const { appId } = req.params;
+    const {
+      nullifier_hash: nullifierHash,
+      merkle_root: merkleRoot,
+      proof,
+      verification_level: verificationLevel,
+      action,
+      signal_hash: signalHash = hashToField(""),
+    } = req.body || {};
+
+    const reject = (code, detail) =>
+      res.status(400).json({ code, detail, attribute: null });
+
+    if (!nullifierHash || !merkleRoot || !proof || !action) {
+      return reject("invalid_request", "Missing proof fields");
+    }
+    if (!VERIFICATION_LEVELS.includes(verificationLevel)) {
+      return reject("invalid_verification_level", "Unknown verification level");
+    }
+
+    let expected;
+    try {
+      expected = deriveProof({
+        appId,
+        action,
+        signalHash,
+        nullifierHash,
+        merkleRoot,
+      });
+    } catch {
+      return reject("invalid_request", "Malformed proof fields");
+    }
+    if (expected !== proof) {
+      return reject("invalid_proof", "The provided proof is invalid.");
+    }
+
+    const key = `${appId}:${action}:${nullifierHash}`;
+    const count = verifications.get(key) || 0;
+    if (count >= maxVerifications) {
+      return reject(
+        "max_verifications_reached",
+        "This person has already verified for this action.",
+      );
+    }
+    verifications.set(key, count + 1);
+
+    res.json({
+      success: true,
+      action,
+      nullifier_hash: nullifierHash,
+      verification_level: verificationLevel,
+      created_at: new Date().toISOString(),
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createLocalProof, createLocalWorldcoinServer };
@@ -0,0 +1,81 @@
+const axios = require("axios");
+const log = require("../observability").log.child({ component: "pop" });
+
+/**
+ * Gitcoin-Passport-style stamp score adapter.
+ * Reads `${apiUrl}/v2/stamps/${scorerId}/score/${wallet}` and scores the
+ * wallet's stamps against the scorer's threshold: reaching the threshold
+ * counts fully, anything below counts proportionally. Point `apiUrl` at the
+ * local stand-in (see ./localPassportServer.js) to run without the service.
+ *
+ * The Passport belongs to the wallet, so there is nothing to submit and the
+ * subject is the wallet address itself.
+ */
+function createPassportProvider({
+  apiUrl = "https://api.passport.xyz",
+  apiKey,
+  scorerId,
+  timeout = 15000,
+}) {
+  if (!scorerId) throw new Error("Passport provider requires a scorer ID");
+
+  const base = apiUrl.replace(/\/$/, "");
+
+  async function verify(proof, wallet) {
+    let response;
+    try {
+      response = await axios.get(
+        `${base}/v2/stamps/${scorerId}/score/${wallet}`,
+        {
+          timeout,
+          headers: apiKey ? { "X-API-KEY": apiKey } : {},
+          validateStatus: () => true,
+        },
+      );
+    } catch (err) {
+      log.error("Passport score request failed", { err });
+      return {
+        success: false,
+        code: "verifier_unreachable",
+        error: "Passport scoring service unreachable",
+      };
+    }
+
+    const data = response.data || {};
+    const score = Number(data.score);
+    const threshold = Number(data.threshold);
+    if (
+      response.status !== 200 ||
+      !Number.isFinite(score) ||
+      !(threshold > 0)
+    ) {
+      return {
+        success: false,
+        code: "invalid_response",
+        error: data.detail || data.error || "Passport score unavailable",
+      };
+    }
+    if (score <= 0) {
+      return {
+        success: false,
+        code: "no_stamps",
+        error: "This wallet has no Passport stamps",
+      };
+    }
+
+    return { success: true, score: Math.min(score / threshold, 1) };
+  }
+
+  return {
+    name: "passport",
+    label: "Passport stamp score",
+    input: "none",
+    reverifiable: true,
+    isValidProof: (proof) =>
+      proof === true || (proof !== null && typeof proof === "object"),
+    subjectOf: (proof, wallet) => wallet.toLowerCase(),
+    verify,
+  };
+}
+
+module.exports = { createPassportProvider };
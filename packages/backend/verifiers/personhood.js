@@ -0,0 +1,203 @@
+const { ethers } = require("ethers");
+
+/**
+ * Combines the enabled personhood providers under one issuance policy.
+ *
+ * Every proof names a subject within its provider (a World ID nullifier, an
+ * invite code, a wallet's Passport). The first identity a subject is used
+ * for keeps it, so one person can't mint a second identity by pairing a
+ * reused signal with a new one.
+ *
+ * @param {object} options
+ * @param {object[]} options.providers See ./providers.js
+ * @param {object} options.policy See ./policy.js
+ * @param {object} options.storage Issuer storage, see ../storage
+ * @param {(result: object) => void} [options.onVerify] Sees every provider result
+ */
+function createPersonhoodService({
+  providers,
+  policy,
+  storage,
+  prefix = "pop:subject:",
+  onVerify,
+}) {
+  const byName = Object.fromEntries(providers.map((p) => [p.name, p]));
+  const subjectKey = ({ provider, subject }) =>
+    `${prefix}${provider}:${subject}`;
+
+  /** What the UI needs to offer each provider. */
+  function describe() {
+    return {
+      threshold: policy.threshold,
+      providers: providers.map((p) => ({
+        name: p.name,
+        label: p.label,
+        input: p.input,
+        weight: policy.weightOf(p.name),
+        ...(p.details || {}),
+      })),
+    };
+  }
+
+  /**
+   * Reads `{ proofs: { [provider]: proof } }`, or the older
+   * `{ worldcoinProof }` as a World ID proof.
+   * @returns {{ proofs?: object, error?: string }}
+   */
+  function parseProofs(body) {
+    const proofs = { ...(body?.proofs || {}) };
+    if (body?.worldcoinProof && !proofs.worldcoin) {
+      proofs.worldcoin = body.worldcoinProof;
+    }
+    const names = Object.keys(proofs);
+    if (names.length === 0) {
+      return { error: "Missing proof of personhood" };
+    }
+    for (const name of names) {
+      const provider = byName[name];
+      if (!provider) {
+        return { error: `Personhood provider "${name}" is not enabled` };
+      }
+      if (!provider.isValidProof(proofs[name])) {
+        return { error: `Invalid ${provider.label} proof format` };
+      }
+    }
+    return { proofs };
+  }
+
+  /**
+   * Works out which identity the proofs belong to: the one any of their
+   * subjects is already bound to, or a new key.
+   * @returns {Promise<{ identityKey?: string, subjects?: object[], error?: string }>}
+   */
+  async function resolveIdentity(proofs, wallet) {
+    const names = Object.keys(proofs);
+    const subjects = names.map((name) => ({
+      provider: name,
+      subject: String(byName[name].subjectOf(proofs[name], wallet)),
+    }));
+
+    const bound = new Set();
+    for (const subject of subjects) {
+      const key = await storage.get(subjectKey(subject));
+      if (key) bound.add(key);
+    }
+    // Identities created before subjects were tracked
+    for (const name of names) {
+      const legacyKey = byName[name].identityKey?.(proofs[name]);
+      if (legacyKey && (await storage.getIdentity(legacyKey))) {
+        bound.add(legacyKey);
+      }
+    }
+    if (bound.size > 1) {
+      return { error: "These proofs belong to different identities" };
+    }
+    if (bound.size === 1) return { identityKey: [...bound][0], subjects };
+
+    const keyed = names.find((name) => byName[name].identityKey);
+    if (keyed) {
+      return {
+        identityKey: byName[keyed].identityKey(proofs[keyed]),
+        subjects,
+      };
+    }
+    const strongest = [...subjects].sort(
+      (a, b) => policy.weightOf(b.provider) - policy.weightOf(a.provider),
+    )[0];
+    return {
+      identityKey: ethers.id(`${strongest.provider}:${strongest.subject}`),
+      subjects,
+    };
+  }
+
+  /**
+   * Verifies every proof. A new identity needs the policy satisfied; a
+   * known one already passed it, so only proofs that can be re-checked are
+   * checked again, and all of those must hold.
+   *
+   * Proofs that can't be re-checked (World ID spends its nullifier) are
+   * verified last, and only when they could still carry the policy, so a
+   * shortfall elsewhere doesn't burn them.
+   *
+   * @returns {Promise<{ success: boolean, report: object, verified: string[], error?: string }>}
+   */
+  async function verify(proofs, wallet, { known = false } = {}) {
+    const names = Object.keys(proofs);
+    const check = (name) =>
+      byName[name].verify(proofs[name], wallet).then((result) => {
+        onVerify?.({ provider: name, ...result });
+        return { provider: name, ...result };
+      });
+
+    const results = await Promise.all(
+      names.filter((name) => byName[name].reverifiable).map(check),
+    );
+    const once = names.filter((name) => !byName[name].reverifiable);
+    if (known) {
+      results.push(
+        ...once.map((name) => ({ provider: name, success: true, score: 1 })),
+      );
+    } else {
+      const partial = policy.evaluate(results).total;
+      const reachable = once.reduce((sum, n) => sum + policy.weightOf(n), 0);
+      if (partial + reachable >= policy.threshold) {
+        results.push(...(await Promise.all(once.map(check))));
+      } else {
+        results.push(
+          ...once.map((name) => ({
+            provider: name,
+            success: false,
+            code: "not_checked",
+            error: "not checked, the other proofs fall short of the policy",
+          })),
+        );
+      }
+    }
+
+    const report = policy.evaluate(results);
+    const verified = results.filter((r) => r.success).map((r) => r.provider);
+    const failed = results.filter((r) => !r.success);
+
+    if (known) {
+      return failed.length === 0
+        ? { success: true, report, verified }
+        : { success: false, report, verified, error: failed[0].error };
+    }
+    if (!report.satisfied) {
+      const reasons = failed.map((r) => `${r.provider}: ${r.error}`);
+      return {
+        success: false,
+        report,
+        verified,
+        error: `Proof of personhood scored ${report.total} of ${
+          report.threshold
+        } required${reasons.length ? ` (${reasons.join("; ")})` : ""}`,
+      };
+    }
+    return { success: true, report, verified };
+  }
+
+  /**
+   * Claims the subjects for `identityKey`. Fails, releasing whatever it
+   * claimed, if another identity got to any of them first.
+   */
+  async function bindSubjects(identityKey, subjects) {
+    const claimed = [];
+    for (const subject of subjects) {
+      const key = subjectKey(subject);
+      if (await storage.set(key, identityKey, { onlyIfAbsent: true })) {
+        claimed.push(key);
+      } else if ((await storage.get(key)) !== identityKey) {
+        for (const done of claimed) {
+          await storage.deleteIfEquals(done, identityKey);
+        }
+        return false;
+      }
+    }
+    return true;
+  }
+
+  return { describe, parseProofs, resolveIdentity, verify, bindSubjects };
+}
+
+module.exports = { createPersonhoodService };
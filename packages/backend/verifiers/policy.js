@@ -0,0 +1,46 @@
+// Strong providers prove personhood alone; weaker ones need a second signal
+const DEFAULT_WEIGHTS = {
+  worldcoin: 1,
+  passport: 0.5,
+  invite: 0.5,
+  social: 0.5,
+};
+
+/**
+ * Weighted issuance policy: every verified provider contributes
+ * `weight * score` points and a credential is issued once the points reach
+ * `threshold`. With the defaults, World ID alone or any two weaker
+ * providers together are enough.
+ *
+ * @param {object} [options]
+ * @param {number} [options.threshold]
+ * @param {Object<string, number>} [options.weights] Overrides by provider name
+ */
+function createScoringPolicy({ threshold = 1, weights = {} } = {}) {
+  if (!(threshold > 0)) throw new Error("Policy threshold must be positive");
+
+  const weightOf = (name) => weights[name] ?? DEFAULT_WEIGHTS[name] ?? 0;
+
+  /**
+   * @param {Array<{ provider: string, success: boolean, score?: number }>} results
+   */
+  function evaluate(results) {
+    const providers = results.map(({ provider, success, score, error }) => {
+      const weight = weightOf(provider);
+      return {
+        provider,
+        success,
+        weight,
+        points: success ? Math.round(weight * score * 1000) / 1000 : 0,
+        ...(success ? {} : { error }),
+      };
+    });
+    const total =
+      Math.round(providers.reduce((sum, p) => sum + p.points, 0) * 1000) / 1000;
+    return { satisfied: total >= threshold, total, threshold, providers };
+  }
+
+  return { threshold, weightOf, evaluate };
+}
+
+module.exports = { DEFAULT_WEIGHTS, createScoringPolicy };
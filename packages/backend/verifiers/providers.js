@@ -0,0 +1,82 @@
+const { createPassportProvider } = require("./passport");
+const { createInviteProvider } = require("./invite");
+const { createSocialProvider } = require("./social");
+
+function isValidWorldcoinProof(proof) {
+  if (!proof || typeof proof !== "object") return false;
+  return (
+    typeof proof.nullifier_hash === "string" &&
+    typeof proof.merkle_root === "string" &&
+    typeof proof.proof === "string" &&
+    typeof proof.verification_level === "string" &&
+    proof.nullifier_hash.length > 0 &&
+    proof.merkle_root.length > 0 &&
+    proof.proof.length > 0
+  );
+}
+
+/**
+ * World ID as a provider, on top of a verifier adapter ("worldcoin" or
+ * "dev-skip", see ./index.js). Identities proven with World ID are keyed by
+ * the nullifier hash, as they always have been.
+ */
+function createWorldcoinProvider({ verifier, appId, action }) {
+  async function verify(proof, wallet) {
+    const result = await verifier.verify(proof, wallet);
+    return result.success ? { success: true, score: 1 } : result;
+  }
+
+  return {
+    name: "worldcoin",
+    label: "World ID",
+    input: "idkit",
+    // Cloud Verify accepts each nullifier only once per action
+    reverifiable: false,
+    details: { appId, action, adapter: verifier.name },
+    isValidProof: isValidWorldcoinProof,
+    subjectOf: (proof) => proof.nullifier_hash,
+    identityKey: (proof) => proof.nullifier_hash,
+    verify,
+  };
+}
+
+/**
+ * Proof-of-personhood providers. Each exposes:
+ *
+ *   name, label, input      how the UI collects the proof
+ *   reverifiable            whether a proof can be checked a second time
+ *   isValidProof(proof)     shape check before any network call
+ *   subjectOf(proof, wallet) the person's id within the provider; each
+ *                           subject can only ever back one identity
+ *   verify(proof, wallet)   -> { success, score (0..1) } or
+ *                              { success: false, code, error }
+ *   details?, identityKey?  public settings; key for new identities
+ */
+const PROVIDERS = {
+  worldcoin: createWorldcoinProvider,
+  passport: createPassportProvider,
+  invite: createInviteProvider,
+  social: createSocialProvider,
+};
+
+/** @param {Object<string, object>} options Per-provider options by name */
+function createProviders(names, options = {}) {
+  return names.map((name) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown personhood provider "${name}". Expected one of: ${Object.keys(
+          PROVIDERS,
+        ).join(", ")}`,
+      );
+    }
+    return factory(options[name] || {});
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  isValidWorldcoinProof,
+  createWorldcoinProvider,
+  createProviders,
+};
@@ -0,0 +1,76 @@
+const { ethers } = require("ethers");
+
+const VOUCH_TEMPLATE = [
+  "DAO identity issuer vouch",
+  "I vouch that {wallet} belongs to a unique human I know.",
+].join("\n");
+
+const buildVouchMessage = (wallet) =>
+  VOUCH_TEMPLATE.replace("{wallet}", wallet.toLowerCase());
+
+/**
+ * Social-graph attestations: people who are already part of the DAO sign a
+ * vouch for the wallet. Each distinct eligible attester counts; reaching
+ * `minAttestations` counts fully, fewer count proportionally.
+ *
+ * Attesters are eligible when `isEligible(address)` resolves true — by
+ * default "registered for voting in DIDRegistry". The local mock passes a
+ * fixed allow-list instead (SOCIAL_ATTESTERS), so it runs without a chain.
+ *
+ * Proof: `{ attestations: [{ attester, signature }] }`
+ */
+function createSocialProvider({ isEligible, minAttestations = 2 }) {
+  async function verify(proof, wallet) {
+    const message = buildVouchMessage(wallet);
+    const attesters = new Set();
+
+    for (const { attester, signature } of proof.attestations) {
+      let signer;
+      try {
+        signer = ethers.verifyMessage(message, signature).toLowerCase();
+      } catch {
+        continue;
+      }
+      if (
+        signer !== String(attester).toLowerCase() ||
+        signer === wallet.toLowerCase() ||
+        attesters.has(signer)
+      ) {
+        continue;
+      }
+      if (await isEligible(signer)) attesters.add(signer);
+    }
+
+    if (attesters.size === 0) {
+      return {
+        success: false,
+        code: "no_attestations",
+        error: "No valid vouches from eligible members",
+      };
+    }
+    return {
+      success: true,
+      score: Math.min(attesters.size / minAttestations, 1),
+    };
+  }
+
+  return {
+    name: "social",
+    label: "Vouches from members",
+    input: "attestations",
+    reverifiable: true,
+    details: { minAttestations, messageTemplate: VOUCH_TEMPLATE },
+    isValidProof: (proof) =>
+      Array.isArray(proof?.attestations) &&
+      proof.attestations.length > 0 &&
+      proof.attestations.length <= 20 &&
+      proof.attestations.every(
+        (a) =>
+          typeof a?.attester === "string" && typeof a?.signature === "string",
+      ),
+    subjectOf: (proof, wallet) => wallet.toLowerCase(),
+    verify,
+  };
+}
+
+module.exports = { VOUCH_TEMPLATE, buildVouchMessage, createSocialProvider };
@@ -0,0 +1,120 @@
+const axios = require("axios");
+const { ethers } = require("ethers");
+const log = require("../observability").log.child({ component: "pop" });
+
+// Ordered weakest -> strongest, matching the levels IDKit can return.
+const VERIFICATION_LEVELS = ["device", "orb"];
+
+/**
+ * Hash a signal into the BN254 field the same way IDKit does
+ * (keccak256 of the raw bytes, shifted right by 8 bits).
+ * Hex-like signals (e.g. wallet addresses) are hashed as bytes.
+ */
+function hashToField(signal) {
+  const bytes = ethers.isHexString(signal)
+    ? ethers.getBytes(signal)
+    : ethers.toUtf8Bytes(signal || "");
+  const digest = BigInt(ethers.keccak256(bytes)) >> 8n;
+  return "0x" + digest.toString(16).padStart(64, "0");
+}
+
+function meetsVerificationLevel(level, minLevel) {
+  const rank = VERIFICATION_LEVELS.indexOf(level);
+  return rank !== -1 && rank >= VERIFICATION_LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Worldcoin Cloud Verify adapter.
+ * Posts the IDKit proof to `${apiUrl}/api/v2/verify/${appId}`. Point `apiUrl`
+ * at the local stand-in server (see ./localWorldcoinServer.js) for tests.
+ */
+function createWorldcoinVerifier({
+  appId,
+  action,
+  apiUrl = "https://developer.worldcoin.org",
+  minVerificationLevel = "device",
+  timeout = 30000,
+}) {
+  if (!appId) throw new Error("Worldcoin verifier requires an app ID");
+  if (!VERIFICATION_LEVELS.includes(minVerificationLevel)) {
+    throw new Error(
+      `Unknown Worldcoin verification level "${minVerificationLevel}"`,
+    );
+  }
+
+  const endpoint = `${apiUrl.replace(/\/$/, "")}/api/v2/verify/${appId}`;
+
+  async function verify(proof, signal) {
+    if (
+      !meetsVerificationLevel(proof.verification_level, minVerificationLevel)
+    ) {
+      return {
+        success: false,
+        code: "insufficient_verification_level",
+        error: `Verification level "${proof.verification_level}" is below the required "${minVerificationLevel}"`,
+      };
+    }
+
+    let response;
+    try {
+      response = await axios.post(
+        endpoint,
+        {
+          nullifier_hash: proof.nullifier_hash,
+          merkle_root: proof.merkle_root,
+          proof: proof.proof,
+          verification_level: proof.verification_level,
+          action,
+          signal_hash: hashToField(signal),
+        },
+        {
+          timeout,
+          headers: { "Content-Type": "application/json" },
+          validateStatus: () => true,
+        },
+      );
+    } catch (err) {
+      log.error("Worldcoin verify request failed", { err });
+      return {
+        success: false,
+        code: "verifier_unreachable",
+        error: "Worldcoin verification service unreachable",
+      };
+    }
+
+    const data = response.data || {};
+    if (response.status !== 200 || !data.success) {
+      return {
+        success: false,
+        code: data.code || "invalid_proof",
+        error: data.detail || "Proof rejected by Worldcoin",
+      };
+    }
+
+    if (data.action && data.action !== action) {
+      return {
+        success: false,
+        code: "action_mismatch",
+        error: "Proof was issued for a different action",
+      };
+    }
+    if (data.nullifier_hash && data.nullifier_hash !== proof.nullifier_hash) {
+      return {
+        success: false,
+        code: "nullifier_mismatch",
+        error: "Verified nullifier does not match the submitted proof",
+      };
+    }
+
+    return { success: true };
+  }
+
+  return { name: "worldcoin", verify };
+}
+
+module.exports = {
+  VERIFICATION_LEVELS,
+  hashToField,
+  meetsVerificationLevel,
+  createWorldcoinVerifier,
+};
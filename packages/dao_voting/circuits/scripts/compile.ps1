@@ -1,3 +1,11 @@
+# Run with: npm run circuits:compile [-- -Depth 16]
+# -Depth builds the vote circuit for a voter tree of that depth (2^Depth
+# voters) as build/vote_<Depth>; the default depth builds every circuit.
+param (
+    [ValidateRange(1, 32)]
+    [int]$Depth = 6
+)
+
 Write-Host "=== ZKP Voting Circuit Compilation ===" -ForegroundColor Cyan
 
 # 1. robust Path Resolution (Works from ANY folder)
@@ -55,8 +63,21 @@ function Compile-Circuit {
 }
 
 # 4. Run Compilation
-Compile-Circuit "merkleTree.circom"
-Compile-Circuit "nullifier.circom"
-Compile-Circuit "vote.circom"
+if ($Depth -eq 6) {
+    Compile-Circuit "merkleTree.circom"
+    Compile-Circuit "nullifier.circom"
+    Compile-Circuit "vote.circom"
+} else {
+    # Same template as vote.circom, instantiated for the requested depth
+    $MainFile = "build/vote_$Depth.circom"
+    @(
+        "pragma circom 2.0.0;",
+        "",
+        "include `"../privateVote.circom`";",
+        "",
+        "component main {public [root, proposalId, voteChoice]} = PrivateVote($Depth);"
+    ) | Set-Content (Join-Path $CircuitDir $MainFile)
+    Compile-Circuit $MainFile
+}
 
 Write-Host "All circuits compiled successfully!" -ForegroundColor Cyan
\ No newline at end of file
@@ -1,5 +1,12 @@
 # ZKP Verifier Generation Script
-# Run with: npm run circuits:verifier
+# Run with: npm run circuits:verifier [-- -Depth 16]
+# The default depth writes VoteVerifier.sol (contract Groth16Verifier); other
+# depths write VoteVerifier<Depth>.sol (contract VoteVerifier<Depth>) so
+# several can be deployed side by side.
+param (
+    [ValidateRange(1, 32)]
+    [int]$Depth = 6
+)
 
 Write-Host "=== Generating Solidity Verifier ===" -ForegroundColor Cyan
 Write-Host ""
@@ -9,21 +16,23 @@ $ScriptPath = $MyInvocation.MyCommand.Path
 $ScriptDir = Split-Path $ScriptPath
 $CircuitDir = Join-Path $ScriptDir ".."
 $BuildDir = Join-Path $CircuitDir "build"
-$VoteBuildDir = Join-Path $BuildDir "vote"
+$Name = if ($Depth -eq 6) { "vote" } else { "vote_$Depth" }
+$VoteBuildDir = Join-Path $BuildDir $Name
 
 # Define Paths
 # IMPORTANT: Matches the name generated by setup.ps1
-$ZKeyFinal = Join-Path $VoteBuildDir "vote_final.zkey" 
+$ZKeyFinal = Join-Path $VoteBuildDir "${Name}_final.zkey"
 
 # Target: packages/dao_voting/contracts/core/VoteVerifier.sol
 $ContractsDir = Join-Path $ScriptDir "../../contracts/core"
-$VerifierPath = Join-Path $ContractsDir "VoteVerifier.sol"
+$VerifierName = if ($Depth -eq 6) { "VoteVerifier" } else { "VoteVerifier$Depth" }
+$VerifierPath = Join-Path $ContractsDir "$VerifierName.sol"
 
 # 2. Check Prerequisites
 if (!(Test-Path $ZKeyFinal)) {
-    Write-Host "Error: vote_final.zkey not found." -ForegroundColor Red
+    Write-Host "Error: ${Name}_final.zkey not found." -ForegroundColor Red
     Write-Host "   Looked at: $ZKeyFinal" -ForegroundColor Gray
-    Write-Host "   Run 'npm run circuits:setup' first." -ForegroundColor Yellow
+    Write-Host "   Run 'npm run circuits:setup -- -Depth $Depth' first." -ForegroundColor Yellow
     exit 1
 }
 
@@ -33,7 +42,7 @@ if (!(Test-Path $ContractsDir)) {
 }
 
 # 3. Generate Verifier
-Write-Host "Generating VoteVerifier.sol..." -ForegroundColor Yellow
+Write-Host "Generating $VerifierName.sol..." -ForegroundColor Yellow
 Write-Host "   Source: $ZKeyFinal" -ForegroundColor Gray
 Write-Host "   Target: $VerifierPath" -ForegroundColor Gray
 
@@ -51,6 +60,9 @@ if (Test-Path $VerifierPath) {
     }
     # Rename contract to avoid conflicts
     $Content = $Content -replace "contract Verifier", "contract VoteVerifier"
+    if ($Depth -ne 6) {
+        $Content = $Content -replace "contract Groth16Verifier", "contract $VerifierName"
+    }
     
     $Content | Set-Content $VerifierPath
     
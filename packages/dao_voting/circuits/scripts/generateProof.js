@@ -1,16 +1,29 @@
 const snarkjs = require("snarkjs");
 const fs = require("fs");
 const path = require("path");
-const { buildPoseidon } = require("circomlibjs");
+const {
+  getPoseidonHasher,
+  computeCommitment,
+  computeNullifier,
+  buildMerkleTree,
+  buildVoteInput,
+  toDecimal,
+  voteCircuitArtifacts,
+  VOTE_TREE_DEPTH,
+} = require("zk-core");
 
 // =========================================================
 // 1. CONFIGURATION & PATHS
 // =========================================================
+// MERKLE_TREE_DEPTH selects the circuit built with compile.ps1 -Depth
+const DEPTH = Number(process.env.MERKLE_TREE_DEPTH || VOTE_TREE_DEPTH);
+const { name: CIRCUIT } = voteCircuitArtifacts(DEPTH);
+
 const SCRIPT_DIR = __dirname;
-const BUILD_DIR = path.join(SCRIPT_DIR, "../build/vote");
+const BUILD_DIR = path.join(SCRIPT_DIR, "../build", CIRCUIT);
 
-const WASM_PATH = path.join(BUILD_DIR, "vote_js/vote.wasm");
-const ZKEY_PATH = path.join(BUILD_DIR, "vote_final.zkey");
+const WASM_PATH = path.join(BUILD_DIR, `${CIRCUIT}_js/${CIRCUIT}.wasm`);
+const ZKEY_PATH = path.join(BUILD_DIR, `${CIRCUIT}_final.zkey`);
 const VKEY_PATH = path.join(BUILD_DIR, "verification_key.json");
 const PROOF_OUTPUT_PATH = path.join(BUILD_DIR, "proof.json");
 const PUBLIC_OUTPUT_PATH = path.join(BUILD_DIR, "public.json");
@@ -19,51 +32,14 @@ const PUBLIC_OUTPUT_PATH = path.join(BUILD_DIR, "public.json");
 // 2. HELPER FUNCTIONS
 // =========================================================
 
-// Converts BigInt or hex → decimal string
-const toDec = (x) => BigInt(x).toString(10);
-
-// Poseidon hash helper
-async function poseidonHash(inputs) {
-  const poseidon = await buildPoseidon();
-  const hash = poseidon.F.toString(poseidon(inputs));
-  return BigInt(hash);
-}
-
 // Generate commitment from secret
 async function generateCommitment(secret) {
-  const poseidon = await buildPoseidon();
-  const commitment = poseidon.F.toString(poseidon([BigInt(secret)]));
-  return BigInt(commitment);
+  return computeCommitment(await getPoseidonHasher(), secret);
 }
 
 // Generate nullifier = Poseidon(secret, proposalId)
 async function generateNullifier(secret, proposalId) {
-  const poseidon = await buildPoseidon();
-  const nullifier = poseidon.F.toString(
-    poseidon([BigInt(secret), BigInt(proposalId)])
-  );
-  return BigInt(nullifier);
-}
-
-// Generate Merkle Proof (simple sparse tree with 0-value siblings)
-function generateMerkleProof(leaves, leafIndex, poseidon, levels = 20) {
-  const hash = (inputs) => BigInt(poseidon.F.toString(poseidon(inputs)));
-  const pathElements = [];
-  const pathIndices = [];
-
-  let currentIndex = leafIndex;
-  let currentHash = leaves[leafIndex];
-
-  for (let i = 0; i < levels; i++) {
-    pathIndices.push(currentIndex % 2);
-    pathElements.push(0n); // dummy sibling
-
-    currentHash =
-      currentIndex % 2 === 0 ? hash([currentHash, 0n]) : hash([0n, currentHash]);
-    currentIndex = Math.floor(currentIndex / 2);
-  }
-
-  return { pathElements, pathIndices, root: currentHash };
+  return computeNullifier(await getPoseidonHasher(), secret, proposalId);
 }
 
 // =========================================================
@@ -78,7 +54,7 @@ async function generateVoteProof(
   voterIndex = 0
 ) {
   console.log("🔄 Initializing Poseidon...");
-  const poseidon = await buildPoseidon();
+  const hash = await getPoseidonHasher();
 
   console.log("Checking artifacts...");
   if (!fs.existsSync(WASM_PATH) || !fs.existsSync(ZKEY_PATH)) {
@@ -90,32 +66,25 @@ ZKEY: ${ZKEY_PATH}`);
   console.log("🌳 Constructing Merkle Tree...");
 
   // 1. Generate commitment
-  const commitment = await generateCommitment(secret);
+  const commitment = computeCommitment(hash, secret);
 
-  // 2. Build Merkle Proof
-  const leaves =
-    voterCommitments.length > 0 ? voterCommitments.map(BigInt) : [commitment];
-
-  const { pathElements, pathIndices, root } = generateMerkleProof(
-    leaves,
-    voterIndex,
-    poseidon
-  );
+  // 2. Build Merkle Proof from the same padded tree the contract root uses
+  const leaves = voterCommitments.length > 0 ? voterCommitments : [commitment];
+  const tree = buildMerkleTree(leaves, { depth: DEPTH, hash });
+  const root = tree.root();
+  const { pathElements, pathIndices } = tree.proof(voterIndex);
 
   // 3. Nullifier
-  const nullifier = await generateNullifier(secret, proposalId);
-
-  const hexToDec = (hex) => BigInt(hex).toString(10);
-
-  // FIXED: use correct variables from generateMerkleProof
-  const input = {
-    root: hexToDec(root),
-    secret: hexToDec(secret),
-    proposalId: proposalId.toString(),
-    voteChoice: voteChoice.toString(),
-    pathElements: pathElements.map(hexToDec),
-    pathIndices: pathIndices.map(String),
-  };
+  const nullifier = computeNullifier(hash, secret, proposalId);
+
+  const input = buildVoteInput({
+    root,
+    secret,
+    proposalId,
+    voteChoice,
+    pathElements,
+    pathIndices,
+  });
 
   console.log("\n📝 Circuit Inputs (sanitized):");
   console.log(input);
@@ -132,9 +101,9 @@ ZKEY: ${ZKEY_PATH}`);
   return {
     proof,
     publicSignals,
-    nullifier: toDec(nullifier),
-    root: toDec(root),
-    commitment: toDec(commitment),
+    nullifier: toDecimal(nullifier),
+    root: toDecimal(root),
+    commitment: toDecimal(commitment),
   };
 }
 
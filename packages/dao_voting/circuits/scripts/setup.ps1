@@ -1,5 +1,10 @@
 # ZKP Trusted Setup Script for Windows
-# Run with: npm run circuits:setup
+# Run with: npm run circuits:setup [-- -Depth 16]
+# Use the same -Depth the circuit was compiled with.
+param (
+    [ValidateRange(1, 32)]
+    [int]$Depth = 6
+)
 
 Write-Host "=== ZKP Trusted Setup (Powers of Tau) ===" -ForegroundColor Cyan
 Write-Host ""
@@ -9,19 +14,24 @@ $ScriptPath = $MyInvocation.MyCommand.Path
 $ScriptDir = Split-Path $ScriptPath
 $CircuitDir = Join-Path $ScriptDir ".."
 $BuildDir = Join-Path $CircuitDir "build"
-$VoteBuildDir = Join-Path $BuildDir "vote"
+# Artifact names match zk-core's voteCircuitArtifacts(depth)
+$Name = if ($Depth -eq 6) { "vote" } else { "vote_$Depth" }
+$VoteBuildDir = Join-Path $BuildDir $Name
 
 # Define file paths
+# 2^16 constraints covers the vote circuit up to depth 32
 $PtauPath = Join-Path $BuildDir "powersOfTau28_hez_final_16.ptau"
-$R1CS = Join-Path $VoteBuildDir "vote.r1cs"
-$ZKey0 = Join-Path $VoteBuildDir "vote_0000.zkey"
-$ZKeyFinal = Join-Path $VoteBuildDir "vote_final.zkey"
+$R1CS = Join-Path $VoteBuildDir "$Name.r1cs"
+$Wasm = Join-Path $VoteBuildDir "${Name}_js/$Name.wasm"
+$ZKey0 = Join-Path $VoteBuildDir "${Name}_0000.zkey"
+$ZKeyFinal = Join-Path $VoteBuildDir "${Name}_final.zkey"
 $VKey = Join-Path $VoteBuildDir "verification_key.json"
+$FrontendCircuitsDir = Join-Path $ScriptDir "../../../frontend/public/circuits"
 
 # Check if compile ran successfully
 if (!(Test-Path $R1CS)) {
-    Write-Host "Error: vote.r1cs not found at: $R1CS" -ForegroundColor Red
-    Write-Host "Please run 'npm run circuits:compile' first." -ForegroundColor Yellow
+    Write-Host "Error: $Name.r1cs not found at: $R1CS" -ForegroundColor Red
+    Write-Host "Please run 'npm run circuits:compile -- -Depth $Depth' first." -ForegroundColor Yellow
     exit 1
 }
 
@@ -74,12 +84,18 @@ Write-Host "   -> Exporting Verification Key..."
 cmd /c npx snarkjs zkey export verificationkey "$ZKeyFinal" "$VKey"
 
 if (Test-Path $VKey) {
+    # Publish the prover artifacts where the frontend loads them from
+    Copy-Item $Wasm (Join-Path $FrontendCircuitsDir "$Name.wasm")
+    Copy-Item $ZKeyFinal (Join-Path $FrontendCircuitsDir "${Name}_final.zkey")
+
     Write-Host ""
     Write-Host "Trusted Setup Complete!" -ForegroundColor Cyan
     Write-Host "   Final Key: $ZKeyFinal" -ForegroundColor Gray
     Write-Host "   Verifier JSON: $VKey" -ForegroundColor Gray
     Write-Host ""
-    Write-Host "Next step: npm run circuits:verifier" -ForegroundColor Green
+    Write-Host "   Published: $FrontendCircuitsDir" -ForegroundColor Gray
+    Write-Host ""
+    Write-Host "Next step: npm run circuits:verifier -- -Depth $Depth" -ForegroundColor Green
 } else {
     Write-Host "Verification Key export failed." -ForegroundColor Red
     exit 1
@@ -3,21 +3,34 @@ pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
-import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 
 // Interface to talk to PrivateDAOVoting
 interface IPrivateDAOVoting {
     function registerVoter(bytes32 commitment) external;
+
+    function replaceVoter(
+        bytes32 oldCommitment,
+        bytes32 newCommitment
+    ) external;
 }
 
 /**
  * @title DIDRegistry
  * @dev Decentralized Identifier (DID) registry with Backend Signature Verification
  * @notice Manages DIDs and prevents Sybil attacks via Trusted Issuer signatures
+ * @notice Credentials are EIP-712 typed data bound to this registry, the chain,
+ *         the voter's commitment, a per-voter nonce and an expiry
  */
-contract DIDRegistry is Ownable {
+contract DIDRegistry is Ownable, EIP712, Nonces {
     using ECDSA for bytes32;
 
+    bytes32 public constant VOTER_CREDENTIAL_TYPEHASH =
+        keccak256(
+            "VoterCredential(address subject,bytes32 commitment,uint256 nonce,uint256 expiry)"
+        );
+
     struct DIDDocument {
         string did; // Decentralized Identifier (did:eth:0x...)
         address controller; // DID controller (wallet address)
@@ -44,16 +57,25 @@ contract DIDRegistry is Ownable {
 
     // Sybil Resistance Mapping (Controller Address -> Has Registered Commitment)
     mapping(address => bool) public hasRegisteredForVoting;
+    // Commitment each controller currently has in PrivateDAOVoting
+    mapping(address => bytes32) public voterCommitmentOf;
 
     mapping(address => DIDDocument) public didDocuments;
     mapping(bytes32 => VerifiableCredential) public credentials;
     mapping(address => bool) public authorizedIssuers;
+    // Last timestamp an authorized issuer's credentials are accepted (0 = no end)
+    mapping(address => uint256) public issuerValidUntil;
 
     event DIDCreated(address indexed controller, string did, uint256 timestamp);
     event VotingRegistrationSuccess(
         address indexed controller,
         bytes32 commitment
     );
+    event VoterRecommitted(
+        address indexed controller,
+        bytes32 oldCommitment,
+        bytes32 newCommitment
+    );
     event TrustedIssuerUpdated(address indexed newIssuer);
 
 
@@ -68,6 +90,7 @@ contract DIDRegistry is Ownable {
     event CredentialRevoked(bytes32 indexed credentialHash);
     event IssuerAuthorized(address indexed issuer);
     event IssuerRevoked(address indexed issuer);
+    event IssuerValidityUpdated(address indexed issuer, uint256 validUntil);
 
     modifier onlyAuthorizedIssuer() {
         require(
@@ -77,7 +100,9 @@ contract DIDRegistry is Ownable {
         _;
     }
 
-    constructor(address initialOwner) Ownable(initialOwner) {
+    constructor(
+        address initialOwner
+    ) Ownable(initialOwner) EIP712("DIDRegistry", "1") {
         // Initially, the deployer is the trusted issuer (simplifies setup)
         trustedIssuer = initialOwner;
     }
@@ -97,39 +122,64 @@ contract DIDRegistry is Ownable {
         emit TrustedIssuerUpdated(_issuer);
     }
 
+    /**
+     * @dev Whether credentials signed by `issuer` are accepted right now:
+     *      the trusted issuer always, authorized issuers until their
+     *      `issuerValidUntil`. Lets keys be rotated with an overlap, so
+     *      credentials signed by the outgoing key stay usable.
+     */
+    function isActiveIssuer(address issuer) public view returns (bool) {
+        if (issuer == address(0)) return false;
+        if (issuer == trustedIssuer) return true;
+        uint256 validUntil = issuerValidUntil[issuer];
+        return
+            authorizedIssuers[issuer] &&
+            (validUntil == 0 || block.timestamp <= validUntil);
+    }
+
     /**
      * @dev The SECURE Registration Function [Architecture B]
-     * 1. Verifies that the Backend (Trusted Issuer) signed the user's address (Keccak256).
+     * 1. Verifies an active issuer's EIP-712 credential for (sender, commitment, nonce, expiry).
      * 2. Checks for Sybil attacks.
      * 3. Creates DID if needed.
      * 4. Registers the ZK Commitment (Poseidon Hash).
      * @param commitment The ZK commitment (Poseidon Hash) from the user
-     * @param signature The signature provided by the Backend API
+     * @param nonce The caller's current credential nonce (see `nonces`)
+     * @param expiry Unix timestamp after which the credential is rejected
+     * @param signature The EIP-712 signature provided by the Backend API
      */
     function registerVoterForDAO(
         bytes32 commitment,
+        uint256 nonce,
+        uint256 expiry,
         bytes calldata signature
     ) external {
         address user = msg.sender;
 
-        // --- 1. Signature Verification (Sybil Resistance) ---
-        // We use Keccak256 here because ECDSA signatures work on Keccak hashes
-        bytes32 messageHash = keccak256(abi.encodePacked(user));
-
-        // Add the Ethereum Signed Message prefix (Standard for Ethers.js signMessage)
-        bytes32 ethSignedMessageHash = MessageHashUtils.toEthSignedMessageHash(
-            messageHash
+        // --- 1. Credential Verification (Sybil Resistance) ---
+        require(block.timestamp <= expiry, "Invalid Credential: Expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                VOTER_CREDENTIAL_TYPEHASH,
+                user,
+                commitment,
+                nonce,
+                expiry
+            )
         );
 
-        // Recover the signer address
-        address signer = ECDSA.recover(ethSignedMessageHash, signature);
+        // Domain separator binds the credential to this chain and registry
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), signature);
 
         // Critical Security Check
         require(
-            signer == trustedIssuer,
+            isActiveIssuer(signer),
             "Invalid Credential: Not signed by Trusted Issuer"
         );
-        require(signer != address(0), "Invalid signature");
+
+        // Consumes the nonce so the same credential cannot be replayed
+        _useCheckedNonce(user, nonce);
 
         // --- 2. Sybil Check ---
         require(
@@ -156,6 +206,7 @@ contract DIDRegistry is Ownable {
 
         // --- 4. Mark as Used ---
         hasRegisteredForVoting[user] = true;
+        voterCommitmentOf[user] = commitment;
 
         // --- 5. Call PrivateDAOVoting ---
         require(
@@ -167,9 +218,29 @@ contract DIDRegistry is Ownable {
         emit VotingRegistrationSuccess(user, commitment);
     }
 
+    /**
+     * @dev Moves the caller's voting identity to a new commitment, e.g. one
+     *      derived from a stronger secret. The caller already proved
+     *      personhood when registering, so no new credential is needed;
+     *      PrivateDAOVoting refuses this while a proposal is active.
+     * @param newCommitment Poseidon hash of the new secret
+     */
+    function recommitVoter(bytes32 newCommitment) external {
+        bytes32 oldCommitment = voterCommitmentOf[msg.sender];
+        require(oldCommitment != bytes32(0), "Not registered for voting");
+        require(newCommitment != oldCommitment, "Commitment unchanged");
+
+        voterCommitmentOf[msg.sender] = newCommitment;
+        privateVoting.replaceVoter(oldCommitment, newCommitment);
+
+        emit VoterRecommitted(msg.sender, oldCommitment, newCommitment);
+    }
+
     // =========================================================
-    // LEGACY / HELPER LOGIC
+    // ISSUER KEYS
     // =========================================================
+    // Keys besides trustedIssuer whose credentials are accepted, e.g. the
+    // outgoing key during a rotation.
 
     function authorizeIssuer(address issuer) external onlyOwner {
         require(issuer != address(0), "Invalid issuer");
@@ -181,9 +252,24 @@ contract DIDRegistry is Ownable {
     function revokeIssuer(address issuer) external onlyOwner {
         require(authorizedIssuers[issuer], "Not authorized");
         authorizedIssuers[issuer] = false;
+        delete issuerValidUntil[issuer];
         emit IssuerRevoked(issuer);
     }
 
+    // Schedules the end of an authorized issuer's validity (0 clears it)
+    function setIssuerValidUntil(
+        address issuer,
+        uint256 validUntil
+    ) external onlyOwner {
+        require(authorizedIssuers[issuer], "Not authorized");
+        issuerValidUntil[issuer] = validUntil;
+        emit IssuerValidityUpdated(issuer, validUntil);
+    }
+
+    // =========================================================
+    // LEGACY / HELPER LOGIC
+    // =========================================================
+
     function createDID(address controller) external onlyAuthorizedIssuer {
         require(controller != address(0), "Invalid controller");
         require(!didDocuments[controller].isActive, "DID already exists");
@@ -37,6 +37,8 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
     }
 
     VoteVerifier public verifier;
+    // Depth of the voter Merkle tree the verifier's circuit was built for
+    uint8 public immutable merkleTreeDepth;
     IReputationManager public reputationManager;
     address public didRegistry;
 
@@ -45,8 +47,14 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
     mapping(bytes32 => bool) public voterCommitments;
     // Array to track all voter commitments for Merkle tree construction
     bytes32[] public voterCommitmentsArray;
+    // Leaf index + 1 of each registered commitment (0 = not registered)
+    mapping(bytes32 => uint256) private voterLeafIndex;
 
     uint256 public proposalCount;
+    // Proposals currently in the Active state
+    uint256 public activeProposalCount;
+    // Latest votingEnd of any proposal that started voting
+    uint256 public votingOpenUntil;
     uint256 public votingDelay = 1 hours;
     uint256 public votingPeriod = 7 days;
     uint256 public quorumPercentage = 40;
@@ -57,6 +65,11 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
     bytes32 public currentVoterSetRoot;
 
     event VoterRegistered(bytes32 indexed commitment);
+    event VoterReplaced(
+        bytes32 indexed oldCommitment,
+        bytes32 indexed newCommitment,
+        uint256 index
+    );
     event VoterSetUpdated(bytes32 indexed newRoot, uint256 timestamp);
     event ProposalCreated(
         uint256 indexed proposalId,
@@ -87,14 +100,20 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
     constructor(
         address _verifier,
         address _reputationManager,
-        address initialOwner
+        address initialOwner,
+        uint8 _merkleTreeDepth
     ) Ownable(initialOwner) {
         require(_verifier != address(0), "Invalid verifier address");
         require(
             _reputationManager != address(0),
             "Invalid reputation manager address"
         );
+        require(
+            _merkleTreeDepth > 0 && _merkleTreeDepth <= 32,
+            "Invalid tree depth"
+        );
         verifier = VoteVerifier(_verifier);
+        merkleTreeDepth = _merkleTreeDepth;
         reputationManager = IReputationManager(_reputationManager);
     }
 
@@ -113,9 +132,7 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
     function registerVoter(bytes32 commitment) external onlyRegistrar {
         require(commitment != bytes32(0), "Invalid commitment");
         require(!voterCommitments[commitment], "Already registered");
-        voterCommitments[commitment] = true;
-        voterCommitmentsArray.push(commitment);
-        emit VoterRegistered(commitment);
+        _addVoter(commitment);
     }
 
     // Modified to also add commitments to array for indexing
@@ -125,13 +142,56 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
         for (uint256 i = 0; i < commitments.length; i++) {
             require(commitments[i] != bytes32(0), "Invalid commitment");
             if (!voterCommitments[commitments[i]]) {
-                voterCommitments[commitments[i]] = true;
-                voterCommitmentsArray.push(commitments[i]);
-                emit VoterRegistered(commitments[i]);
+                _addVoter(commitments[i]);
             }
         }
     }
 
+    // A voter past the tree's capacity could never prove membership
+    function _addVoter(bytes32 commitment) private {
+        require(
+            voterCommitmentsArray.length < voterCapacity(),
+            "Voter tree is full"
+        );
+        voterCommitments[commitment] = true;
+        voterCommitmentsArray.push(commitment);
+        voterLeafIndex[commitment] = voterCommitmentsArray.length;
+        emit VoterRegistered(commitment);
+    }
+
+    /**
+     * @dev Swaps a registered commitment for a new one in the same leaf, so a
+     *      voter can move to a new secret. Refused while a vote is open:
+     *      the new secret has a different nullifier, and the voter could
+     *      otherwise vote once with each.
+     */
+    function replaceVoter(
+        bytes32 oldCommitment,
+        bytes32 newCommitment
+    ) external onlyRegistrar {
+        require(voterCommitments[oldCommitment], "Not registered");
+        require(newCommitment != bytes32(0), "Invalid commitment");
+        require(!voterCommitments[newCommitment], "Already registered");
+        require(canReplaceVoters(), "Cannot re-commit during a vote");
+
+        uint256 index = voterLeafIndex[oldCommitment] - 1;
+        voterCommitmentsArray[index] = newCommitment;
+        voterCommitments[oldCommitment] = false;
+        voterCommitments[newCommitment] = true;
+        delete voterLeafIndex[oldCommitment];
+        voterLeafIndex[newCommitment] = index + 1;
+        emit VoterReplaced(oldCommitment, newCommitment, index);
+    }
+
+    /**
+     * @dev True when no proposal can still receive votes: none is active, or
+     *      every voting window has closed, even if a proposal past its end
+     *      was never finalized.
+     */
+    function canReplaceVoters() public view returns (bool) {
+        return activeProposalCount == 0 || block.timestamp > votingOpenUntil;
+    }
+
     // MODIFIED: Removed 'onlyOwner' to allow User/Frontend to sync root automatically
     function updateVoterSetRoot(bytes32 newRoot) external {
         require(newRoot != bytes32(0), "Invalid root");
@@ -190,6 +250,10 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
         require(proposal.state == ProposalState.Pending, "Not pending");
         require(block.timestamp >= proposal.votingStart, "Too early");
         proposal.state = ProposalState.Active;
+        activeProposalCount++;
+        if (proposal.votingEnd > votingOpenUntil) {
+            votingOpenUntil = proposal.votingEnd;
+        }
         emit ProposalStateChanged(_proposalId, ProposalState.Active);
     }
 
@@ -241,6 +305,7 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
         require(proposal.state == ProposalState.Active, "Not active");
         require(block.timestamp > proposal.votingEnd, "Not ended");
 
+        activeProposalCount--;
         uint256 totalVotes = proposal.yesVotes + proposal.noVotes;
 
         if (totalVotes == 0) {
@@ -264,6 +329,7 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
                 proposal.state == ProposalState.Active,
             "Cannot cancel"
         );
+        if (proposal.state == ProposalState.Active) activeProposalCount--;
         proposal.state = ProposalState.Cancelled;
         emit ProposalStateChanged(_proposalId, ProposalState.Cancelled);
     }
@@ -287,6 +353,11 @@ contract PrivateDAOVoting is Ownable, ReentrancyGuard {
         return voterCommitments[_commitment];
     }
 
+    // Maximum number of voters the Merkle tree can hold
+    function voterCapacity() public view returns (uint256) {
+        return uint256(1) << merkleTreeDepth;
+    }
+
     // Get total number of registered voters
     function getRegisteredVoterCount() external view returns (uint256) {
         return voterCommitmentsArray.length;
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { VOTE_TREE_DEPTH } = require("zk-core");
 
 async function main() {
   console.log("Deploying ZKP Voting System (Private)...");
@@ -24,12 +25,20 @@ async function main() {
       process.exit(1);
   }
 
+  // Voter tree depth; the verifier must come from the circuit built for it
+  // (circuits/scripts/*.ps1 -Depth <n> generates VoteVerifier<n>.sol)
+  const MERKLE_TREE_DEPTH = Number(process.env.MERKLE_TREE_DEPTH || VOTE_TREE_DEPTH);
+  const verifierName = MERKLE_TREE_DEPTH === VOTE_TREE_DEPTH
+    ? "Groth16Verifier"
+    : `VoteVerifier${MERKLE_TREE_DEPTH}`;
+
   console.log("Using Reputation Manager at:", REPUTATION_MANAGER_ADDRESS);
   console.log("Using Governance Token at:", GOVERNANCE_TOKEN_ADDRESS);
+  console.log(`Voter tree depth: ${MERKLE_TREE_DEPTH} (${2 ** MERKLE_TREE_DEPTH} voters)`);
 
   // Deploy VoteVerifier (Generated from Circuit)
-  console.log("\n[1/3] Deploying VoteVerifier...");
-  const VoteVerifier = await hre.ethers.getContractFactory("Groth16Verifier");
+  console.log(`\n[1/3] Deploying VoteVerifier (${verifierName})...`);
+  const VoteVerifier = await hre.ethers.getContractFactory(verifierName);
   const verifier = await VoteVerifier.deploy();
   await verifier.waitForDeployment();
   const verifierAddress = await verifier.getAddress();
@@ -50,7 +59,8 @@ async function main() {
   const privateVoting = await PrivateDAOVoting.deploy(
     verifierAddress,
     REPUTATION_MANAGER_ADDRESS, 
-    deployer.address
+    deployer.address,
+    MERKLE_TREE_DEPTH
   );
   await privateVoting.waitForDeployment();
   const privateVotingAddress = await privateVoting.getAddress();
@@ -79,6 +89,7 @@ async function main() {
     network: hre.network.name,
     chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
     timestamp: new Date().toISOString(),
+    merkleTreeDepth: MERKLE_TREE_DEPTH,
     contracts: {
       VoteVerifier: verifierAddress,
       DIDRegistry: didRegistryAddress,
@@ -148,6 +159,7 @@ export default ZKP_CONTRACT_ADDRESSES;
   console.log(`VoteVerifier:      ${verifierAddress}`);
   console.log(`DIDRegistry:       ${didRegistryAddress}`);
   console.log(`PrivateDAOVoting:  ${privateVotingAddress}`);
+  console.log(`Tree depth:        ${MERKLE_TREE_DEPTH}`);
   console.log("=".repeat(60));
 
   if (hre.network.name === "sepolia") {
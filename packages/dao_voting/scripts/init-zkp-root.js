@@ -1,5 +1,10 @@
 const hre = require("hardhat");
-const { buildPoseidon } = require("circomlibjs");
+const {
+  getPoseidonHasher,
+  buildMerkleTree,
+  toBytes32,
+  resolveVoteTreeDepth,
+} = require("zk-core");
 
 // Helper function to retry failed requests
 async function retryAsync(fn, retries = 3, delay = 2000) {
@@ -54,45 +59,13 @@ async function main() {
   }
 
   // Build Poseidon Merkle Tree
-  console.log("\n🌳 Building Poseidon Merkle Tree...");
-  const poseidon = await buildPoseidon();
-  const MERKLE_DEPTH = 6;
-
-  // Convert hex commitments to BigInt
-  const leafBigInts = commitments.map((leaf) => {
-    const cleaned = leaf.startsWith("0x") ? leaf.slice(2) : leaf;
-    return BigInt("0x" + cleaned);
-  });
-
-  // Pad to full tree size
-  const paddedLeaves = [...leafBigInts];
-  const targetSize = 2 ** MERKLE_DEPTH;
-  while (paddedLeaves.length < targetSize) {
-    paddedLeaves.push(BigInt(0));
-  }
-
-  // Build tree level by level
-  let currentLevel = paddedLeaves;
-  const tree = [currentLevel];
-
-  for (let level = 0; level < MERKLE_DEPTH; level++) {
-    const nextLevel = [];
-    for (let i = 0; i < currentLevel.length; i += 2) {
-      const left = currentLevel[i];
-      const right = currentLevel[i + 1];
-
-      // Hash using Poseidon
-      const hash = poseidon([left, right]);
-      const hashBigInt = poseidon.F.toString(hash);
-      nextLevel.push(BigInt(hashBigInt));
-    }
-    currentLevel = nextLevel;
-    tree.push(currentLevel);
-  }
-
-  // Get the root (top of tree)
-  const calculatedRootBigInt = tree[tree.length - 1][0];
-  const calculatedRoot = "0x" + calculatedRootBigInt.toString(16).padStart(64, "0");
+  const depth = await retryAsync(() =>
+    resolveVoteTreeDepth(() => PrivateDAOVoting.merkleTreeDepth())
+  );
+  console.log(`\n🌳 Building Poseidon Merkle Tree (Depth ${depth})...`);
+  const hash = await getPoseidonHasher();
+  const tree = buildMerkleTree(commitments, { depth, hash });
+  const calculatedRoot = toBytes32(tree.root());
 
   console.log("\nCalculated Merkle Root:", calculatedRoot);
 
@@ -2,10 +2,19 @@ const hre = require("hardhat");
 const { ethers } = require("hardhat");
 const fs = require("fs");
 const path = require("path");
-const { buildPoseidon } = require("circomlibjs"); // REQUIRED
+const {
+  getPoseidonHasher,
+  computeCommitment,
+  deriveVoterSecret,
+  voterSalt,
+  SECRET_KDF,
+  buildMerkleTree,
+  toBytes32,
+  resolveVoteTreeDepth,
+} = require("zk-core");
 
 async function main() {
-  console.log("Starting Admin Private Voting Registration (Poseidon + Depth 6)...\n");
+  console.log("Starting Admin Private Voting Registration (Poseidon)...\n");
 
   const DID_REGISTRY_ADDR = process.env.DID_REGISTRY_ADDRESS;
   const PRIVATE_VOTING_ADDR = process.env.PRIVATE_DAO_VOTING_ADDRESS;
@@ -23,41 +32,51 @@ async function main() {
 
   const DIDRegistry = await hre.ethers.getContractAt("DIDRegistry", DID_REGISTRY_ADDR);
   const PrivateDAOVoting = await hre.ethers.getContractAt("PrivateDAOVoting", PRIVATE_VOTING_ADDR);
+  const depth = await resolveVoteTreeDepth(() => PrivateDAOVoting.merkleTreeDepth());
 
   // --- 1. SETUP POSEIDON ---
-  const poseidon = await buildPoseidon();
-  const F = poseidon.F; // Field arithmetic
-
-  // Helper to match Frontend Logic
-  const stringToNumber = (str) => {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      hash = ((hash << 5) - hash) + str.charCodeAt(i);
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
-  };
+  const hash = await getPoseidonHasher();
 
   // --- 2. GENERATE IDENTITY (SECRET & COMMITMENT) ---
   const SECRET_STRING = "Yasuri"; // Change this if you want
-  const SECRET_NUMBER = stringToNumber(SECRET_STRING);
   
-  console.log("\n🔐 Generating Identity...");
-  // FIX: Use Poseidon Hash for Commitment
-  const poseidonHash = poseidon([SECRET_NUMBER]);
-  const commitment = "0x" + BigInt(F.toString(poseidonHash)).toString(16).padStart(64, "0");
+  console.log("\n🔐 Generating Identity (Argon2id, a few seconds)...");
+  // Same derivation as the frontend, so the admin can vote from the UI
+  const SECRET_NUMBER = await deriveVoterSecret(SECRET_STRING, voterSalt(admin.address));
+  const commitment = toBytes32(computeCommitment(hash, SECRET_NUMBER));
   
   console.log("Secret String:", SECRET_STRING);
   console.log("Commitment (Poseidon):", commitment);
 
-  // --- 3. GENERATE ISSUER SIGNATURE ---
+  // --- 3. GENERATE ISSUER CREDENTIAL (EIP-712) ---
   // Since we are the admin, we likely set ourselves as the 'Trusted Issuer' in the constructor.
-  // We sign our own address to approve ourselves.
-  console.log("\n✍️  Generating Issuer Signature...");
-  
-  const messageHash = ethers.solidityPackedKeccak256(["address"], [admin.address]);
-  const messageBytes = ethers.getBytes(messageHash);
-  const signature = await admin.signMessage(messageBytes);
+  // We sign a typed credential bound to this chain, registry, commitment and nonce.
+  console.log("\n✍️  Generating Issuer Credential...");
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const nonce = await DIDRegistry.nonces(admin.address);
+  const expiry = Math.floor(Date.now() / 1000) + 3600;
+
+  const domain = {
+    name: "DIDRegistry",
+    version: "1",
+    chainId,
+    verifyingContract: DID_REGISTRY_ADDR,
+  };
+  const types = {
+    VoterCredential: [
+      { name: "subject", type: "address" },
+      { name: "commitment", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  };
+  const signature = await admin.signTypedData(domain, types, {
+    subject: admin.address,
+    commitment,
+    nonce,
+    expiry,
+  });
   
   console.log("Signature:", signature);
 
@@ -68,45 +87,24 @@ async function main() {
   if (hasRegistered) {
     console.log("Already registered. Skipping transaction.");
   } else {
+    const capacity = 2 ** depth;
+    if (Number(await PrivateDAOVoting.getRegisteredVoterCount()) >= capacity) {
+      throw new Error(`Voter tree is full (${capacity} voters at depth ${depth})`);
+    }
     console.log("\n📝 Registering on Blockchain...");
-    // FIX: Pass Signature
-    const tx = await DIDRegistry.registerVoterForDAO(commitment, signature);
+    // FIX: Pass Typed Credential
+    const tx = await DIDRegistry.registerVoterForDAO(commitment, nonce, expiry, signature);
     await tx.wait();
     console.log("Registration Confirmed!");
   }
 
   // --- 5. BUILD MERKLE TREE (OFF-CHAIN CALCULATION) ---
-  const MERKLE_TREE_DEPTH = 6; // FIX: Depth 6
-  console.log(`\n🌳 Building Merkle Tree (Depth ${MERKLE_TREE_DEPTH})...`);
+  console.log(`\n🌳 Building Merkle Tree (Depth ${depth})...`);
   
   // Get all commitments
   const commitmentsArr = await PrivateDAOVoting.getAllVoterCommitments();
-  
-  // Convert to BigInts for Poseidon
-  let leaves = commitmentsArr.map(c => BigInt(c));
-  
-  // Pad with Zero Hashes (0)
-  const targetSize = 2 ** MERKLE_TREE_DEPTH;
-  while (leaves.length < targetSize) {
-    leaves.push(0n);
-  }
-
-  // Calculate Tree
-  let currentLevel = leaves;
-  for (let i = 0; i < MERKLE_TREE_DEPTH; i++) {
-    const nextLevel = [];
-    for (let j = 0; j < currentLevel.length; j += 2) {
-      const left = currentLevel[j];
-      const right = currentLevel[j + 1];
-      // FIX: Use Poseidon for Tree Nodes
-      const hash = poseidon([left, right]); 
-      nextLevel.push(BigInt(F.toString(hash)));
-    }
-    currentLevel = nextLevel;
-  }
-
-  const merkleRootBigInt = currentLevel[0];
-  const merkleRootHex = "0x" + merkleRootBigInt.toString(16).padStart(64, "0");
+  const tree = buildMerkleTree(commitmentsArr, { depth, hash });
+  const merkleRootHex = toBytes32(tree.root());
   
   console.log("Calculated Root:", merkleRootHex);
 
@@ -129,6 +127,7 @@ async function main() {
     commitment: commitment,
     merkleRoot: merkleRootHex,
     address: admin.address,
+    kdf: SECRET_KDF,
     timestamp: new Date().toISOString(),
     note: "Generated by register-admin-voter.js"
   };
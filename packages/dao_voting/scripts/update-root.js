@@ -1,18 +1,38 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
-const { buildPoseidon } = require("circomlibjs");
+const {
+  getPoseidonHasher,
+  restoreMerkleTree,
+  syncMerkleTree,
+  toBytes32,
+  resolveVoteTreeDepth,
+} = require("zk-core");
+
+// Tree from the previous run against this contract, or null
+function loadSavedTree(file, hash) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return restoreMerkleTree(JSON.parse(fs.readFileSync(file, "utf8")), { hash });
+  } catch (err) {
+    console.log("Ignoring saved tree:", err.message);
+    return null;
+  }
+}
 
 async function main() {
   const PRIVATE_VOTING_ADDR = process.env.PRIVATE_DAO_VOTING_ADDRESS;
   const [admin] = await hre.ethers.getSigners();
   
-  console.log("🔄 Updating Merkle Root with Poseidon Hashing (Depth 6)...\n");
+  const PrivateDAOVoting = await hre.ethers.getContractAt("PrivateDAOVoting", PRIVATE_VOTING_ADDR);
+  const depth = await resolveVoteTreeDepth(() => PrivateDAOVoting.merkleTreeDepth());
+
+  console.log(`🔄 Updating Merkle Root with Poseidon Hashing (Depth ${depth})...\n`);
   console.log("Admin:", admin.address);
   console.log("Contract:", PRIVATE_VOTING_ADDR);
   console.log("=".repeat(60) + "\n");
   
-  const PrivateDAOVoting = await hre.ethers.getContractAt("PrivateDAOVoting", PRIVATE_VOTING_ADDR);
-  
   // Fetch all commitments
   const voterCount = await PrivateDAOVoting.getRegisteredVoterCount();
   console.log("📊 Total registered voters:", Number(voterCount));
@@ -30,56 +50,28 @@ async function main() {
   }
   
   console.log("\n🔧 Building Poseidon Merkle Tree...");
-  
-  // Initialize Poseidon
-  const poseidon = await buildPoseidon();
-  const F = poseidon.F; // Field arithmetic
-  
-  // Convert hex commitments to BigInt
-  const leafBigInts = commitments.map(leaf => {
-    const cleaned = leaf.startsWith("0x") ? leaf.slice(2) : leaf;
-    return BigInt("0x" + cleaned);
-  });
-  
-  // Pad to full tree size (Depth 6 = 64 leaves)
-  const DEPTH = 6; // UPDATED TO 6
-  const targetSize = 2 ** DEPTH;
-  const paddedLeaves = [...leafBigInts];
-  
-  while (paddedLeaves.length < targetSize) {
-    paddedLeaves.push(BigInt(0));
-  }
-  
-  console.log(`  Tree depth: ${DEPTH}`);
-  console.log(`  Padded leaves: ${paddedLeaves.length}`);
-  
-  // Build tree using Poseidon
-  let currentLevel = paddedLeaves;
-  
-  for (let level = 0; level < DEPTH; level++) {
-    const nextLevel = [];
-    for (let i = 0; i < currentLevel.length; i += 2) {
-      const left = currentLevel[i];
-      const right = currentLevel[i + 1];
-      
-      // Hash using Poseidon
-      const hash = poseidon([left, right]);
-      
-      // Ensure we convert the Field Element back to BigInt correctly
-      const hashBigInt = BigInt(F.toString(hash));
-      nextLevel.push(hashBigInt);
-    }
-    currentLevel = nextLevel;
-    
-    // Log progress for first few levels
-    if (level < 3) {
-      console.log(`  Level ${level + 1}: ${nextLevel.length} nodes`);
-    }
+
+  // Same padded tree vote.circom verifies (see packages/zk-core), resumed
+  // from the last run so only newly registered voters are hashed
+  const hash = await getPoseidonHasher();
+  const { chainId } = await ethers.provider.getNetwork();
+  const stateFile = path.join(
+    hre.config.paths.cache,
+    `voter-tree-${chainId}-${PRIVATE_VOTING_ADDR.toLowerCase()}.json`
+  );
+  const saved = loadSavedTree(stateFile, hash);
+  const savedSize = saved ? saved.size() : 0;
+  const tree = syncMerkleTree(saved, commitments, { depth, hash });
+  const merkleRoot = toBytes32(tree.root());
+
+  if (tree === saved) {
+    console.log(`  Resumed saved tree, hashed ${tree.size() - savedSize} new leaves`);
   }
-  
-  // Convert root to hex
-  const merkleRootBigInt = currentLevel[0];
-  const merkleRoot = '0x' + merkleRootBigInt.toString(16).padStart(64, '0');
+  fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+  fs.writeFileSync(stateFile, JSON.stringify(tree));
+
+  console.log(`  Tree depth: ${depth}`);
+  console.log(`  Leaves: ${tree.size()} of ${tree.capacity}`);
   
   console.log("\nCalculated Poseidon Root:", merkleRoot);
   
@@ -0,0 +1,275 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { timeHelpers } = require("../helpers/testHelpers");
+
+describe("DIDRegistry Unit Tests", function () {
+  let didRegistry, privateVoting;
+  let owner, issuer, voter, attacker;
+
+  const COMMITMENT = ethers.zeroPadValue("0x1234", 32);
+  const CREDENTIAL_TYPES = {
+    VoterCredential: [
+      { name: "subject", type: "address" },
+      { name: "commitment", type: "bytes32" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  };
+
+  async function deployRegistry() {
+    const DIDRegistry = await ethers.getContractFactory("DIDRegistry");
+    const registry = await DIDRegistry.deploy(owner.address);
+    await registry.waitForDeployment();
+    return registry;
+  }
+
+  async function signCredential(signer, registry, overrides = {}) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const credential = {
+      subject: voter.address,
+      commitment: COMMITMENT,
+      nonce: await registry.nonces(voter.address),
+      expiry: (await timeHelpers.getCurrentTime()) + timeHelpers.HOUR,
+      ...overrides,
+    };
+    const domain = {
+      name: "DIDRegistry",
+      version: "1",
+      chainId,
+      verifyingContract: await registry.getAddress(),
+    };
+    const signature = await signer.signTypedData(
+      domain,
+      CREDENTIAL_TYPES,
+      credential
+    );
+    return { ...credential, signature };
+  }
+
+  const register = (registry, caller, credential) =>
+    registry
+      .connect(caller)
+      .registerVoterForDAO(
+        credential.commitment,
+        credential.nonce,
+        credential.expiry,
+        credential.signature
+      );
+
+  beforeEach(async function () {
+    [owner, issuer, voter, attacker] = await ethers.getSigners();
+
+    const Verifier = await ethers.getContractFactory("Groth16Verifier");
+    const verifier = await Verifier.deploy();
+    await verifier.waitForDeployment();
+
+    const ReputationManager = await ethers.getContractFactory(
+      "ReputationManager"
+    );
+    const reputationManager = await ReputationManager.deploy(owner.address);
+    await reputationManager.waitForDeployment();
+
+    const PrivateDAOVoting = await ethers.getContractFactory(
+      "PrivateDAOVoting"
+    );
+    privateVoting = await PrivateDAOVoting.deploy(
+      await verifier.getAddress(),
+      await reputationManager.getAddress(),
+      owner.address,
+      6
+    );
+    await privateVoting.waitForDeployment();
+
+    didRegistry = await deployRegistry();
+    await didRegistry.setPrivateVotingContract(await privateVoting.getAddress());
+    await didRegistry.setTrustedIssuer(issuer.address);
+    await privateVoting.setDIDRegistry(await didRegistry.getAddress());
+  });
+
+  describe("EIP-712 Credentials", function () {
+    it("Should register a voter with a valid issuer credential", async function () {
+      const credential = await signCredential(issuer, didRegistry);
+
+      await expect(register(didRegistry, voter, credential))
+        .to.emit(didRegistry, "VotingRegistrationSuccess")
+        .withArgs(voter.address, COMMITMENT);
+
+      expect(await didRegistry.hasRegisteredForVoting(voter.address)).to.be
+        .true;
+      expect(await didRegistry.nonces(voter.address)).to.equal(1);
+      expect(await privateVoting.isCommitmentRegistered(COMMITMENT)).to.be
+        .true;
+    });
+
+    it("Should reject credentials not signed by the trusted issuer", async function () {
+      const credential = await signCredential(attacker, didRegistry);
+
+      await expect(
+        register(didRegistry, voter, credential)
+      ).to.be.revertedWith("Invalid Credential: Not signed by Trusted Issuer");
+    });
+
+    it("Should reject expired credentials", async function () {
+      const credential = await signCredential(issuer, didRegistry);
+      await timeHelpers.increaseTime(timeHelpers.HOUR + 1);
+
+      await expect(
+        register(didRegistry, voter, credential)
+      ).to.be.revertedWith("Invalid Credential: Expired");
+    });
+
+    it("Should reject a credential used by a different wallet", async function () {
+      const credential = await signCredential(issuer, didRegistry);
+
+      await expect(
+        register(didRegistry, attacker, credential)
+      ).to.be.revertedWith("Invalid Credential: Not signed by Trusted Issuer");
+    });
+
+    it("Should reject a credential submitted with a different commitment", async function () {
+      const credential = await signCredential(issuer, didRegistry);
+
+      await expect(
+        register(didRegistry, voter, {
+          ...credential,
+          commitment: ethers.zeroPadValue("0x5678", 32),
+        })
+      ).to.be.revertedWith("Invalid Credential: Not signed by Trusted Issuer");
+    });
+
+    it("Should reject a credential replayed against another registry", async function () {
+      const otherRegistry = await deployRegistry();
+      await otherRegistry.setTrustedIssuer(issuer.address);
+      const credential = await signCredential(issuer, otherRegistry);
+
+      await expect(
+        register(didRegistry, voter, credential)
+      ).to.be.revertedWith("Invalid Credential: Not signed by Trusted Issuer");
+    });
+
+    it("Should reject a credential with a stale nonce", async function () {
+      const credential = await signCredential(issuer, didRegistry, {
+        nonce: 5n,
+      });
+
+      await expect(
+        register(didRegistry, voter, credential)
+      ).to.be.revertedWithCustomError(didRegistry, "InvalidAccountNonce");
+    });
+
+    it("Should prevent registering twice", async function () {
+      await register(
+        didRegistry,
+        voter,
+        await signCredential(issuer, didRegistry)
+      );
+      const second = await signCredential(issuer, didRegistry, {
+        commitment: ethers.zeroPadValue("0x5678", 32),
+      });
+
+      await expect(register(didRegistry, voter, second)).to.be.revertedWith(
+        "Sybil Attack: Already registered for voting"
+      );
+    });
+  });
+
+  describe("Issuer Rotation", function () {
+    it("Should keep accepting the outgoing key until its validity ends", async function () {
+      const pending = await signCredential(issuer, didRegistry);
+
+      // Rotate: attacker stands in for the new key
+      await didRegistry.setTrustedIssuer(attacker.address);
+      await didRegistry.authorizeIssuer(issuer.address);
+      const validUntil =
+        (await timeHelpers.getCurrentTime()) + timeHelpers.HOUR;
+      await expect(didRegistry.setIssuerValidUntil(issuer.address, validUntil))
+        .to.emit(didRegistry, "IssuerValidityUpdated")
+        .withArgs(issuer.address, validUntil);
+
+      expect(await didRegistry.isActiveIssuer(issuer.address)).to.be.true;
+      expect(await didRegistry.isActiveIssuer(attacker.address)).to.be.true;
+      await expect(register(didRegistry, voter, pending)).to.emit(
+        didRegistry,
+        "VotingRegistrationSuccess"
+      );
+
+      await timeHelpers.increaseTime(timeHelpers.HOUR + 1);
+      expect(await didRegistry.isActiveIssuer(issuer.address)).to.be.false;
+      const late = await signCredential(issuer, didRegistry, {
+        subject: owner.address,
+        nonce: await didRegistry.nonces(owner.address),
+      });
+      await expect(register(didRegistry, owner, late)).to.be.revertedWith(
+        "Invalid Credential: Not signed by Trusted Issuer"
+      );
+    });
+
+    it("Should stop accepting a revoked issuer and guard the issuer set", async function () {
+      await didRegistry.authorizeIssuer(attacker.address);
+      expect(await didRegistry.isActiveIssuer(attacker.address)).to.be.true;
+
+      await didRegistry.revokeIssuer(attacker.address);
+      await expect(
+        register(
+          didRegistry,
+          voter,
+          await signCredential(attacker, didRegistry)
+        )
+      ).to.be.revertedWith("Invalid Credential: Not signed by Trusted Issuer");
+
+      await expect(
+        didRegistry.setIssuerValidUntil(attacker.address, 1)
+      ).to.be.revertedWith("Not authorized");
+      await expect(
+        didRegistry.connect(attacker).authorizeIssuer(attacker.address)
+      ).to.be.revertedWithCustomError(
+        didRegistry,
+        "OwnableUnauthorizedAccount"
+      );
+      expect(await didRegistry.isActiveIssuer(ethers.ZeroAddress)).to.be.false;
+    });
+  });
+
+  describe("Re-commitment", function () {
+    const NEW_COMMITMENT = ethers.zeroPadValue("0x5678", 32);
+
+    it("Should move a registered voter to a new commitment", async function () {
+      await register(
+        didRegistry,
+        voter,
+        await signCredential(issuer, didRegistry)
+      );
+      expect(await didRegistry.voterCommitmentOf(voter.address)).to.equal(
+        COMMITMENT
+      );
+
+      await expect(didRegistry.connect(voter).recommitVoter(NEW_COMMITMENT))
+        .to.emit(didRegistry, "VoterRecommitted")
+        .withArgs(voter.address, COMMITMENT, NEW_COMMITMENT)
+        .and.to.emit(privateVoting, "VoterReplaced")
+        .withArgs(COMMITMENT, NEW_COMMITMENT, 0);
+
+      expect(await didRegistry.voterCommitmentOf(voter.address)).to.equal(
+        NEW_COMMITMENT
+      );
+      expect(await privateVoting.getAllVoterCommitments()).to.deep.equal([
+        NEW_COMMITMENT,
+      ]);
+    });
+
+    it("Should only let registered voters re-commit", async function () {
+      await expect(
+        didRegistry.connect(attacker).recommitVoter(NEW_COMMITMENT)
+      ).to.be.revertedWith("Not registered for voting");
+
+      await register(
+        didRegistry,
+        voter,
+        await signCredential(issuer, didRegistry)
+      );
+      await expect(
+        didRegistry.connect(voter).recommitVoter(COMMITMENT)
+      ).to.be.revertedWith("Commitment unchanged");
+    });
+  });
+});
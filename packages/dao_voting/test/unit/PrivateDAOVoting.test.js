@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { timeHelpers } = require("../helpers/testHelpers");
+
+describe("PrivateDAOVoting Unit Tests", function () {
+  let verifier, reputationManager;
+  let owner, registrar;
+
+  const commitment = (i) => ethers.zeroPadValue(ethers.toBeHex(i + 1), 32);
+
+  async function deployVoting(depth) {
+    const PrivateDAOVoting = await ethers.getContractFactory(
+      "PrivateDAOVoting"
+    );
+    const voting = await PrivateDAOVoting.deploy(
+      await verifier.getAddress(),
+      await reputationManager.getAddress(),
+      owner.address,
+      depth
+    );
+    await voting.waitForDeployment();
+    return voting;
+  }
+
+  beforeEach(async function () {
+    [owner, registrar] = await ethers.getSigners();
+
+    const Verifier = await ethers.getContractFactory("Groth16Verifier");
+    verifier = await Verifier.deploy();
+    await verifier.waitForDeployment();
+
+    const ReputationManager = await ethers.getContractFactory(
+      "ReputationManager"
+    );
+    reputationManager = await ReputationManager.deploy(owner.address);
+    await reputationManager.waitForDeployment();
+  });
+
+  describe("Merkle Tree Depth", function () {
+    it("Should expose the tree depth and voter capacity", async function () {
+      const voting = await deployVoting(20);
+
+      expect(await voting.merkleTreeDepth()).to.equal(20);
+      expect(await voting.voterCapacity()).to.equal(2n ** 20n);
+    });
+
+    it("Should reject a depth of zero or above 32", async function () {
+      for (const depth of [0, 33]) {
+        await expect(deployVoting(depth)).to.be.revertedWith(
+          "Invalid tree depth"
+        );
+      }
+    });
+
+    it("Should refuse to register voters past the tree's capacity", async function () {
+      const voting = await deployVoting(2);
+      await voting.setDIDRegistry(registrar.address);
+
+      for (let i = 0; i < 4; i++) {
+        await voting.connect(registrar).registerVoter(commitment(i));
+      }
+
+      await expect(
+        voting.connect(registrar).registerVoter(commitment(4))
+      ).to.be.revertedWith("Voter tree is full");
+      expect(await voting.getRegisteredVoterCount()).to.equal(4);
+    });
+
+    it("Should refuse batch registrations that overflow the tree", async function () {
+      const voting = await deployVoting(1);
+
+      await expect(
+        voting.batchRegisterVoters([0, 1, 2].map(commitment))
+      ).to.be.revertedWith("Voter tree is full");
+
+      await voting.batchRegisterVoters([0, 1].map(commitment));
+      expect(await voting.getRegisteredVoterCount()).to.equal(2);
+    });
+  });
+
+  describe("Re-commitment", function () {
+    let voting;
+
+    beforeEach(async function () {
+      voting = await deployVoting(2);
+      await voting.setDIDRegistry(registrar.address);
+      await voting.setMinReputationToPropose(0);
+      for (let i = 0; i < 3; i++) {
+        await voting.connect(registrar).registerVoter(commitment(i));
+      }
+    });
+
+    it("Should replace a commitment in its own leaf", async function () {
+      await expect(
+        voting.connect(registrar).replaceVoter(commitment(1), commitment(9))
+      )
+        .to.emit(voting, "VoterReplaced")
+        .withArgs(commitment(1), commitment(9), 1);
+
+      expect(await voting.getAllVoterCommitments()).to.deep.equal([
+        commitment(0),
+        commitment(9),
+        commitment(2),
+      ]);
+      expect(await voting.isCommitmentRegistered(commitment(1))).to.be.false;
+      expect(await voting.isCommitmentRegistered(commitment(9))).to.be.true;
+
+      // The moved commitment can be replaced again from its new slot
+      await voting.connect(registrar).replaceVoter(commitment(9), commitment(8));
+      expect(await voting.getVoterCommitmentByIndex(1)).to.equal(commitment(8));
+    });
+
+    it("Should reject unknown, duplicate or unauthorized replacements", async function () {
+      await expect(
+        voting.connect(registrar).replaceVoter(commitment(7), commitment(8))
+      ).to.be.revertedWith("Not registered");
+      await expect(
+        voting.connect(registrar).replaceVoter(commitment(0), commitment(2))
+      ).to.be.revertedWith("Already registered");
+      await expect(
+        voting.connect(registrar).replaceVoter(commitment(0), ethers.ZeroHash)
+      ).to.be.revertedWith("Invalid commitment");
+      await expect(voting.replaceVoter(commitment(0), commitment(8))).to.be
+        .reverted;
+    });
+
+    it("Should refuse re-commits while a proposal is active", async function () {
+      await voting.updateVoterSetRoot(commitment(0));
+      await voting.submitProposal("Title", "Description", 0);
+      await timeHelpers.increaseTime(timeHelpers.HOUR + 1);
+      await voting.startVoting(1);
+
+      await expect(
+        voting.connect(registrar).replaceVoter(commitment(0), commitment(8))
+      ).to.be.revertedWith("Cannot re-commit during a vote");
+
+      await timeHelpers.increaseTime(timeHelpers.WEEK + 1);
+      await voting.finalizeProposal(1);
+      expect(await voting.activeProposalCount()).to.equal(0);
+      await voting.connect(registrar).replaceVoter(commitment(0), commitment(8));
+    });
+
+    it("Should allow re-commits once voting ended on an unfinalized proposal", async function () {
+      await voting.updateVoterSetRoot(commitment(0));
+      await voting.submitProposal("Title", "Description", 0);
+      await timeHelpers.increaseTime(timeHelpers.HOUR + 1);
+      await voting.startVoting(1);
+      expect(await voting.canReplaceVoters()).to.be.false;
+
+      await timeHelpers.increaseTime(timeHelpers.WEEK + 1);
+      expect(await voting.activeProposalCount()).to.equal(1);
+      expect(await voting.canReplaceVoters()).to.be.true;
+      await voting.connect(registrar).replaceVoter(commitment(0), commitment(8));
+      expect(await voting.getVoterCommitmentByIndex(0)).to.equal(commitment(8));
+    });
+  });
+});
@@ -2,7 +2,12 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const snarkjs = require("snarkjs");
 const path = require("path");
-const { buildPoseidon } = require("circomlibjs");
+const {
+    getPoseidonHasher,
+    buildMerkleTree,
+    VOTE_TREE_DEPTH,
+    voteCircuitArtifacts,
+} = require("zk-core");
 
 describe("PrivateDAOVoting ZKP Integration", function () {
     // Increase timeout for ZK proof generation (can be slow)
@@ -10,17 +15,19 @@ describe("PrivateDAOVoting ZKP Integration", function () {
 
     let votingContract;
     let verifierContract;
+    let reputationManager;
     let owner;
     let voter;
-    let poseidon;
+    let hash;
 
-    // Paths to circuit artifacts
-    const BUILD_DIR = path.join(__dirname, "../../circuits/build/vote");
-    const WASM_PATH = path.join(BUILD_DIR, "vote_js/vote.wasm");
-    const ZKEY_PATH = path.join(BUILD_DIR, "vote_final.zkey");
+    // Paths to circuit artifacts (the compiled circuit the frontend serves)
+    const BUILD_DIR = path.join(__dirname, "../../../frontend/public/circuits");
+    const { wasm, zkey } = voteCircuitArtifacts(VOTE_TREE_DEPTH);
+    const WASM_PATH = path.join(BUILD_DIR, wasm);
+    const ZKEY_PATH = path.join(BUILD_DIR, zkey);
 
     before(async function () {
-        poseidon = await buildPoseidon();
+        hash = await getPoseidonHasher();
     });
 
     beforeEach(async function () {
@@ -32,42 +39,29 @@ describe("PrivateDAOVoting ZKP Integration", function () {
         verifierContract = await Verifier.deploy();
         await verifierContract.waitForDeployment();
 
-        // 2. Deploy Voting Contract
+        // 2. Deploy Reputation Manager
+        const ReputationManager = await ethers.getContractFactory("ReputationManager");
+        reputationManager = await ReputationManager.deploy(owner.address);
+        await reputationManager.waitForDeployment();
+
+        // 3. Deploy Voting Contract, with the tree depth the circuit was built for
         const PrivateDAOVoting = await ethers.getContractFactory("PrivateDAOVoting");
-        votingContract = await PrivateDAOVoting.deploy(await verifierContract.getAddress(), owner.address);
+        votingContract = await PrivateDAOVoting.deploy(
+            await verifierContract.getAddress(),
+            await reputationManager.getAddress(),
+            owner.address,
+            VOTE_TREE_DEPTH
+        );
         await votingContract.waitForDeployment();
-    });
 
-    // Helper: Hash function matching the circuit (Poseidon)
-    function hash(inputs) {
-        return BigInt(poseidon.F.toString(poseidon(inputs)));
-    }
+        // The owner has no reputation yet; let it propose
+        await votingContract.setMinReputationToPropose(0);
+    });
 
-    // Helper: Generate Merkle Proof (Simplified for testing)
+    // Helper: Merkle proof from the same padded tree the contract root uses
     function generateMerkleProof(leaves, index) {
-        // We create a sparse tree for testing where other leaves are 0
-        const pathElements = new Array(20).fill(0n);
-        const pathIndices = new Array(20).fill(0);
-        
-        let curr = index;
-        for (let i = 0; i < 20; i++) {
-            pathIndices[i] = curr % 2;
-            curr = Math.floor(curr / 2);
-        }
-        
-        // Calculate root manually
-        let currentLevelHash = leaves[index];
-        for (let i = 0; i < 20; i++) {
-             if (pathIndices[i] === 0) {
-                 // Sibling is right
-                 currentLevelHash = hash([currentLevelHash, BigInt(0)]);
-             } else {
-                 // Sibling is left
-                 currentLevelHash = hash([BigInt(0), currentLevelHash]);
-             }
-        }
-        
-        return { pathElements, pathIndices, root: currentLevelHash };
+        const tree = buildMerkleTree(leaves, { depth: VOTE_TREE_DEPTH, hash });
+        return { ...tree.proof(index), root: tree.root() };
     }
 
     it("Should execute a full private voting cycle with Real ZK Proofs", async function () {
@@ -75,7 +69,7 @@ describe("PrivateDAOVoting ZKP Integration", function () {
 
         // --- 1. Setup Proposal & Voter ---
         const secret = 123456n;
-        const commitment = hash([secret]);
+        const commitment = hash(secret);
         
         // Generate Merkle Proof for the voter
         const { root, pathElements, pathIndices } = generateMerkleProof([commitment], 0);
@@ -85,7 +79,7 @@ describe("PrivateDAOVoting ZKP Integration", function () {
         await votingContract.updateVoterSetRoot(rootHex);
 
         // Create Proposal
-        await votingContract.submitProposal("ZKP Test Proposal", "Testing integration");
+        await votingContract.submitProposal("ZKP Test Proposal", "Testing integration", 0);
         const proposalId = 1;
 
         // Move time forward to start voting period
@@ -147,12 +141,12 @@ describe("PrivateDAOVoting ZKP Integration", function () {
     it("Should prevent double voting using Nullifiers", async function () {
         // Setup same voter again
         const secret = 999n;
-        const commitment = hash([secret]);
+        const commitment = hash(secret);
         const { root, pathElements, pathIndices } = generateMerkleProof([commitment], 0);
         
         const rootHex = "0x" + root.toString(16).padStart(64, "0");
         await votingContract.updateVoterSetRoot(rootHex);
-        await votingContract.submitProposal("Double Vote", "Desc");
+        await votingContract.submitProposal("Double Vote", "Desc", 0);
         
         await ethers.provider.send("evm_increaseTime", [3601]);
         await ethers.provider.send("evm_mine");
@@ -1,9 +1,9 @@
-/* global BigInt */
 import React, { useState, useEffect } from "react";
 import { useAccount } from "wagmi";
 import { useContract } from "../../../hooks/useContract"; 
 import PrivateDAOVotingABI from "../../../abis/PrivateDAOVoting.json"; 
-import { buildPoseidon } from "circomlibjs";
+import { toBytes32 } from "zk-core";
+import { syncVoterTree } from "../../../utils/zkpUtils";
 import Button from '../../common/Button/Button';
 import Alert from "../../common/Alert/Alert";
 import "./RootSync.css";
@@ -54,39 +54,11 @@ const RootSync = () => {
     }
   };
 
-  // 2. Merkle Tree Logic
+  // 2. Merkle Tree Logic (shared with the backend and scripts, see zk-core);
+  // the tree is resumed from this browser's last check
   const calculateMerkleRoot = async (leaves) => {
-    const poseidon = await buildPoseidon();
-    const MERKLE_DEPTH = 6; 
-
-    // Convert to BigInt
-    const leafBigInts = leaves.map((leaf) => {
-      const cleaned = leaf.startsWith("0x") ? leaf.slice(2) : leaf;
-      return BigInt("0x" + cleaned);
-    });
-
-    // Pad leaves
-    const paddedLeaves = [...leafBigInts];
-    const targetSize = 2 ** MERKLE_DEPTH;
-    while (paddedLeaves.length < targetSize) {
-      paddedLeaves.push(0n);
-    }
-
-    // Build Tree
-    let currentLevel = paddedLeaves;
-    for (let i = 0; i < MERKLE_DEPTH; i++) {
-      const nextLevel = [];
-      for (let j = 0; j < currentLevel.length; j += 2) {
-        const left = currentLevel[j];
-        const right = currentLevel[j + 1];
-        const hash = poseidon([left, right]);
-        const hashStr = poseidon.F.toString(hash);
-        nextLevel.push(BigInt(hashStr));
-      }
-      currentLevel = nextLevel;
-    }
-
-    return "0x" + currentLevel[0].toString(16).padStart(64, "0");
+    const tree = await syncVoterTree(daoContract, leaves);
+    return toBytes32(tree.root());
   };
 
   // 3. The Sync Action
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import Button from '../Button/Button';
+import { useToast } from '../../../context/ToastContext';
+import { isProduction } from '../../../config/environment';
+import { fetchFaucetStatus, requestTestTokens } from '../../../services/api/faucetService';
+import { formatTokenAmount } from '../../../utils/formatters';
+import './FaucetButton.css';
+
+/**
+ * "Get test tokens" — asks the backend faucet to mint governance tokens to
+ * `address`. Always disabled on production networks, and whenever the
+ * backend reports its faucet as off.
+ */
+const FaucetButton = ({ address, onFunded }) => {
+  const toast = useToast();
+  const [faucet, setFaucet] = useState(null);
+  const [requesting, setRequesting] = useState(false);
+
+  useEffect(() => {
+    if (isProduction) return;
+    fetchFaucetStatus()
+      .then(setFaucet)
+      .catch(() => setFaucet({ enabled: false }));
+  }, []);
+
+  const handleRequest = async () => {
+    setRequesting(true);
+    try {
+      const result = await requestTestTokens(address);
+      toast.success(
+        `${formatTokenAmount(result.amount)} GOV sent to your wallet.`,
+        'Test Tokens Sent'
+      );
+      onFunded?.(result);
+    } catch (err) {
+      toast.error(err.message, 'Faucet Unavailable');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  const available = !isProduction && faucet?.enabled;
+
+  return (
+    <div className="faucet-button">
+      <Button
+        variant="secondary"
+        onClick={handleRequest}
+        loading={requesting}
+        disabled={!available || !address}
+      >
+        🚰 Get test tokens
+      </Button>
+      {!available && (
+        <span className="faucet-button-note">
+          {isProduction
+            ? 'Test tokens are not available on this network.'
+            : 'The test token faucet is not enabled on this backend.'}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default FaucetButton;
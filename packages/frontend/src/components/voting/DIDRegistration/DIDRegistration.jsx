@@ -1,18 +1,28 @@
 /* global BigInt */
 import React, { useState, useEffect } from "react";
-import { useAccount } from "wagmi";
+import { useAccount, useSignMessage, useSignTypedData } from "wagmi";
 import { useContract } from "../../../hooks/useContract";
 import DIDRegistryABI from "../../../abis/DIDRegistry.json";
 import PrivateDAOVotingABI from "../../../abis/PrivateDAOVoting.json";
 import Button from "../../common/Button/Button";
 import Card from "../../common/Card/Card";
-import { buildPoseidon } from "circomlibjs";
+import FaucetButton from "../../common/FaucetButton/FaucetButton";
+import { toBytes32, SECRET_KDF } from "zk-core";
+import {
+  syncVoterTree,
+  getVoteTreeDepth,
+  deriveVoterIdentity,
+  deriveWalletVoterIdentity,
+  matchVoterIdentity,
+} from "../../../utils/zkpUtils";
 import { useToast } from "../../../context/ToastContext";
 import { IDKitWidget } from "@worldcoin/idkit";
 import "./DIDRegistration.css";
 
 const DIDRegistration = () => {
   const { address, isConnected } = useAccount();
+  const { signMessageAsync } = useSignMessage();
+  const { signTypedDataAsync } = useSignTypedData();
   const toast = useToast();
 
   const {
@@ -31,16 +41,29 @@ const DIDRegistration = () => {
   const [secret, setSecret] = useState("");
   const [confirmSecret, setConfirmSecret] = useState("");
   const [showSecret, setShowSecret] = useState(false);
+  // "secret": a passphrase the voter keeps; "wallet": derived from a signature
+  const [identitySource, setIdentitySource] = useState("secret");
+  const [walletIdentity, setWalletIdentity] = useState(null);
+  const [derivingIdentity, setDerivingIdentity] = useState(false);
   const [worldcoinProof, setWorldcoinProof] = useState(null);
   const [popVerified, setPOPVerified] = useState(false);
   const [isRegistered, setIsRegistered] = useState(false);
   const [loading, setLoading] = useState(false);
   const [statusText, setStatusText] = useState("");
   const [checkingStatus, setCheckingStatus] = useState(true);
-  const [savedSignature, setSavedSignature] = useState(null);
-  const [savedCommitment, setSavedCommitment] = useState(null);
+  const [savedCredential, setSavedCredential] = useState(null);
   const [preCheckPassed, setPreCheckPassed] = useState(false);
   const [preCheckLoading, setPreCheckLoading] = useState(false);
+  const [gateReport, setGateReport] = useState(null);
+  const [popConfig, setPopConfig] = useState(null);
+  const [usePassport, setUsePassport] = useState(false);
+  const [inviteCode, setInviteCode] = useState("");
+  const [attestations, setAttestations] = useState("");
+  const [requesting, setRequesting] = useState(false);
+  const [oldSecret, setOldSecret] = useState("");
+  const [newSecret, setNewSecret] = useState("");
+  const [confirmNewSecret, setConfirmNewSecret] = useState("");
+  const [recommitting, setRecommitting] = useState(false);
 
   const BACKEND_URL = process.env.REACT_APP_API_URL;
 
@@ -51,15 +74,41 @@ const DIDRegistration = () => {
 
   const normalizedAddress = address?.toLowerCase();
 
+  // Personhood providers the issuer accepts and how much each one counts
+  useEffect(() => {
+    fetch(`${BACKEND_URL}/pop/providers`)
+      .then((response) => response.json())
+      .then((data) => data.success && setPopConfig(data))
+      .catch((err) => console.error("Could not load PoP providers:", err));
+  }, [BACKEND_URL]);
+
+  const popProviders = popConfig?.providers || [
+    { name: "worldcoin", label: "World ID", weight: 1 },
+  ];
+  const popThreshold = popConfig?.threshold || 1;
+  const worldcoinProvider = popProviders.find((p) => p.name === "worldcoin");
+  // World ID alone is enough: submit straight from the widget, as before
+  const worldcoinSuffices =
+    Boolean(worldcoinProvider) && worldcoinProvider.weight >= popThreshold;
+  const combinesProofs = popProviders.length > 1 || !worldcoinSuffices;
+
   // Reset all state when address changes
   useEffect(() => {
     setPOPVerified(false);
     setWorldcoinProof(null);
+    setUsePassport(false);
+    setInviteCode("");
+    setAttestations("");
     setSecret("");
     setConfirmSecret("");
-    setSavedSignature(null);
-    setSavedCommitment(null);
+    setIdentitySource("secret");
+    setWalletIdentity(null);
+    setSavedCredential(null);
     setPreCheckPassed(false);
+    setGateReport(null);
+    setOldSecret("");
+    setNewSecret("");
+    setConfirmNewSecret("");
   }, [normalizedAddress]);
 
   useEffect(() => {
@@ -83,66 +132,69 @@ const DIDRegistration = () => {
     }
   };
 
-  const stringToNumber = (str) => {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      hash = (hash << 5) - hash + str.charCodeAt(i);
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
-  };
-
+  // Argon2id-stretched and salted with this wallet; see zk-core's SECRET_KDF
   const generateCommitment = async (userSecret) => {
-    const poseidon = await buildPoseidon();
-    const secretNumber = stringToNumber(userSecret);
-    const poseidonHash = poseidon.F.toString(poseidon([secretNumber]));
-    const commitment =
-      "0x" + BigInt(poseidonHash).toString(16).padStart(64, "0");
+    const { commitment } = await deriveVoterIdentity(
+      userSecret,
+      normalizedAddress,
+    );
     return commitment;
   };
 
+  const isRootSyncAutomatic = async () => {
+    try {
+      const response = await fetch(`${BACKEND_URL}/status`);
+      const status = await response.json();
+      return Boolean(status.rootSync?.enabled);
+    } catch {
+      return false;
+    }
+  };
+
   const calculateNewRoot = async () => {
     console.log("Calculating new Merkle Root...");
-    const poseidon = await buildPoseidon();
-    const MERKLE_DEPTH = 6;
-
     const commitments = await readDAO("getAllVoterCommitments", []);
+    const tree = await syncVoterTree(daoContract, commitments);
+    return toBytes32(tree.root());
+  };
 
-    const leafBigInts = commitments.map((leaf) => {
-      const cleaned = leaf.startsWith("0x") ? leaf.slice(2) : leaf;
-      return BigInt("0x" + cleaned);
-    });
+  // Publishes the root for the current voter set when no backend does it
+  const pushVoterRoot = async () => {
+    setStatusText("Syncing Voting System...");
+    await new Promise((r) => setTimeout(r, 4000));
+    const newRoot = await calculateNewRoot();
 
-    const paddedLeaves = [...leafBigInts];
-    const targetSize = 2 ** MERKLE_DEPTH;
-    while (paddedLeaves.length < targetSize) {
-      paddedLeaves.push(0n);
-    }
+    const { hash: syncHash } = await writeDAO("updateVoterSetRoot", [newRoot]);
+    console.log("Root Synced:", syncHash);
+  };
 
-    let currentLevel = paddedLeaves;
-    for (let i = 0; i < MERKLE_DEPTH; i++) {
-      const nextLevel = [];
-      for (let j = 0; j < currentLevel.length; j += 2) {
-        const left = currentLevel[j];
-        const right = currentLevel[j + 1];
-        const hash = poseidon([left, right]);
-        const hashStr = poseidon.F.toString(hash);
-        nextLevel.push(BigInt(hashStr));
-      }
-      currentLevel = nextLevel;
+  // Proves to the backend that this browser controls the connected wallet
+  // by signing a single-use Sign-In with Ethereum challenge.
+  const signBackendChallenge = async () => {
+    const response = await fetch(`${BACKEND_URL}/challenge`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userAddress: normalizedAddress }),
+    });
+    const data = await response.json();
+    if (!data.success) {
+      throw new Error(data.error || "Could not get a wallet challenge");
     }
 
-    return "0x" + currentLevel[0].toString(16).padStart(64, "0");
+    const signature = await signMessageAsync({ message: data.message });
+    return { message: data.message, signature };
   };
 
   // PRE-CHECK: Verify eligibility before showing Worldcoin button
   const runPreCheck = async () => {
     setPreCheckLoading(true);
     try {
+      const siwe = await signBackendChallenge();
+
       const response = await fetch(`${BACKEND_URL}/pre-check`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ userAddress: normalizedAddress }),
+        body: JSON.stringify({ userAddress: normalizedAddress, siwe }),
       });
 
       if (response.status === 404) {
@@ -164,6 +216,7 @@ const DIDRegistration = () => {
         return;
       }
 
+      setGateReport(data.gate || null);
       if (!data.success) {
         toast.error(data.error, "Not Eligible");
         return;
@@ -171,13 +224,15 @@ const DIDRegistration = () => {
 
       setPreCheckPassed(true);
       toast.success(
-        "Eligibility confirmed! Please verify with Worldcoin.",
+        "Eligibility confirmed! Please prove you're a unique human.",
         "Pre-Check Passed",
       );
     } catch (err) {
       console.error("Pre-check error:", err);
       toast.error(
-        "Failed to verify eligibility. Please try again.",
+        err.message?.includes("rejected")
+          ? "Wallet signature was rejected."
+          : "Failed to verify eligibility. Please try again.",
         "Connection Error",
       );
     } finally {
@@ -185,38 +240,142 @@ const DIDRegistration = () => {
     }
   };
 
-  // --- NEW: This runs WHILE the Worldcoin widget is open ---
-  const verifyProofWithBackend = async (proof) => {
-    console.log("Sending proof to backend for validation...");
+  const secretIsValid = secret.length >= 6 && secret === confirmSecret;
+  const usesWalletIdentity = identitySource === "wallet";
+  const identityIsReady = usesWalletIdentity
+    ? Boolean(walletIdentity)
+    : secretIsValid;
+
+  // Signs the identity message twice: a wallet that doesn't sign
+  // deterministically could never recreate this identity to vote
+  const handleDeriveWalletIdentity = async () => {
+    setDerivingIdentity(true);
+    try {
+      setWalletIdentity(
+        await deriveWalletVoterIdentity(
+          daoContract,
+          normalizedAddress,
+          signTypedDataAsync,
+          { confirm: true },
+        ),
+      );
+      toast.success(
+        "Voting identity derived from your wallet.",
+        "Identity Ready",
+      );
+    } catch (err) {
+      console.error("Wallet identity error:", err);
+      toast.error(
+        err.message?.includes("rejected")
+          ? "Wallet signature was rejected."
+          : err.message,
+        "Identity Not Derived",
+      );
+    } finally {
+      setDerivingIdentity(false);
+    }
+  };
+
+  // The credential is EIP-712 typed data bound to this commitment, so the
+  // secret must be chosen before the backend signs it.
+  const requestCredential = async (proofs) => {
+    console.log("Sending proofs to backend for validation...");
+    const commitment = usesWalletIdentity
+      ? walletIdentity.commitment
+      : await generateCommitment(secret);
+    const siwe = await signBackendChallenge();
 
     const response = await fetch(`${BACKEND_URL}/issue-credential`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         userAddress: normalizedAddress,
-        worldcoinProof: proof,
+        proofs,
+        commitment,
+        siwe,
       }),
     });
 
     const data = await response.json();
 
     if (!data.success) {
-      // Throwing an error here makes the Worldcoin widget turn RED instantly!
       throw new Error(data.error || "Verification denied by DAO");
     }
 
-    console.log("Backend verification successful! Signature received.");
+    console.log("Backend verification successful! Credential received.");
+
+    setSavedCredential({
+      signature: data.signature,
+      commitment,
+      nonce: data.credential.nonce,
+      expiry: data.credential.expiry,
+    });
+  };
 
-    // Save the signature NOW, before they even type their secret
-    setSavedSignature(data.signature);
+  // --- This runs WHILE the Worldcoin widget is open ---
+  const verifyProofWithBackend = async (proof) => {
+    if (!worldcoinSuffices) {
+      // Sent together with the other proofs below
+      setWorldcoinProof(proof);
+      return;
+    }
+    // Throwing an error here makes the Worldcoin widget turn RED instantly!
+    await requestCredential({ worldcoin: proof });
     setWorldcoinProof(proof);
   };
 
+  const collectProofs = () => {
+    const proofs = {};
+    if (worldcoinProof) proofs.worldcoin = worldcoinProof;
+    if (usePassport) proofs.passport = true;
+    if (inviteCode.trim()) proofs.invite = { code: inviteCode.trim() };
+    if (attestations.trim()) {
+      proofs.social = { attestations: JSON.parse(attestations) };
+    }
+    return proofs;
+  };
+
+  // Combines every proof collected in Step 3 into one credential request
+  const handleRequestCredential = async () => {
+    let proofs;
+    try {
+      proofs = collectProofs();
+    } catch {
+      toast.error("Vouches must be a JSON array.", "Invalid Vouches");
+      return;
+    }
+    if (Object.keys(proofs).length === 0) {
+      toast.warning("Add at least one proof of personhood.", "Missing Proof");
+      return;
+    }
+
+    setRequesting(true);
+    try {
+      await requestCredential(proofs);
+      setPOPVerified(true);
+      toast.success(
+        "Identity approved by DAO! Complete your registration.",
+        "Success",
+      );
+    } catch (err) {
+      toast.error(err.message, "Not Approved");
+    } finally {
+      setRequesting(false);
+    }
+  };
+
   // Worldcoin Success Handler (Runs only if backend approves and modal closes)
   const handleWorldcoinSuccess = () => {
+    if (!worldcoinSuffices) {
+      toast.info(
+        "World ID added. Request your credential once all proofs are in.",
+        "Proof Added",
+      );
+      return;
+    }
     setPOPVerified(true);
     toast.success(
-      "Identity approved by DAO! Create your secret to finish.",
+      "Identity approved by DAO! Complete your registration.",
       "Success",
     );
   };
@@ -229,59 +388,77 @@ const DIDRegistration = () => {
 
   // Main Registration Handler (Much simpler!)
   const handleRegister = async () => {
-    if (!savedSignature) {
+    if (!savedCredential) {
       toast.warning(
-        "Please verify your identity with Worldcoin first",
+        "Please prove you're a unique human first",
         "Missing Verification",
       );
       return;
     }
-    if (!secret || secret !== confirmSecret || secret.length < 6) {
+    if (Number(savedCredential.expiry) * 1000 <= Date.now()) {
       toast.warning(
-        "Please enter a matching secret (min 6 chars)",
-        "Invalid Secret",
+        "Your DAO credential has expired. Please request it again.",
+        "Credential Expired",
       );
+      setSavedCredential(null);
+      setPOPVerified(false);
       return;
     }
 
     setLoading(true);
 
     try {
-      setStatusText("Generating Privacy Commitment...");
-      const commitment = await generateCommitment(secret);
-      setSavedCommitment(commitment);
+      const { commitment, nonce, expiry, signature } = savedCredential;
+
+      // PrivateDAOVoting refuses voters past its tree's capacity
+      const capacity = 2 ** (await getVoteTreeDepth(daoContract));
+      const registered = await readDAO("getRegisteredVoterCount", []);
+      if (Number(registered) >= capacity) {
+        toast.error(
+          `The private voter set is full (${capacity} voters). Please contact the DAO admin.`,
+          "Registration Closed",
+        );
+        return;
+      }
 
       setStatusText("Registering on Blockchain...");
-      // We use the signature we already securely received from handleVerify!
+      // The credential we securely received from the backend during handleVerify
       const { hash } = await writeDID("registerVoterForDAO", [
         commitment,
-        savedSignature,
+        BigInt(nonce),
+        BigInt(expiry),
+        signature,
       ]);
       console.log("Registration Tx:", hash);
 
-      toast.info(
-        "Identity registered! Syncing voting tree...",
-        "Step 1 Complete",
-      );
-
-      setStatusText("Syncing Voting System...");
-      await new Promise((r) => setTimeout(r, 4000));
-      const newRoot = await calculateNewRoot();
-
-      const { hash: syncHash } = await writeDAO("updateVoterSetRoot", [
-        newRoot,
-      ]);
-      console.log("Root Synced:", syncHash);
-
-      downloadSecretBackup(secret, commitment);
+      if (await isRootSyncAutomatic()) {
+        // The backend pushes the new root once this registration is confirmed
+        toast.info(
+          "Identity registered! The voting tree updates automatically within a few blocks.",
+          "Step 1 Complete",
+        );
+      } else {
+        toast.info(
+          "Identity registered! Syncing voting tree...",
+          "Step 1 Complete",
+        );
+        await pushVoterRoot();
+      }
 
-      toast.success(
-        "Registration Complete! Save your secret file immediately.",
-        "Success!",
-      );
+      if (usesWalletIdentity) {
+        toast.success(
+          "Registration Complete! Your wallet recreates your voting identity whenever you vote.",
+          "Success!",
+        );
+      } else {
+        downloadSecretBackup(secret, commitment);
+        toast.success(
+          "Registration Complete! Save your secret file immediately.",
+          "Success!",
+        );
+      }
 
-      setSavedSignature(null);
-      setSavedCommitment(null);
+      setSavedCredential(null);
       window.dispatchEvent(new Event("dao:registrationComplete"));
       localStorage.setItem("dao_registration_complete", "true");
 
@@ -300,11 +477,76 @@ const DIDRegistration = () => {
     }
   };
 
+  const newSecretIsValid =
+    newSecret.length >= 6 && newSecret === confirmNewSecret;
+
+  // Moves a registered voter to a commitment derived from a new secret, or
+  // from the same secret when it was registered with the old string hash
+  const handleRecommit = async () => {
+    setRecommitting(true);
+    try {
+      const registeredCommitment = await readDID("voterCommitmentOf", [
+        address,
+      ]);
+      if (BigInt(registeredCommitment) === 0n) {
+        throw new Error(
+          "This registry has no commitment on record for your wallet.",
+        );
+      }
+      if (!(await readDAO("canReplaceVoters", []))) {
+        toast.warning(
+          "A vote is open. Re-commit once every active proposal has ended.",
+          "Vote In Progress",
+        );
+        return;
+      }
+
+      setStatusText("Deriving your voting keys...");
+      const current = await matchVoterIdentity(
+        oldSecret,
+        normalizedAddress,
+        registeredCommitment,
+      );
+      if (current.commitment !== registeredCommitment.toLowerCase()) {
+        throw new Error("The current secret does not match your registration.");
+      }
+      const { commitment } = await deriveVoterIdentity(
+        newSecret,
+        normalizedAddress,
+      );
+      if (commitment === current.commitment) {
+        throw new Error("Your registration already uses this secret.");
+      }
+
+      setStatusText("Updating your commitment...");
+      const { hash } = await writeDID("recommitVoter", [commitment]);
+      console.log("Re-commit Tx:", hash);
+
+      if (!(await isRootSyncAutomatic())) await pushVoterRoot();
+
+      downloadSecretBackup(newSecret, commitment);
+      setOldSecret("");
+      setNewSecret("");
+      setConfirmNewSecret("");
+      toast.success(
+        "Your voting identity now uses the new secret. Save the new secret file.",
+        "Secret Updated",
+      );
+    } catch (err) {
+      console.error("Re-commit error:", err);
+      toast.error(err.message, "Re-commit Failed");
+    } finally {
+      setRecommitting(false);
+      setStatusText("");
+    }
+  };
+
   const downloadSecretBackup = (userSecret, commitment) => {
     const backup = {
       secret: userSecret,
       commitment: commitment,
       address: address,
+      kdf: SECRET_KDF,
       timestamp: new Date().toISOString(),
       warning: "Keep this file secure! You need the secret to vote privately.",
     };
@@ -359,9 +601,53 @@ const DIDRegistration = () => {
             <span style={{ fontSize: "1.2rem" }}>ℹ️</span>
             <p style={{ margin: 0, lineHeight: "1.5", color: "#555" }}>
               When voting, you will be asked for the <strong>Secret</strong> you
-              created during registration.
+              created during registration, or to sign with this wallet if you
+              derived your identity from it.
             </p>
           </div>
+
+          <div className="recommit-panel">
+            <h4>Change or Upgrade Your Secret</h4>
+            <p className="pop-hint">
+              Registrations made before secrets were stretched with Argon2id can
+              be guessed from the public commitment. If you registered then, or
+              want a new secret, re-commit here. Not possible while a vote is
+              open.
+            </p>
+            <input
+              type="password"
+              className="form-input"
+              value={oldSecret}
+              onChange={(e) => setOldSecret(e.target.value)}
+              placeholder="Current secret"
+              disabled={recommitting}
+            />
+            <input
+              type="password"
+              className="form-input"
+              value={newSecret}
+              onChange={(e) => setNewSecret(e.target.value)}
+              placeholder="New secret (min 6 characters, may equal the current one)"
+              disabled={recommitting}
+            />
+            <input
+              type="password"
+              className="form-input"
+              value={confirmNewSecret}
+              onChange={(e) => setConfirmNewSecret(e.target.value)}
+              placeholder="Confirm new secret"
+              disabled={recommitting}
+            />
+            <Button
+              onClick={handleRecommit}
+              loading={recommitting}
+              disabled={recommitting || !oldSecret || !newSecretIsValid}
+              fullWidth
+              variant="secondary"
+            >
+              {recommitting ? statusText : "Re-commit Voting Identity"}
+            </Button>
+          </div>
         </div>
       </Card>
     );
@@ -373,8 +659,7 @@ const DIDRegistration = () => {
         <div className="did-registration-header">
           <h2 className="did-registration-title">🔐 Verified Identity Setup</h2>
           <p className="did-registration-description">
-            Prove you're a unique human with Worldcoin, then register your
-            voting identity.
+            Prove you're a unique human, then register your voting identity.
           </p>
         </div>
 
@@ -406,38 +691,258 @@ const DIDRegistration = () => {
               >
                 <span style={{ fontSize: "1.5rem" }}>✅</span>
                 <span style={{ fontWeight: "600", color: "#1e40af" }}>
-                  Token balance verified — you are eligible to register
+                  Token requirements met — you are eligible to register
                 </span>
               </div>
             )}
+            {gateReport && (
+              <ul className="gate-report">
+                {gateReport.mode === "any" && (
+                  <li className="gate-report-mode">Any one of:</li>
+                )}
+                {gateReport.rules.map((rule) => (
+                  <li
+                    key={rule.id}
+                    className={`gate-rule ${rule.passed ? "passed" : "failed"}`}
+                  >
+                    <span>{rule.passed ? "✅" : "❌"}</span>
+                    <span>
+                      {rule.label}
+                      {rule.error
+                        ? ` — ${rule.error}`
+                        : rule.actual !== undefined &&
+                          ` — you have ${rule.actual}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {!preCheckPassed &&
+              gateReport?.rules.some(
+                (rule) => rule.type === "token" && !rule.passed,
+              ) && (
+                <FaucetButton
+                  address={address}
+                  onFunded={() => setGateReport(null)}
+                />
+              )}
           </div>
 
-          {/* STEP 2: Worldcoin Verification */}
+          {/* STEP 2: Voting identity (bound into the issuer credential) */}
           {preCheckPassed && (
+            <>
+              <div className="form-group">
+                <label className="form-label">
+                  Step 2: Choose Your Voting Identity
+                </label>
+                <div className="identity-source">
+                  <label className="pop-provider-toggle">
+                    <input
+                      type="radio"
+                      name="identitySource"
+                      checked={!usesWalletIdentity}
+                      onChange={() => setIdentitySource("secret")}
+                      disabled={loading || !!savedCredential}
+                    />
+                    Create a secret password
+                  </label>
+                  <label className="pop-provider-toggle">
+                    <input
+                      type="radio"
+                      name="identitySource"
+                      checked={usesWalletIdentity}
+                      onChange={() => setIdentitySource("wallet")}
+                      disabled={loading || !!savedCredential}
+                    />
+                    Use my wallet to derive my identity
+                  </label>
+                </div>
+              </div>
+
+              {usesWalletIdentity ? (
+                <div className="form-group">
+                  <div className="identity-warning">
+                    <strong>⚠️ Your wallet becomes your voting key.</strong>{" "}
+                    There is no secret to lose, but anyone who controls this
+                    wallet, or tricks it into signing the identity message, can
+                    vote as you and recognise which past votes were yours. If
+                    you lose the wallet you lose your voting identity too. Only
+                    sign the identity message on this site.
+                  </div>
+                  {walletIdentity ? (
+                    <span className="pop-provider-done">
+                      ✅ Identity derived from your wallet
+                    </span>
+                  ) : (
+                    <Button
+                      onClick={handleDeriveWalletIdentity}
+                      loading={derivingIdentity}
+                      disabled={derivingIdentity || !daoContract}
+                      fullWidth
+                      variant="secondary"
+                    >
+                      ✍️ Sign to Derive My Identity
+                    </Button>
+                  )}
+                  <p className="pop-hint">
+                    Your wallet is asked to sign twice, to check it produces the
+                    same signature every time.
+                  </p>
+                </div>
+              ) : (
+                <>
+                  <div className="form-group">
+                    <label className="form-label">Secret Password</label>
+                    <div className="input-wrapper">
+                      <input
+                        type={showSecret ? "text" : "password"}
+                        className="form-input"
+                        value={secret}
+                        onChange={(e) => setSecret(e.target.value)}
+                        placeholder="Min 6 characters"
+                        disabled={loading || !!savedCredential} // Locked once the credential is signed for it
+                      />
+                      <button
+                        type="button"
+                        className="password-toggle-btn"
+                        onClick={() => setShowSecret(!showSecret)}
+                      >
+                        {showSecret ? "🙈" : "👁️"}
+                      </button>
+                    </div>
+                  </div>
+
+                  <div className="form-group">
+                    <label className="form-label">Confirm Secret</label>
+                    <div className="input-wrapper">
+                      <input
+                        type={showSecret ? "text" : "password"}
+                        className="form-input"
+                        value={confirmSecret}
+                        onChange={(e) => setConfirmSecret(e.target.value)}
+                        placeholder="Re-enter secret"
+                        disabled={loading || !!savedCredential} // Locked once the credential is signed for it
+                      />
+                      <button
+                        type="button"
+                        className="password-toggle-btn"
+                        onClick={() => setShowSecret(!showSecret)}
+                      >
+                        {showSecret ? "🙈" : "👁️"}
+                      </button>
+                    </div>
+                  </div>
+                  <p className="pop-hint">
+                    Your secret is stretched with Argon2id and this wallet's
+                    address, so deriving it takes a few seconds.
+                  </p>
+                </>
+              )}
+            </>
+          )}
+
+          {/* STEP 3: Proof of personhood */}
+          {preCheckPassed && identityIsReady && (
             <div className="form-group">
-              <label className="form-label">Step 2: Prove You're Human</label>
-              {!popVerified && !savedSignature ? (
-                <IDKitWidget
-                  app_id={WORLDCOIN_APP_ID}
-                  action={WORLDCOIN_ACTION}
-                  signal={normalizedAddress}
-                  handleVerify={verifyProofWithBackend} // Calls backend while widget stays open
-                  onSuccess={handleWorldcoinSuccess}
-                  onError={handleWorldcoinError}
-                  verification_level="device"
-                  enableTelemetry={true}
-                >
-                  {({ open }) => (
+              <label className="form-label">Step 3: Prove You're Human</label>
+              {!popVerified && !savedCredential ? (
+                <div className="pop-providers">
+                  {combinesProofs && (
+                    <p className="pop-hint">
+                      Combine proofs worth at least {popThreshold} point
+                      {popThreshold === 1 ? "" : "s"}.
+                    </p>
+                  )}
+                  {popProviders.map((provider) => (
+                    <div key={provider.name} className="pop-provider">
+                      {combinesProofs && (
+                        <span className="pop-provider-weight">
+                          {provider.label} · up to {provider.weight} pt
+                        </span>
+                      )}
+                      {provider.name === "worldcoin" &&
+                        (worldcoinProof ? (
+                          <span className="pop-provider-done">
+                            ✅ World ID proof added
+                          </span>
+                        ) : (
+                          <IDKitWidget
+                            app_id={provider.appId || WORLDCOIN_APP_ID}
+                            action={provider.action || WORLDCOIN_ACTION}
+                            signal={normalizedAddress}
+                            handleVerify={verifyProofWithBackend} // Calls backend while widget stays open
+                            onSuccess={handleWorldcoinSuccess}
+                            onError={handleWorldcoinError}
+                            verification_level="device"
+                            enableTelemetry={true}
+                          >
+                            {({ open }) => (
+                              <Button
+                                onClick={open}
+                                fullWidth
+                                variant={
+                                  worldcoinSuffices ? "primary" : "secondary"
+                                }
+                                disabled={!normalizedAddress}
+                              >
+                                🌍 Verify with Worldcoin
+                              </Button>
+                            )}
+                          </IDKitWidget>
+                        ))}
+                      {provider.name === "passport" && (
+                        <label className="pop-provider-toggle">
+                          <input
+                            type="checkbox"
+                            checked={usePassport}
+                            onChange={(e) => setUsePassport(e.target.checked)}
+                          />
+                          Use this wallet's Passport stamp score
+                        </label>
+                      )}
+                      {provider.name === "invite" && (
+                        <input
+                          type="text"
+                          className="form-input"
+                          value={inviteCode}
+                          onChange={(e) => setInviteCode(e.target.value)}
+                          placeholder="Invite code from a DAO administrator"
+                        />
+                      )}
+                      {provider.name === "social" && (
+                        <>
+                          <textarea
+                            className="form-input"
+                            rows={4}
+                            value={attestations}
+                            onChange={(e) => setAttestations(e.target.value)}
+                            placeholder='[{ "attester": "0x...", "signature": "0x..." }]'
+                          />
+                          <p className="pop-hint">
+                            Ask {provider.minAttestations} registered members to
+                            sign this message:
+                          </p>
+                          <pre className="pop-message">
+                            {provider.messageTemplate?.replace(
+                              "{wallet}",
+                              normalizedAddress,
+                            )}
+                          </pre>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                  {(combinesProofs || worldcoinProof) && (
                     <Button
-                      onClick={open}
+                      onClick={handleRequestCredential}
+                      loading={requesting}
+                      disabled={requesting}
                       fullWidth
-                      variant="primary"
-                      disabled={!normalizedAddress}
                     >
-                      🌍 Verify with Worldcoin
+                      Request DAO Credential
                     </Button>
                   )}
-                </IDKitWidget>
+                </div>
               ) : (
                 <div
                   className="success-badge"
@@ -459,62 +964,15 @@ const DIDRegistration = () => {
             </div>
           )}
 
-          {/* STEP 3: Secret Password */}
-          {(popVerified || savedSignature) && (
-            <>
-              <div className="form-group">
-                <label className="form-label">
-                  Step 3: Create Secret Password
-                </label>
-                <div className="input-wrapper">
-                  <input
-                    type={showSecret ? "text" : "password"}
-                    className="form-input"
-                    value={secret}
-                    onChange={(e) => setSecret(e.target.value)}
-                    placeholder="Min 6 characters"
-                    disabled={loading} // Only disabled when blockchain transaction is processing
-                  />
-                  <button
-                    type="button"
-                    className="password-toggle-btn"
-                    onClick={() => setShowSecret(!showSecret)}
-                  >
-                    {showSecret ? "🙈" : "👁️"}
-                  </button>
-                </div>
-              </div>
-
-              <div className="form-group">
-                <label className="form-label">Confirm Secret</label>
-                <div className="input-wrapper">
-                  <input
-                    type={showSecret ? "text" : "password"}
-                    className="form-input"
-                    value={confirmSecret}
-                    onChange={(e) => setConfirmSecret(e.target.value)}
-                    placeholder="Re-enter secret"
-                    disabled={loading} // Only disabled when blockchain transaction is processing
-                  />
-                  <button
-                    type="button"
-                    className="password-toggle-btn"
-                    onClick={() => setShowSecret(!showSecret)}
-                  >
-                    {showSecret ? "🙈" : "👁️"}
-                  </button>
-                </div>
-              </div>
-
-              <Button
-                onClick={handleRegister}
-                loading={loading}
-                disabled={loading || !secret || !confirmSecret}
-                fullWidth
-              >
-                {loading ? statusText : "Complete Registration"}
-              </Button>
-            </>
+          {savedCredential && (
+            <Button
+              onClick={handleRegister}
+              loading={loading}
+              disabled={loading}
+              fullWidth
+            >
+              {loading ? statusText : "Complete Registration"}
+            </Button>
           )}
         </div>
       </div>
@@ -8,6 +8,7 @@ import GovernanceTokenABI from '../../../abis/GovernanceToken.json';
 import Button from '../../common/Button/Button';
 import Alert from '../../common/Alert/Alert';
 import Card from '../../common/Card/Card';
+import FaucetButton from '../../common/FaucetButton/FaucetButton';
 import { formatNumber } from '../../../utils/formatters';
 import './PublicRegistration.css';
 
@@ -199,10 +200,13 @@ const PublicRegistration = () => {
         </div>
 
         {!hasEnoughTokens && (
-          <Alert type="warning" title="Insufficient Tokens">
-            You need at least {formatNumber(minTokensRequired)} GOV tokens to register. 
-            Please acquire more tokens or contact an admin.
-          </Alert>
+          <>
+            <Alert type="warning" title="Insufficient Tokens">
+              You need at least {formatNumber(minTokensRequired)} GOV tokens to register. 
+              Please get test tokens below, acquire more tokens or contact an admin.
+            </Alert>
+            <FaucetButton address={address} onFunded={checkRegistrationStatus} />
+          </>
         )}
 
         <Button
@@ -1,6 +1,6 @@
 /* global BigInt */
 import React, { useState, useEffect } from "react";
-import { useAccount } from "wagmi";
+import { useAccount, useSignTypedData } from "wagmi";
 import { useProposals } from "../../../hooks/useProposals";
 import { useContract } from "../../../hooks/useContract";
 import { useDeployment } from "../../../context/DeploymentContext";
@@ -10,12 +10,26 @@ import Button from "../../common/Button/Button";
 import Alert from "../../common/Alert/Alert";
 import "./ZKVotingModule.css";
 import { ethers } from "ethers";
-import { buildPoseidon } from "circomlibjs";
+import {
+  getPoseidonHasher,
+  computeRootFromPath,
+  buildVoteInput,
+  toBytes32,
+} from "zk-core";
+import {
+  syncVoterTree,
+  getVoteTreeDepth,
+  getVoteCircuitPaths,
+  matchVoterIdentity,
+  deriveWalletVoterIdentity,
+} from "../../../utils/zkpUtils";
+import ENV from "../../../config/environment";
 
 const snarkjs = window.snarkjs || require("snarkjs");
 
 const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
   const { address } = useAccount();
+  const { signTypedDataAsync } = useSignTypedData();
   const { proposals } = useProposals();
   const { mode } = useDeployment();
 
@@ -35,11 +49,17 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
   );
   const [selectedVote, setSelectedVote] = useState("");
   const [secret, setSecret] = useState("");
+  // Recreate the secret from a wallet signature, for voters who registered that way
+  const [useWalletIdentity, setUseWalletIdentity] = useState(false);
   const [merkleRoot, setMerkleRoot] = useState("");
   const [loading, setLoading] = useState(false);
   const [alert, setAlert] = useState(null);
   const [isRegistered, setIsRegistered] = useState(false);
   const [fetchingRoot, setFetchingRoot] = useState(false);
+  // Relayed votes are sent from the backend's wallet, so msg.sender doesn't reveal the voter
+  // Only offered when the backend reports a relayer (it needs RELAYER_PRIVATE_KEY)
+  const [relayerEnabled, setRelayerEnabled] = useState(false);
+  const [useRelayer, setUseRelayer] = useState(false);
 
  // Helper function to clean up error messages
   const extractReadableError = (error) => {
@@ -115,6 +135,18 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
     checkRegistration();
   }, [address, didContract, readDID]);
 
+  useEffect(() => {
+    if (!ENV.API_URL) return;
+    fetch(`${ENV.API_URL}/status`)
+      .then((response) => response.json())
+      .then((status) => {
+        const enabled = status.relayer === "enabled";
+        setRelayerEnabled(enabled);
+        setUseRelayer(enabled);
+      })
+      .catch(() => setRelayerEnabled(false));
+  }, []);
+
   useEffect(() => {
     if (preselectedProposalId) setSelectedProposal(preselectedProposalId);
   }, [preselectedProposalId]);
@@ -126,55 +158,112 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
     if (type === "success") setTimeout(() => setAlert(null), 5000);
   };
 
-  const buildPoseidonMerkleTree = async (leaves, poseidon, depth = 6) => {
-    const leafBigInts = leaves.map((leaf) => {
-      const cleaned = leaf.startsWith("0x") ? leaf.slice(2) : leaf;
-      return BigInt("0x" + cleaned);
-    });
+  // Builds our path from the full leaf list and checks it against currentVoterSetRoot
+  const pathFromLeaves = async (commitments, commitment) => {
+    const leafIndex = commitments.findIndex((c) => c.toLowerCase() === commitment.toLowerCase());
+    if (leafIndex === -1) {
+      throw new Error("Your secret does not match any registered voter. Please check your spelling.");
+    }
 
-    const paddedLeaves = [...leafBigInts];
-    const targetSize = 2 ** depth;
-    while (paddedLeaves.length < targetSize) {
-      paddedLeaves.push(BigInt(0));
+    const tree = await syncVoterTree(privateVotingContract, commitments);
+    const calculatedRoot = toBytes32(tree.root());
+
+    console.log("🌳 Contract Root:", merkleRoot);
+    console.log("🌳 Your Root:", calculatedRoot);
+
+    if (calculatedRoot.toLowerCase() !== merkleRoot.toLowerCase()) {
+      throw new Error("Merkle root mismatch! The contract has a different list of voters than what you calculated. Please contact Admin to Sync.");
     }
 
-    let currentLevel = paddedLeaves;
-    const tree = [currentLevel];
-
-    for (let level = 0; level < depth; level++) {
-      const nextLevel = [];
-      for (let i = 0; i < currentLevel.length; i += 2) {
-        const left = currentLevel[i];
-        const right = currentLevel[i + 1];
-        const hash = poseidon([left, right]);
-        const hashBigInt = poseidon.F.toString(hash);
-        nextLevel.push(BigInt(hashBigInt));
+    return tree.proof(leafIndex);
+  };
+
+  // Privacy invariant: when the vote goes through the relayer, the backend
+  // must never learn which commitment is voting. It could match an IP that
+  // asked for /merkle/proof/<commitment> to the wallet that registered that
+  // commitment, and then to the relayed vote. Relayed votes therefore only
+  // fetch the root's full leaf list, which is the same request for every voter.
+  const fetchMerklePath = async (commitment, hash) => {
+    if (!ENV.API_URL) return null;
+    return useRelayer ? fetchSnapshotPath(commitment) : fetchOwnPath(commitment, hash);
+  };
+
+  const fetchSnapshotPath = async (commitment) => {
+    try {
+      const response = await fetch(`${ENV.API_URL}/merkle/snapshot/${merkleRoot}`);
+      if (!response.ok) return null;
+      const data = await response.json();
+      return await pathFromLeaves(data.leaves, commitment);
+    } catch (error) {
+      console.warn("Voter set snapshot unavailable, rebuilding from chain:", error.message);
+      return null;
+    }
+  };
+
+  // Ask the backend for only our own path, then check it against currentVoterSetRoot
+  const fetchOwnPath = async (commitment, hash) => {
+    try {
+      const response = await fetch(`${ENV.API_URL}/merkle/proof/${commitment}`);
+      if (!response.ok) return null;
+      const data = await response.json();
+      const pathElements = data.pathElements.map((e) => BigInt(e));
+      const root = toBytes32(
+        computeRootFromPath(hash, commitment, { pathElements, pathIndices: data.pathIndices })
+      );
+
+      console.log("🌳 Contract Root:", merkleRoot);
+      console.log("🌳 Path Root:", root);
+      if (root.toLowerCase() !== merkleRoot.toLowerCase()) {
+        console.warn("Indexed Merkle path does not match the contract root, rebuilding locally");
+        return null;
       }
-      currentLevel = nextLevel;
-      tree.push(currentLevel);
+      return { pathElements, pathIndices: data.pathIndices };
+    } catch (error) {
+      console.warn("Merkle proof service unavailable, rebuilding locally:", error.message);
+      return null;
+    }
+  };
+
+  const buildMerklePathOnChain = async (commitment) => {
+    const voterCount = await readPrivateVoting("getRegisteredVoterCount", []);
+    if (voterCount === 0n) throw new Error("No voters registered in the contract");
+
+    const commitments = [];
+    for (let i = 0; i < Number(voterCount); i++) {
+      const comm = await readPrivateVoting("getVoterCommitmentByIndex", [i]);
+      commitments.push(comm);
     }
-    return tree;
+
+    return pathFromLeaves(commitments, commitment);
   };
 
-  const getMerklePath = (tree, leafIndex, depth = 6) => {
-    const pathElements = [];
-    const pathIndices = [];
-    let currentIndex = leafIndex;
-
-    for (let level = 0; level < depth; level++) {
-      const isRightNode = currentIndex % 2 === 1;
-      const siblingIndex = isRightNode ? currentIndex - 1 : currentIndex + 1;
-      const sibling = tree[level][siblingIndex] !== undefined ? tree[level][siblingIndex] : BigInt(0);
-      
-      pathElements.push(sibling);
-      pathIndices.push(isRightNode ? 1 : 0);
-      currentIndex = Math.floor(currentIndex / 2);
+  const submitViaRelayer = async (solArgs, nullifier) => {
+    const toStrings = (value) =>
+      Array.isArray(value) ? value.map(toStrings) : value.toString();
+
+    const response = await fetch(`${ENV.API_URL}/relay/vote`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        proposalId: selectedProposal.toString(),
+        support: selectedVote === "yes",
+        nullifier,
+        proof: { a: toStrings(solArgs.a), b: toStrings(solArgs.b), c: toStrings(solArgs.c) },
+        publicSignals: toStrings(solArgs.publicSignals),
+      }),
+    });
+    const data = await response.json();
+    if (!data.success) {
+      if (data.code === "already_relayed" || data.code === "already_voted") {
+        throw new Error("Already voted");
+      }
+      throw new Error(`Relayer rejected the vote: ${data.error}`);
     }
-    return { pathElements, pathIndices };
+    return data.txHash;
   };
 
   const handleGenerateProofAndVote = async () => {
-    if (!selectedProposal || !selectedVote || !secret) {
+    if (!selectedProposal || !selectedVote || (!secret && !useWalletIdentity)) {
       showAlert("warning", "Please fill in all fields (Proposal, Vote, and Secret)");
       return;
     }
@@ -188,63 +277,39 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
     setAlert({ type: "info", message: "Generating Zero-Knowledge Proof... (wait few seconds)" });
 
     try {
-      const stringToNumber = (str) => {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-          hash = (hash << 5) - hash + str.charCodeAt(i);
-          hash = hash & hash;
-        }
-        return Math.abs(hash);
-      };
-
-      const secretNumber = stringToNumber(secret);
-      console.log("🔐 Generating Commitment...");
-
-      const poseidon = await buildPoseidon();
-      const poseidonHash = poseidon.F.toString(poseidon([secretNumber]));
-      const commitment = "0x" + BigInt(poseidonHash).toString(16).padStart(64, "0");
-
-      const voterCount = await readPrivateVoting("getRegisteredVoterCount", []);
-      if (voterCount === 0n) throw new Error("No voters registered in the contract");
-
-      const commitments = [];
-      for (let i = 0; i < Number(voterCount); i++) {
-        const comm = await readPrivateVoting("getVoterCommitmentByIndex", [i]);
-        commitments.push(comm);
-      }
-
-      const leafIndex = commitments.findIndex((c) => c.toLowerCase() === commitment.toLowerCase());
-      if (leafIndex === -1) {
-        throw new Error("Your secret does not match any registered voter. Please check your spelling.");
+      console.log("🔐 Deriving Commitment...");
+      // Voters registered before Argon2id derivation still vote with the old one
+      const registeredCommitment = await readDID("voterCommitmentOf", [address]);
+      const { secret: secretNumber, commitment, legacy } = useWalletIdentity
+        ? await deriveWalletVoterIdentity(privateVotingContract, address, signTypedDataAsync)
+        : await matchVoterIdentity(secret, address, registeredCommitment);
+      if (useWalletIdentity && commitment !== registeredCommitment.toLowerCase()) {
+        throw new Error("This wallet's derived identity is not the one you registered. Vote with your secret instead.");
       }
 
-      const MERKLE_TREE_DEPTH = 6;
-      const tree = await buildPoseidonMerkleTree(commitments, poseidon, MERKLE_TREE_DEPTH);
-      const calculatedRootBigInt = tree[tree.length - 1][0];
-      const calculatedRoot = "0x" + calculatedRootBigInt.toString(16).padStart(64, "0");
-
-      console.log("🌳 Contract Root:", merkleRoot);
-      console.log("🌳 Your Root:", calculatedRoot);
+      const poseidonHash = await getPoseidonHasher();
 
-      if (calculatedRoot.toLowerCase() !== merkleRoot.toLowerCase()) {
-        throw new Error("Merkle root mismatch! The contract has a different list of voters than what you calculated. Please contact Admin to Sync.");
-      }
+      const { pathElements, pathIndices } =
+        (await fetchMerklePath(commitment, poseidonHash)) ||
+        (await buildMerklePathOnChain(commitment));
 
-      const { pathElements, pathIndices } = getMerklePath(tree, leafIndex, MERKLE_TREE_DEPTH);
-
-      const input = {
-        root: calculatedRootBigInt.toString(10),
-        proposalId: selectedProposal.toString(),
-        voteChoice: selectedVote === "yes" ? "1" : "0",
-        secret: secretNumber.toString(),
-        pathElements: pathElements.map((pe) => pe.toString(10)),
-        pathIndices: pathIndices.map((pi) => pi.toString()),
-      };
+      const input = buildVoteInput({
+        root: merkleRoot,
+        proposalId: selectedProposal,
+        voteChoice: selectedVote === "yes",
+        secret: secretNumber,
+        pathElements,
+        pathIndices,
+      });
 
+      // Artifacts of the circuit built for this contract's tree depth
+      const { wasmPath, zkeyPath } = getVoteCircuitPaths(
+        await getVoteTreeDepth(privateVotingContract)
+      );
       const { proof, publicSignals } = await snarkjs.groth16.fullProve(
         input,
-        "/circuits/vote.wasm",
-        "/circuits/vote_final.zkey"
+        wasmPath,
+        zkeyPath
       );
 
       console.log("Proof Generated!");
@@ -270,22 +335,34 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
         publicSignals: publicSignals.map(formatProofValue),
       };
 
-      const toHex32 = (val) => "0x" + BigInt(val).toString(16).padStart(64, "0");
-      const nullifierFromProof = toHex32(solArgs.publicSignals[0]);
-
-      console.log("📤 Submitting vote to contract...");
-      const { hash } = await writePrivateVote("castPrivateVote", [
-        BigInt(selectedProposal),
-        selectedVote === "yes",
-        nullifierFromProof,
-        solArgs.a,
-        solArgs.b,
-        solArgs.c,
-        solArgs.publicSignals,
-      ]);
+      const nullifierFromProof = toBytes32(solArgs.publicSignals[0]);
+
+      let hash;
+      if (useRelayer) {
+        console.log("📤 Submitting vote through the relayer...");
+        hash = await submitViaRelayer(solArgs, nullifierFromProof);
+      } else {
+        console.log("📤 Submitting vote to contract...");
+        ({ hash } = await writePrivateVote("castPrivateVote", [
+          BigInt(selectedProposal),
+          selectedVote === "yes",
+          nullifierFromProof,
+          solArgs.a,
+          solArgs.b,
+          solArgs.c,
+          solArgs.publicSignals,
+        ]));
+      }
 
       console.log("Tx Hash:", hash);
-      showAlert("success", "Vote Submitted Successfully! Your vote is verifiable and anonymous.");
+      if (legacy) {
+        showAlert(
+          "warning",
+          "Vote submitted. Your secret still uses the old, easily guessed derivation: re-commit it from the Join DAO page once voting ends."
+        );
+      } else {
+        showAlert("success", "Vote Submitted Successfully! Your vote is verifiable and anonymous.");
+      }
       if (onVoteSuccess) onVoteSuccess(selectedVote);
 
     } catch (error) {
@@ -342,14 +419,30 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
           {/* <small className="zk-field-help" style={{ marginTop: "0.25rem", marginBottom: "0.5rem" }}>
             From your registration - stored in <code>dao-secret-*.json</code> file
           </small> */}
-          <input
-            type="password"
-            className="zk-input"
-            value={secret}
-            onChange={(e) => setSecret(e.target.value)}
-            placeholder="secret"
-            disabled={!isRegistered}
-          />
+          {!useWalletIdentity && (
+            <input
+              type="password"
+              className="zk-input"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              placeholder="secret"
+              disabled={!isRegistered}
+            />
+          )}
+          <label className="zk-label zk-checkbox-label">
+            <input
+              type="checkbox"
+              checked={useWalletIdentity}
+              onChange={(e) => setUseWalletIdentity(e.target.checked)}
+              disabled={!isRegistered}
+            />
+            Use my wallet to derive my identity
+          </label>
+          {useWalletIdentity && (
+            <small className="zk-field-help">
+              Your wallet signs the identity message to recreate your secret. Anyone who controls this wallet can do the same and vote as you, so only sign it here.
+            </small>
+          )}
         </div>
 
         {/* <div className="zk-field">
@@ -389,11 +482,32 @@ const ZKVotingModule = ({ preselectedProposalId, onVoteSuccess }) => {
           </div>
         </div>
 
+        {ENV.API_URL && (
+          <div className="zk-field">
+            <label className="zk-label zk-checkbox-label">
+              <input
+                type="checkbox"
+                checked={useRelayer}
+                onChange={(e) => setUseRelayer(e.target.checked)}
+                disabled={!isRegistered || !relayerEnabled}
+              />
+              Submit via relayer
+            </label>
+            <small className="zk-field-help">
+              {useRelayer
+                ? "The DAO relayer sends and pays for the transaction, so your wallet is not linked to this vote."
+                : !relayerEnabled
+                ? "This backend has no relayer enabled, so your wallet sends the transaction; anyone can see which address voted (but not how)."
+                : "Your wallet sends the transaction; anyone can see which address voted (but not how)."}
+            </small>
+          </div>
+        )}
+
         <Button
           fullWidth
           variant="primary"
           onClick={handleGenerateProofAndVote}
-          disabled={loading || !selectedVote || !secret || !isRegistered || !merkleRoot}
+          disabled={loading || !selectedVote || (!secret && !useWalletIdentity) || !isRegistered || !merkleRoot}
           loading={loading}
         >
           {loading ? "Generating Proof..." : "Generate Proof & Vote"}
@@ -5,9 +5,7 @@ export const ENV = {
   RPC_URL: process.env.REACT_APP_RPC_URL || '',
   API_URL: process.env.REACT_APP_API_URL || '',
   ENVIRONMENT: process.env.REACT_APP_ENVIRONMENT || 'development',
-  IPFS_GATEWAY: process.env.REACT_APP_IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
-  PINATA_API_KEY: process.env.REACT_APP_PINATA_API_KEY || '',
-  PINATA_SECRET_KEY: process.env.REACT_APP_PINATA_SECRET_KEY || ''
+  IPFS_GATEWAY: process.env.REACT_APP_IPFS_GATEWAY || 'https://ipfs.io/ipfs/'
 };
 
 export const isDevelopment = ENV.ENVIRONMENT === 'development';
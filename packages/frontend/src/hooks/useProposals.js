@@ -5,6 +5,27 @@ import { useAccount } from "wagmi";
 import { useDeployment } from "../context/DeploymentContext";
 import DAOVotingABI from "../abis/DAOVoting.json";
 import PrivateDAOVotingABI from "../abis/PrivateDAOVoting.json";
+import ENV from "../config/environment";
+import { fetchProposals as fetchIndexedProposals } from "../services/api/proposalService";
+
+// Order of the on-chain ProposalState enum; the indexer reports names
+const PROPOSAL_STATES = ["Pending", "Active", "Succeeded", "Defeated", "Executed", "Cancelled"];
+
+const fromIndexedProposal = (p) => ({
+  id: Number(p.id),
+  title: p.title,
+  description: p.description,
+  proposer: p.proposer,
+  yesVotes: Number(p.yesVotes),
+  noVotes: Number(p.noVotes),
+  totalVotingWeight: Number(p.totalVotingWeight),
+  state: PROPOSAL_STATES.indexOf(p.state),
+  createdAt: Number(p.createdAt),
+  votingStart: Number(p.votingStart),
+  votingEnd: Number(p.votingEnd),
+  minTokensRequired: 0,
+  minReputationRequired: Number(p.minReputationRequired || 0),
+});
 
 const retryOperation = async (operation, maxRetries = 3, delay = 2000) => {
   for (let i = 0; i < maxRetries; i++) {
@@ -71,8 +92,28 @@ export const useProposals = () => {
         return;
       }
 
+      // Indexed proposals come from the backend; only ids created since its
+      // last confirmed block are read from the chain.
+      let indexed = [];
+      if (ENV.API_URL) {
+        try {
+          const response = await fetchIndexedProposals(mode);
+          indexed = response.proposals.map(fromIndexedProposal);
+        } catch (err) {
+          console.warn("Indexer unavailable, reading proposals on-chain");
+        }
+      }
+
+      const firstUnindexed = indexed.length + 1;
+      if (firstUnindexed > count) {
+        setProposals(indexed);
+        setLoading(false);
+        console.log(`Loaded ${indexed.length} indexed proposals`);
+        return;
+      }
+
       const contractCalls = [];
-      for (let i = 1; i <= count; i++) {
+      for (let i = firstUnindexed; i <= count; i++) {
         contractCalls.push({
           address: contract.address,
           abi: contract.abi,
@@ -90,7 +131,7 @@ export const useProposals = () => {
       const proposalData = results
         .map((result, index) => {
           if (result.status === "failure") {
-            console.error(`Failed to fetch proposal ${index + 1}`, result.error);
+            console.error(`Failed to fetch proposal ${firstUnindexed + index}`, result.error);
             return null;
           }
 
@@ -145,9 +186,9 @@ export const useProposals = () => {
         })
         .filter((p) => p !== null);
 
-      setProposals(proposalData.reverse());
+      setProposals([...proposalData.reverse(), ...indexed]);
       setLoading(false);
-      console.log(`Loaded ${proposalData.length} proposals`);
+      console.log(`Loaded ${proposalData.length + indexed.length} proposals`);
     } catch (err) {
       console.error("Error fetching proposals:", err);
       setError(err.message);
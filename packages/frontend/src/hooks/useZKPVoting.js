@@ -2,7 +2,7 @@ import { useState, useCallback } from 'react';
 import { useAccount } from 'wagmi';
 import { useContract } from './useContract';
 import PrivateDAOVotingABI from '../abis/PrivateDAOVoting.json';
-import { generateVoteProof } from '../utils/zkpUtils';
+import { generateVoteProof, getVoteTreeDepth } from '../utils/zkpUtils';
 
 export const useZKPVoting = () => {
   const [loading, setLoading] = useState(false);
@@ -135,7 +135,8 @@ export const useZKPVoting = () => {
         proposalId,
         voteChoice ? 1 : 0,
         voterCommitments,
-        voterIndex
+        voterIndex,
+        await getVoteTreeDepth(contract)
       );
 
       setProofGenerating(false);
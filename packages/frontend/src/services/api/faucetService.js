@@ -0,0 +1,47 @@
+import ENV from '../../config/environment';
+
+const API_BASE_URL = ENV.API_URL;
+
+/**
+ * Whether the backend faucet is enabled, and how many tokens it sends
+ */
+export const fetchFaucetStatus = async () => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/faucet`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch faucet status');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching faucet status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask the faucet to mint test governance tokens to a wallet
+ */
+export const requestTestTokens = async (address) => {
+  try {
+    const response = await fetch(`${API_BASE_URL}/faucet`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ userAddress: address }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to request test tokens');
+    }
+    return data;
+  } catch (error) {
+    console.error('Error requesting test tokens:', error);
+    throw error;
+  }
+};
+
+export default {
+  fetchFaucetStatus,
+  requestTestTokens
+};
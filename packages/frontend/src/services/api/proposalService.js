@@ -3,11 +3,11 @@ import ENV from '../../config/environment';
 const API_BASE_URL = ENV.API_URL;
 
 /**
- * Fetch all proposals from API
+ * Fetch all indexed proposals for a deployment mode ('baseline' | 'private')
  */
-export const fetchProposals = async () => {
+export const fetchProposals = async (mode = 'baseline') => {
   try {
-    const response = await fetch(`${API_BASE_URL}/proposals`);
+    const response = await fetch(`${API_BASE_URL}/proposals?mode=${mode}`);
     if (!response.ok) {
       throw new Error('Failed to fetch proposals');
     }
@@ -21,9 +21,9 @@ export const fetchProposals = async () => {
 /**
  * Fetch single proposal by ID
  */
-export const fetchProposalById = async (id) => {
+export const fetchProposalById = async (id, mode = 'baseline') => {
   try {
-    const response = await fetch(`${API_BASE_URL}/proposals/${id}`);
+    const response = await fetch(`${API_BASE_URL}/proposals/${id}?mode=${mode}`);
     if (!response.ok) {
       throw new Error('Failed to fetch proposal');
     }
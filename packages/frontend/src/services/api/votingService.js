@@ -3,11 +3,13 @@ import ENV from '../../config/environment';
 const API_BASE_URL = ENV.API_URL;
 
 /**
- * Fetch votes for a proposal
+ * Fetch votes for a proposal (private votes carry a nullifier, not a voter)
  */
-export const fetchVotesByProposal = async (proposalId) => {
+export const fetchVotesByProposal = async (proposalId, mode = 'baseline') => {
   try {
-    const response = await fetch(`${API_BASE_URL}/votes/proposal/${proposalId}`);
+    const response = await fetch(
+      `${API_BASE_URL}/votes/proposal/${proposalId}?mode=${mode}`
+    );
     if (!response.ok) {
       throw new Error('Failed to fetch votes');
     }
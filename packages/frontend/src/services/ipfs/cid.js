@@ -0,0 +1,35 @@
+// CIDv1 header: version 1, raw codec (0x55), sha2-256 multihash of 32 bytes
+const CID_PREFIX = [0x01, 0x55, 0x12, 0x20];
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const CID_PATTERN = /^bafkrei[a-z2-7]{52}$/;
+
+const base32 = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+};
+
+/**
+ * CIDv1 (raw, sha2-256, base32) of the given bytes — the same CID the
+ * backend's content store and `ipfs add --cid-version=1` give documents
+ * up to 256 KiB.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>}
+ */
+export const computeCid = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return 'b' + base32(Uint8Array.from([...CID_PREFIX, ...digest]));
+};
+
+export const isCid = (value) =>
+  typeof value === 'string' && CID_PATTERN.test(value);
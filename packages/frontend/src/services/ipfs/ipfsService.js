@@ -1,28 +1,31 @@
 import ENV from '../../config/environment';
+import { computeCid, isCid } from './cid';
 
-const PINATA_API_URL = 'https://api.pinata.cloud';
+const API_BASE_URL = ENV.API_URL;
 
 /**
- * Upload JSON to IPFS via Pinata
+ * Store JSON through the backend's content store. Pinning credentials stay
+ * on the server; the CID it returns is checked against the bytes sent.
  */
 export const uploadJSONToIPFS = async (jsonData) => {
   try {
-    const response = await fetch(`${PINATA_API_URL}/pinning/pinJSONToIPFS`, {
+    const body = new TextEncoder().encode(JSON.stringify(jsonData));
+    const response = await fetch(`${API_BASE_URL}/content`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'pinata_api_key': ENV.PINATA_API_KEY,
-        'pinata_secret_api_key': ENV.PINATA_SECRET_KEY
       },
-      body: JSON.stringify(jsonData)
+      body,
     });
 
-    if (!response.ok) {
-      throw new Error('Failed to upload to IPFS');
-    }
-
     const data = await response.json();
-    return data.IpfsHash;
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to upload to IPFS');
+    }
+    if (data.cid !== (await computeCid(body))) {
+      throw new Error('Backend returned a CID that does not match the content');
+    }
+    return data.cid;
   } catch (error) {
     console.error('Error uploading to IPFS:', error);
     throw error;
@@ -30,16 +33,23 @@ export const uploadJSONToIPFS = async (jsonData) => {
 };
 
 /**
- * Fetch data from IPFS
+ * Fetch JSON by CID through the backend, refusing content whose hash does
+ * not match the CID.
  */
 export const fetchFromIPFS = async (hash) => {
   try {
-    const response = await fetch(`${ENV.IPFS_GATEWAY}${hash}`);
+    if (!isCid(hash)) {
+      throw new Error('Unsupported content identifier');
+    }
+    const response = await fetch(getIPFSUrl(hash));
     if (!response.ok) {
       throw new Error('Failed to fetch from IPFS');
     }
-    const data = await response.json();
-    return data;
+    const bytes = await response.arrayBuffer();
+    if ((await computeCid(bytes)) !== hash) {
+      throw new Error('Content does not match its CID');
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
   } catch (error) {
     console.error('Error fetching from IPFS:', error);
     throw error;
@@ -50,7 +60,7 @@ export const fetchFromIPFS = async (hash) => {
  * Get IPFS URL
  */
 export const getIPFSUrl = (hash) => {
-  return `${ENV.IPFS_GATEWAY}${hash}`;
+  return `${API_BASE_URL}/content/${hash}`;
 };
 
 export default {
@@ -3,30 +3,33 @@
  * Client-side proof generation for private voting
  */
 
-import { buildPoseidon } from 'circomlibjs';
+import {
+  getPoseidonHasher,
+  computeCommitment,
+  computeNullifier,
+  buildMerkleTree as buildVoterTree,
+  restoreMerkleTree,
+  syncMerkleTree,
+  buildVoteInput,
+  voteCircuitArtifacts,
+  resolveVoteTreeDepth,
+  toBytes32,
+  voterSalt,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+  VOTE_TREE_DEPTH
+} from 'zk-core';
 const snarkjs = (typeof window !== 'undefined' && window.snarkjs) ? window.snarkjs : require('snarkjs');
 
-let poseidonInstance = null;
-
-/**
- * Initialize Poseidon hash function
- */
-async function getPoseidon() {
-  if (!poseidonInstance) {
-    poseidonInstance = await buildPoseidon();
-  }
-  return poseidonInstance;
-}
-
 /**
  * Generate commitment from secret
  * Commitment = hash(secret)
  */
 export async function generateCommitment(secret) {
-  const poseidon = await getPoseidon();
-  const secretBigInt = BigInt(secret);
-  const hash = poseidon.F.toString(poseidon([secretBigInt]));
-  return `0x${BigInt(hash).toString(16).padStart(64, '0')}`;
+  const hash = await getPoseidonHasher();
+  return toBytes32(computeCommitment(hash, secret));
 }
 
 /**
@@ -34,71 +37,150 @@ export async function generateCommitment(secret) {
  * Nullifier = hash(secret, proposalId)
  */
 export async function generateNullifier(secret, proposalId) {
-  const poseidon = await getPoseidon();
-  const secretBigInt = BigInt(secret);
-  const proposalIdBigInt = BigInt(proposalId);
-  
-  const hash = poseidon.F.toString(poseidon([secretBigInt, proposalIdBigInt]));
-  return `0x${BigInt(hash).toString(16).padStart(64, '0')}`;
+  const hash = await getPoseidonHasher();
+  return toBytes32(computeNullifier(hash, secret, proposalId));
 }
 
 /**
- * Build Merkle tree from commitments
+ * Voting secret and commitment for a passphrase, salted with the wallet that
+ * registers it. Runs Argon2id, so it takes a second or two.
  */
-export async function buildMerkleTree(commitments, levels = 20) {
-  const poseidon = await getPoseidon();
-  
-  // Convert commitments to BigInt
-  let currentLevel = commitments.map(c => 
-    typeof c === 'string' ? BigInt(c) : c
-  );
-  
-  const tree = [currentLevel];
-
-  for (let level = 0; level < levels; level++) {
-    const nextLevel = [];
-    
-    for (let i = 0; i < currentLevel.length; i += 2) {
-      const left = currentLevel[i];
-      const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : BigInt(0);
-      
-      const hash = poseidon.F.toString(poseidon([left, right]));
-      nextLevel.push(BigInt(hash));
-    }
-    
-    tree.push(nextLevel);
-    currentLevel = nextLevel;
+export async function deriveVoterIdentity(passphrase, walletAddress, onProgress) {
+  const secret = await deriveVoterSecret(passphrase, voterSalt(walletAddress), { onProgress });
+  return { secret, commitment: await generateCommitment(secret) };
+}
+
+/**
+ * Voting identity derived from the wallet's EIP-712 signature over this
+ * PrivateDAOVoting deployment instead of a passphrase. With `confirm`, signs
+ * twice and refuses wallets whose signatures aren't deterministic, as the
+ * identity could not be recreated at voting time.
+ *
+ * @param {object} contract PrivateDAOVoting, from useContract
+ * @param {string} walletAddress
+ * @param {(typedData: object) => Promise<string>} signTypedData wagmi's signTypedDataAsync
+ */
+export async function deriveWalletVoterIdentity(contract, walletAddress, signTypedData, { confirm = false } = {}) {
+  const typedData = walletIdentityTypedData({
+    chainId: contract.publicClient.chain.id,
+    verifyingContract: contract.address,
+    voter: walletAddress
+  });
+  const signature = await signTypedData(typedData);
+  if (confirm && (await signTypedData(typedData)) !== signature) {
+    throw new Error('This wallet does not sign deterministically, so it cannot derive a voting identity. Use a secret instead.');
+  }
+  const secret = walletSignatureToSecret(signature);
+  return { secret, commitment: await generateCommitment(secret) };
+}
+
+/**
+ * Identity as registrations before deriveVoterIdentity computed it; only
+ * used to recognise voters who still have to re-commit.
+ */
+export async function deriveLegacyVoterIdentity(passphrase) {
+  const secret = legacySecretToField(passphrase);
+  return { secret, commitment: await generateCommitment(secret) };
+}
+
+/**
+ * The identity `passphrase` gives for a wallet whose registered commitment is
+ * `registeredCommitment` (DIDRegistry.voterCommitmentOf): the legacy one if
+ * that is what was registered, otherwise the Argon2id one. `legacy` tells
+ * the caller to offer a re-commit; the commitment may still not match.
+ */
+export async function matchVoterIdentity(passphrase, walletAddress, registeredCommitment, onProgress) {
+  const legacyIdentity = await deriveLegacyVoterIdentity(passphrase);
+  if (legacyIdentity.commitment === registeredCommitment?.toLowerCase()) {
+    return { ...legacyIdentity, legacy: true };
   }
+  const identity = await deriveVoterIdentity(passphrase, walletAddress, onProgress);
+  return { ...identity, legacy: false };
+}
+
+/**
+ * Build the padded voter-set Merkle tree the vote circuit verifies
+ */
+export async function buildMerkleTree(commitments, levels = VOTE_TREE_DEPTH) {
+  const hash = await getPoseidonHasher();
+  const tree = buildVoterTree(commitments, { depth: levels, hash });
 
   return {
-    root: `0x${currentLevel[0].toString(16).padStart(64, '0')}`,
+    root: toBytes32(tree.root()),
     tree,
     levels
   };
 }
 
+const contractKey = (contract) =>
+  `${contract.publicClient?.chain?.id}_${contract.address}`.toLowerCase();
+
+const voteTreeDepths = new Map();
+
 /**
- * Get Merkle proof for a specific leaf
+ * Tree depth of the PrivateDAOVoting `contract` (from useContract), read once
+ * per contract. Contracts deployed before merkleTreeDepth() use the default.
  */
-export function getMerkleProof(tree, leafIndex) {
-  const pathElements = [];
-  const pathIndices = [];
+export function getVoteTreeDepth(contract) {
+  const key = contractKey(contract);
+  if (!voteTreeDepths.has(key)) {
+    const depth = resolveVoteTreeDepth(() =>
+      contract.publicClient.readContract({
+        address: contract.address,
+        abi: contract.abi,
+        functionName: 'merkleTreeDepth'
+      })
+    );
+    depth.catch(() => voteTreeDepths.delete(key));
+    voteTreeDepths.set(key, depth);
+  }
+  return voteTreeDepths.get(key);
+}
 
-  let currentIndex = leafIndex;
+/**
+ * Static paths of the circuit artifacts for a tree depth
+ */
+export function getVoteCircuitPaths(levels = VOTE_TREE_DEPTH) {
+  const { wasm, zkey } = voteCircuitArtifacts(levels);
+  return { wasmPath: `/circuits/${wasm}`, zkeyPath: `/circuits/${zkey}` };
+}
 
-  for (let level = 0; level < tree.length - 1; level++) {
-    const siblingIndex = currentIndex % 2 === 0 ? currentIndex + 1 : currentIndex - 1;
-    const sibling = siblingIndex < tree[level].length 
-      ? tree[level][siblingIndex] 
-      : BigInt(0);
+/**
+ * Voter tree of `contract` (from useContract) brought up to `commitments`,
+ * at the contract's tree depth. The tree is kept in localStorage per chain
+ * and contract, so a later visit only hashes the voters registered since.
+ */
+export async function syncVoterTree(contract, commitments) {
+  const hash = await getPoseidonHasher();
+  const levels = await getVoteTreeDepth(contract);
+  const key = `voter_tree_${contractKey(contract)}`;
 
-    pathElements.push(sibling.toString());
-    pathIndices.push(currentIndex % 2);
+  let saved = null;
+  try {
+    const state = localStorage.getItem(key);
+    if (state) saved = restoreMerkleTree(JSON.parse(state), { hash });
+  } catch (error) {
+    console.warn('Ignoring saved voter tree:', error.message);
+  }
 
-    currentIndex = Math.floor(currentIndex / 2);
+  const savedSize = saved ? saved.size() : -1;
+  const tree = syncMerkleTree(saved, commitments, { depth: levels, hash });
+  if (tree !== saved || tree.size() !== savedSize) {
+    try {
+      localStorage.setItem(key, JSON.stringify(tree));
+    } catch (error) {
+      console.warn('Could not save voter tree:', error.message);
+    }
   }
+  return tree;
+}
 
-  return { pathElements, pathIndices };
+/**
+ * Get Merkle proof for a specific leaf
+ */
+export function getMerkleProof(tree, leafIndex) {
+  const { pathElements, pathIndices } = tree.proof(leafIndex);
+  return { pathElements: pathElements.map(String), pathIndices };
 }
 
 /**
@@ -111,7 +193,8 @@ export async function generateVoteProof(
   proposalId,
   voteChoice,
   voterCommitments,
-  voterIndex
+  voterIndex,
+  levels = VOTE_TREE_DEPTH
 ) {
   console.log('🔐 Generating ZK proof...');
   console.log('  Voter index:', voterIndex);
@@ -123,7 +206,7 @@ export async function generateVoteProof(
   console.log('  Commitment:', commitment);
 
   // Build Merkle tree
-  const { root, tree } = await buildMerkleTree(voterCommitments);
+  const { root, tree } = await buildMerkleTree(voterCommitments, levels);
   console.log('  Merkle root:', root);
 
   // Get Merkle proof
@@ -134,18 +217,17 @@ export async function generateVoteProof(
 
   // Call snarkjs to generate the real proof using wasm and zkey
   try {
-    const inputForCircuit = {
-      root: root.replace(/^0x/, ''),
-      proposalId: proposalId.toString(),
-      voteChoice: voteChoice.toString(),
-      secret: secret.toString(),
-      pathElements: pathElements.map((p) => p.toString()),
-      pathIndices: pathIndices.map((i) => i.toString())
-    };
+    const inputForCircuit = buildVoteInput({
+      root,
+      proposalId,
+      voteChoice,
+      secret,
+      pathElements,
+      pathIndices
+    });
 
     // Paths served by the frontend static assets (matches ZKVotingModule.jsx)
-    const wasmPath = '/circuits/vote.wasm';
-    const zkeyPath = '/circuits/vote_final.zkey';
+    const { wasmPath, zkeyPath } = getVoteCircuitPaths(levels);
 
     console.log('Calling snarkjs.groth16.fullProve with input:', inputForCircuit);
 
@@ -237,7 +319,14 @@ export function clearVoterSecret(walletAddress) {
 export default {
   generateCommitment,
   generateNullifier,
+  deriveVoterIdentity,
+  deriveLegacyVoterIdentity,
+  deriveWalletVoterIdentity,
+  matchVoterIdentity,
   buildMerkleTree,
+  getVoteTreeDepth,
+  getVoteCircuitPaths,
+  syncVoterTree,
   getMerkleProof,
   generateVoteProof,
   verifyProof,
@@ -0,0 +1,96 @@
+const { toDecimal } = require("./field");
+
+/**
+ * Tree depth `vote.circom` is compiled with (`PrivateVote(6)`), and the
+ * depth of PrivateDAOVoting deployments that predate `merkleTreeDepth()`.
+ */
+const VOTE_TREE_DEPTH = 6;
+
+/**
+ * File names of the vote circuit's artifacts for a tree depth, as
+ * `circuits/scripts/setup.ps1 -Depth <depth>` publishes them to the
+ * frontend's `public/circuits`. The default depth keeps the original names.
+ *
+ * @param {number} [depth]
+ * @returns {{ name: string, wasm: string, zkey: string }}
+ */
+function voteCircuitArtifacts(depth = VOTE_TREE_DEPTH) {
+  const name = depth === VOTE_TREE_DEPTH ? "vote" : `vote_${depth}`;
+  return { name, wasm: `${name}.wasm`, zkey: `${name}_final.zkey` };
+}
+
+// ethers reports a revert or empty return data as CALL_EXCEPTION; viem
+// wraps ContractFunctionZeroDataError / ContractFunctionRevertedError
+function isMissingFunction(err) {
+  for (let e = err; e; e = e.cause) {
+    if (e.code === "CALL_EXCEPTION") return true;
+    if (/^ContractFunction(ZeroData|Reverted)Error$/.test(e.name)) return true;
+  }
+  return false;
+}
+
+/**
+ * Tree depth of a deployed PrivateDAOVoting. `readDepth` calls its
+ * `merkleTreeDepth()`; contracts deployed before that existed fail the call
+ * and use VOTE_TREE_DEPTH. Any other failure (e.g. the RPC is down) throws.
+ *
+ * @param {() => Promise<bigint|number>} readDepth
+ * @returns {Promise<number>}
+ */
+async function resolveVoteTreeDepth(readDepth) {
+  let depth;
+  try {
+    depth = Number(await readDepth());
+  } catch (err) {
+    if (isMissingFunction(err)) return VOTE_TREE_DEPTH;
+    throw err;
+  }
+  if (!Number.isInteger(depth) || depth < 1 || depth > 32) {
+    throw new Error(`Invalid voter tree depth: ${depth}`);
+  }
+  return depth;
+}
+
+/**
+ * Order of the vote circuit's public signals, as snarkjs returns them and
+ * castPrivateVote takes them: the output first, then the public inputs.
+ */
+const VOTE_PUBLIC_SIGNALS = ["nullifier", "root", "proposalId", "voteChoice"];
+
+/**
+ * Input for `vote.circom`, every value as the decimal string snarkjs'
+ * witness calculator expects.
+ *
+ * @param {object} options
+ * @param {bigint|string} options.root Root the path leads to
+ * @param {bigint|number|string} options.proposalId
+ * @param {boolean|number} options.voteChoice true/1 for yes
+ * @param {bigint|string} options.secret
+ * @param {(bigint|string)[]} options.pathElements
+ * @param {number[]} options.pathIndices
+ */
+function buildVoteInput({
+  root,
+  proposalId,
+  voteChoice,
+  secret,
+  pathElements,
+  pathIndices,
+}) {
+  return {
+    root: toDecimal(root),
+    proposalId: toDecimal(proposalId),
+    voteChoice: voteChoice === true || Number(voteChoice) === 1 ? "1" : "0",
+    secret: toDecimal(secret),
+    pathElements: pathElements.map(toDecimal),
+    pathIndices: pathIndices.map((index) => String(index)),
+  };
+}
+
+module.exports = {
+  VOTE_TREE_DEPTH,
+  VOTE_PUBLIC_SIGNALS,
+  voteCircuitArtifacts,
+  resolveVoteTreeDepth,
+  buildVoteInput,
+};
@@ -0,0 +1,28 @@
+/** Order of the BN254 scalar field the circuits and Poseidon work in. */
+const FIELD_SIZE =
+  21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+/**
+ * Field element from a bigint, a safe integer, a decimal string or a
+ * 0x-prefixed hex string (commitments and roots come back from the
+ * contracts as bytes32).
+ *
+ * @param {bigint|number|string} value
+ * @returns {bigint}
+ */
+function toField(value) {
+  const field = BigInt(value);
+  if (field < 0n || field >= FIELD_SIZE) {
+    throw new Error(`Value is not a BN254 field element: ${value}`);
+  }
+  return field;
+}
+
+/** @returns {string} 0x-prefixed, 64 hex digits, as contracts store it */
+const toBytes32 = (value) =>
+  "0x" + toField(value).toString(16).padStart(64, "0");
+
+/** @returns {string} Decimal, as circuit inputs and public signals use it */
+const toDecimal = (value) => toField(value).toString(10);
+
+module.exports = { FIELD_SIZE, toField, toBytes32, toDecimal };
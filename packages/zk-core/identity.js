@@ -0,0 +1,19 @@
+const { toField } = require("./field");
+
+/**
+ * The voter's Merkle leaf, `Poseidon(secret)`, registered through
+ * DIDRegistry and PrivateDAOVoting.
+ *
+ * @param {(...inputs: bigint[]) => bigint} hash See ./poseidon.js
+ * @param {bigint|number|string} secret Field element (the circuit's `secret`)
+ */
+const computeCommitment = (hash, secret) => hash(toField(secret));
+
+/**
+ * The per-proposal nullifier `Poseidon(secret, proposalId)`: the vote
+ * circuit's output and the key PrivateDAOVoting uses to refuse second votes.
+ */
+const computeNullifier = (hash, secret, proposalId) =>
+  hash(toField(secret), toField(proposalId));
+
+module.exports = { computeCommitment, computeNullifier };
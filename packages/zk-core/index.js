@@ -0,0 +1,61 @@
+const { FIELD_SIZE, toField, toBytes32, toDecimal } = require("./field");
+const {
+  getPoseidon,
+  createPoseidonHasher,
+  getPoseidonHasher,
+} = require("./poseidon");
+const { computeCommitment, computeNullifier } = require("./identity");
+const {
+  SECRET_KDF,
+  voterSalt,
+  bytesToField,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+} = require("./secret");
+const {
+  zeroHashes,
+  createMerkleTree,
+  restoreMerkleTree,
+  buildMerkleTree,
+  syncMerkleTree,
+  computeRootFromPath,
+} = require("./tree");
+const {
+  VOTE_TREE_DEPTH,
+  VOTE_PUBLIC_SIGNALS,
+  voteCircuitArtifacts,
+  resolveVoteTreeDepth,
+  buildVoteInput,
+} = require("./circuit");
+
+module.exports = {
+  FIELD_SIZE,
+  toField,
+  toBytes32,
+  toDecimal,
+  getPoseidon,
+  createPoseidonHasher,
+  getPoseidonHasher,
+  computeCommitment,
+  computeNullifier,
+  SECRET_KDF,
+  voterSalt,
+  bytesToField,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+  zeroHashes,
+  createMerkleTree,
+  restoreMerkleTree,
+  buildMerkleTree,
+  syncMerkleTree,
+  computeRootFromPath,
+  VOTE_TREE_DEPTH,
+  VOTE_PUBLIC_SIGNALS,
+  voteCircuitArtifacts,
+  resolveVoteTreeDepth,
+  buildVoteInput,
+};
@@ -0,0 +1,36 @@
+const { buildPoseidon } = require("circomlibjs");
+
+let poseidonPromise;
+
+/**
+ * circomlibjs Poseidon, built once per process (building it compiles the
+ * round constants, which takes a noticeable moment in the browser).
+ */
+function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  return poseidonPromise;
+}
+
+/**
+ * @param {object} poseidon From getPoseidon() or circomlibjs' buildPoseidon()
+ * @returns {(...inputs: (bigint|number|string)[]) => bigint} Poseidon over
+ *   1 to 16 inputs, as the circuits' `Poseidon(n)` computes it
+ */
+function createPoseidonHasher(poseidon) {
+  return (...inputs) =>
+    BigInt(poseidon.F.toString(poseidon(inputs.map((input) => BigInt(input)))));
+}
+
+let hasherPromise;
+
+/**
+ * One shared hasher, so trees built from it also share their zero hashes.
+ *
+ * @returns {Promise<ReturnType<typeof createPoseidonHasher>>}
+ */
+function getPoseidonHasher() {
+  if (!hasherPromise) hasherPromise = getPoseidon().then(createPoseidonHasher);
+  return hasherPromise;
+}
+
+module.exports = { getPoseidon, createPoseidonHasher, getPoseidonHasher };
@@ -0,0 +1,136 @@
+// Rewrites test/vectors.json from the current implementation. Only run it
+// when the circuit itself changes, then check the witness test still passes.
+const fs = require("fs");
+const path = require("path");
+const { Wallet } = require("ethers");
+const {
+  FIELD_SIZE,
+  getPoseidonHasher,
+  computeCommitment,
+  computeNullifier,
+  voterSalt,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+  buildMerkleTree,
+  toBytes32,
+  VOTE_TREE_DEPTH,
+} = require("..");
+
+const IDENTITIES = [
+  ["1", "1"],
+  ["123456", "1"],
+  ["424242", "3"],
+  ["987654321987654321", "42"],
+  [(FIELD_SIZE - 1n).toString(), "7"],
+];
+// [passphrase, wallet] pairs run through the default SECRET_KDF
+const PASSPHRASES = [
+  [
+    "correct horse battery staple",
+    "0x00000000000000000000000000000000000A11CE",
+  ],
+  ["Yasuri", "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266"],
+];
+// Hardhat's first dev account, signing for a local PrivateDAOVoting
+const WALLETS = [
+  {
+    privateKey:
+      "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80",
+    chainId: 31337,
+    verifyingContract: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+  },
+];
+// Trees hold the first n identities' commitments
+const TREE_SIZES = [0, 1, 2, 5];
+// { tree, identity } pairs proven against vote.circom
+const VOTES = [
+  { tree: 1, identity: 0, voteChoice: 1 },
+  { tree: 3, identity: 2, voteChoice: 0 },
+  { tree: 3, identity: 4, voteChoice: 1 },
+];
+
+async function main() {
+  const hash = await getPoseidonHasher();
+  const depth = VOTE_TREE_DEPTH;
+
+  const identities = IDENTITIES.map(([secret, proposalId]) => ({
+    secret,
+    proposalId,
+    commitment: toBytes32(computeCommitment(hash, secret)),
+    nullifier: toBytes32(computeNullifier(hash, secret, proposalId)),
+  }));
+
+  const secrets = [];
+  for (const [passphrase, address] of PASSPHRASES) {
+    const secret = await deriveVoterSecret(passphrase, voterSalt(address));
+    secrets.push({
+      passphrase,
+      address,
+      secret: secret.toString(),
+      legacySecret: legacySecretToField(passphrase).toString(),
+    });
+  }
+
+  const wallets = [];
+  for (const { privateKey, chainId, verifyingContract } of WALLETS) {
+    const wallet = new Wallet(privateKey);
+    const { domain, types, message } = walletIdentityTypedData({
+      chainId,
+      verifyingContract,
+      voter: wallet.address,
+    });
+    const signature = await wallet.signTypedData(domain, types, message);
+    wallets.push({
+      privateKey,
+      chainId,
+      verifyingContract,
+      signature,
+      secret: walletSignatureToSecret(signature).toString(),
+    });
+  }
+
+  const trees = TREE_SIZES.map((size) => {
+    const leaves = identities.slice(0, size).map((i) => i.commitment);
+    const tree = buildMerkleTree(leaves, { depth, hash });
+    return {
+      leaves,
+      root: toBytes32(tree.root()),
+      proofs: leaves.map((_, leafIndex) => {
+        const { pathElements, pathIndices } = tree.proof(leafIndex);
+        return {
+          leafIndex,
+          pathElements: pathElements.map(String),
+          pathIndices,
+        };
+      }),
+    };
+  });
+
+  const votes = VOTES.map(({ tree, identity, voteChoice }) => ({
+    tree,
+    leafIndex: identity,
+    secret: identities[identity].secret,
+    proposalId: identities[identity].proposalId,
+    voteChoice,
+    root: trees[tree].root,
+    nullifier: identities[identity].nullifier,
+  }));
+
+  const file = path.join(__dirname, "../test/vectors.json");
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      { depth, identities, secrets, wallets, trees, votes },
+      null,
+      2,
+    ) + "\n",
+  );
+  console.log(`Wrote ${file}`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+const { argon2idAsync } = require("@noble/hashes/argon2");
+const { sha256, sha512 } = require("@noble/hashes/sha2");
+const {
+  bytesToHex,
+  hexToBytes,
+  utf8ToBytes,
+  concatBytes,
+} = require("@noble/hashes/utils");
+const { FIELD_SIZE } = require("./field");
+
+/**
+ * Argon2id parameters for turning a passphrase into a voting secret: 64 MiB
+ * and two passes, about a second or two in a browser. Every derivation must
+ * use the same values, so changing them means bumping `version` and letting
+ * voters re-commit (DIDRegistry.recommitVoter).
+ */
+const SECRET_KDF = Object.freeze({
+  algorithm: "argon2id",
+  version: 1,
+  t: 2,
+  m: 65536,
+  p: 1,
+  dkLen: 32,
+});
+
+const SALT_DOMAIN = "zk-core/voter-salt/v1:";
+const SECRET_DOMAIN = utf8ToBytes("zk-core/voter-secret/v1");
+const WALLET_SECRET_DOMAIN = utf8ToBytes("zk-core/wallet-voter-secret/v1");
+
+// secp256k1 group order, to put signatures in low-s form
+const SECP256K1_N =
+  0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+
+const WALLET_IDENTITY_PURPOSE =
+  "Derive my private voting identity. Anyone holding this signature can vote as me, so only sign it on the DAO's own site.";
+
+/**
+ * Per-voter KDF salt, bound to the wallet that registers the commitment, so
+ * one precomputed dictionary can't be tried against every voter at once.
+ *
+ * @param {string} address 0x-prefixed wallet address, any case
+ * @returns {Uint8Array} 32 bytes
+ */
+function voterSalt(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address ?? "")) {
+    throw new Error(`Not a wallet address: ${address}`);
+  }
+  return sha256(utf8ToBytes(SALT_DOMAIN + address.toLowerCase()));
+}
+
+/**
+ * Reduces uniform bytes into the BN254 field. With 64 input bytes the bias
+ * of the modular reduction is below 2^-250.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {bigint}
+ */
+const bytesToField = (bytes) => BigInt("0x" + bytesToHex(bytes)) % FIELD_SIZE;
+
+/**
+ * The circuit's `secret` for a passphrase: Argon2id over the NFKC-normalised
+ * passphrase and `salt`, then SHA-512 of the key into the field. Slow on
+ * purpose; callers should show progress rather than call it per keystroke.
+ *
+ * @param {string} passphrase
+ * @param {Uint8Array} salt See voterSalt
+ * @param {object} [options]
+ * @param {object} [options.kdf] Parameters, SECRET_KDF unless testing
+ * @param {(progress: number) => void} [options.onProgress] 0 to 1
+ * @returns {Promise<bigint>}
+ */
+async function deriveVoterSecret(
+  passphrase,
+  salt,
+  { kdf = SECRET_KDF, onProgress } = {},
+) {
+  if (typeof passphrase !== "string" || passphrase.length === 0) {
+    throw new Error("Passphrase is required");
+  }
+  const key = await argon2idAsync(
+    utf8ToBytes(passphrase.normalize("NFKC")),
+    salt,
+    { t: kdf.t, m: kdf.m, p: kdf.p, dkLen: kdf.dkLen, onProgress },
+  );
+  return bytesToField(sha512(concatBytes(SECRET_DOMAIN, key)));
+}
+
+/**
+ * EIP-712 message a wallet signs to derive its voting identity instead of
+ * a passphrase. Bound to the chain and the PrivateDAOVoting deployment, so
+ * the same wallet gets an unrelated secret on every other DAO or network.
+ * Shaped for viem's `signTypedData` and ethers' `Signer.signTypedData`.
+ *
+ * @param {object} options
+ * @param {number|bigint} options.chainId
+ * @param {string} options.verifyingContract PrivateDAOVoting address
+ * @param {string} options.voter The signing wallet
+ */
+function walletIdentityTypedData({ chainId, verifyingContract, voter }) {
+  return {
+    domain: {
+      name: "PrivateDAOVoting Identity",
+      version: "1",
+      chainId: Number(chainId),
+      verifyingContract,
+    },
+    types: {
+      VotingIdentity: [
+        { name: "purpose", type: "string" },
+        { name: "voter", type: "address" },
+      ],
+    },
+    primaryType: "VotingIdentity",
+    message: { purpose: WALLET_IDENTITY_PURPOSE, voter },
+  };
+}
+
+/**
+ * The circuit's `secret` for a signature over walletIdentityTypedData:
+ * SHA-512 of `r` and the low-s `s` into the field, so a wallet returning the
+ * other valid `s` (or a different `v`) still derives the same secret. The
+ * signature must be deterministic (RFC 6979), which callers should check by
+ * signing twice before registering.
+ *
+ * @param {string} signature 65-byte 0x-prefixed hex
+ * @returns {bigint}
+ */
+function walletSignatureToSecret(signature) {
+  if (!/^0x[0-9a-fA-F]{130}$/.test(signature ?? "")) {
+    throw new Error("Not a 65-byte ECDSA signature");
+  }
+  const r = signature.slice(2, 66);
+  let s = BigInt("0x" + signature.slice(66, 130));
+  if (s > SECP256K1_N / 2n) s = SECP256K1_N - s;
+  return bytesToField(
+    sha512(
+      concatBytes(
+        WALLET_SECRET_DOMAIN,
+        hexToBytes(r),
+        hexToBytes(s.toString(16).padStart(64, "0")),
+      ),
+    ),
+  );
+}
+
+/**
+ * The 31-bit string hash registrations used before SECRET_KDF. Trivially
+ * brute-forced from a commitment; kept only so voters registered with it
+ * can prove their old secret and re-commit.
+ *
+ * @param {string} passphrase
+ * @returns {bigint}
+ */
+function legacySecretToField(passphrase) {
+  let hash = 0;
+  for (let i = 0; i < passphrase.length; i++) {
+    hash = (hash << 5) - hash + passphrase.charCodeAt(i);
+    hash = hash & hash;
+  }
+  return BigInt(Math.abs(hash));
+}
+
+module.exports = {
+  SECRET_KDF,
+  voterSalt,
+  bytesToField,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+};
@@ -0,0 +1,369 @@
+const path = require("path");
+const { expect } = require("chai");
+const snarkjs = require("snarkjs");
+const { Wallet } = require("ethers");
+const {
+  toBytes32,
+  toField,
+  getPoseidonHasher,
+  computeCommitment,
+  computeNullifier,
+  SECRET_KDF,
+  voterSalt,
+  deriveVoterSecret,
+  legacySecretToField,
+  walletIdentityTypedData,
+  walletSignatureToSecret,
+  FIELD_SIZE,
+  zeroHashes,
+  createMerkleTree,
+  restoreMerkleTree,
+  buildMerkleTree,
+  syncMerkleTree,
+  computeRootFromPath,
+  buildVoteInput,
+  voteCircuitArtifacts,
+  resolveVoteTreeDepth,
+  VOTE_TREE_DEPTH,
+} = require("..");
+const vectors = require("./vectors.json");
+
+const VOTE_WASM = path.join(
+  __dirname,
+  "../../frontend/public/circuits/vote.wasm",
+);
+
+// The full padded rebuild every caller used to copy
+function naiveRoot(leaves, depth, hash) {
+  let level = leaves.map((leaf) => BigInt(leaf));
+  while (level.length < 2 ** depth) level.push(0n);
+  for (let d = 0; d < depth; d++) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(hash(level[i], level[i + 1]));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+// Witness of vote.circom for `input`; throws when a constraint fails
+async function voteWitness(input) {
+  const wtns = { type: "mem" };
+  await snarkjs.wtns.calculate(input, VOTE_WASM, wtns);
+  const [, nullifier, root, proposalId, voteChoice] =
+    await snarkjs.wtns.exportJson(wtns);
+  return { nullifier, root, proposalId, voteChoice };
+}
+
+describe("zk-core", function () {
+  this.timeout(30000);
+
+  let hash;
+
+  before(async function () {
+    hash = await getPoseidonHasher();
+  });
+
+  describe("Test vectors", function () {
+    it("Should reproduce every commitment and nullifier", function () {
+      for (const identity of vectors.identities) {
+        expect(toBytes32(computeCommitment(hash, identity.secret))).to.equal(
+          identity.commitment,
+        );
+        expect(
+          toBytes32(
+            computeNullifier(hash, identity.secret, identity.proposalId),
+          ),
+        ).to.equal(identity.nullifier);
+      }
+    });
+
+    it("Should reproduce every root and path, and agree with a full rebuild", function () {
+      expect(vectors.depth).to.equal(VOTE_TREE_DEPTH);
+      for (const vector of vectors.trees) {
+        const tree = buildMerkleTree(vector.leaves, {
+          depth: vectors.depth,
+          hash,
+        });
+        expect(toBytes32(tree.root())).to.equal(vector.root);
+        expect(
+          toBytes32(naiveRoot(vector.leaves, vectors.depth, hash)),
+        ).to.equal(vector.root);
+
+        for (const proof of vector.proofs) {
+          const { pathElements, pathIndices } = tree.proof(proof.leafIndex);
+          expect(pathElements.map(String)).to.deep.equal(proof.pathElements);
+          expect(pathIndices).to.deep.equal(proof.pathIndices);
+          const leaf = vector.leaves[proof.leafIndex];
+          expect(toBytes32(computeRootFromPath(hash, leaf, proof))).to.equal(
+            vector.root,
+          );
+        }
+      }
+    });
+
+    it("Should match the vote.circom witness for every vote", async function () {
+      for (const vote of vectors.votes) {
+        const input = buildVoteInput({
+          ...vote,
+          ...vectors.trees[vote.tree].proofs[vote.leafIndex],
+        });
+        const witness = await voteWitness(input);
+        expect(toBytes32(witness.nullifier)).to.equal(vote.nullifier);
+        expect(toBytes32(witness.root)).to.equal(vote.root);
+        expect(witness.proposalId).to.equal(BigInt(vote.proposalId));
+        expect(witness.voteChoice).to.equal(BigInt(vote.voteChoice));
+      }
+    });
+
+    it("Should not satisfy vote.circom with zero siblings in a populated tree", async function () {
+      // What circuits/scripts/generateProof.js used to submit
+      const vote = vectors.votes[1];
+      const input = buildVoteInput({
+        ...vote,
+        pathElements: Array(vectors.depth).fill(0n),
+        pathIndices:
+          vectors.trees[vote.tree].proofs[vote.leafIndex].pathIndices,
+      });
+      let error;
+      await voteWitness(input).catch((err) => {
+        error = err;
+      });
+      expect(error?.message).to.include("Assert Failed");
+    });
+  });
+
+  describe("Voter secrets", function () {
+    // Cheap parameters for everything but the pinned vectors
+    const FAST = { ...SECRET_KDF, m: 256, t: 1 };
+    const ALICE = vectors.secrets[0].address;
+
+    it("Should reproduce the pinned secrets with the default parameters", async function () {
+      for (const vector of vectors.secrets) {
+        const secret = await deriveVoterSecret(
+          vector.passphrase,
+          voterSalt(vector.address),
+        );
+        expect(secret.toString()).to.equal(vector.secret);
+        expect(secret < FIELD_SIZE).to.be.true;
+        expect(legacySecretToField(vector.passphrase).toString()).to.equal(
+          vector.legacySecret,
+        );
+      }
+    });
+
+    it("Should salt per wallet, ignoring address case", async function () {
+      const derive = (address) =>
+        deriveVoterSecret("same passphrase", voterSalt(address), {
+          kdf: FAST,
+        });
+      const other = "0x" + "b0b".padStart(40, "0");
+
+      expect(await derive(ALICE)).to.equal(await derive(ALICE.toLowerCase()));
+      expect(await derive(ALICE)).to.not.equal(await derive(other));
+      expect(() => voterSalt("alice")).to.throw("Not a wallet address");
+    });
+
+    it("Should normalise the passphrase and refuse an empty one", async function () {
+      const salt = voterSalt(ALICE);
+      // "é" precomposed and as "e" + combining accent
+      expect(
+        await deriveVoterSecret("caf\u00e9", salt, { kdf: FAST }),
+      ).to.equal(await deriveVoterSecret("cafe\u0301", salt, { kdf: FAST }));
+
+      let error;
+      await deriveVoterSecret("", salt, { kdf: FAST }).catch((err) => {
+        error = err;
+      });
+      expect(error?.message).to.equal("Passphrase is required");
+    });
+  });
+
+  describe("Wallet-derived secrets", function () {
+    const [vector] = vectors.wallets;
+    const wallet = new Wallet(vector.privateKey);
+
+    const sign = (overrides = {}) => {
+      const { domain, types, message } = walletIdentityTypedData({
+        chainId: vector.chainId,
+        verifyingContract: vector.verifyingContract,
+        voter: wallet.address,
+        ...overrides,
+      });
+      return wallet.signTypedData(domain, types, message);
+    };
+
+    it("Should reproduce the pinned signature and secret", async function () {
+      const signature = await sign();
+      expect(signature).to.equal(vector.signature);
+      expect(walletSignatureToSecret(signature).toString()).to.equal(
+        vector.secret,
+      );
+    });
+
+    it("Should give another secret on another chain or deployment", async function () {
+      const secrets = await Promise.all([
+        sign(),
+        sign({ chainId: 1 }),
+        sign({ verifyingContract: "0x" + "1".repeat(40) }),
+      ]).then((signatures) => signatures.map(walletSignatureToSecret));
+      expect(new Set(secrets).size).to.equal(3);
+    });
+
+    it("Should accept either s of the signature and refuse malformed ones", function () {
+      // The same signature with s' = n - s and the other recovery id
+      const n =
+        0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+      const s = BigInt("0x" + vector.signature.slice(66, 130));
+      const v = parseInt(vector.signature.slice(130), 16);
+      const flipped =
+        vector.signature.slice(0, 66) +
+        (n - s).toString(16).padStart(64, "0") +
+        (v === 27 ? 28 : 27).toString(16);
+
+      expect(walletSignatureToSecret(flipped).toString()).to.equal(
+        vector.secret,
+      );
+      expect(() => walletSignatureToSecret("0x1234")).to.throw(
+        "Not a 65-byte ECDSA signature",
+      );
+    });
+  });
+
+  describe("Merkle tree", function () {
+    it("Should refuse inserts once the tree is full", function () {
+      const tree = createMerkleTree({ depth: 2, hash });
+      [1n, 2n, 3n, 4n].forEach((leaf) => tree.insert(leaf));
+      expect(() => tree.insert(5n)).to.throw("Merkle tree is full");
+    });
+
+    it("Should keep every past root and match a full rebuild after each insert", function () {
+      const { leaves } = vectors.trees[3];
+      const tree = createMerkleTree({ depth: vectors.depth, hash });
+      expect(tree.root()).to.equal(zeroHashes(vectors.depth, hash).pop());
+
+      leaves.forEach((leaf, i) => {
+        tree.insert(leaf);
+        expect(tree.root()).to.equal(
+          naiveRoot(leaves.slice(0, i + 1), vectors.depth, hash),
+        );
+      });
+      vectors.trees.forEach((vector) => {
+        const count = vector.leaves.length;
+        expect(toBytes32(tree.rootAt(count))).to.equal(vector.root);
+        expect(tree.leafCountOf(vector.root)).to.equal(count);
+      });
+      expect(tree.leafCountOf(123n)).to.equal(-1);
+    });
+
+    it("Should resume from saved state with the same roots and proofs", function () {
+      const { leaves } = vectors.trees[3];
+      const tree = buildMerkleTree(leaves.slice(0, 3), {
+        depth: vectors.depth,
+        hash,
+      });
+      const restored = restoreMerkleTree(JSON.parse(JSON.stringify(tree)), {
+        hash,
+      });
+      expect(restored.root()).to.equal(tree.root());
+      expect(restored.rootAt(1)).to.equal(tree.rootAt(1));
+      expect(restored.proof(2)).to.deep.equal(tree.proof(2));
+
+      leaves.slice(3).forEach((leaf) => restored.insert(leaf));
+      expect(toBytes32(restored.root())).to.equal(vectors.trees[3].root);
+      expect(restored.proof(4).pathElements.map(String)).to.deep.equal(
+        vectors.trees[3].proofs[4].pathElements,
+      );
+    });
+
+    it("Should refuse saved state that is malformed or from another hash", function () {
+      const state = buildMerkleTree(vectors.trees[3].leaves, {
+        depth: vectors.depth,
+        hash,
+      }).toJSON();
+      const sum = (left, right) => (left + right) % 1000n;
+
+      expect(() => restoreMerkleTree(state, { hash: sum })).to.throw(
+        "does not match this hash function",
+      );
+      expect(() =>
+        restoreMerkleTree({ ...state, roots: state.roots.slice(1) }, { hash }),
+      ).to.throw("malformed");
+      expect(() => restoreMerkleTree(null, { hash })).to.throw("malformed");
+
+      const tampered = JSON.parse(JSON.stringify(state));
+      tampered.layers[0][4] = toBytes32(1n);
+      expect(() => restoreMerkleTree(tampered, { hash })).to.throw(
+        "does not match this hash function",
+      );
+    });
+
+    it("Should only insert new leaves when syncing, and rebuild when history changed", function () {
+      const { leaves, root } = vectors.trees[3];
+      const options = { depth: vectors.depth, hash };
+      const tree = buildMerkleTree(leaves.slice(0, 2), options);
+
+      const synced = syncMerkleTree(tree, leaves, options);
+      expect(synced).to.equal(tree);
+      expect(toBytes32(synced.root())).to.equal(root);
+
+      const replaced = [leaves[1], ...leaves.slice(1)];
+      const rebuilt = syncMerkleTree(tree, replaced, options);
+      expect(rebuilt).to.not.equal(tree);
+      expect(rebuilt.root()).to.equal(naiveRoot(replaced, options.depth, hash));
+
+      expect(syncMerkleTree(null, leaves, options).root()).to.equal(
+        tree.root(),
+      );
+    });
+
+    it("Should name each depth's circuit artifacts, keeping the default's", function () {
+      expect(voteCircuitArtifacts()).to.deep.equal({
+        name: "vote",
+        wasm: "vote.wasm",
+        zkey: "vote_final.zkey",
+      });
+      expect(voteCircuitArtifacts(20)).to.deep.equal({
+        name: "vote_20",
+        wasm: "vote_20.wasm",
+        zkey: "vote_20_final.zkey",
+      });
+    });
+
+    it("Should read the contract's depth, defaulting only for contracts without one", async function () {
+      const fail = (error) => async () => {
+        throw error;
+      };
+      const viemMissing = Object.assign(new Error("execution"), {
+        cause: { name: "ContractFunctionZeroDataError" },
+      });
+
+      expect(await resolveVoteTreeDepth(async () => 20n)).to.equal(20);
+      expect(
+        await resolveVoteTreeDepth(fail({ code: "CALL_EXCEPTION" })),
+      ).to.equal(VOTE_TREE_DEPTH);
+      expect(await resolveVoteTreeDepth(fail(viemMissing))).to.equal(
+        VOTE_TREE_DEPTH,
+      );
+
+      let error;
+      await resolveVoteTreeDepth(fail(new Error("network down"))).catch(
+        (err) => {
+          error = err;
+        },
+      );
+      expect(error?.message).to.equal("network down");
+    });
+
+    it("Should refuse values outside the field", function () {
+      expect(() => toField(-1n)).to.throw("not a BN254 field element");
+      expect(() => computeCommitment(hash, 2n ** 254n)).to.throw(
+        "not a BN254 field element",
+      );
+      expect(toField(vectors.trees[1].leaves[0])).to.equal(
+        BigInt(vectors.identities[0].commitment),
+      );
+    });
+  });
+});
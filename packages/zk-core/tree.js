@@ -0,0 +1,233 @@
+const { toField, toBytes32 } = require("./field");
+
+const zeroCache = new WeakMap();
+
+/**
+ * `zeros[level]` is the root of an empty subtree `level` high, so
+ * `zeros[depth]` is the root of an empty tree. Cached per hash function and
+ * extended on demand, so every tree built with the same hasher shares them.
+ *
+ * @param {number} depth
+ * @param {(left: bigint, right: bigint) => bigint} hash
+ * @returns {bigint[]} depth + 1 values
+ */
+function zeroHashes(depth, hash) {
+  let zeros = zeroCache.get(hash);
+  if (!zeros) {
+    zeros = [0n];
+    zeroCache.set(hash, zeros);
+  }
+  while (zeros.length <= depth) {
+    const below = zeros[zeros.length - 1];
+    zeros.push(hash(below, below));
+  }
+  return zeros.slice(0, depth + 1);
+}
+
+/**
+ * Fixed-depth binary Merkle tree matching the padded tree the `vote.circom`
+ * circuit verifies: unused leaves are zero and every node is
+ * `hash(left, right)`. Empty subtrees are represented by precomputed zero
+ * hashes, so an insert only rehashes the leaf's path to the root.
+ *
+ * Every root the tree passes through is kept, so a proof generated against
+ * an older root can still be recognised, and the whole state serialises
+ * with `toJSON()` so a browser or server can resume without rehashing.
+ *
+ * @param {object} options
+ * @param {number} options.depth
+ * @param {(left: bigint, right: bigint) => bigint} options.hash
+ * @param {object} [options.state] From `toJSON()`; see restoreMerkleTree
+ */
+function createMerkleTree({ depth, hash, state }) {
+  const capacity = 2 ** depth;
+  const zeros = zeroHashes(depth, hash);
+
+  // layers[level][index]; holes are empty subtrees
+  const layers = Array.from({ length: depth + 1 }, () => []);
+  // roots[n] is the root while the tree held n leaves
+  const roots = [zeros[depth]];
+  const leafCounts = new Map([[zeros[depth], 0]]);
+
+  const node = (level, index) => layers[level][index] ?? zeros[level];
+
+  function recordRoot() {
+    const root = node(depth, 0);
+    roots.push(root);
+    if (!leafCounts.has(root)) leafCounts.set(root, roots.length - 1);
+  }
+
+  function insert(leaf) {
+    const index = layers[0].length;
+    if (index >= capacity) {
+      throw new Error(
+        `Merkle tree is full (depth ${depth}, ${capacity} leaves)`,
+      );
+    }
+
+    layers[0].push(toField(leaf));
+    let current = index;
+    for (let level = 0; level < depth; level++) {
+      const parent = current >> 1;
+      layers[level + 1][parent] = hash(
+        node(level, parent * 2),
+        node(level, parent * 2 + 1),
+      );
+      current = parent;
+    }
+    recordRoot();
+    return index;
+  }
+
+  function proof(index) {
+    if (index < 0 || index >= layers[0].length) {
+      throw new Error(`No leaf at index ${index}`);
+    }
+    const pathElements = [];
+    const pathIndices = [];
+    let current = index;
+    for (let level = 0; level < depth; level++) {
+      pathElements.push(node(level, current ^ 1));
+      pathIndices.push(current & 1);
+      current >>= 1;
+    }
+    return { pathElements, pathIndices };
+  }
+
+  /** @returns {number} Leaf count the tree had at `root`, or -1 if it never had it */
+  const leafCountOf = (root) => leafCounts.get(toField(root)) ?? -1;
+
+  /** Plain JSON: every node and past root as bytes32 hex. */
+  const toJSON = () => ({
+    depth,
+    layers: layers.map((level) => Array.from(level, toBytes32)),
+    roots: roots.map(toBytes32),
+  });
+
+  if (state) {
+    if (
+      state.depth !== depth ||
+      state.layers?.length !== depth + 1 ||
+      state.roots?.length !== state.layers[0].length + 1 ||
+      state.layers[0].length > capacity
+    ) {
+      throw new Error("Saved Merkle tree state is malformed");
+    }
+    state.layers.forEach((level, i) => {
+      layers[i] = level.map(toField);
+    });
+    roots.length = 0;
+    leafCounts.clear();
+    state.roots.forEach((root, count) => {
+      roots.push(toField(root));
+      if (!leafCounts.has(roots[count])) leafCounts.set(roots[count], count);
+    });
+    // A different hash function or a damaged file shows up on the newest path
+    const last = layers[0].length - 1;
+    if (
+      roots[0] !== zeros[depth] ||
+      roots[roots.length - 1] !== node(depth, 0) ||
+      (last >= 0 &&
+        computeRootFromPath(hash, layers[0][last], proof(last)) !==
+          node(depth, 0))
+    ) {
+      throw new Error(
+        "Saved Merkle tree state does not match this hash function",
+      );
+    }
+  }
+
+  return {
+    depth,
+    capacity,
+    insert,
+    proof,
+    root: () => node(depth, 0),
+    rootAt: (leafCount) => roots[leafCount],
+    leafCountOf,
+    size: () => layers[0].length,
+    leaves: () => [...layers[0]],
+    toJSON,
+  };
+}
+
+/**
+ * Resumes a tree saved with `toJSON()`. Throws when the state is malformed
+ * or was built with a different hash function.
+ *
+ * @param {object} state
+ * @param {object} options
+ * @param {(left: bigint, right: bigint) => bigint} options.hash
+ */
+function restoreMerkleTree(state, { hash }) {
+  if (!Number.isInteger(state?.depth) || state.depth < 0) {
+    throw new Error("Saved Merkle tree state is malformed");
+  }
+  return createMerkleTree({ depth: state.depth, hash, state });
+}
+
+/**
+ * The tree holding `leaves` in order, e.g. every commitment
+ * PrivateDAOVoting has registered.
+ *
+ * @param {(bigint|string)[]} leaves
+ * @param {object} options See createMerkleTree
+ */
+function buildMerkleTree(leaves, { depth, hash }) {
+  const tree = createMerkleTree({ depth, hash });
+  leaves.forEach((leaf) => tree.insert(leaf));
+  return tree;
+}
+
+/**
+ * Folds `leaf` up an inclusion path the way `vote.circom` does: at each
+ * level a path index of 1 means the current node is the right child. A
+ * path is valid for a root exactly when this returns that root.
+ *
+ * @param {(left: bigint, right: bigint) => bigint} hash
+ * @param {bigint|string} leaf
+ * @param {{ pathElements: (bigint|string)[], pathIndices: number[] }} path
+ */
+function computeRootFromPath(hash, leaf, { pathElements, pathIndices }) {
+  return pathElements.reduce(
+    (node, sibling, level) =>
+      Number(pathIndices[level]) === 1
+        ? hash(toField(sibling), node)
+        : hash(node, toField(sibling)),
+    toField(leaf),
+  );
+}
+
+/**
+ * Brings `tree` up to `leaves` (e.g. every commitment registered so far):
+ * when the tree's leaves are a prefix of `leaves` only the new ones are
+ * inserted, otherwise (first call, a different depth, or a reorg replaced
+ * some) the tree is rebuilt.
+ *
+ * @param {ReturnType<typeof createMerkleTree>|null} tree
+ * @param {(bigint|string)[]} leaves
+ * @param {object} options See createMerkleTree
+ * @returns {ReturnType<typeof createMerkleTree>} `tree` itself, or its replacement
+ */
+function syncMerkleTree(tree, leaves, { depth, hash }) {
+  const wanted = leaves.map(toField);
+  const current = tree?.depth === depth ? tree.leaves() : null;
+  if (
+    !current ||
+    current.length > wanted.length ||
+    current.some((leaf, i) => leaf !== wanted[i])
+  ) {
+    return buildMerkleTree(wanted, { depth, hash });
+  }
+  wanted.slice(current.length).forEach((leaf) => tree.insert(leaf));
+  return tree;
+}
+
+module.exports = {
+  zeroHashes,
+  createMerkleTree,
+  restoreMerkleTree,
+  buildMerkleTree,
+  syncMerkleTree,
+  computeRootFromPath,
+};